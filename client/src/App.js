@@ -4,6 +4,7 @@ import { QueryClient, QueryClientProvider } from 'react-query';
 import { Toaster } from 'react-hot-toast';
 import styled, { ThemeProvider, createGlobalStyle } from 'styled-components';
 import { motion, AnimatePresence } from 'framer-motion';
+import axios from 'axios';
 import { 
   Brain, 
   BarChart3, 
@@ -13,7 +14,8 @@ import {
   Menu, 
   X,
   Sun,
-  Moon
+  Moon,
+  LogOut
 } from 'lucide-react';
 
 // Components
@@ -23,6 +25,7 @@ import Reports from './components/Reports';
 import Settings from './components/Settings';
 import Receipts from './components/Receipts';
 import ApiKeyManager from './components/ApiKeyManager';
+import Login from './components/Login';
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -249,6 +252,14 @@ const HeaderTitle = styled.h1`
   margin: 0;
 `;
 
+const HeaderUser = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${props => props.theme.spacing.sm};
+  color: ${props => props.theme.colors.textSecondary};
+  font-size: 0.9rem;
+`;
+
 const MobileMenuButton = styled.button`
   display: none;
   background: none;
@@ -338,6 +349,26 @@ function App() {
   
   const [activeRoute, setActiveRoute] = useState('dashboard');
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  // Signed-in user from /api/auth/me; undefined while loading, null when signed out
+  const [auth, setAuth] = useState(undefined);
+
+  useEffect(() => {
+    axios.get('/api/auth/me')
+      .then(response => setAuth(response.data))
+      .catch(() => setAuth(null));
+
+    // An expired session sends the user back to the sign-in form
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401) {
+          setAuth(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
 
   useEffect(() => {
     localStorage.setItem('darkMode', JSON.stringify(isDark));
@@ -365,12 +396,26 @@ function App() {
     window.history.pushState({}, '', item.path);
   };
 
+  const handleLogout = async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } finally {
+      setAuth(null);
+      queryClient.clear();
+    }
+  };
+
   const currentTheme = isDark ? darkTheme : lightTheme;
 
+  if (auth === undefined) {
+    return null;
+  }
+
   return (
     <QueryClientProvider client={queryClient}>
       <ThemeProvider theme={currentTheme}>
         <GlobalStyle />
+        {!auth ? <Login onLogin={setAuth} /> : (
         <Router>
           <AppContainer>
             <AnimatePresence>
@@ -434,6 +479,12 @@ function App() {
                     {navigationItems.find(item => item.id === activeRoute)?.label || 'Dashboard'}
                   </HeaderTitle>
                 </div>
+                <HeaderUser>
+                  {auth.user.name || auth.user.username} ({auth.role})
+                  <ThemeToggle onClick={handleLogout} title="Sign out">
+                    <LogOut size={18} />
+                  </ThemeToggle>
+                </HeaderUser>
               </Header>
               
               <ContentArea>
@@ -450,6 +501,7 @@ function App() {
             </MainContent>
           </AppContainer>
         </Router>
+        )}
         
         <Toaster
           position="top-right"
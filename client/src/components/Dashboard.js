@@ -25,7 +25,9 @@ import {
   TrendingUp,
   AlertCircle,
   CheckCircle,
-  XCircle
+  XCircle,
+  Wallet,
+  ShieldAlert
 } from 'lucide-react';
 import axios from 'axios';
 import moment from 'moment';
@@ -208,6 +210,48 @@ const ErrorMessage = styled.div`
   padding: ${props => props.theme.spacing.lg};
 `;
 
+const BudgetCard = styled(motion.div)`
+  background: ${props => props.theme.colors.backgroundSecondary};
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.borderRadius.large};
+  padding: ${props => props.theme.spacing.lg};
+  box-shadow: ${props => props.theme.shadows.small};
+  margin-bottom: ${props => props.theme.spacing.xl};
+`;
+
+const BudgetGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+  gap: ${props => props.theme.spacing.md};
+`;
+
+const BudgetItem = styled.div`
+  padding: ${props => props.theme.spacing.md};
+  border-radius: ${props => props.theme.borderRadius.medium};
+  border: 1px solid ${props => props.theme.colors.border};
+  background: ${props => props.theme.colors.background};
+`;
+
+const ProgressTrack = styled.div`
+  height: 8px;
+  border-radius: 4px;
+  background: ${props => props.theme.colors.border};
+  margin: ${props => props.theme.spacing.sm} 0;
+  overflow: hidden;
+`;
+
+const ProgressFill = styled.div`
+  height: 100%;
+  width: ${props => Math.min(props.percent, 100)}%;
+  background: ${props => {
+    switch (props.status) {
+      case 'exceeded': return props.theme.colors.error;
+      case 'warning': return props.theme.colors.warning;
+      default: return props.theme.colors.success;
+    }
+  }};
+`;
+
 // Custom colors for charts
 const CHART_COLORS = ['#0088cc', '#54a9eb', '#4caf50', '#ff9800', '#f44336', '#9c27b0', '#00bcd4'];
 
@@ -246,6 +290,26 @@ function Dashboard() {
     { refetchInterval: 10000 }
   );
 
+  // Fetch budget status for the current period
+  const { data: budgets } = useQuery(
+    'budgets',
+    async () => {
+      const response = await axios.get('/api/budgets?active=true');
+      return response.data;
+    },
+    { refetchInterval: 30000 }
+  );
+
+  // Fetch open leaked secret incidents
+  const { data: secretIncidents } = useQuery(
+    'secretIncidents',
+    async () => {
+      const response = await axios.get('/api/secret-incidents?status=open&limit=10');
+      return response.data;
+    },
+    { refetchInterval: 30000 }
+  );
+
   // Fetch real-time metrics
   const { data: realtimeMetrics } = useQuery(
     'realtimeMetrics',
@@ -375,6 +439,79 @@ function Dashboard() {
         </StatCard>
       </StatsGrid>
 
+      {/* Budgets */}
+      {budgets?.length > 0 && (
+        <BudgetCard
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.45 }}
+        >
+          <ChartTitle>
+            <Wallet size={20} />
+            Budgets
+          </ChartTitle>
+          <BudgetGrid>
+            {budgets.map(budget => (
+              <BudgetItem key={budget.id}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 500, fontSize: '0.9rem' }}>
+                  <span>{budget.name}</span>
+                  <span style={{ color: 'var(--text-secondary)' }}>
+                    {budget.scope === 'org' ? 'Organization' : `${budget.scope} ${budget.scope_id}`} • {budget.period}
+                  </span>
+                </div>
+                <ProgressTrack>
+                  <ProgressFill percent={budget.percent_used} status={budget.status} />
+                </ProgressTrack>
+                <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                  ${budget.spent.toFixed(2)} of ${budget.available.toFixed(2)} • ${Math.max(budget.remaining, 0).toFixed(2)} left
+                </div>
+                <div style={{ fontSize: '0.8rem', color: 'var(--text-light)' }}>
+                  {budget.status === 'exceeded'
+                    ? (budget.hard_limit ? 'Exceeded, calls are blocked' : 'Exceeded')
+                    : budget.projected_exhaustion
+                      ? `Projected to run out ${moment(budget.projected_exhaustion).format('MMM D, HH:mm')}`
+                      : 'On track for this period'}
+                </div>
+              </BudgetItem>
+            ))}
+          </BudgetGrid>
+        </BudgetCard>
+      )}
+
+      {/* Leaked secrets */}
+      {secretIncidents?.length > 0 && (
+        <BudgetCard
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.48 }}
+        >
+          <ChartTitle>
+            <ShieldAlert size={20} />
+            Leaked secrets
+          </ChartTitle>
+          {secretIncidents.map(incident => (
+            <ActivityItem key={incident.id}>
+              <StatusBadge status={incident.action === 'block' ? 'failure' : 'hallucination'}>
+                <AlertCircle size={12} />
+              </StatusBadge>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 500, fontSize: '0.9rem' }}>
+                  {incident.secret_type.replace(/_/g, ' ')} <code>{incident.preview}</code>
+                </div>
+                <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                  In a {incident.source} • {incident.action === 'block' ? 'blocked' : incident.action === 'redact' ? 'redacted' : 'let through'} by {incident.filter_name || 'a deleted filter'}
+                  {incident.user_id && ` • user ${incident.user_id}`}
+                  {incident.occurrences > 1 && ` • seen ${incident.occurrences} times`}
+                </div>
+              </div>
+              <div style={{ fontSize: '0.8rem', color: 'var(--text-light)' }}>
+                {moment(incident.last_seen_at).fromNow()}
+              </div>
+            </ActivityItem>
+          ))}
+        </BudgetCard>
+      )}
+
       {/* Charts */}
       <ChartsGrid>
         <ChartCard
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import styled from 'styled-components';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useForm } from 'react-hook-form';
@@ -13,8 +13,6 @@ import {
   DollarSign,
   Zap,
   Settings,
-  Eye,
-  EyeOff,
   RefreshCw,
   Download
 } from 'lucide-react';
@@ -176,29 +174,6 @@ const Button = styled.button`
   }
 `;
 
-const ApiKeyInput = styled.div`
-  position: relative;
-  display: flex;
-  align-items: center;
-`;
-
-const ToggleButton = styled.button`
-  position: absolute;
-  right: 12px;
-  background: none;
-  border: none;
-  color: ${props => props.theme.colors.textSecondary};
-  cursor: pointer;
-  padding: 4px;
-  display: flex;
-  align-items: center;
-  justify-content: center;
-
-  &:hover {
-    color: ${props => props.theme.colors.text};
-  }
-`;
-
 const ResponseContainer = styled(motion.div)`
   max-height: 400px;
   overflow-y: auto;
@@ -302,44 +277,67 @@ const ErrorMessage = styled.div`
   gap: ${props => props.theme.spacing.sm};
 `;
 
-// AI Provider models
-const PROVIDERS = {
-  openai: {
+// Built-in providers, shown until the server's provider list has loaded
+const DEFAULT_PROVIDERS = [
+  {
+    id: 'openai',
     name: 'OpenAI',
     models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo', 'gpt-4-1106-preview']
   },
-  anthropic: {
+  {
+    id: 'anthropic',
     name: 'Anthropic',
     models: ['claude-3-opus-20240229', 'claude-3-sonnet-20240229', 'claude-3-haiku-20240307']
   },
-  google: {
+  {
+    id: 'google',
     name: 'Google',
     models: ['gemini-pro', 'gemini-pro-vision']
   }
-};
+];
 
 function UsageTracker() {
-  const [showApiKey, setShowApiKey] = useState(false);
   const [currentResponse, setCurrentResponse] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [savedSettings, setSavedSettings] = useState(() => {
-    const saved = localStorage.getItem('aiTrackerSettings');
-    return saved ? JSON.parse(saved) : {};
-  });
 
-  const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm({
+  const { register, handleSubmit, watch, setValue, getValues, formState: { errors } } = useForm({
     defaultValues: {
       model_provider: 'openai',
       model_name: 'gpt-3.5-turbo',
       prompt: '',
-      api_key: savedSettings.api_key || '',
+      api_key_id: '',
       max_tokens: 1000,
       temperature: 0.7
     }
   });
 
   const selectedProvider = watch('model_provider');
-  const currentApiKey = watch('api_key');
+
+  // Includes any OpenAI-compatible providers added on the server
+  const { data: providerList = DEFAULT_PROVIDERS } = useQuery(
+    'providers',
+    async () => {
+      const response = await axios.get('/api/providers');
+      return response.data;
+    }
+  );
+
+  const providers = useMemo(() => Object.fromEntries(
+    providerList
+      .filter(provider => !provider.config || provider.config.is_active)
+      .map(provider => [provider.id, provider])
+  ), [providerList]);
+
+  // Provider keys live in the server's vault; requests send the key id
+  const { data: vaultKeys = [], isLoading: keysLoading } = useQuery(
+    ['keys', selectedProvider],
+    async () => {
+      const response = await axios.get('/api/keys', {
+        params: { provider: selectedProvider, active: true }
+      });
+      return response.data;
+    }
+  );
 
   // Test API key mutation
   const testApiKeyMutation = useMutation(
@@ -382,22 +380,27 @@ function UsageTracker() {
 
   // Update model options when provider changes
   useEffect(() => {
-    const provider = PROVIDERS[selectedProvider];
-    if (provider && provider.models.length > 0) {
+    const provider = providers[selectedProvider];
+    if (provider && provider.models.length > 0 && !provider.models.includes(getValues('model_name'))) {
       setValue('model_name', provider.models[0]);
     }
-  }, [selectedProvider, setValue]);
+  }, [selectedProvider, setValue, getValues, providers]);
+
+  // Pick the provider's first stored key when the current one is not among them
+  useEffect(() => {
+    if (!vaultKeys.some(key => key.id === getValues('api_key_id'))) {
+      setValue('api_key_id', vaultKeys.length > 0 ? vaultKeys[0].id : '');
+    }
+  }, [vaultKeys, setValue, getValues]);
 
-  // Save settings to localStorage
+  // Earlier versions kept the raw provider key in the browser
   useEffect(() => {
-    const settings = { api_key: currentApiKey };
-    setSavedSettings(settings);
-    localStorage.setItem('aiTrackerSettings', JSON.stringify(settings));
-  }, [currentApiKey]);
+    localStorage.removeItem('aiTrackerSettings');
+  }, []);
 
   const onSubmit = async (data) => {
-    if (!data.api_key) {
-      toast.error('Please enter an API key');
+    if (!data.api_key_id) {
+      toast.error('Please choose an API key');
       return;
     }
 
@@ -411,24 +414,23 @@ function UsageTracker() {
 
     trackUsageMutation.mutate({
       ...data,
-      user_id: 'default-user', // Since no auth required
       session_id: `session-${Date.now()}`
     });
   };
 
   const testApiKey = () => {
     const provider = watch('model_provider');
-    const apiKey = watch('api_key');
+    const apiKeyId = watch('api_key_id');
     const modelName = watch('model_name');
 
-    if (!apiKey) {
-      toast.error('Please enter an API key');
+    if (!apiKeyId) {
+      toast.error('Please choose an API key');
       return;
     }
 
     testApiKeyMutation.mutate({
       provider,
-      apiKey,
+      apiKeyId,
       modelName
     });
   };
@@ -471,7 +473,7 @@ function UsageTracker() {
             <FormGroup>
               <Label>AI Provider</Label>
               <Select {...register('model_provider', { required: true })}>
-                {Object.entries(PROVIDERS).map(([key, provider]) => (
+                {Object.entries(providers).map(([key, provider]) => (
                   <option key={key} value={key}>
                     {provider.name}
                   </option>
@@ -481,32 +483,40 @@ function UsageTracker() {
 
             <FormGroup>
               <Label>Model</Label>
-              <Select {...register('model_name', { required: true })}>
-                {PROVIDERS[selectedProvider]?.models.map(model => (
-                  <option key={model} value={model}>
-                    {model}
-                  </option>
-                ))}
-              </Select>
+              {providers[selectedProvider]?.models.length > 0 ? (
+                <Select {...register('model_name', { required: true })}>
+                  {providers[selectedProvider].models.map(model => (
+                    <option key={model} value={model}>
+                      {model}
+                    </option>
+                  ))}
+                </Select>
+              ) : (
+                // User-defined providers may not list their models
+                <Input
+                  type="text"
+                  placeholder="Model name"
+                  {...register('model_name', { required: true })}
+                />
+              )}
             </FormGroup>
 
             <FormGroup>
               <Label>API Key</Label>
-              <ApiKeyInput>
-                <Input
-                  type={showApiKey ? 'text' : 'password'}
-                  placeholder={`Enter your ${PROVIDERS[selectedProvider]?.name} API key`}
-                  {...register('api_key', { required: true })}
-                  style={{ paddingRight: '40px' }}
-                />
-                <ToggleButton 
-                  type="button" 
-                  onClick={() => setShowApiKey(!showApiKey)}
-                >
-                  {showApiKey ? <EyeOff size={16} /> : <Eye size={16} />}
-                </ToggleButton>
-              </ApiKeyInput>
-              {errors.api_key && (
+              <Select {...register('api_key_id', { required: true })} disabled={keysLoading || vaultKeys.length === 0}>
+                {vaultKeys.map(key => (
+                  <option key={key.id} value={key.id}>
+                    {key.name} (…{key.key_hint})
+                  </option>
+                ))}
+              </Select>
+              {!keysLoading && vaultKeys.length === 0 && (
+                <ErrorMessage>
+                  <AlertCircle size={16} />
+                  No {providers[selectedProvider]?.name} keys in the vault. An admin or team manager can add one.
+                </ErrorMessage>
+              )}
+              {errors.api_key_id && vaultKeys.length > 0 && (
                 <ErrorMessage>
                   <AlertCircle size={16} />
                   API key is required
@@ -5,17 +5,23 @@ const { v4: uuidv4 } = require('uuid');
 const dbPath = path.join(__dirname, 'ai_usage_tracker.db');
 let db;
 
-const initializeDatabase = () => {
+// `quiet` leaves out the startup messages, for command line tools
+const initializeDatabase = ({ quiet = false } = {}) => {
   return new Promise((resolve, reject) => {
     db = new sqlite3.Database(dbPath, (err) => {
       if (err) {
         console.error('Error opening database:', err);
         reject(err);
       } else {
-        console.log('📊 Connected to SQLite database');
+        if (!quiet) {
+          console.log('📊 Connected to SQLite database');
+        }
         createTables()
+          .then(migrateTables)
           .then(() => {
-            console.log('✅ Database tables initialized');
+            if (!quiet) {
+              console.log('✅ Database tables initialized');
+            }
             resolve();
           })
           .catch(reject);
@@ -34,9 +40,38 @@ const createTables = () => {
         email TEXT,
         api_keys TEXT, -- JSON string of API keys
         team_id TEXT,
+        username TEXT, -- sign-in name; users without one cannot sign in
+        password_hash TEXT,
+        role TEXT DEFAULT 'viewer', -- 'admin', 'team-manager', 'member' or 'viewer'
+        last_login_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
       
+      // Signed-in sessions, keyed by the SHA-256 of the session token
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        user_agent TEXT,
+        expires_at DATETIME NOT NULL,
+        last_seen_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+      
+      // API tokens for programmatic clients; only the hash is stored
+      `CREATE TABLE IF NOT EXISTS api_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL, -- start of the token, to tell tokens apart
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+      
       // Teams table
       `CREATE TABLE IF NOT EXISTS teams (
         id TEXT PRIMARY KEY,
@@ -45,27 +80,59 @@ const createTables = () => {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
       
+      // Team membership; a user may belong to many teams
+      `CREATE TABLE IF NOT EXISTS team_members (
+        team_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member', -- 'owner', 'admin', 'member' or 'viewer'
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (team_id, user_id),
+        FOREIGN KEY (team_id) REFERENCES teams(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+      
       // AI Usage tracking table
       `CREATE TABLE IF NOT EXISTS usage_logs (
         id TEXT PRIMARY KEY,
         user_id TEXT,
         team_id TEXT,
         session_id TEXT,
+        project_id TEXT, -- Project the call is attributed to, for project budgets
         model_provider TEXT NOT NULL, -- 'openai', 'anthropic', 'google', etc.
         model_name TEXT NOT NULL,
         prompt TEXT NOT NULL,
         response TEXT,
+        messages TEXT, -- JSON array of chat messages when the request was a conversation
+        tools TEXT, -- JSON array of tool definitions offered to the model
+        tool_calls TEXT, -- JSON array of tool calls made in the response
         input_tokens INTEGER DEFAULT 0,
         output_tokens INTEGER DEFAULT 0,
         total_tokens INTEGER DEFAULT 0,
+        cached_input_tokens INTEGER DEFAULT 0, -- Part of input_tokens read from the provider's prompt cache
+        cache_write_tokens INTEGER DEFAULT 0, -- Part of input_tokens written to the prompt cache
+        image_count INTEGER DEFAULT 0,
+        audio_seconds REAL DEFAULT 0,
+        is_batch BOOLEAN DEFAULT false, -- Made through a batch API
+        estimated_input_tokens INTEGER, -- Local estimate, kept for accuracy reporting
+        estimated_output_tokens INTEGER,
+        usage_source TEXT, -- 'provider', 'estimate' or 'partial'
         cost_per_input_token REAL DEFAULT 0,
         cost_per_output_token REAL DEFAULT 0,
         total_cost REAL DEFAULT 0,
-        status TEXT DEFAULT 'success', -- 'success', 'failure', 'retry', 'hallucination'
+        cost_breakdown TEXT, -- JSON array of charge lines making up total_cost
+        status TEXT DEFAULT 'success', -- 'success', 'failure', 'retry', 'hallucination', 'cancelled'
         error_message TEXT,
         retry_count INTEGER DEFAULT 0,
+        parent_log_id TEXT, -- Previous attempt when this call is a retry or fallback
+        replay_of TEXT, -- Log this request was replayed from
+        api_key_id TEXT, -- Vault key the call was made with
+        virtual_key_id TEXT, -- Virtual key the call was authenticated with
         response_time_ms INTEGER,
+        time_to_first_token_ms INTEGER, -- Streaming requests only
         safety_flags TEXT, -- JSON string of safety flags
+        quality TEXT, -- JSON string of response quality check results
+        schema_valid BOOLEAN, -- Whether the response matched the caller's JSON Schema, when one was given
+        schema_errors TEXT, -- JSON array of schema validation errors
         metadata TEXT, -- JSON string for additional metadata
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id),
@@ -83,6 +150,8 @@ const createTables = () => {
         total_tokens INTEGER DEFAULT 0,
         total_cost REAL DEFAULT 0,
         breakdown TEXT, -- JSON string of cost breakdown
+        currency TEXT DEFAULT 'USD', -- Billing currency of converted_total_cost
+        converted_total_cost REAL,
         file_path TEXT, -- Path to generated PDF/TXT file
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id),
@@ -94,21 +163,33 @@ const createTables = () => {
         id TEXT PRIMARY KEY,
         name TEXT NOT NULL,
         description TEXT,
-        filter_type TEXT NOT NULL, -- 'content', 'cost', 'rate', 'model'
+        filter_type TEXT NOT NULL, -- 'content', 'cost', 'rate', 'model', 'pii', 'injection'
         rules TEXT NOT NULL, -- JSON string of filter rules
         is_active BOOLEAN DEFAULT true,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
       
-      // API Keys table (encrypted storage)
+      // API Keys table: provider keys in the vault (encrypted storage) and the
+      // virtual keys issued against them
       `CREATE TABLE IF NOT EXISTS api_keys (
         id TEXT PRIMARY KEY,
-        user_id TEXT,
+        user_id TEXT, -- owner of a virtual key
+        team_id TEXT, -- team allowed to use the key; NULL for a shared key
+        key_type TEXT DEFAULT 'provider', -- 'provider' or 'virtual'
         provider TEXT NOT NULL, -- 'openai', 'anthropic', 'google', etc.
         key_name TEXT,
         key_hash TEXT NOT NULL, -- Hashed version for security
+        key_hint TEXT, -- last characters of the key
+        encrypted_key TEXT, -- AES-256-GCM iv:tag:ciphertext, see services/key-vault.js
+        master_key_id TEXT, -- master key the row is encrypted under
+        provider_key_id TEXT, -- vault key a virtual key calls the provider with
+        spend_cap REAL, -- USD a virtual key may spend; NULL for no cap
+        allowed_models TEXT, -- JSON array of 'provider/model' a virtual key may call
+        expires_at DATETIME,
         is_active BOOLEAN DEFAULT true,
+        created_by TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        rotated_at DATETIME,
         last_used DATETIME,
         FOREIGN KEY (user_id) REFERENCES users(id)
       )`,
@@ -120,9 +201,177 @@ const createTables = () => {
         model_name TEXT NOT NULL,
         input_cost_per_1k_tokens REAL NOT NULL,
         output_cost_per_1k_tokens REAL NOT NULL,
+        cached_input_cost_per_1k_tokens REAL, -- NULL bills cache reads as regular input
+        cache_write_cost_per_1k_tokens REAL, -- NULL bills cache writes as regular input
+        batch_discount REAL DEFAULT 0, -- Fraction taken off token charges for batch calls
+        cost_per_image REAL DEFAULT 0,
+        cost_per_audio_second REAL DEFAULT 0,
+        tiers TEXT, -- JSON array of { above_input_tokens, ...rates } for long prompts
         currency TEXT DEFAULT 'USD',
-        effective_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        is_active BOOLEAN DEFAULT true
+        effective_date DATETIME DEFAULT CURRENT_TIMESTAMP, -- Price applies from
+        effective_to DATETIME, -- Price applies until (exclusive); NULL while current
+        is_active BOOLEAN DEFAULT true -- false once replaced by a correction with the same effective_date
+      )`,
+      
+      // Audit trail of usage log costs changed by pricing recalculations
+      `CREATE TABLE IF NOT EXISTS cost_adjustments (
+        id TEXT PRIMARY KEY,
+        batch_id TEXT NOT NULL, -- One recalculation run
+        usage_log_id TEXT NOT NULL,
+        pricing_id TEXT, -- model_pricing row the new cost is based on
+        old_cost_per_input_token REAL,
+        old_cost_per_output_token REAL,
+        old_total_cost REAL,
+        new_cost_per_input_token REAL,
+        new_cost_per_output_token REAL,
+        new_total_cost REAL,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (usage_log_id) REFERENCES usage_logs (id),
+        FOREIGN KEY (pricing_id) REFERENCES model_pricing (id)
+      )`,
+      
+      // Price sheets applied to model_pricing, newest last
+      `CREATE TABLE IF NOT EXISTS price_sheets (
+        id TEXT PRIMARY KEY,
+        version TEXT NOT NULL,
+        description TEXT,
+        effective_date DATETIME,
+        source TEXT, -- 'api', 'cli' or 'default'
+        prices_added INTEGER DEFAULT 0,
+        prices_changed INTEGER DEFAULT 0,
+        prices_unchanged INTEGER DEFAULT 0,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      // Exchange rates from USD, entered by hand or imported
+      `CREATE TABLE IF NOT EXISTS exchange_rates (
+        id TEXT PRIMARY KEY,
+        currency TEXT NOT NULL,
+        rate REAL NOT NULL, -- Units of currency per 1 USD
+        effective_date DATETIME NOT NULL,
+        source TEXT, -- 'manual' or 'import'
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (currency, effective_date)
+      )`,
+      
+      // Spending budgets for the whole organization, a team, a user or a project
+      `CREATE TABLE IF NOT EXISTS budgets (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        scope TEXT NOT NULL, -- 'org', 'team', 'user' or 'project'
+        scope_id TEXT, -- team, user or project id; NULL for 'org'
+        period TEXT NOT NULL, -- 'daily', 'weekly' or 'monthly'
+        amount REAL NOT NULL, -- USD per period
+        soft_limit_percent REAL DEFAULT 80, -- Share of the budget that raises an alert
+        hard_limit BOOLEAN DEFAULT false, -- Block calls once the budget is spent
+        rollover TEXT DEFAULT 'none', -- 'none', 'unspent' or 'all' of the previous period
+        is_active BOOLEAN DEFAULT true,
+        alerted_period TEXT, -- Start of the period the soft limit alert was sent for
+        exceeded_period TEXT, -- Start of the period the exceeded alert was sent for
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      // Where alerts from safety filters and budgets are sent
+      `CREATE TABLE IF NOT EXISTS alert_channels (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL, -- 'webhook', 'email', 'slack' or 'teams'
+        config TEXT NOT NULL, -- JSON: url and secret, or email recipients
+        sources TEXT, -- JSON array of alert sources to send; NULL for all
+        min_severity TEXT DEFAULT 'warning', -- 'info', 'warning' or 'critical'
+        cooldown_minutes INTEGER DEFAULT 15, -- Repeats of an alert within this window are folded into the last one
+        is_active BOOLEAN DEFAULT true,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      // Safety filters that tripped on a call, and injection filters' scores
+      // of prompts that showed any sign of injection
+      `CREATE TABLE IF NOT EXISTS safety_events (
+        id TEXT PRIMARY KEY,
+        filter_id TEXT,
+        filter_name TEXT NOT NULL,
+        filter_type TEXT NOT NULL,
+        action TEXT, -- What the filter did; NULL when it scored the prompt without tripping
+        reason TEXT,
+        score REAL, -- Injection score from 0 to 1
+        signals TEXT, -- JSON array of injection rules that matched
+        user_id TEXT,
+        team_id TEXT,
+        project_id TEXT,
+        model_provider TEXT,
+        model_name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (filter_id) REFERENCES safety_filters(id)
+      )`,
+      
+      // Secrets content filters found in prompts and responses. Only a
+      // fingerprint and masked preview of each secret is kept.
+      `CREATE TABLE IF NOT EXISTS secret_incidents (
+        id TEXT PRIMARY KEY,
+        filter_id TEXT,
+        usage_log_id TEXT, -- Call whose response held the secret, when logged
+        source TEXT NOT NULL, -- 'prompt' or 'response'
+        secret_type TEXT NOT NULL,
+        fingerprint TEXT NOT NULL, -- First 16 hex digits of the secret's SHA-256
+        preview TEXT,
+        action TEXT NOT NULL, -- What the filter did: 'block', 'redact', 'warn' or 'alert'
+        user_id TEXT,
+        team_id TEXT,
+        project_id TEXT,
+        model_provider TEXT,
+        model_name TEXT,
+        status TEXT DEFAULT 'open', -- 'open' or 'resolved'
+        occurrences INTEGER DEFAULT 1, -- Times the secret was seen while open
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_by TEXT,
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (filter_id) REFERENCES safety_filters(id)
+      )`,
+      
+      // Every alert raised, per channel it was sent to
+      `CREATE TABLE IF NOT EXISTS alert_history (
+        id TEXT PRIMARY KEY,
+        channel_id TEXT, -- NULL when no channel takes the alert
+        source TEXT NOT NULL, -- 'filter', 'budget' or 'test'
+        source_id TEXT, -- Safety filter or budget id
+        dedup_key TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        title TEXT NOT NULL,
+        message TEXT,
+        details TEXT, -- JSON
+        status TEXT NOT NULL, -- 'sent', 'failed' or 'unrouted'
+        error TEXT,
+        occurrences INTEGER DEFAULT 1, -- Times the alert was raised during the cooldown
+        last_occurred_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (channel_id) REFERENCES alert_channels(id)
+      )`,
+      
+      // Currency each team is billed in
+      `CREATE TABLE IF NOT EXISTS team_billing (
+        team_id TEXT PRIMARY KEY,
+        currency TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      // User-defined OpenAI-compatible providers (Azure OpenAI, vLLM, Mistral, Groq, ...)
+      `CREATE TABLE IF NOT EXISTS custom_providers (
+        id TEXT PRIMARY KEY, -- Used as model_provider in usage logs and pricing
+        name TEXT NOT NULL,
+        base_url TEXT NOT NULL,
+        chat_path TEXT DEFAULT '/chat/completions', -- May contain {model}
+        auth_header TEXT DEFAULT 'Authorization',
+        auth_prefix TEXT DEFAULT 'Bearer ',
+        query_params TEXT, -- JSON object appended to the request URL
+        extra_headers TEXT, -- JSON object of additional request headers
+        models TEXT, -- JSON array of model names
+        stream_usage BOOLEAN DEFAULT true, -- Whether the server accepts stream_options.include_usage
+        is_active BOOLEAN DEFAULT true,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
       
       // System settings table
@@ -153,26 +402,92 @@ const createTables = () => {
   });
 };
 
+// Columns added after the original schema. CREATE TABLE IF NOT EXISTS leaves
+// existing databases untouched, so these are added on startup when missing.
+const COLUMN_MIGRATIONS = [
+  { table: 'users', column: 'username', definition: 'TEXT' },
+  { table: 'users', column: 'password_hash', definition: 'TEXT' },
+  { table: 'users', column: 'role', definition: "TEXT DEFAULT 'viewer'" },
+  { table: 'users', column: 'last_login_at', definition: 'DATETIME' },
+  { table: 'usage_logs', column: 'time_to_first_token_ms', definition: 'INTEGER' },
+  { table: 'usage_logs', column: 'estimated_input_tokens', definition: 'INTEGER' },
+  { table: 'usage_logs', column: 'estimated_output_tokens', definition: 'INTEGER' },
+  { table: 'usage_logs', column: 'usage_source', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'messages', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'tools', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'tool_calls', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'parent_log_id', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'replay_of', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'cached_input_tokens', definition: 'INTEGER DEFAULT 0' },
+  { table: 'usage_logs', column: 'cache_write_tokens', definition: 'INTEGER DEFAULT 0' },
+  { table: 'usage_logs', column: 'image_count', definition: 'INTEGER DEFAULT 0' },
+  { table: 'usage_logs', column: 'audio_seconds', definition: 'REAL DEFAULT 0' },
+  { table: 'usage_logs', column: 'is_batch', definition: 'BOOLEAN DEFAULT false' },
+  { table: 'usage_logs', column: 'cost_breakdown', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'api_key_id', definition: 'TEXT' },
+  { table: 'api_keys', column: 'team_id', definition: 'TEXT' },
+  { table: 'api_keys', column: 'key_hint', definition: 'TEXT' },
+  { table: 'api_keys', column: 'encrypted_key', definition: 'TEXT' },
+  { table: 'api_keys', column: 'master_key_id', definition: 'TEXT' },
+  { table: 'api_keys', column: 'created_by', definition: 'TEXT' },
+  { table: 'api_keys', column: 'rotated_at', definition: 'DATETIME' },
+  { table: 'api_keys', column: 'key_type', definition: "TEXT DEFAULT 'provider'" },
+  { table: 'api_keys', column: 'provider_key_id', definition: 'TEXT' },
+  { table: 'api_keys', column: 'spend_cap', definition: 'REAL' },
+  { table: 'api_keys', column: 'allowed_models', definition: 'TEXT' },
+  { table: 'api_keys', column: 'expires_at', definition: 'DATETIME' },
+  { table: 'usage_logs', column: 'virtual_key_id', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'project_id', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'quality', definition: 'TEXT' },
+  { table: 'usage_logs', column: 'schema_valid', definition: 'BOOLEAN' },
+  { table: 'usage_logs', column: 'schema_errors', definition: 'TEXT' },
+  { table: 'receipts', column: 'currency', definition: "TEXT DEFAULT 'USD'" },
+  { table: 'receipts', column: 'converted_total_cost', definition: 'REAL' },
+  { table: 'model_pricing', column: 'cached_input_cost_per_1k_tokens', definition: 'REAL' },
+  { table: 'model_pricing', column: 'cache_write_cost_per_1k_tokens', definition: 'REAL' },
+  { table: 'model_pricing', column: 'batch_discount', definition: 'REAL DEFAULT 0' },
+  { table: 'model_pricing', column: 'cost_per_image', definition: 'REAL DEFAULT 0' },
+  { table: 'model_pricing', column: 'cost_per_audio_second', definition: 'REAL DEFAULT 0' },
+  { table: 'model_pricing', column: 'tiers', definition: 'TEXT' },
+  {
+    table: 'model_pricing',
+    column: 'effective_to',
+    definition: 'DATETIME',
+    // Prices used to be replaced by inserting a new row, so each row is
+    // closed at the start of the next. A replacement that starts at the same
+    // time comes later by rowid and closes the old row straight away.
+    // is_active is left as it was.
+    backfill: `
+      UPDATE model_pricing
+      SET effective_to = (
+        SELECT MIN(later.effective_date) FROM model_pricing later
+        WHERE later.provider = model_pricing.provider
+          AND later.model_name = model_pricing.model_name
+          AND (later.effective_date > model_pricing.effective_date
+            OR (later.effective_date = model_pricing.effective_date AND later.rowid > model_pricing.rowid))
+      )
+    `
+  }
+];
+
+const migrateTables = async () => {
+  for (const migration of COLUMN_MIGRATIONS) {
+    const columns = await allQuery(`PRAGMA table_info(${migration.table})`);
+    if (!columns.some(column => column.name === migration.column)) {
+      await runQuery(`ALTER TABLE ${migration.table} ADD COLUMN ${migration.column} ${migration.definition}`);
+      if (migration.backfill) {
+        await runQuery(migration.backfill);
+      }
+    }
+  }
+};
+
+// Default safety filters, only for a new database. Default prices come from
+// price-sheets/default.yaml, loaded by priceSheets.seedDefaultPrices.
 const insertDefaultData = async () => {
-  // Insert default model pricing
-  const defaultPricing = [
-    // OpenAI GPT-4
-    { provider: 'openai', model_name: 'gpt-4', input_cost: 0.03, output_cost: 0.06 },
-    { provider: 'openai', model_name: 'gpt-4-turbo', input_cost: 0.01, output_cost: 0.03 },
-    { provider: 'openai', model_name: 'gpt-3.5-turbo', input_cost: 0.001, output_cost: 0.002 },
-    
-    // Anthropic Claude
-    { provider: 'anthropic', model_name: 'claude-3-opus', input_cost: 0.015, output_cost: 0.075 },
-    { provider: 'anthropic', model_name: 'claude-3-sonnet', input_cost: 0.003, output_cost: 0.015 },
-    { provider: 'anthropic', model_name: 'claude-3-haiku', input_cost: 0.00025, output_cost: 0.00125 },
-    
-    // Google Gemini
-    { provider: 'google', model_name: 'gemini-pro', input_cost: 0.00025, output_cost: 0.0005 },
-    { provider: 'google', model_name: 'gemini-pro-vision', input_cost: 0.00025, output_cost: 0.0005 }
-  ];
-  
-  for (const pricing of defaultPricing) {
-    await insertModelPricing(pricing);
+  const { count } = await getQuery('SELECT COUNT(*) as count FROM safety_filters');
+  if (count > 0) {
+    return;
   }
   
   // Insert default safety filters
@@ -233,24 +548,46 @@ const allQuery = (query, params = []) => {
   });
 };
 
+// Optional JSON columns are left NULL rather than storing empty arrays
+const toJsonOrNull = (value) => {
+  if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  return JSON.stringify(value);
+};
+
 // Usage tracking functions
 const insertUsageLog = async (usageData) => {
-  const id = uuidv4();
+  const id = usageData.id || uuidv4();
   const query = `
     INSERT INTO usage_logs (
-      id, user_id, team_id, session_id, model_provider, model_name, prompt, response,
-      input_tokens, output_tokens, total_tokens, cost_per_input_token, cost_per_output_token,
-      total_cost, status, error_message, retry_count, response_time_ms, safety_flags, metadata
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      id, user_id, team_id, session_id, project_id, model_provider, model_name, prompt, response,
+      messages, tools, tool_calls, input_tokens, output_tokens, total_tokens,
+      cached_input_tokens, cache_write_tokens, image_count, audio_seconds, is_batch,
+      estimated_input_tokens, estimated_output_tokens,
+      usage_source, cost_per_input_token, cost_per_output_token,
+      total_cost, cost_breakdown, status, error_message, retry_count, parent_log_id, replay_of,
+      response_time_ms, time_to_first_token_ms, safety_flags, quality, schema_valid, schema_errors,
+      metadata, api_key_id, virtual_key_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
   const params = [
-    id, usageData.user_id, usageData.team_id, usageData.session_id,
+    id, usageData.user_id, usageData.team_id, usageData.session_id, usageData.project_id || null,
     usageData.model_provider, usageData.model_name, usageData.prompt, usageData.response,
+    toJsonOrNull(usageData.messages), toJsonOrNull(usageData.tools), toJsonOrNull(usageData.tool_calls),
     usageData.input_tokens, usageData.output_tokens, usageData.total_tokens,
+    usageData.cached_input_tokens || 0, usageData.cache_write_tokens || 0,
+    usageData.image_count || 0, usageData.audio_seconds || 0, Boolean(usageData.is_batch),
+    usageData.estimated_input_tokens, usageData.estimated_output_tokens, usageData.usage_source,
     usageData.cost_per_input_token, usageData.cost_per_output_token, usageData.total_cost,
-    usageData.status, usageData.error_message, usageData.retry_count, usageData.response_time_ms,
-    JSON.stringify(usageData.safety_flags || {}), JSON.stringify(usageData.metadata || {})
+    toJsonOrNull(usageData.cost_breakdown), usageData.status, usageData.error_message, usageData.retry_count, usageData.parent_log_id,
+    usageData.replay_of, usageData.response_time_ms,
+    usageData.time_to_first_token_ms,
+    JSON.stringify(usageData.safety_flags || {}), toJsonOrNull(usageData.quality),
+    usageData.schema_valid === undefined ? null : usageData.schema_valid, toJsonOrNull(usageData.schema_errors),
+    JSON.stringify(usageData.metadata || {}),
+    usageData.api_key_id || null, usageData.virtual_key_id || null
   ];
   
   await runQuery(query, params);
@@ -272,6 +609,11 @@ const getUsageLogs = async (filters = {}) => {
     params.push(filters.team_id);
   }
   
+  if (filters.project_id) {
+    whereClause.push('project_id = ?');
+    params.push(filters.project_id);
+  }
+  
   if (filters.start_date) {
     whereClause.push('created_at >= ?');
     params.push(filters.start_date);
@@ -282,6 +624,42 @@ const getUsageLogs = async (filters = {}) => {
     params.push(filters.end_date);
   }
   
+  if (filters.model_provider) {
+    whereClause.push('model_provider = ?');
+    params.push(filters.model_provider);
+  }
+  
+  if (filters.model_name) {
+    whereClause.push('model_name = ?');
+    params.push(filters.model_name);
+  }
+  
+  if (filters.status) {
+    whereClause.push('status = ?');
+    params.push(filters.status);
+  }
+  
+  if (filters.replay_of) {
+    whereClause.push('replay_of = ?');
+    params.push(filters.replay_of);
+  }
+  
+  if (filters.api_key_id) {
+    whereClause.push('api_key_id = ?');
+    params.push(filters.api_key_id);
+  }
+  
+  if (filters.virtual_key_id) {
+    whereClause.push('virtual_key_id = ?');
+    params.push(filters.virtual_key_id);
+  }
+  
+  // Visibility of a signed-in user, from authService.visibilityScope
+  if (filters.scope) {
+    whereClause.push(filters.scope.clause);
+    params.push(...filters.scope.params);
+  }
+  
   if (whereClause.length > 0) {
     query += ' WHERE ' + whereClause.join(' AND ');
   }
@@ -299,26 +677,64 @@ const getUsageLogs = async (filters = {}) => {
 const insertModelPricing = async (pricingData) => {
   const id = uuidv4();
   const query = `
-    INSERT INTO model_pricing (id, provider, model_name, input_cost_per_1k_tokens, output_cost_per_1k_tokens, currency)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO model_pricing (
+      id, provider, model_name, input_cost_per_1k_tokens, output_cost_per_1k_tokens, currency,
+      effective_date
+    )
+    VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
   `;
   
   await runQuery(query, [
     id, pricingData.provider, pricingData.model_name,
-    pricingData.input_cost, pricingData.output_cost, 'USD'
+    pricingData.input_cost, pricingData.output_cost, 'USD',
+    pricingData.effective_date
   ]);
   
+  // Set separately so plain input/output prices keep the column defaults
+  if (pricingData.effective_to || hasRichPricing(pricingData)) {
+    await runQuery(`
+      UPDATE model_pricing
+      SET effective_to = ?, cached_input_cost_per_1k_tokens = ?, cache_write_cost_per_1k_tokens = ?,
+          batch_discount = ?, cost_per_image = ?, cost_per_audio_second = ?, tiers = ?
+      WHERE id = ?
+    `, [
+      pricingData.effective_to, pricingData.cached_input_cost, pricingData.cache_write_cost,
+      pricingData.batch_discount || 0, pricingData.cost_per_image || 0, pricingData.cost_per_audio_second || 0,
+      toJsonOrNull(pricingData.tiers), id
+    ]);
+  }
+  
   return id;
 };
 
-const getModelPricing = async (provider, modelName) => {
+function hasRichPricing(pricingData) {
+  return [
+    'cached_input_cost', 'cache_write_cost', 'batch_discount', 'cost_per_image', 'cost_per_audio_second', 'tiers'
+  ].some(key => pricingData[key] !== undefined && pricingData[key] !== null);
+}
+
+// Price in effect at `at` ('YYYY-MM-DD HH:MM:SS' UTC, like created_at), or now
+const getModelPricing = async (provider, modelName, at = null) => {
   const query = `
     SELECT * FROM model_pricing 
     WHERE provider = ? AND model_name = ? AND is_active = true
-    ORDER BY effective_date DESC LIMIT 1
+      AND effective_date <= COALESCE(?, CURRENT_TIMESTAMP)
+      AND (effective_to IS NULL OR effective_to > COALESCE(?, CURRENT_TIMESTAMP))
+    ORDER BY effective_date DESC, rowid DESC LIMIT 1
   `;
   
-  return await getQuery(query, [provider, modelName]);
+  return await getQuery(query, [provider, modelName, at, at]);
+};
+
+// Every price ever entered for a model, corrections included, oldest first
+const getPricingHistory = async (provider, modelName) => {
+  const query = `
+    SELECT * FROM model_pricing
+    WHERE provider = ? AND model_name = ?
+    ORDER BY effective_date, rowid
+  `;
+  
+  return await allQuery(query, [provider, modelName]);
 };
 
 const insertSafetyFilter = async (filterData) => {
@@ -339,17 +755,113 @@ const getSafetyFilters = async () => {
   return await allQuery('SELECT * FROM safety_filters WHERE is_active = true');
 };
 
+// Every attempt of the call `id` belongs to: walk up to the first attempt, then
+// back down through the retries and fallbacks that followed it
+const getRetryChain = async (id) => {
+  const query = `
+    WITH RECURSIVE
+      ancestors(id, parent_log_id) AS (
+        SELECT id, parent_log_id FROM usage_logs WHERE id = ?
+        UNION ALL
+        SELECT u.id, u.parent_log_id FROM usage_logs u JOIN ancestors a ON u.id = a.parent_log_id
+      ),
+      chain(id) AS (
+        SELECT id FROM ancestors WHERE parent_log_id IS NULL
+        UNION ALL
+        SELECT u.id FROM usage_logs u JOIN chain c ON u.parent_log_id = c.id
+      )
+    SELECT * FROM usage_logs
+    WHERE id IN (SELECT id FROM chain)
+    ORDER BY created_at, rowid
+  `;
+  
+  return await allQuery(query, [id]);
+};
+
+const getSetting = async (key) => {
+  const setting = await getQuery('SELECT value FROM system_settings WHERE key = ?', [key]);
+  return setting ? setting.value : null;
+};
+
+const insertCustomProvider = async (providerData) => {
+  const query = `
+    INSERT INTO custom_providers (
+      id, name, base_url, chat_path, auth_header, auth_prefix,
+      query_params, extra_headers, models, stream_usage
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  await runQuery(query, [
+    providerData.id, providerData.name, providerData.base_url, providerData.chat_path,
+    providerData.auth_header, providerData.auth_prefix,
+    JSON.stringify(providerData.query_params || {}), JSON.stringify(providerData.extra_headers || {}),
+    JSON.stringify(providerData.models || []), providerData.stream_usage
+  ]);
+  
+  return providerData.id;
+};
+
+const getCustomProviders = async () => {
+  return await allQuery('SELECT * FROM custom_providers WHERE is_active = true ORDER BY name');
+};
+
+const insertUser = async (userData) => {
+  const id = userData.id || uuidv4();
+  
+  await runQuery('INSERT INTO users (id, name, email, username, password_hash, role) VALUES (?, ?, ?, ?, ?, ?)', [
+    id, userData.name, userData.email || null, userData.username || null, userData.password_hash || null,
+    userData.role || 'viewer'
+  ]);
+  
+  return id;
+};
+
+const insertTeam = async (teamData) => {
+  const id = teamData.id || uuidv4();
+  
+  await runQuery('INSERT INTO teams (id, name, description) VALUES (?, ?, ?)', [
+    id, teamData.name, teamData.description || null
+  ]);
+  
+  return id;
+};
+
+// Teams a user belongs to, with the user's role in each
+const getUserTeams = async (userId) => {
+  return await allQuery(`
+    SELECT t.id, t.name, tm.role, tm.created_at as joined_at
+    FROM team_members tm
+    JOIN teams t ON t.id = tm.team_id
+    WHERE tm.user_id = ?
+    ORDER BY t.name
+  `, [userId]);
+};
+
+const getTeamMembers = async (teamId) => {
+  return await allQuery(`
+    SELECT u.id, u.name, u.email, tm.role, tm.created_at as joined_at
+    FROM team_members tm
+    JOIN users u ON u.id = tm.user_id
+    WHERE tm.team_id = ?
+    ORDER BY u.name
+  `, [teamId]);
+};
+
 const insertReceipt = async (receiptData) => {
   const id = uuidv4();
   const query = `
-    INSERT INTO receipts (id, user_id, team_id, period_start, period_end, total_calls, total_tokens, total_cost, breakdown, file_path)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO receipts (
+      id, user_id, team_id, period_start, period_end, total_calls, total_tokens, total_cost,
+      breakdown, currency, converted_total_cost, file_path
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
   await runQuery(query, [
     id, receiptData.user_id, receiptData.team_id, receiptData.period_start, receiptData.period_end,
     receiptData.total_calls, receiptData.total_tokens, receiptData.total_cost,
-    JSON.stringify(receiptData.breakdown), receiptData.file_path
+    JSON.stringify(receiptData.breakdown), receiptData.currency || 'USD', receiptData.converted_total_cost,
+    receiptData.file_path
   ]);
   
   return id;
@@ -364,8 +876,17 @@ module.exports = {
   getUsageLogs,
   insertModelPricing,
   getModelPricing,
+  getPricingHistory,
   insertSafetyFilter,
   getSafetyFilters,
+  insertCustomProvider,
+  getCustomProviders,
+  insertUser,
+  insertTeam,
+  getUserTeams,
+  getTeamMembers,
+  getRetryChain,
+  getSetting,
   insertReceipt,
   runQuery,
   getQuery,
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const { Server } = require('ws');
 const http = require('http');
 const path = require('path');
@@ -12,6 +11,22 @@ const apiRoutes = require('./routes/api');
 const usageRoutes = require('./routes/usage');
 const reportsRoutes = require('./routes/reports');
 const receiptsRoutes = require('./routes/receipts');
+const proxyRoutes = require('./routes/proxy');
+const providersRoutes = require('./routes/providers');
+const currenciesRoutes = require('./routes/currencies');
+const usersRoutes = require('./routes/users');
+const teamsRoutes = require('./routes/teams');
+const authRoutes = require('./routes/auth');
+const keysRoutes = require('./routes/keys');
+const virtualKeysRoutes = require('./routes/virtual-keys');
+const budgetsRoutes = require('./routes/budgets');
+const alertsRoutes = require('./routes/alerts');
+const secretIncidentsRoutes = require('./routes/secret-incidents');
+const { authenticate } = require('./middleware/auth');
+const { limitClients } = require('./middleware/rate-limit');
+const authService = require('./services/auth');
+const providerRegistry = require('./services/providers');
+const priceSheets = require('./services/price-sheets');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,13 +36,9 @@ const wss = new Server({ server });
 app.use(helmet());
 app.use(cors());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // limit each IP to 1000 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
+// Rate limiting per IP address; rate filters limit model calls per tenant
+app.use('/api/', limitClients);
+app.use('/v1/', limitClients);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -36,8 +47,21 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static files
 app.use(express.static(path.join(__dirname, '../client/build')));
 
-// WebSocket connection handling
-wss.on('connection', (ws) => {
+// WebSocket connection handling. Connections sign in like API requests, with
+// the session cookie or an Authorization header, and only receive updates
+// for usage they may see.
+wss.on('connection', async (ws, req) => {
+  try {
+    ws.auth = await authService.authenticateRequest(req);
+  } catch (error) {
+    console.error('Error authenticating WebSocket connection:', error);
+  }
+  
+  if (!ws.auth) {
+    ws.close(1008, 'Authentication required');
+    return;
+  }
+  
   console.log('New WebSocket connection established');
   
   ws.on('message', (message) => {
@@ -57,12 +81,6 @@ wss.on('connection', (ws) => {
 // Store WebSocket server globally for use in routes
 app.locals.wss = wss;
 
-// API routes
-app.use('/api', apiRoutes);
-app.use('/api/usage', usageRoutes);
-app.use('/api/reports', reportsRoutes);
-app.use('/api/receipts', receiptsRoutes);
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -72,6 +90,28 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Everything else under /api needs a session or API token
+app.use('/api', authenticate);
+
+// API routes
+app.use('/api/auth', authRoutes);
+app.use('/api', apiRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/receipts', receiptsRoutes);
+app.use('/api/providers', providersRoutes);
+app.use('/api/currencies', currenciesRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/teams', teamsRoutes);
+app.use('/api/keys', keysRoutes);
+app.use('/api/virtual-keys', virtualKeysRoutes);
+app.use('/api/budgets', budgetsRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/secret-incidents', secretIncidentsRoutes);
+
+// Drop-in provider proxy (point SDK base URLs at http://host:port/v1)
+app.use('/v1', proxyRoutes);
+
 // Serve React app for all other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/build/index.html'));
@@ -90,6 +130,9 @@ const PORT = process.env.PORT || 5000;
 
 // Initialize database and start server
 database.initializeDatabase()
+  .then(() => providerRegistry.loadCustomProviders())
+  .then(() => priceSheets.seedDefaultPrices())
+  .then(() => authService.ensureAdminUser())
   .then(() => {
     server.listen(PORT, () => {
       console.log(`🚀 AI Usage Tracker Server running on port ${PORT}`);
@@ -0,0 +1,64 @@
+const authService = require('../services/auth');
+
+// Endpoints reachable without signing in
+const PUBLIC_PATHS = ['/api/health', '/api/auth/login'];
+
+// Resolve the session cookie or Bearer token into req.auth. Every /api route
+// other than PUBLIC_PATHS needs one.
+async function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.includes(req.baseUrl + req.path)) {
+    return next();
+  }
+
+  try {
+    const context = await authService.authenticateRequest(req);
+    if (!context) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.auth = context;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+}
+
+// Allow the request only when the user's role has one of the permissions.
+// A team_id in the query or body must also be one of the user's teams.
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!permissions.some(permission => authService.can(req.auth, permission))) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+
+    const teamId = req.query.team_id || (req.body && typeof req.body === 'object' ? req.body.team_id : undefined);
+    if (teamId && !authService.canSeeTeam(req.auth, teamId)) {
+      return res.status(403).json({ error: `You are not a member of team ${teamId}` });
+    }
+
+    next();
+  };
+}
+
+// Allow the request only when the team in route parameter `param` is one of
+// the user's teams. Use after requirePermission.
+function requireTeamAccess(param = 'id') {
+  return (req, res, next) => {
+    if (!authService.canSeeTeam(req.auth, req.params[param])) {
+      return res.status(403).json({ error: `You are not a member of team ${req.params[param]}` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  PUBLIC_PATHS,
+  authenticate,
+  requirePermission,
+  requireTeamAccess
+};
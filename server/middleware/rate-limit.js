@@ -0,0 +1,29 @@
+const rateLimiter = require('../services/rate-limiter');
+
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_REQUESTS = 1000;
+
+// Each IP address gets a token bucket of RATE_LIMIT_MAX_REQUESTS requests
+// that refills over RATE_LIMIT_WINDOW_MS. This runs before authentication to
+// keep floods off the server; limits per user, team, virtual key and model
+// are rate filters.
+async function limitClients(req, res, next) {
+  try {
+    const check = await rateLimiter.hit(`client:${req.ip}`, {
+      capacity: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || DEFAULT_MAX_REQUESTS,
+      window_ms: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || DEFAULT_WINDOW_MS
+    });
+    res.set(rateLimiter.rateLimitHeaders(check.limits, check.retry_after_ms));
+    if (!check.allowed) {
+      return res.status(429).json({ error: 'Too many requests from this IP, please try again later.' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error applying client rate limit:', error);
+    next();
+  }
+}
+
+module.exports = {
+  limitClients
+};
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const alerts = require('../services/alerts');
+const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
+
+// Alert channels, with webhook secrets left out
+router.get('/channels', requirePermission('alerts:read'), async (req, res) => {
+  try {
+    const channels = await database.allQuery('SELECT * FROM alert_channels ORDER BY created_at');
+    res.json(channels.map(formatChannel));
+  } catch (error) {
+    console.error('Error fetching alert channels:', error);
+    res.status(500).json({ error: 'Failed to fetch alert channels' });
+  }
+});
+
+// Add an alert channel
+router.post('/channels', requirePermission('alerts:write'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateAlertChannel(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const id = uuidv4();
+    await database.runQuery(`
+      INSERT INTO alert_channels (id, name, type, config, sources, min_severity, cooldown_minutes, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, value.name, value.type, JSON.stringify(value.config),
+      value.sources ? JSON.stringify(value.sources) : null,
+      value.min_severity, value.cooldown_minutes, value.is_active
+    ]);
+
+    res.json({ id, message: 'Alert channel created successfully' });
+  } catch (error) {
+    console.error('Error creating alert channel:', error);
+    res.status(500).json({ error: 'Failed to create alert channel' });
+  }
+});
+
+// Update an alert channel. Fields not given keep their values; a new webhook
+// config without a secret keeps the current one.
+router.put('/channels/:id', requirePermission('alerts:write'), async (req, res) => {
+  try {
+    const channel = await database.getQuery('SELECT * FROM alert_channels WHERE id = ?', [req.params.id]);
+    if (!channel) {
+      return res.status(404).json({ error: 'Alert channel not found' });
+    }
+
+    const current = { ...formatChannel(channel), config: JSON.parse(channel.config) };
+    const updates = { ...req.body };
+    if (updates.config && current.config.secret && updates.config.secret === undefined &&
+        (updates.type || current.type) === 'webhook') {
+      updates.config = { ...updates.config, secret: current.config.secret };
+    }
+
+    const { error, value } = validator.validateAlertChannel({
+      name: current.name,
+      type: current.type,
+      config: current.config,
+      sources: current.sources,
+      min_severity: current.min_severity,
+      cooldown_minutes: current.cooldown_minutes,
+      is_active: current.is_active,
+      ...updates
+    });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await database.runQuery(`
+      UPDATE alert_channels
+      SET name = ?, type = ?, config = ?, sources = ?, min_severity = ?, cooldown_minutes = ?, is_active = ?
+      WHERE id = ?
+    `, [
+      value.name, value.type, JSON.stringify(value.config),
+      value.sources ? JSON.stringify(value.sources) : null,
+      value.min_severity, value.cooldown_minutes, value.is_active, channel.id
+    ]);
+
+    res.json({ message: 'Alert channel updated successfully' });
+  } catch (error) {
+    console.error('Error updating alert channel:', error);
+    res.status(500).json({ error: 'Failed to update alert channel' });
+  }
+});
+
+// Delete an alert channel. Its history is kept.
+router.delete('/channels/:id', requirePermission('alerts:write'), async (req, res) => {
+  try {
+    const result = await database.runQuery('DELETE FROM alert_channels WHERE id = ?', [req.params.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Alert channel not found' });
+    }
+
+    res.json({ message: 'Alert channel deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting alert channel:', error);
+    res.status(500).json({ error: 'Failed to delete alert channel' });
+  }
+});
+
+// Send a test alert through a channel, whether or not it is active
+router.post('/channels/:id/test', requirePermission('alerts:write'), async (req, res) => {
+  try {
+    const channel = await database.getQuery('SELECT * FROM alert_channels WHERE id = ?', [req.params.id]);
+    if (!channel) {
+      return res.status(404).json({ error: 'Alert channel not found' });
+    }
+
+    const result = await alerts.sendTest(channel);
+    res.status(result.status === 'sent' ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Error testing alert channel:', error);
+    res.status(500).json({ error: 'Failed to test alert channel' });
+  }
+});
+
+// Alerts raised, newest first. Optionally by ?channel_id=, ?source=,
+// ?status=, ?severity= and ?start_date=/?end_date=.
+router.get('/history', requirePermission('alerts:read'), async (req, res) => {
+  try {
+    const { channel_id, source, status, severity, start_date, end_date, limit = 100 } = req.query;
+
+    let query = 'SELECT * FROM alert_history WHERE 1=1';
+    const params = [];
+
+    if (channel_id) {
+      query += ' AND channel_id = ?';
+      params.push(channel_id);
+    }
+
+    if (source) {
+      query += ' AND source = ?';
+      params.push(source);
+    }
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    if (severity) {
+      query += ' AND severity = ?';
+      params.push(severity);
+    }
+
+    if (start_date) {
+      query += ' AND created_at >= ?';
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      query += ' AND created_at <= ?';
+      params.push(end_date);
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(Math.min(parseInt(limit) || 100, 1000));
+
+    const rows = await database.allQuery(query, params);
+    res.json(rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : {} })));
+  } catch (error) {
+    console.error('Error fetching alert history:', error);
+    res.status(500).json({ error: 'Failed to fetch alert history' });
+  }
+});
+
+function formatChannel(channel) {
+  const { secret, ...config } = JSON.parse(channel.config);
+
+  return {
+    id: channel.id,
+    name: channel.name,
+    type: channel.type,
+    config,
+    has_secret: Boolean(secret),
+    sources: channel.sources ? JSON.parse(channel.sources) : null,
+    min_severity: channel.min_severity,
+    cooldown_minutes: channel.cooldown_minutes,
+    is_active: Boolean(channel.is_active),
+    created_at: channel.created_at
+  };
+}
+
+module.exports = router;
@@ -3,11 +3,22 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const database = require('../database');
 const aiProviders = require('../services/ai-providers');
+const pricingService = require('../services/pricing');
+const priceSheets = require('../services/price-sheets');
+const currencyService = require('../services/currency');
+const authService = require('../services/auth');
+const keyVault = require('../services/key-vault');
 const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
 
 // Get system stats
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('usage:read'), async (req, res) => {
   try {
+    // Limited to the user's teams and their own usage unless they are an admin
+    const scope = authService.visibilityScope(req.auth);
+    const scopeClause = scope ? ` AND ${scope.clause}` : '';
+    const scopeParams = scope ? scope.params : [];
+    
     const stats = await database.allQuery(`
       SELECT 
         COUNT(*) as total_calls,
@@ -17,8 +28,8 @@ router.get('/stats', async (req, res) => {
         COUNT(DISTINCT user_id) as unique_users,
         COUNT(DISTINCT model_provider) as unique_providers
       FROM usage_logs
-      WHERE DATE(created_at) >= DATE('now', '-30 days')
-    `);
+      WHERE DATE(created_at) >= DATE('now', '-30 days')${scopeClause}
+    `, scopeParams);
     
     const recentActivity = await database.allQuery(`
       SELECT 
@@ -27,20 +38,20 @@ router.get('/stats', async (req, res) => {
         COUNT(*) as call_count,
         SUM(total_cost) as total_cost
       FROM usage_logs
-      WHERE DATE(created_at) >= DATE('now', '-7 days')
+      WHERE DATE(created_at) >= DATE('now', '-7 days')${scopeClause}
       GROUP BY model_provider, model_name
       ORDER BY call_count DESC
       LIMIT 10
-    `);
+    `, scopeParams);
     
     const errorStats = await database.allQuery(`
       SELECT 
         status,
         COUNT(*) as count
       FROM usage_logs
-      WHERE DATE(created_at) >= DATE('now', '-30 days')
+      WHERE DATE(created_at) >= DATE('now', '-30 days')${scopeClause}
       GROUP BY status
-    `);
+    `, scopeParams);
     
     res.json({
       overview: stats[0],
@@ -53,56 +64,265 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Get model pricing
-router.get('/pricing', async (req, res) => {
+// Get model pricing in effect now, or at ?at=<date>
+router.get('/pricing', requirePermission('pricing:read'), async (req, res) => {
   try {
+    const { at } = req.query;
+    
+    if (at && !pricingService.isValidTimestamp(at)) {
+      return res.status(400).json({ error: 'Invalid at date' });
+    }
+    
+    const timestamp = pricingService.toTimestamp(at);
     const pricing = await database.allQuery(`
       SELECT * FROM model_pricing 
       WHERE is_active = true
-      ORDER BY provider, model_name
-    `);
+        AND effective_date <= ?
+        AND (effective_to IS NULL OR effective_to > ?)
+      ORDER BY provider, model_name, effective_date DESC
+    `, [timestamp, timestamp]);
+    
+    // Keep the most recent price per model
+    const current = pricing.filter((row, index) =>
+      index === 0 ||
+      row.provider !== pricing[index - 1].provider ||
+      row.model_name !== pricing[index - 1].model_name
+    );
     
-    res.json(pricing);
+    res.json(current.map(pricingService.parsePricing));
   } catch (error) {
     console.error('Error fetching pricing:', error);
     res.status(500).json({ error: 'Failed to fetch pricing' });
   }
 });
 
-// Update model pricing
-router.post('/pricing', async (req, res) => {
+// Get every price entered for a model, oldest first
+router.get('/pricing/history', requirePermission('pricing:read'), async (req, res) => {
   try {
-    const { provider, model_name, input_cost, output_cost } = req.body;
+    const { provider, model_name } = req.query;
+    
+    if (!provider || !model_name) {
+      return res.status(400).json({ error: 'provider and model_name are required' });
+    }
+    
+    const history = await database.getPricingHistory(provider, model_name);
     
+    res.json(history.map(pricingService.parsePricing));
+  } catch (error) {
+    console.error('Error fetching pricing history:', error);
+    res.status(500).json({ error: 'Failed to fetch pricing history' });
+  }
+});
+
+// Update model pricing. effective_date (default now) may be in the past to
+// correct a price, or in the future to schedule one. With recalculate, logs
+// in the new price's window are repriced. Besides input and output rates a
+// price may set cached and cache-write input rates, a batch discount, per-image
+// and per-audio-second charges, and tiers for long prompts.
+router.post('/pricing', requirePermission('pricing:write'), async (req, res) => {
+  try {
     // Validate input
-    if (!provider || !model_name || input_cost === undefined || output_cost === undefined) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const { error, value } = validator.validateModelPricing(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { currency, recalculate, reason, ...entered } = value;
+    const { provider, model_name } = entered;
+    
+    // Prices are stored in USD, converted at the rate of their effective date
+    const rates = await currencyService.priceToBase(entered, currency, entered.effective_date);
+    if (!rates) {
+      return res.status(400).json({ error: `No ${currency} exchange rate on record for the effective date` });
+    }
+    
+    const capped = validator.validateBasePrice(rates);
+    if (capped.error) {
+      return res.status(400).json({ error: `${capped.error.details[0].message} (in USD)` });
+    }
+    
+    const price = await pricingService.setModelPrice(rates);
+    
+    let recalculation;
+    if (recalculate) {
+      recalculation = await pricingService.recalculateCosts({
+        provider,
+        model_name,
+        start_date: price.effective_date,
+        end_date: price.effective_to || undefined,
+        reason: reason || `Price change effective ${price.effective_date}`
+      });
+    }
+    
+    res.json({ ...price, recalculation, message: 'Pricing updated successfully' });
+  } catch (error) {
+    console.error('Error updating pricing:', error);
+    res.status(500).json({ error: 'Failed to update pricing' });
+  }
+});
+
+// Reprice usage logs in a date range at the prices in effect when they were made
+router.post('/pricing/recalculate', requirePermission('pricing:write'), async (req, res) => {
+  try {
+    const { start_date, end_date, provider, model_name, reason, dry_run = false } = req.body;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({ error: 'start_date and end_date are required' });
     }
     
-    // Deactivate existing pricing for this model
-    await database.runQuery(`
-      UPDATE model_pricing 
-      SET is_active = false 
-      WHERE provider = ? AND model_name = ?
-    `, [provider, model_name]);
+    if (!pricingService.isValidTimestamp(start_date) || !pricingService.isValidTimestamp(end_date)) {
+      return res.status(400).json({ error: 'Invalid start_date or end_date' });
+    }
     
-    // Insert new pricing
-    const id = await database.insertModelPricing({
+    const summary = await pricingService.recalculateCosts({
+      start_date,
+      end_date,
       provider,
       model_name,
-      input_cost,
-      output_cost
+      reason,
+      dry_run: Boolean(dry_run)
     });
     
-    res.json({ id, message: 'Pricing updated successfully' });
+    res.json(summary);
   } catch (error) {
-    console.error('Error updating pricing:', error);
-    res.status(500).json({ error: 'Failed to update pricing' });
+    console.error('Error recalculating costs:', error);
+    res.status(500).json({ error: 'Failed to recalculate costs' });
+  }
+});
+
+// Get the audit trail of cost adjustments
+router.get('/pricing/adjustments', requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const { batch_id, usage_log_id, limit = 100 } = req.query;
+    
+    let query = 'SELECT * FROM cost_adjustments WHERE 1=1';
+    const params = [];
+    
+    if (batch_id) {
+      query += ' AND batch_id = ?';
+      params.push(batch_id);
+    }
+    
+    if (usage_log_id) {
+      query += ' AND usage_log_id = ?';
+      params.push(usage_log_id);
+    }
+    
+    const scope = authService.visibilityScope(req.auth);
+    if (scope) {
+      query += ` AND usage_log_id IN (SELECT id FROM usage_logs WHERE ${scope.clause})`;
+      params.push(...scope.params);
+    }
+    
+    query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+    params.push(parseInt(limit));
+    
+    const adjustments = await database.allQuery(query, params);
+    
+    res.json(adjustments);
+  } catch (error) {
+    console.error('Error fetching cost adjustments:', error);
+    res.status(500).json({ error: 'Failed to fetch cost adjustments' });
+  }
+});
+
+// Price sheets may be posted as YAML or plain text as well as JSON
+const sheetBody = express.text({
+  type: ['text/yaml', 'text/x-yaml', 'application/yaml', 'application/x-yaml', 'text/plain'],
+  limit: '10mb'
+});
+
+// The sheet in a request: the raw body, a `sheet` field (object or text), or
+// the JSON body itself
+function sheetInput(body) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  return body.sheet !== undefined ? body.sheet : body;
+}
+
+// Export the prices in effect now (or at ?at=<date>) as a price sheet
+router.get('/pricing/sheet', requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const { at, version, description, format = 'yaml' } = req.query;
+    
+    if (!['yaml', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be yaml or json' });
+    }
+    
+    if (at && !pricingService.isValidTimestamp(at)) {
+      return res.status(400).json({ error: 'Invalid at date' });
+    }
+    
+    const sheet = await priceSheets.exportSheet({ at, version, description });
+    
+    res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/yaml');
+    res.setHeader('Content-Disposition', `attachment; filename="price-sheet-${sheet.version}.${format}"`);
+    res.send(priceSheets.serializeSheet(sheet, format));
+  } catch (error) {
+    console.error('Error exporting price sheet:', error);
+    res.status(500).json({ error: 'Failed to export price sheet' });
+  }
+});
+
+// Get the price sheets applied so far, newest first
+router.get('/pricing/sheets', requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const sheets = await database.allQuery('SELECT * FROM price_sheets ORDER BY applied_at DESC, rowid DESC');
+    res.json(sheets);
+  } catch (error) {
+    console.error('Error fetching price sheets:', error);
+    res.status(500).json({ error: 'Failed to fetch price sheets' });
+  }
+});
+
+// Compare a price sheet with the current prices without changing anything
+router.post('/pricing/sheet/diff', requirePermission('pricing:read'), sheetBody, async (req, res) => {
+  try {
+    const { sheet, errors } = priceSheets.loadSheet(sheetInput(req.body));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid price sheet', details: errors });
+    }
+    
+    const diff = await priceSheets.diffSheet(sheet);
+    
+    res.json(diff);
+  } catch (error) {
+    console.error('Error diffing price sheet:', error);
+    res.status(500).json({ error: 'Failed to diff price sheet' });
+  }
+});
+
+// Apply a price sheet: every added or changed price is set from its
+// effective date. recalculate and reason are read from the JSON body, or
+// from the query string when the sheet is posted as YAML.
+router.post('/pricing/sheet/apply', requirePermission('pricing:write'), sheetBody, async (req, res) => {
+  try {
+    const { sheet, errors } = priceSheets.loadSheet(sheetInput(req.body));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid price sheet', details: errors });
+    }
+    
+    const options = typeof req.body === 'string' ? req.query : req.body;
+    const result = await priceSheets.applySheet(sheet, {
+      source: 'api',
+      recalculate: options.recalculate === true || options.recalculate === 'true',
+      reason: options.reason
+    });
+    
+    if (!result.applied) {
+      return res.status(400).json({ error: 'Price sheet has prices that cannot be converted to USD', ...result });
+    }
+    
+    res.json({ ...result, message: 'Price sheet applied successfully' });
+  } catch (error) {
+    console.error('Error applying price sheet:', error);
+    res.status(500).json({ error: 'Failed to apply price sheet' });
   }
 });
 
 // Get safety filters
-router.get('/safety-filters', async (req, res) => {
+router.get('/safety-filters', requirePermission('filters:read'), async (req, res) => {
   try {
     const filters = await database.getSafetyFilters();
     res.json(filters);
@@ -113,7 +333,7 @@ router.get('/safety-filters', async (req, res) => {
 });
 
 // Create safety filter
-router.post('/safety-filters', async (req, res) => {
+router.post('/safety-filters', requirePermission('filters:write'), async (req, res) => {
   try {
     const { name, description, filter_type, rules } = req.body;
     
@@ -122,6 +342,11 @@ router.post('/safety-filters', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    const { error } = validator.validateSafetyFilter(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
     const id = await database.insertSafetyFilter({
       name,
       description,
@@ -137,11 +362,16 @@ router.post('/safety-filters', async (req, res) => {
 });
 
 // Update safety filter
-router.put('/safety-filters/:id', async (req, res) => {
+router.put('/safety-filters/:id', requirePermission('filters:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description, filter_type, rules, is_active } = req.body;
     
+    const { error } = validator.validateSafetyFilter(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
     const query = `
       UPDATE safety_filters 
       SET name = ?, description = ?, filter_type = ?, rules = ?, is_active = ?
@@ -160,16 +390,24 @@ router.put('/safety-filters/:id', async (req, res) => {
 });
 
 // Test API key
-router.post('/test-api-key', async (req, res) => {
+router.post('/test-api-key', requirePermission('usage:track'), async (req, res) => {
   try {
-    const { provider, apiKey, modelName } = req.body;
+    const { provider, apiKey, apiKeyId, modelName } = req.body;
+    
+    if (!provider || (!apiKey && !apiKeyId)) {
+      return res.status(400).json({ error: 'Provider and API key or API key id are required' });
+    }
     
-    if (!provider || !apiKey) {
-      return res.status(400).json({ error: 'Provider and API key are required' });
+    // Keys referenced by id are decrypted from the vault
+    const keys = await keyVault.resolveRequestKeys({
+      model_provider: provider, api_key: apiKey, api_key_id: apiKeyId
+    }, req.auth);
+    if (keys.error) {
+      return res.status(keys.status).json({ error: keys.error });
     }
     
     // Test the API key with a simple request
-    const testResult = await aiProviders.testApiKey(provider, apiKey, modelName);
+    const testResult = await aiProviders.testApiKey(provider, keys.api_key, modelName);
     
     res.json({
       success: testResult.success,
@@ -183,7 +421,7 @@ router.post('/test-api-key', async (req, res) => {
 });
 
 // Get available models for a provider
-router.get('/models/:provider', async (req, res) => {
+router.get('/models/:provider', requirePermission('providers:read'), async (req, res) => {
   try {
     const { provider } = req.params;
     const models = await aiProviders.getAvailableModels(provider);
@@ -195,7 +433,7 @@ router.get('/models/:provider', async (req, res) => {
 });
 
 // System settings
-router.get('/settings', async (req, res) => {
+router.get('/settings', requirePermission('settings:read'), async (req, res) => {
   try {
     const settings = await database.allQuery('SELECT * FROM system_settings');
     const settingsObj = {};
@@ -209,7 +447,7 @@ router.get('/settings', async (req, res) => {
   }
 });
 
-router.post('/settings', async (req, res) => {
+router.post('/settings', requirePermission('settings:write'), async (req, res) => {
   try {
     const settings = req.body;
     
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../database');
+const authService = require('../services/auth');
+const validator = require('../utils/validator');
+
+// Sign in with a username and password. The session token is set as an
+// HttpOnly cookie; programmatic clients should use API tokens instead.
+router.post('/login', async (req, res) => {
+  try {
+    const { error, value } = validator.validateLogin(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await authService.login(value.username, value.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const session = await authService.createSession(user.id, { user_agent: req.get('user-agent') });
+    res.cookie(authService.SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: authService.SESSION_TTL_HOURS * 60 * 60 * 1000
+    });
+
+    const context = await authService.buildContext({ user, via: 'session' });
+    res.json({ ...currentUser(context), expires_at: session.expires_at });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// Sign out of the current session
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.auth.session_id) {
+      await database.runQuery('DELETE FROM sessions WHERE id = ?', [req.auth.session_id]);
+    }
+
+    res.clearCookie(authService.SESSION_COOKIE);
+    res.json({ message: 'Signed out successfully' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// The signed-in user, their teams and what their role allows
+router.get('/me', async (req, res) => {
+  try {
+    res.json(currentUser(req.auth, await database.getUserTeams(req.auth.user.id)));
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: 'Failed to fetch current user' });
+  }
+});
+
+// Change your own password. Every other session of the user is signed out.
+router.post('/password', requireSession, async (req, res) => {
+  try {
+    const { error, value } = validator.validatePasswordChange(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await database.getQuery('SELECT password_hash FROM users WHERE id = ?', [req.auth.user.id]);
+    if (!(await authService.verifyPassword(value.current_password, user.password_hash))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    await database.runQuery('UPDATE users SET password_hash = ? WHERE id = ?', [
+      await authService.hashPassword(value.new_password),
+      req.auth.user.id
+    ]);
+    await database.runQuery(
+      'DELETE FROM sessions WHERE user_id = ? AND id != ?',
+      [req.auth.user.id, req.auth.session_id]
+    );
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// List your API tokens. The tokens themselves are never shown again.
+router.get('/tokens', requireSession, async (req, res) => {
+  try {
+    const tokens = await database.allQuery(`
+      SELECT id, name, prefix, expires_at, last_used_at, revoked_at, created_at
+      FROM api_tokens
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `, [req.auth.user.id]);
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+// Create an API token acting as you, with your role and teams
+router.post('/tokens', requireSession, async (req, res) => {
+  try {
+    const { error, value } = validator.validateApiToken(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { id, token } = await authService.createApiToken(req.auth.user.id, {
+      name: value.name,
+      expires_at: value.expires_at && value.expires_at.toISOString()
+    });
+
+    res.json({ id, name: value.name, token, message: 'Store this token now; it is not shown again' });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+// Revoke one of your API tokens
+router.delete('/tokens/:id', requireSession, async (req, res) => {
+  try {
+    const result = await database.runQuery(`
+      UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `, [req.params.id, req.auth.user.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ message: 'API token revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+// Passwords and tokens are managed from a signed-in session, not with a token
+function requireSession(req, res, next) {
+  if (req.auth.via !== 'session') {
+    return res.status(403).json({ error: 'Sign in with a password to manage credentials' });
+  }
+  next();
+}
+
+function currentUser(context, teams) {
+  return {
+    user: context.user,
+    role: context.role,
+    permissions: authService.permissionsFor(context.role),
+    team_ids: context.team_ids,
+    teams
+  };
+}
+
+module.exports = router;
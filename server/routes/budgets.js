@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const budgets = require('../services/budgets');
+const authService = require('../services/auth');
+const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
+
+// Budgets with their status this period: spent, remaining and projected
+// exhaustion. Optionally by ?scope=, ?scope_id= or ?active=true|false.
+// Non-admins see the budgets of their teams and their own.
+router.get('/', requirePermission('budgets:read'), async (req, res) => {
+  try {
+    const { scope, scope_id, active } = req.query;
+
+    let query = 'SELECT * FROM budgets WHERE 1=1';
+    const params = [];
+
+    if (scope) {
+      query += ' AND scope = ?';
+      params.push(scope);
+    }
+
+    if (scope_id) {
+      query += ' AND scope_id = ?';
+      params.push(scope_id);
+    }
+
+    if (active !== undefined) {
+      query += ' AND is_active = ?';
+      params.push(active === 'true');
+    }
+
+    if (req.auth.role !== 'admin') {
+      query += ` AND ((scope = 'team' AND scope_id IN (${req.auth.team_ids.map(() => '?').join(', ')})) OR (scope = 'user' AND scope_id = ?))`;
+      params.push(...req.auth.team_ids, req.auth.user.id);
+    }
+
+    query += ' ORDER BY created_at';
+
+    const rows = await database.allQuery(query, params);
+    const statuses = [];
+    for (const row of rows) {
+      statuses.push(await budgets.getStatus(row));
+    }
+
+    res.json(statuses);
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ error: 'Failed to fetch budgets' });
+  }
+});
+
+// Get a budget and its status this period
+router.get('/:id', requirePermission('budgets:read'), async (req, res) => {
+  try {
+    const budget = await database.getQuery('SELECT * FROM budgets WHERE id = ?', [req.params.id]);
+    if (!budget || !canSeeBudget(req.auth, budget)) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    res.json(await budgets.getStatus(budget));
+  } catch (error) {
+    console.error('Error fetching budget:', error);
+    res.status(500).json({ error: 'Failed to fetch budget' });
+  }
+});
+
+// Create a budget. Team managers create budgets for their teams.
+router.post('/', requirePermission('budgets:manage'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateBudget(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!canManageBudget(req.auth, value)) {
+      return res.status(403).json({ error: 'Only admins can set budgets other than for their teams' });
+    }
+
+    const id = uuidv4();
+    await database.runQuery(`
+      INSERT INTO budgets (
+        id, name, scope, scope_id, period, amount, soft_limit_percent, hard_limit, rollover, is_active, created_by
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, value.name, value.scope, value.scope_id || null, value.period, value.amount,
+      value.soft_limit_percent, value.hard_limit, value.rollover, value.is_active, req.auth.user.id
+    ]);
+
+    res.json({ id, message: 'Budget created successfully' });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({ error: 'Failed to create budget' });
+  }
+});
+
+// Update a budget's name, amount, limits or rollover. Scope and period are
+// fixed; create another budget to change them.
+router.put('/:id', requirePermission('budgets:manage'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateBudget(req.body, { update: true });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const budget = await database.getQuery('SELECT * FROM budgets WHERE id = ?', [req.params.id]);
+    if (!budget || !canManageBudget(req.auth, budget)) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const fields = Object.keys(value);
+    await database.runQuery(
+      `UPDATE budgets SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => value[field]), budget.id]
+    );
+
+    res.json({ message: 'Budget updated successfully' });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+// Delete a budget
+router.delete('/:id', requirePermission('budgets:manage'), async (req, res) => {
+  try {
+    const budget = await database.getQuery('SELECT * FROM budgets WHERE id = ?', [req.params.id]);
+    if (!budget || !canManageBudget(req.auth, budget)) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    await database.runQuery('DELETE FROM budgets WHERE id = ?', [budget.id]);
+
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: 'Failed to delete budget' });
+  }
+});
+
+function canSeeBudget(auth, budget) {
+  return auth.role === 'admin' ||
+    (budget.scope === 'team' && auth.team_ids.includes(budget.scope_id)) ||
+    (budget.scope === 'user' && budget.scope_id === auth.user.id);
+}
+
+// Admins manage every budget, team managers their teams' budgets
+function canManageBudget(auth, budget) {
+  return auth.role === 'admin' || (budget.scope === 'team' && authService.canSeeTeam(auth, budget.scope_id));
+}
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../database');
+const currencyService = require('../services/currency');
+const pricingService = require('../services/pricing');
+const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
+
+// Get exchange rates: every rate entered, or with ?at=<date> the rate in
+// effect then for each currency
+router.get('/rates', requirePermission('currencies:read'), async (req, res) => {
+  try {
+    const { currency, at } = req.query;
+
+    if (at && !pricingService.isValidTimestamp(at)) {
+      return res.status(400).json({ error: 'Invalid at date' });
+    }
+
+    let query = 'SELECT * FROM exchange_rates WHERE 1=1';
+    const params = [];
+
+    if (currency) {
+      query += ' AND currency = ?';
+      params.push(currency.toUpperCase());
+    }
+
+    if (at) {
+      query += ' AND effective_date <= ?';
+      params.push(pricingService.toTimestamp(at));
+    }
+
+    query += ' ORDER BY currency, effective_date DESC';
+
+    const rates = await database.allQuery(query, params);
+
+    // Keep the most recent rate per currency
+    res.json(at ? rates.filter((rate, index) => index === 0 || rate.currency !== rates[index - 1].currency) : rates);
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange rates' });
+  }
+});
+
+// Enter an exchange rate by hand
+router.post('/rates', requirePermission('currencies:write'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateExchangeRate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const rate = await currencyService.setRate(value);
+
+    res.json({ ...rate, message: 'Exchange rate saved successfully' });
+  } catch (error) {
+    console.error('Error saving exchange rate:', error);
+    res.status(500).json({ error: 'Failed to save exchange rate' });
+  }
+});
+
+// Import exchange rates from a CSV, JSON or YAML file posted as the body, or
+// from a JSON `rates` list. Nothing is saved unless every rate is valid.
+router.post('/rates/import', requirePermission('currencies:write'), express.text({
+  type: ['text/csv', 'text/plain', 'text/yaml', 'application/yaml', 'application/x-yaml'],
+  limit: '10mb'
+}), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : JSON.stringify(req.body.rates || req.body);
+    const { rates, errors } = currencyService.parseRates(text);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid exchange rates', details: errors });
+    }
+
+    for (const rate of rates) {
+      await currencyService.setRate({ ...rate, source: 'import' });
+    }
+
+    res.json({ imported: rates.length, message: 'Exchange rates imported successfully' });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({ error: 'Failed to import exchange rates' });
+  }
+});
+
+// Delete an exchange rate
+router.delete('/rates/:id', requirePermission('currencies:write'), async (req, res) => {
+  try {
+    const result = await database.runQuery('DELETE FROM exchange_rates WHERE id = ?', [req.params.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({ error: 'Failed to delete exchange rate' });
+  }
+});
+
+// Get each team's billing currency and the default for other teams
+router.get('/teams', requirePermission('currencies:read'), async (req, res) => {
+  try {
+    const teams = await database.allQuery('SELECT * FROM team_billing ORDER BY team_id');
+
+    res.json({
+      default_currency: await currencyService.getDefaultCurrency(),
+      teams
+    });
+  } catch (error) {
+    console.error('Error fetching team currencies:', error);
+    res.status(500).json({ error: 'Failed to fetch team currencies' });
+  }
+});
+
+// Set the currency a team is billed in
+router.put('/teams/:team_id', requirePermission('currencies:write'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateTeamCurrency(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await currencyService.setTeamCurrency(req.params.team_id, value.currency);
+
+    res.json({ team_id: req.params.team_id, currency: value.currency, message: 'Team currency updated successfully' });
+  } catch (error) {
+    console.error('Error updating team currency:', error);
+    res.status(500).json({ error: 'Failed to update team currency' });
+  }
+});
+
+// Bill a team in the default currency again
+router.delete('/teams/:team_id', requirePermission('currencies:write'), async (req, res) => {
+  try {
+    await database.runQuery('DELETE FROM team_billing WHERE team_id = ?', [req.params.team_id]);
+
+    res.json({ message: 'Team currency removed successfully' });
+  } catch (error) {
+    console.error('Error removing team currency:', error);
+    res.status(500).json({ error: 'Failed to remove team currency' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../database');
+const keyVault = require('../services/key-vault');
+const authService = require('../services/auth');
+const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
+
+// Stored keys are never returned, only their metadata
+const KEY_COLUMNS = `
+  k.id, k.provider, k.key_name as name, k.key_hint, k.team_id, k.user_id, k.is_active,
+  k.created_by, k.created_at, k.rotated_at, k.last_used
+`;
+
+// List vault keys, optionally by ?provider=, ?team_id= or ?active=true|false.
+// Non-admins see shared keys and their teams' keys.
+router.get('/', requirePermission('keys:read'), async (req, res) => {
+  try {
+    const { provider, team_id, active } = req.query;
+
+    let query = `SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.encrypted_key IS NOT NULL`;
+    const params = [];
+
+    if (provider) {
+      query += ' AND k.provider = ?';
+      params.push(provider);
+    }
+
+    if (team_id) {
+      query += ' AND k.team_id = ?';
+      params.push(team_id);
+    }
+
+    if (active !== undefined) {
+      query += ' AND k.is_active = ?';
+      params.push(active === 'true');
+    }
+
+    if (req.auth.role !== 'admin') {
+      query += ` AND (k.team_id IS NULL OR k.team_id IN (${req.auth.team_ids.map(() => '?').join(', ')}))`;
+      params.push(...req.auth.team_ids);
+    }
+
+    query += ' ORDER BY k.provider, k.key_name';
+
+    const keys = await database.allQuery(query, params);
+
+    res.json(keys.map(key => ({ ...key, is_active: Boolean(key.is_active) })));
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Calls, tokens and cost per key between ?start_date= and ?end_date=, most
+// expensive first. Calls made with keys that are not in the vault are
+// grouped under a null api_key_id.
+router.get('/usage', requirePermission('keys:read', 'usage:read'), async (req, res) => {
+  try {
+    const { start_date, end_date, team_id, provider } = req.query;
+
+    let query = `
+      SELECT
+        l.api_key_id,
+        k.key_name as name,
+        k.key_hint,
+        k.team_id as key_team_id,
+        l.model_provider as provider,
+        COUNT(*) as total_calls,
+        SUM(l.total_tokens) as total_tokens,
+        SUM(l.total_cost) as total_cost,
+        MAX(l.created_at) as last_call_at
+      FROM usage_logs l
+      LEFT JOIN api_keys k ON k.id = l.api_key_id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (start_date) {
+      query += ' AND l.created_at >= ?';
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      query += ' AND l.created_at <= ?';
+      params.push(end_date);
+    }
+
+    if (team_id) {
+      query += ' AND l.team_id = ?';
+      params.push(team_id);
+    }
+
+    if (provider) {
+      query += ' AND l.model_provider = ?';
+      params.push(provider);
+    }
+
+    const scope = authService.visibilityScope(req.auth, { teamColumn: 'l.team_id', userColumn: 'l.user_id' });
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+
+    query += ' GROUP BY l.api_key_id, l.model_provider ORDER BY total_cost DESC';
+
+    const usage = await database.allQuery(query, params);
+
+    res.json({
+      period: { start: start_date, end: end_date },
+      keys: usage
+    });
+  } catch (error) {
+    console.error('Error fetching API key usage:', error);
+    res.status(500).json({ error: 'Failed to fetch API key usage' });
+  }
+});
+
+// Re-encrypt every key under the current master key, so previous master keys
+// can be removed from KEY_VAULT_PREVIOUS_MASTER_KEYS
+router.post('/reencrypt', requirePermission('keys:reencrypt'), async (req, res) => {
+  try {
+    if (!keyVault.isConfigured()) {
+      return res.status(503).json({ error: 'Key vault is not configured: set KEY_VAULT_MASTER_KEY' });
+    }
+
+    const reencrypted = await keyVault.reencryptAll();
+
+    res.json({ reencrypted, message: 'API keys re-encrypted successfully' });
+  } catch (error) {
+    console.error('Error re-encrypting API keys:', error);
+    res.status(500).json({ error: 'Failed to re-encrypt API keys' });
+  }
+});
+
+// Get a key's metadata and its usage so far
+router.get('/:id', requirePermission('keys:read'), async (req, res) => {
+  try {
+    const key = await findKey(req.params.id);
+    if (!key || !keyVault.canUseKey(req.auth, key)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const usage = await database.getQuery(`
+      SELECT COUNT(*) as total_calls, SUM(total_tokens) as total_tokens, SUM(total_cost) as total_cost
+      FROM usage_logs
+      WHERE api_key_id = ?
+    `, [key.id]);
+
+    res.json({ ...key, is_active: Boolean(key.is_active), usage });
+  } catch (error) {
+    console.error('Error fetching API key:', error);
+    res.status(500).json({ error: 'Failed to fetch API key' });
+  }
+});
+
+// Store a provider key. Team managers may add keys to their teams; shared
+// keys (no team_id) are added by admins.
+router.post('/', requirePermission('keys:manage'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateApiKey(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!keyVault.isConfigured()) {
+      return res.status(503).json({ error: 'Key vault is not configured: set KEY_VAULT_MASTER_KEY' });
+    }
+
+    if (!value.team_id && req.auth.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can add shared keys' });
+    }
+
+    if (await keyVault.findKeyId(value.key)) {
+      return res.status(409).json({ error: 'This key is already stored' });
+    }
+
+    const id = await keyVault.storeKey({ ...value, created_by: req.auth.user.id });
+
+    res.json({ id, message: 'API key stored successfully' });
+  } catch (error) {
+    console.error('Error storing API key:', error);
+    res.status(500).json({ error: 'Failed to store API key' });
+  }
+});
+
+// Rename a key or turn it on or off
+router.put('/:id', requirePermission('keys:manage'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateApiKey(req.body, { update: true });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const key = await findKey(req.params.id);
+    if (!key || !canManageKey(req.auth, key)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await database.runQuery('UPDATE api_keys SET key_name = ?, is_active = ? WHERE id = ?', [
+      value.name !== undefined ? value.name : key.name,
+      value.is_active !== undefined ? value.is_active : key.is_active,
+      key.id
+    ]);
+
+    res.json({ message: 'API key updated successfully' });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+// Replace a key's secret. Requests referencing the key id use the new secret
+// straight away; usage made with the old one stays attributed to the key.
+router.post('/:id/rotate', requirePermission('keys:manage'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateApiKeyRotation(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!keyVault.isConfigured()) {
+      return res.status(503).json({ error: 'Key vault is not configured: set KEY_VAULT_MASTER_KEY' });
+    }
+
+    const key = await findKey(req.params.id);
+    if (!key || !canManageKey(req.auth, key)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const existing = await keyVault.findKeyId(value.key);
+    if (existing) {
+      return res.status(409).json({ error: existing === key.id ? 'This is the current key' : 'This key is already stored' });
+    }
+
+    await keyVault.rotateKey(key.id, value.key);
+
+    res.json({ message: 'API key rotated successfully' });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// Delete a key. Usage logs keep its id.
+router.delete('/:id', requirePermission('keys:manage'), async (req, res) => {
+  try {
+    const key = await findKey(req.params.id);
+    if (!key || !canManageKey(req.auth, key)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const issued = await database.getQuery(
+      "SELECT COUNT(*) as count FROM api_keys WHERE key_type = 'virtual' AND provider_key_id = ?",
+      [key.id]
+    );
+    if (issued.count > 0) {
+      return res.status(409).json({ error: `API key still has ${issued.count} virtual key(s) issued against it` });
+    }
+
+    await database.runQuery('DELETE FROM api_keys WHERE id = ?', [key.id]);
+
+    res.json({ message: 'API key deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    res.status(500).json({ error: 'Failed to delete API key' });
+  }
+});
+
+async function findKey(id) {
+  return await database.getQuery(
+    `SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.id = ? AND k.encrypted_key IS NOT NULL`,
+    [id]
+  );
+}
+
+// Admins manage every key, team managers their teams' keys
+function canManageKey(auth, key) {
+  return auth.role === 'admin' || (key.team_id && authService.canSeeTeam(auth, key.team_id));
+}
+
+module.exports = router;
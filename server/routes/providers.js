@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../database');
+const providerRegistry = require('../services/providers');
+const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
+
+// List every provider, built-in and user-defined. Inactive user-defined
+// providers are included so they can be re-enabled.
+router.get('/', requirePermission('providers:read'), async (req, res) => {
+  try {
+    const rows = await database.allQuery('SELECT * FROM custom_providers ORDER BY name');
+    const providers = providerRegistry.listProviders().map(provider => ({ ...provider, config: null }));
+
+    rows.forEach(row => {
+      const registered = providers.find(provider => provider.id === row.id);
+      if (registered) {
+        registered.config = parseCustomProvider(row);
+      } else {
+        providers.push({
+          id: row.id,
+          name: row.name,
+          format: 'openai',
+          models: JSON.parse(row.models || '[]'),
+          built_in: false,
+          config: parseCustomProvider(row)
+        });
+      }
+    });
+
+    res.json(providers);
+  } catch (error) {
+    console.error('Error fetching providers:', error);
+    res.status(500).json({ error: 'Failed to fetch providers' });
+  }
+});
+
+// Add an OpenAI-compatible provider
+router.post('/', requirePermission('providers:write'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateCustomProvider(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await database.getQuery('SELECT id FROM custom_providers WHERE id = ?', [value.id]);
+    if (existing || providerRegistry.isBuiltIn(value.id)) {
+      return res.status(409).json({ error: `Provider ${value.id} already exists` });
+    }
+
+    const id = await database.insertCustomProvider(value);
+    await providerRegistry.loadCustomProviders();
+
+    res.json({ id, message: 'Provider created successfully' });
+  } catch (error) {
+    console.error('Error creating provider:', error);
+    res.status(500).json({ error: 'Failed to create provider' });
+  }
+});
+
+// Update a user-defined provider
+router.put('/:id', requirePermission('providers:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (providerRegistry.isBuiltIn(id)) {
+      return res.status(400).json({ error: 'Built-in providers cannot be modified' });
+    }
+
+    const existing = await database.getQuery('SELECT id FROM custom_providers WHERE id = ?', [id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
+
+    const { is_active = true, ...fields } = req.body;
+    const { error, value } = validator.validateCustomProvider({ ...fields, id });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await database.runQuery(`
+      UPDATE custom_providers
+      SET name = ?, base_url = ?, chat_path = ?, auth_header = ?, auth_prefix = ?,
+          query_params = ?, extra_headers = ?, models = ?, stream_usage = ?, is_active = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      value.name, value.base_url, value.chat_path, value.auth_header, value.auth_prefix,
+      JSON.stringify(value.query_params), JSON.stringify(value.extra_headers),
+      JSON.stringify(value.models), value.stream_usage, is_active, id
+    ]);
+    await providerRegistry.loadCustomProviders();
+
+    res.json({ message: 'Provider updated successfully' });
+  } catch (error) {
+    console.error('Error updating provider:', error);
+    res.status(500).json({ error: 'Failed to update provider' });
+  }
+});
+
+// Remove a user-defined provider. Usage logs and pricing keep its id.
+router.delete('/:id', requirePermission('providers:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (providerRegistry.isBuiltIn(id)) {
+      return res.status(400).json({ error: 'Built-in providers cannot be deleted' });
+    }
+
+    const result = await database.runQuery('DELETE FROM custom_providers WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
+    await providerRegistry.loadCustomProviders();
+
+    res.json({ message: 'Provider deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting provider:', error);
+    res.status(500).json({ error: 'Failed to delete provider' });
+  }
+});
+
+function parseCustomProvider(row) {
+  return {
+    base_url: row.base_url,
+    chat_path: row.chat_path,
+    auth_header: row.auth_header,
+    auth_prefix: row.auth_prefix,
+    query_params: JSON.parse(row.query_params || '{}'),
+    extra_headers: JSON.parse(row.extra_headers || '{}'),
+    stream_usage: Boolean(row.stream_usage),
+    is_active: Boolean(row.is_active)
+  };
+}
+
+module.exports = router;
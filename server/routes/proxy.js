@@ -0,0 +1,560 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const aiProviders = require('../services/ai-providers');
+const safetyFilters = require('../services/safety-filters');
+const usageRecorder = require('../services/usage-recorder');
+const providerRegistry = require('../services/providers');
+const teamService = require('../services/teams');
+const keyVault = require('../services/key-vault');
+const virtualKeys = require('../services/virtual-keys');
+const authService = require('../services/auth');
+const tokenCounter = require('../utils/token-counter');
+const chatMessages = require('../utils/chat-messages');
+const validator = require('../utils/validator');
+const qualityChecks = require('../services/quality-checks');
+const rateLimiter = require('../services/rate-limiter');
+
+// Request shapes accepted by the proxy and the provider each goes to by default.
+// OpenAI-shaped requests can target any OpenAI-compatible provider in the
+// registry through the x-billfrog-provider header.
+const PROXY_FORMATS = {
+  openai: { provider: 'openai' },
+  anthropic: { provider: 'anthropic' }
+};
+
+const MAX_SCHEMA_RETRIES = 5;
+
+// OpenAI-compatible chat completions
+router.post('/chat/completions', (req, res) => handleProxyRequest(req, res, 'openai'));
+
+// Anthropic-compatible messages
+router.post('/messages', (req, res) => handleProxyRequest(req, res, 'anthropic'));
+
+// Forward a provider-shaped request, then price and log it like /api/usage/track
+async function handleProxyRequest(req, res, format) {
+  const startTime = Date.now();
+  const provider = (req.get('x-billfrog-provider') || PROXY_FORMATS[format].provider).toLowerCase();
+
+  try {
+    const { error, value: body } = validator.validateProxyRequest(req.body, format);
+    if (error) {
+      return sendProxyError(res, format, 400, error.details[0].message, 'invalid_request_error');
+    }
+
+    const adapter = providerRegistry.getAdapter(provider);
+    if (!adapter || adapter.format !== format) {
+      return sendProxyError(res, format, 400, `Provider ${provider} does not accept ${format}-format requests`, 'invalid_request_error');
+    }
+
+    let apiKey = extractApiKey(req);
+    if (!apiKey) {
+      return sendProxyError(res, format, 401, 'Missing provider API key', 'authentication_error');
+    }
+
+    const session_id = req.get('x-billfrog-session-id');
+
+    // A virtual key is swapped for the vault key it was issued against, and
+    // the call is attributed to the key's owner
+    let virtualKey = null;
+    if (virtualKeys.isVirtualKey(apiKey)) {
+      const resolved = await virtualKeys.resolveKey(apiKey, provider);
+      if (resolved.error) {
+        const type = resolved.status === 401 ? 'authentication_error' : 'invalid_request_error';
+        return sendProxyError(res, format, resolved.status, resolved.error, type);
+      }
+      virtualKey = resolved.virtualKey;
+      apiKey = resolved.api_key;
+    }
+
+    const attribution = await attributionFor(req, virtualKey);
+    if (attribution.error) {
+      const type = attribution.status === 401 ? 'authentication_error' : 'permission_error';
+      return sendProxyError(res, format, attribution.status, attribution.error, type);
+    }
+    let { user_id, team_id } = attribution;
+    const { project_id } = attribution;
+    if (virtualKey) {
+      user_id = virtualKey.user_id || user_id;
+      team_id = virtualKey.team_id || team_id;
+    }
+
+    const teamCheck = await teamService.checkTeam(team_id);
+    if (!teamCheck.allowed) {
+      return sendProxyError(res, format, 400, teamCheck.error, 'invalid_request_error');
+    }
+
+    const responseSchema = responseSchemaFor(req, format, body);
+    if (responseSchema && responseSchema.error) {
+      return sendProxyError(res, format, 400, responseSchema.error, 'invalid_request_error');
+    }
+    let model_name = body.model;
+    let messages = chatMessagesFor(format, body);
+    let prompt = chatMessages.messagesToPrompt(messages);
+
+    // Check safety filters before forwarding the call
+    const safetyCheck = await safetyFilters.checkFilters({
+      user_id,
+      team_id,
+      project_id,
+      model_provider: provider,
+      model_name,
+      prompt,
+      messages,
+      options: body,
+      virtual_key: virtualKey
+    });
+
+    res.set(rateLimiter.rateLimitHeaders(safetyCheck.rate_limits, safetyCheck.retry_after_ms));
+    if (!safetyCheck.allowed) {
+      const reasons = safetyCheck.reasons.map(item => `${item.filter}: ${item.reason}`).join('; ');
+      if (safetyCheck.retry_after_ms > 0) {
+        return sendProxyError(res, format, 429, `Rate limit exceeded: ${reasons}`, 'rate_limit_error');
+      }
+      return sendProxyError(res, format, 403, `Request blocked by safety filters: ${reasons}`, 'permission_error');
+    }
+
+    // Redact and reroute the request that is forwarded as the filters decided
+    if (safetyCheck.redactions.length > 0) {
+      redactBody(body, safetyCheck.redactions);
+      messages = safetyCheck.messages;
+      prompt = safetyCheck.prompt;
+    }
+    model_name = safetyCheck.model_name;
+    body.model = model_name;
+
+    const pricing = await database.getModelPricing(provider, model_name);
+
+    const usageData = {
+      user_id,
+      team_id,
+      session_id,
+      project_id,
+      model_provider: provider,
+      model_name,
+      prompt,
+      messages,
+      tools: chatMessages.normalizeTools(body.tools),
+      image_count: chatMessages.countImages(messages),
+      input_tokens: 0,
+      output_tokens: 0,
+      total_tokens: 0,
+      cost_per_input_token: pricing ? pricing.input_cost_per_1k_tokens / 1000 : 0,
+      cost_per_output_token: pricing ? pricing.output_cost_per_1k_tokens / 1000 : 0,
+      total_cost: 0,
+      status: 'processing',
+      retry_count: 0,
+      // Keys stored in the vault are recognized by their hash
+      api_key_id: virtualKey ? virtualKey.provider_key_id : await keyVault.findKeyId(apiKey),
+      virtual_key_id: virtualKey && virtualKey.id,
+      response_time_ms: 0,
+      safety_flags: safetyCheck.flags || {},
+      metadata: {
+        source: 'proxy',
+        endpoint: req.originalUrl,
+        user_agent: req.get('User-Agent'),
+        ip_address: req.ip,
+        timestamp: new Date().toISOString(),
+        max_tokens: body.max_tokens,
+        temperature: body.temperature,
+        message_count: body.messages.length
+      }
+    };
+
+    if (body.stream) {
+      return proxyStream(req, res, format, usageData, apiKey, body, startTime, pricing, safetyCheck.pii, responseSchema);
+    }
+
+    // A response that does not match the expected schema is asked for again,
+    // each attempt logged as its own row like tracked retries
+    const base = { ...usageData, safety_flags: { ...usageData.safety_flags }, metadata: { ...usageData.metadata } };
+    let attempt = usageData;
+    let upstream;
+    let upstreamError;
+    let logId;
+    for (let retryIndex = 0; ; retryIndex++) {
+      ({ upstream, upstreamError } = await forwardAttempt(attempt, apiKey, body, {
+        startTime: retryIndex === 0 ? startTime : Date.now(),
+        pricing,
+        responseSchema
+      }));
+
+      const retry = !upstreamError && attempt.schema_valid === false && retryIndex < responseSchema.max_retries;
+      if (retry) {
+        attempt.status = 'retry';
+        attempt.metadata.next_attempt = 'retry';
+        attempt.metadata.retry_reason = 'schema_validation';
+      }
+
+      logId = await usageRecorder.recordUsage(req.app, attempt);
+      if (!retry) {
+        break;
+      }
+
+      attempt = {
+        ...base,
+        retry_count: retryIndex + 1,
+        parent_log_id: logId,
+        safety_flags: { ...base.safety_flags },
+        metadata: { ...base.metadata, attempt: retryIndex + 2 }
+      };
+    }
+
+    res.set('X-Billfrog-Log-Id', logId);
+    if (attempt.schema_valid !== undefined) {
+      res.set('X-Billfrog-Schema-Valid', String(attempt.schema_valid));
+    }
+
+    if (upstreamError) {
+      // Relay the provider's own error so SDKs can handle it natively
+      if (upstreamError.status && upstreamError.data) {
+        return res.status(upstreamError.status).json(upstreamError.data);
+      }
+      return sendProxyError(res, format, 502, upstreamError.message, 'api_error');
+    }
+
+    // PII placeholders are logged as sent but restored for the caller
+    res.json(safetyCheck.pii.restoreValue(upstream.data));
+  } catch (error) {
+    console.error('Error proxying request:', error);
+    sendProxyError(res, format, 500, 'Failed to proxy request', 'api_error');
+  }
+}
+
+// Forward one unstreamed attempt and fill in its usage data (not yet saved)
+async function forwardAttempt(usageData, apiKey, body, { startTime, pricing, responseSchema }) {
+  let upstream;
+  let upstreamError;
+
+  try {
+    upstream = await aiProviders.forwardRequest(usageData.model_provider, apiKey, body);
+
+    applyUsage(usageData, upstream, false, pricing);
+    usageData.status = 'success';
+    usageData.response_time_ms = Date.now() - startTime;
+
+    const qualityCheck = await safetyFilters.checkResponseQuality(usageData.prompt, upstream.response, usageData, {
+      finish_reason: usageData.metadata.finish_reason,
+      quality: responseSchema ? { json_schema: responseSchema.schema } : undefined
+    });
+    usageData.quality = qualityCheck.quality;
+    if (qualityCheck.secrets) {
+      safetyFilters.applyResponseSecrets(usageData, qualityCheck.secrets);
+      upstream.data = qualityCheck.secrets.redactValue(upstream.data);
+    }
+    if (responseSchema) {
+      qualityChecks.applyResponseSchema(usageData, responseSchema.schema);
+    }
+  } catch (aiError) {
+    console.error('AI API Error:', aiError);
+    upstreamError = aiError;
+    usageData.status = 'failure';
+    usageData.error_message = aiError.message;
+    usageData.response_time_ms = Date.now() - startTime;
+  }
+
+  return { upstream, upstreamError };
+}
+
+// Relay a streamed provider response event by event, then log it. A caller that
+// disconnects mid-stream aborts the upstream call and is logged as 'cancelled'.
+async function proxyStream(req, res, format, usageData, apiKey, body, startTime, pricing, pii, responseSchema) {
+  const provider = usageData.model_provider;
+  const adapter = providerRegistry.getAdapter(provider);
+  const controller = new AbortController();
+  const restorers = {};
+  let cancelled = false;
+
+  usageData.id = uuidv4();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      cancelled = true;
+      controller.abort();
+    }
+  });
+
+  // OpenAI only reports usage on streams when asked; request it upstream and
+  // drop the extra usage chunk unless the caller asked for it as well
+  const callerWantsUsage = Boolean(body.stream_options && body.stream_options.include_usage);
+  const requestUsage = format === 'openai' && adapter.streamUsage;
+  const upstreamBody = requestUsage
+    ? { ...body, stream_options: { ...body.stream_options, include_usage: true } }
+    : body;
+
+  let result;
+  let upstreamError;
+
+  try {
+    result = await aiProviders.forwardStreamingRequest(provider, apiKey, upstreamBody, {
+      signal: controller.signal,
+      onEvent: (rawEvent, data) => {
+        if (!res.headersSent) {
+          res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Billfrog-Log-Id': usageData.id
+          });
+        }
+
+        const isUsageOnlyChunk = requestUsage && data && data.usage &&
+          (!data.choices || data.choices.length === 0);
+        if (isUsageOnlyChunk && !callerWantsUsage) {
+          return;
+        }
+
+        const events = pii.size > 0 && data
+          ? restoreStreamEvent(format, rawEvent, data, pii, restorers)
+          : [rawEvent];
+        for (const event of events) {
+          res.write(`${event}\n\n`);
+        }
+      }
+    });
+    usageData.status = 'success';
+  } catch (aiError) {
+    result = aiError.partial || {};
+    if (cancelled) {
+      usageData.status = 'cancelled';
+      usageData.error_message = 'Client disconnected before the stream completed';
+    } else {
+      console.error('AI API Error:', aiError);
+      upstreamError = aiError;
+      usageData.status = 'failure';
+      usageData.error_message = aiError.message;
+    }
+  }
+
+  try {
+    // A call that failed before producing anything is logged without usage
+    if (usageData.status !== 'failure' || result.response) {
+      applyUsage(usageData, result, usageData.status === 'cancelled', pricing);
+    }
+    usageData.response_time_ms = Date.now() - startTime;
+    usageData.time_to_first_token_ms = result.time_to_first_token_ms;
+
+    if (usageData.status === 'success') {
+      const qualityCheck = await safetyFilters.checkResponseQuality(usageData.prompt, usageData.response, usageData, {
+        finish_reason: usageData.metadata.finish_reason,
+        quality: responseSchema ? { json_schema: responseSchema.schema } : undefined
+      });
+      usageData.quality = qualityCheck.quality;
+      // The response was already relayed, so secrets are only kept out of the
+      // log and a schema mismatch is only recorded
+      safetyFilters.applyResponseSecrets(usageData, qualityCheck.secrets);
+      if (responseSchema) {
+        qualityChecks.applyResponseSchema(usageData, responseSchema.schema);
+      }
+    }
+
+    await usageRecorder.recordUsage(req.app, usageData);
+  } catch (error) {
+    console.error('Error logging proxied stream:', error);
+  }
+
+  if (cancelled) {
+    return;
+  }
+
+  if (upstreamError && !res.headersSent) {
+    res.set('X-Billfrog-Log-Id', usageData.id);
+    if (upstreamError.status && upstreamError.data) {
+      return res.status(upstreamError.status).json(upstreamError.data);
+    }
+    return sendProxyError(res, format, 502, upstreamError.message, 'api_error');
+  }
+
+  if (upstreamError) {
+    // The stream already started, so report the failure as a final event
+    const errorEvent = format === 'anthropic'
+      ? `event: error\ndata: ${JSON.stringify({ type: 'error', error: { type: 'api_error', message: upstreamError.message } })}`
+      : `data: ${JSON.stringify({ error: { message: upstreamError.message, type: 'api_error', code: null } })}`;
+    res.write(`${errorEvent}\n\n`);
+  }
+
+  res.end();
+}
+
+// Put PII back in the text of a streamed event. Each choice or content block
+// has its own restorer, so a placeholder split across events is restored
+// whole; what a restorer still holds is sent when its block ends. Streamed
+// tool call arguments keep their placeholders.
+function restoreStreamEvent(format, rawEvent, data, pii, restorers) {
+  const event = JSON.parse(JSON.stringify(data));
+  const restorerFor = key => restorers[key] || (restorers[key] = pii.createStreamRestorer());
+
+  if (format === 'anthropic') {
+    if (event.type === 'content_block_delta' && event.delta && typeof event.delta.text === 'string') {
+      event.delta.text = restorerFor(event.index).push(event.delta.text);
+      return [withEventData(rawEvent, event)];
+    }
+
+    const rest = event.type === 'content_block_stop' && restorers[event.index]
+      ? restorers[event.index].flush()
+      : '';
+    if (rest) {
+      const delta = { type: 'content_block_delta', index: event.index, delta: { type: 'text_delta', text: rest } };
+      return [`event: content_block_delta\ndata: ${JSON.stringify(delta)}`, rawEvent];
+    }
+    return [rawEvent];
+  }
+
+  if (!Array.isArray(event.choices)) {
+    return [rawEvent];
+  }
+
+  for (const choice of event.choices) {
+    const delta = choice.delta || {};
+    let content = typeof delta.content === 'string' ? restorerFor(choice.index).push(delta.content) : delta.content;
+    const rest = choice.finish_reason && restorers[choice.index] ? restorers[choice.index].flush() : '';
+    if (rest) {
+      content = (content || '') + rest;
+    }
+    if (content !== delta.content) {
+      choice.delta = { ...delta, content };
+    }
+  }
+  return [withEventData(rawEvent, event)];
+}
+
+function withEventData(rawEvent, data) {
+  return rawEvent.replace(/^data: .*$/m, () => `data: ${JSON.stringify(data)}`);
+}
+
+// Fill in token counts and cost, preferring the provider's own usage figures.
+// Cancelled streams never see the final usage event, so output is estimated.
+function applyUsage(usageData, result, estimateOutput, pricing) {
+  const provider = usageData.model_provider;
+  const responseText = result.response || '';
+
+  const tokens = tokenCounter.reconcileTokenUsage(
+    usageData.prompt, responseText, provider, result.usage,
+    { estimateOutput, model: usageData.model_name, messages: usageData.messages }
+  );
+
+  usageData.response = responseText;
+  usageData.tool_calls = result.tool_calls;
+  Object.assign(usageData, tokens, tokenCounter.calculateCost(pricing, {
+    ...tokens,
+    images: usageData.image_count
+  }));
+  usageData.metadata.actual_model = result.model || usageData.model_name;
+  usageData.metadata.finish_reason = result.finish_reason;
+}
+
+// The conversation as logged. Anthropic requests keep the system prompt outside
+// the message list, so it is folded back in as a system message.
+function chatMessagesFor(format, body) {
+  const system = format === 'anthropic' && body.system
+    ? chatMessages.contentToText(body.system)
+    : undefined;
+  return chatMessages.buildConversation({ messages: body.messages, system });
+}
+
+function redactBody(body, patterns) {
+  body.messages = body.messages.map(message => ({
+    ...message,
+    content: safetyFilters.redactContent(message.content, patterns)
+  }));
+  if (body.system) {
+    body.system = safetyFilters.redactContent(body.system, patterns);
+  }
+}
+
+// The JSON Schema the response must match: the x-billfrog-response-schema
+// header, or the schema of an OpenAI json_schema response_format. Returns
+// { schema, max_retries }, { error }, or null when there is none.
+function responseSchemaFor(req, format, body) {
+  const header = req.get('x-billfrog-response-schema');
+  const responseFormat = format === 'openai' && body.response_format;
+  let schema = null;
+
+  if (header) {
+    try {
+      schema = JSON.parse(header);
+    } catch (error) {
+      return { error: `Invalid x-billfrog-response-schema header: ${error.message}` };
+    }
+  } else if (responseFormat && responseFormat.type === 'json_schema' && responseFormat.json_schema) {
+    schema = responseFormat.json_schema.schema;
+  }
+
+  if (!schema) {
+    return null;
+  }
+
+  const message = typeof schema === 'object' ? qualityChecks.checkSchema(schema) : 'must be an object';
+  if (message) {
+    return { error: `Invalid response schema: ${message}` };
+  }
+
+  const retries = Number(req.get('x-billfrog-schema-retries') || 0);
+  if (!Number.isInteger(retries) || retries < 0 || retries > MAX_SCHEMA_RETRIES) {
+    return { error: `x-billfrog-schema-retries must be an integer from 0 to ${MAX_SCHEMA_RETRIES}` };
+  }
+
+  return { schema, max_retries: retries };
+}
+
+// SDKs send the key as a bearer token (OpenAI) or in x-api-key (Anthropic)
+// The x-billfrog-user-id, -team-id and -project-id headers are only trusted
+// from a caller billfrog knows: one sending a billfrog session or API token in
+// x-billfrog-token, held to the same rules as /api/usage/track, or using a
+// virtual key. Anyone else's calls are not attributed. Resolves with
+// { user_id, team_id, project_id }, or { status, error }.
+async function attributionFor(req, virtualKey) {
+  const headers = {
+    user_id: req.get('x-billfrog-user-id'),
+    team_id: req.get('x-billfrog-team-id'),
+    project_id: req.get('x-billfrog-project-id')
+  };
+
+  const token = req.get('x-billfrog-token');
+  if (!token) {
+    return virtualKey ? headers : {};
+  }
+
+  const context = await authService.authenticateToken(token);
+  if (!context) {
+    return { status: 401, error: 'Invalid x-billfrog-token' };
+  }
+  if (!authService.can(context, 'usage:track')) {
+    return { status: 403, error: 'You do not have permission to do this' };
+  }
+
+  const user_id = authService.attributedUserId(context, headers.user_id);
+  if (!user_id) {
+    return { status: 403, error: 'Only admins may track calls for another user' };
+  }
+  if (headers.team_id && !authService.canSeeTeam(context, headers.team_id)) {
+    return { status: 403, error: `You are not a member of team ${headers.team_id}` };
+  }
+
+  return { ...headers, user_id };
+}
+
+function extractApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-api-key');
+}
+
+// Errors are shaped like the upstream API so client SDKs can parse them
+function sendProxyError(res, format, status, message, type) {
+  if (format === 'anthropic') {
+    return res.status(status).json({
+      type: 'error',
+      error: { type, message }
+    });
+  }
+
+  return res.status(status).json({
+    error: { message, type, code: null }
+  });
+}
+
+module.exports = router;
@@ -6,32 +6,51 @@ const path = require('path');
 const fs = require('fs');
 const moment = require('moment');
 const { v4: uuidv4 } = require('uuid');
+const chatMessages = require('../utils/chat-messages');
+const validator = require('../utils/validator');
+const currencyService = require('../services/currency');
+const authService = require('../services/auth');
+const { requirePermission } = require('../middleware/auth');
 
 // Generate receipt for a specific usage log
-router.get('/usage/:id', async (req, res) => {
+router.get('/usage/:id', requirePermission('receipts:read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { format = 'pdf' } = req.query;
+    const { format = 'pdf', currency } = req.query;
+    
+    if (currency && validator.validateTeamCurrency({ currency }).error) {
+      return res.status(400).json({ error: 'Invalid currency' });
+    }
     
     // Get usage log
     const usageLog = await database.getQuery('SELECT * FROM usage_logs WHERE id = ?', [id]);
     
-    if (!usageLog) {
+    if (!usageLog || !authService.canSeeRow(req.auth, usageLog)) {
       return res.status(404).json({ error: 'Usage log not found' });
     }
     
     // Parse JSON fields
-    const parsedLog = {
-      ...usageLog,
-      safety_flags: JSON.parse(usageLog.safety_flags || '{}'),
-      metadata: JSON.parse(usageLog.metadata || '{}')
-    };
+    const parsedLog = parseUsageLog(usageLog);
+    
+    // Retries and fallbacks of the same call are billed together
+    const attempts = await database.getRetryChain(id);
+    const attemptsCost = attempts.reduce((sum, attempt) => sum + attempt.total_cost, 0);
+    
+    // Converted into the team's billing currency at the rate on the call's date
+    const billingCurrency = currency ? currency.toUpperCase() : await currencyService.getBillingCurrency(usageLog.team_id);
+    const converter = await currencyService.createConverter();
     
     // Generate receipt
     const receipt = {
       id: uuidv4(),
       type: 'usage',
       usage_log: parsedLog,
+      attempts: attempts.length > 1 ? attempts.map(attemptSummary) : [],
+      attempts_cost: attemptsCost,
+      billing: billingAmounts(converter, billingCurrency, usageLog.created_at, {
+        total_cost: usageLog.total_cost,
+        attempts_cost: attemptsCost
+      }),
       generated_at: new Date().toISOString(),
       receipt_number: `RCP-${Date.now()}-${id.substring(0, 8)}`
     };
@@ -53,13 +72,14 @@ router.get('/usage/:id', async (req, res) => {
 });
 
 // Generate receipt for a date range
-router.get('/period', async (req, res) => {
+router.get('/period', requirePermission('receipts:read'), async (req, res) => {
   try {
     const {
       user_id,
       team_id,
       start_date,
       end_date,
+      currency,
       format = 'pdf'
     } = req.query;
     
@@ -68,12 +88,17 @@ router.get('/period', async (req, res) => {
       return res.status(400).json({ error: 'start_date and end_date are required' });
     }
     
+    if (currency && validator.validateTeamCurrency({ currency }).error) {
+      return res.status(400).json({ error: 'Invalid currency' });
+    }
+    
     // Get usage logs for the period
     const filters = {
       user_id,
       team_id,
       start_date,
-      end_date
+      end_date,
+      scope: authService.visibilityScope(req.auth)
     };
     
     // Remove undefined values
@@ -90,11 +115,7 @@ router.get('/period', async (req, res) => {
     }
     
     // Parse JSON fields
-    const parsedLogs = usageLogs.map(log => ({
-      ...log,
-      safety_flags: JSON.parse(log.safety_flags || '{}'),
-      metadata: JSON.parse(log.metadata || '{}')
-    }));
+    const parsedLogs = usageLogs.map(parseUsageLog);
     
     // Calculate totals
     const totals = {
@@ -105,7 +126,21 @@ router.get('/period', async (req, res) => {
       total_cost: parsedLogs.reduce((sum, log) => sum + log.total_cost, 0),
       success_count: parsedLogs.filter(log => log.status === 'success').length,
       failure_count: parsedLogs.filter(log => log.status === 'failure').length,
-      hallucination_count: parsedLogs.filter(log => log.status === 'hallucination').length
+      hallucination_count: parsedLogs.filter(log => log.status === 'hallucination').length,
+      retry_count: parsedLogs.filter(log => log.status === 'retry').length,
+      retry_cost: parsedLogs
+        .filter(log => log.status === 'retry')
+        .reduce((sum, log) => sum + log.total_cost, 0)
+    };
+    
+    // Each call is converted at the rate on its own date
+    const billingCurrency = currency ? currency.toUpperCase() : await currencyService.getBillingCurrency(team_id);
+    const converter = await currencyService.createConverter();
+    const billing = billingCurrency === currencyService.BASE_CURRENCY ? null : {
+      currency: billingCurrency,
+      total_cost: 0,
+      retry_cost: 0,
+      unconverted_calls: 0
     };
     
     // Group by model
@@ -124,6 +159,19 @@ router.get('/period', async (req, res) => {
       modelBreakdown[key].calls++;
       modelBreakdown[key].tokens += log.total_tokens;
       modelBreakdown[key].cost += log.total_cost;
+      
+      if (billing) {
+        const converted = converter.convert(log.total_cost, billingCurrency, log.created_at);
+        if (converted) {
+          modelBreakdown[key].converted_cost = (modelBreakdown[key].converted_cost || 0) + converted.amount;
+          billing.total_cost += converted.amount;
+          if (log.status === 'retry') {
+            billing.retry_cost += converted.amount;
+          }
+        } else {
+          billing.unconverted_calls++;
+        }
+      }
     });
     
     // Generate receipt
@@ -137,6 +185,7 @@ router.get('/period', async (req, res) => {
       user_id,
       team_id,
       totals,
+      billing,
       breakdown: Object.values(modelBreakdown),
       usage_logs: parsedLogs,
       generated_at: new Date().toISOString(),
@@ -153,6 +202,8 @@ router.get('/period', async (req, res) => {
       total_tokens: totals.total_tokens,
       total_cost: totals.total_cost,
       breakdown: modelBreakdown,
+      currency: billing ? billing.currency : currencyService.BASE_CURRENCY,
+      converted_total_cost: billing ? billing.total_cost : totals.total_cost,
       file_path: null // Will be updated if file is generated
     });
     
@@ -173,7 +224,7 @@ router.get('/period', async (req, res) => {
 });
 
 // Get all receipts
-router.get('/list', async (req, res) => {
+router.get('/list', requirePermission('receipts:read'), async (req, res) => {
   try {
     const {
       user_id,
@@ -195,6 +246,12 @@ router.get('/list', async (req, res) => {
       params.push(team_id);
     }
     
+    const scope = authService.visibilityScope(req.auth);
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+    
     query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
     params.push(parseInt(limit), parseInt(offset));
     
@@ -213,6 +270,112 @@ router.get('/list', async (req, res) => {
   }
 });
 
+// One row of a retry chain as shown on a receipt
+function attemptSummary(log, index) {
+  return {
+    attempt: index + 1,
+    id: log.id,
+    model_provider: log.model_provider,
+    model_name: log.model_name,
+    status: log.status,
+    error_message: log.error_message,
+    response_time_ms: log.response_time_ms,
+    total_cost: log.total_cost
+  };
+}
+
+// Amounts of a single call in the billing currency, at the rate in effect
+// when it was made. Null when the billing currency is USD.
+function billingAmounts(converter, currency, at, amounts) {
+  if (currency === currencyService.BASE_CURRENCY) {
+    return null;
+  }
+  
+  const rate = converter.rateAt(currency, at);
+  if (!rate) {
+    return { currency, exchange_rate: null, rate_date: null, total_cost: null, attempts_cost: null };
+  }
+  
+  const converted = { currency, exchange_rate: rate.rate, rate_date: rate.effective_date };
+  Object.entries(amounts).forEach(([key, amount]) => {
+    converted[key] = amount * rate.rate;
+  });
+  return converted;
+}
+
+function formatMoney(amount, currency) {
+  return `${currency} ${amount.toFixed(6)}`;
+}
+
+// Line under a USD total showing it in the billing currency
+function convertedNote(billing, key = 'total_cost') {
+  if (billing.exchange_rate === null) {
+    return `No ${billing.currency} exchange rate on record for this date`;
+  }
+  return `${formatMoney(billing[key], billing.currency)} (1 USD = ${billing.exchange_rate} ${billing.currency}, rate of ${moment.utc(billing.rate_date).format('YYYY-MM-DD')})`;
+}
+
+// Converted period total; calls made before any rate was entered are left out
+function periodConvertedTotal(billing) {
+  const total = formatMoney(billing.total_cost, billing.currency);
+  return billing.unconverted_calls > 0
+    ? `${total} (${billing.unconverted_calls} calls without an exchange rate not included)`
+    : total;
+}
+
+const COST_LINE_LABELS = {
+  input: 'Input Cost',
+  cached_input: 'Cached Input Cost',
+  cache_write: 'Cache Write Cost',
+  output: 'Output Cost',
+  batch_discount: 'Batch Discount',
+  images: 'Images',
+  audio: 'Audio'
+};
+
+// Charge lines of a usage log. Logs written before itemized pricing only
+// have input and output rates, so their lines are rebuilt from those.
+function costLines(log) {
+  if (log.cost_breakdown.length > 0) {
+    return log.cost_breakdown;
+  }
+  return [
+    { item: 'input', quantity: log.input_tokens, unit: 'token', unit_cost: log.cost_per_input_token },
+    { item: 'output', quantity: log.output_tokens, unit: 'token', unit_cost: log.cost_per_output_token }
+  ].map(line => ({ ...line, cost: line.quantity * line.unit_cost }));
+}
+
+function costLineLabel(line) {
+  const label = COST_LINE_LABELS[line.item] || line.item;
+  const tier = line.tier ? `, over ${line.tier} input tokens` : '';
+  if (line.item === 'batch_discount') {
+    return label;
+  }
+  if (line.unit === 'token') {
+    return `${label} (${line.quantity} tokens × $${(line.unit_cost * 1000).toFixed(6)}/1K${tier})`;
+  }
+  const quantity = line.unit === 'second' ? `${line.quantity}s` : line.quantity;
+  return `${label} (${quantity} × $${line.unit_cost.toFixed(6)})`;
+}
+
+function formatCost(cost) {
+  return cost < 0 ? `-$${(-cost).toFixed(6)}` : `$${cost.toFixed(6)}`;
+}
+
+function parseUsageLog(log) {
+  return {
+    ...log,
+    cost_breakdown: JSON.parse(log.cost_breakdown || '[]'),
+    messages: log.messages ? JSON.parse(log.messages) : null,
+    tools: JSON.parse(log.tools || '[]'),
+    tool_calls: JSON.parse(log.tool_calls || '[]'),
+    safety_flags: JSON.parse(log.safety_flags || '{}'),
+    quality: log.quality ? JSON.parse(log.quality) : null,
+    schema_errors: log.schema_errors ? JSON.parse(log.schema_errors) : null,
+    metadata: JSON.parse(log.metadata || '{}')
+  };
+}
+
 // Generate PDF receipt
 async function generatePdfReceipt(res, receipt) {
   try {
@@ -288,6 +451,12 @@ function generateReceiptHtml(receipt) {
             <td>Input Tokens</td>
             <td>${log.input_tokens}</td>
           </tr>
+          ${log.cached_input_tokens > 0 ? `
+          <tr>
+            <td>Cached Input Tokens</td>
+            <td>${log.cached_input_tokens}</td>
+          </tr>
+          ` : ''}
           <tr>
             <td>Output Tokens</td>
             <td>${log.output_tokens}</td>
@@ -302,29 +471,73 @@ function generateReceiptHtml(receipt) {
       <div class="section">
         <h3>Cost Breakdown</h3>
         <table>
+          ${costLines(log).map(line => `
           <tr>
-            <td>Input Cost (${log.input_tokens} × $${log.cost_per_input_token.toFixed(6)})</td>
-            <td>$${(log.input_tokens * log.cost_per_input_token).toFixed(6)}</td>
-          </tr>
-          <tr>
-            <td>Output Cost (${log.output_tokens} × $${log.cost_per_output_token.toFixed(6)})</td>
-            <td>$${(log.output_tokens * log.cost_per_output_token).toFixed(6)}</td>
+            <td>${costLineLabel(line)}</td>
+            <td>${formatCost(line.cost)}</td>
           </tr>
+          `).join('')}
           <tr class="total">
             <td><strong>Total Cost</strong></td>
             <td><strong>$${log.total_cost.toFixed(6)}</strong></td>
           </tr>
+          ${receipt.billing ? `
+          <tr class="total">
+            <td><strong>Total Cost (${receipt.billing.currency})</strong></td>
+            <td><strong>${convertedNote(receipt.billing)}</strong></td>
+          </tr>
+          ` : ''}
+        </table>
+      </div>
+      
+      ${receipt.attempts.length > 0 ? `
+      <div class="section">
+        <h3>Attempts</h3>
+        <table>
+          <tr>
+            <th>#</th>
+            <th>Model</th>
+            <th>Status</th>
+            <th>Response Time</th>
+            <th>Cost</th>
+          </tr>
+          ${receipt.attempts.map(attempt => `
+          <tr>
+            <td>${attempt.attempt}</td>
+            <td>${attempt.model_provider} / ${attempt.model_name}</td>
+            <td>${attempt.status}${attempt.error_message ? ` (${escapeHtml(attempt.error_message)})` : ''}</td>
+            <td>${attempt.response_time_ms}ms</td>
+            <td>$${attempt.total_cost.toFixed(6)}</td>
+          </tr>
+          `).join('')}
+          <tr class="total">
+            <td colspan="4"><strong>Total Cost Including Retries</strong></td>
+            <td><strong>$${receipt.attempts_cost.toFixed(6)}</strong></td>
+          </tr>
+          ${receipt.billing ? `
+          <tr class="total">
+            <td colspan="4"><strong>Total Cost Including Retries (${receipt.billing.currency})</strong></td>
+            <td><strong>${convertedNote(receipt.billing, 'attempts_cost')}</strong></td>
+          </tr>
+          ` : ''}
         </table>
       </div>
+      ` : ''}
       
       <div class="section">
         <h3>Request Details</h3>
         <div class="request-content">
-          <p><strong>Prompt:</strong></p>
-          <div class="content-box">${log.prompt}</div>
+          ${log.messages ? conversationHtml(log) : `
+            <p><strong>Prompt:</strong></p>
+            <div class="content-box">${log.prompt}</div>
+          `}
           ${log.response ? `
             <p><strong>Response:</strong></p>
-            <div class="content-box">${log.response}</div>
+            <div class="content-box">${escapeHtml(log.response)}</div>
+          ` : ''}
+          ${log.tool_calls.length > 0 ? `
+            <p><strong>Response Tool Calls:</strong></p>
+            <div class="content-box">${escapeHtml(toolCallsText(log.tool_calls))}</div>
           ` : ''}
         </div>
       </div>
@@ -364,10 +577,20 @@ function generateReceiptHtml(receipt) {
             <td>Hallucination Flags</td>
             <td>${receipt.totals.hallucination_count}</td>
           </tr>
+          <tr>
+            <td>Retried Attempts</td>
+            <td>${receipt.totals.retry_count} ($${receipt.totals.retry_cost.toFixed(6)})</td>
+          </tr>
           <tr class="total">
             <td><strong>Total Cost</strong></td>
             <td><strong>$${receipt.totals.total_cost.toFixed(6)}</strong></td>
           </tr>
+          ${receipt.billing ? `
+          <tr class="total">
+            <td><strong>Total Cost (${receipt.billing.currency})</strong></td>
+            <td><strong>${periodConvertedTotal(receipt.billing)}</strong></td>
+          </tr>
+          ` : ''}
         </table>
       </div>
       
@@ -381,6 +604,7 @@ function generateReceiptHtml(receipt) {
               <th>Calls</th>
               <th>Tokens</th>
               <th>Cost</th>
+              ${receipt.billing ? `<th>Cost (${receipt.billing.currency})</th>` : ''}
             </tr>
           </thead>
           <tbody>
@@ -391,6 +615,7 @@ function generateReceiptHtml(receipt) {
                 <td>${item.calls}</td>
                 <td>${item.tokens}</td>
                 <td>$${item.cost.toFixed(6)}</td>
+                ${receipt.billing ? `<td>${formatMoney(item.converted_cost || 0, receipt.billing.currency)}</td>` : ''}
               </tr>
             `).join('')}
           </tbody>
@@ -534,6 +759,53 @@ function generateReceiptHtml(receipt) {
   `;
 }
 
+// Every turn of a logged conversation, plus the tools that were offered
+function conversationHtml(log) {
+  const turns = log.messages.map(message => `
+    <p><strong>${escapeHtml(messageLabel(message))}:</strong></p>
+    <div class="content-box">${escapeHtml(messageText(message))}</div>
+  `).join('');
+  
+  const tools = log.tools.length > 0 ? `
+    <p><strong>Tools Offered:</strong></p>
+    <div class="content-box">${escapeHtml(log.tools.map(toolText).join('\n'))}</div>
+  ` : '';
+  
+  return turns + tools;
+}
+
+function messageLabel(message) {
+  const role = message.role.charAt(0).toUpperCase() + message.role.slice(1);
+  if (message.role === 'tool' && message.tool_call_id) {
+    return `${role} result (${message.tool_call_id})`;
+  }
+  return message.name ? `${role} (${message.name})` : role;
+}
+
+function messageText(message) {
+  const text = chatMessages.contentToText(message.content);
+  if (message.tool_calls && message.tool_calls.length > 0) {
+    return [text, toolCallsText(message.tool_calls)].filter(Boolean).join('\n');
+  }
+  return text;
+}
+
+function toolCallsText(toolCalls) {
+  return toolCalls.map(call => `-> ${call.function.name}(${call.function.arguments || ''})`).join('\n');
+}
+
+function toolText(tool) {
+  return tool.description ? `${tool.name}: ${tool.description}` : tool.name;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Generate TXT receipt
 function generateReceiptTxt(receipt) {
   const generatedAt = moment(receipt.generated_at).format('YYYY-MM-DD HH:mm:ss');
@@ -560,23 +832,35 @@ Response Time: ${log.response_time_ms}ms
 
 TOKEN USAGE
 -----------
-Input Tokens: ${log.input_tokens}
+Input Tokens: ${log.input_tokens}${log.cached_input_tokens > 0 ? `
+Cached Input Tokens: ${log.cached_input_tokens}` : ''}
 Output Tokens: ${log.output_tokens}
 Total Tokens: ${log.total_tokens}
 
 COST BREAKDOWN
 --------------
-Input Cost: $${(log.input_tokens * log.cost_per_input_token).toFixed(6)}
-Output Cost: $${(log.output_tokens * log.cost_per_output_token).toFixed(6)}
-Total Cost: $${log.total_cost.toFixed(6)}
-
+${costLines(log).map(line => `${costLineLabel(line)}: ${formatCost(line.cost)}`).join('\n')}
+Total Cost: $${log.total_cost.toFixed(6)}${receipt.billing ? `
+Total Cost (${receipt.billing.currency}): ${convertedNote(receipt.billing)}` : ''}
+${receipt.attempts.length > 0 ? `
+ATTEMPTS
+--------
+${receipt.attempts.map(attempt =>
+  `#${attempt.attempt} ${attempt.model_provider}/${attempt.model_name}: ${attempt.status}${attempt.error_message ? ` (${attempt.error_message})` : ''}, ${attempt.response_time_ms}ms, $${attempt.total_cost.toFixed(6)}`
+).join('\n')}
+Total Cost Including Retries: $${receipt.attempts_cost.toFixed(6)}${receipt.billing ? `
+Total Cost Including Retries (${receipt.billing.currency}): ${convertedNote(receipt.billing, 'attempts_cost')}` : ''}
+` : ''}
 REQUEST DETAILS
 ---------------
-Prompt:
-${log.prompt}
+${log.messages ? conversationTxt(log) : `Prompt:
+${log.prompt}`}
 
 ${log.response ? `Response:
 ${log.response}` : ''}
+${log.tool_calls.length > 0 ? `
+Response Tool Calls:
+${toolCallsText(log.tool_calls)}` : ''}
 `;
   } else if (receipt.type === 'period') {
     const breakdown = receipt.breakdown || [];
@@ -594,12 +878,15 @@ Total Tokens: ${receipt.totals.total_tokens}
 Successful Calls: ${receipt.totals.success_count}
 Failed Calls: ${receipt.totals.failure_count}
 Hallucination Flags: ${receipt.totals.hallucination_count}
-Total Cost: $${receipt.totals.total_cost.toFixed(6)}
+Retried Attempts: ${receipt.totals.retry_count} ($${receipt.totals.retry_cost.toFixed(6)})
+Total Cost: $${receipt.totals.total_cost.toFixed(6)}${receipt.billing ? `
+Total Cost (${receipt.billing.currency}): ${periodConvertedTotal(receipt.billing)}` : ''}
 
 MODEL BREAKDOWN
 ---------------
 ${breakdown.map(item => 
-  `${item.provider}/${item.model}: ${item.calls} calls, ${item.tokens} tokens, $${item.cost.toFixed(6)}`
+  `${item.provider}/${item.model}: ${item.calls} calls, ${item.tokens} tokens, $${item.cost.toFixed(6)}` +
+  (receipt.billing ? ` (${formatMoney(item.converted_cost || 0, receipt.billing.currency)})` : '')
 ).join('\n')}
 `;
   }
@@ -614,4 +901,14 @@ Generated by AI Usage Tracker
   return content;
 }
 
+function conversationTxt(log) {
+  const turns = log.messages.map(message => `${messageLabel(message)}:\n${messageText(message)}`);
+  
+  if (log.tools.length > 0) {
+    turns.push(`Tools Offered:\n${log.tools.map(toolText).join('\n')}`);
+  }
+  
+  return turns.join('\n\n');
+}
+
 module.exports = router;
\ No newline at end of file
@@ -6,9 +6,14 @@ const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
 const moment = require('moment');
+const tokenCounter = require('../utils/token-counter');
+const validator = require('../utils/validator');
+const currencyService = require('../services/currency');
+const authService = require('../services/auth');
+const { requirePermission } = require('../middleware/auth');
 
 // Generate usage report
-router.get('/usage', async (req, res) => {
+router.get('/usage', requirePermission('reports:read'), async (req, res) => {
   try {
     const {
       user_id,
@@ -61,6 +66,12 @@ router.get('/usage', async (req, res) => {
       params.push(end_date);
     }
     
+    const scope = authService.visibilityScope(req.auth);
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+    
     // Group by clause
     switch (group_by) {
       case 'week':
@@ -109,6 +120,11 @@ router.get('/usage', async (req, res) => {
         detailParams.push(end_date);
       }
       
+      if (scope) {
+        detailQuery += ` AND ${scope.clause}`;
+        detailParams.push(...scope.params);
+      }
+      
       detailQuery += ' ORDER BY created_at DESC';
       detailedLogs = await database.allQuery(detailQuery, detailParams);
     }
@@ -146,29 +162,28 @@ router.get('/usage', async (req, res) => {
   }
 });
 
-// Generate billing report
-router.get('/billing', async (req, res) => {
+// Generate billing report. Costs are shown in USD and in each team's billing
+// currency (or ?currency=), converted at the rate in effect on each call's date.
+router.get('/billing', requirePermission('reports:read'), async (req, res) => {
   try {
     const {
       user_id,
       team_id,
       start_date,
       end_date,
+      currency,
       format = 'json'
     } = req.query;
     
-    // Get billing summary
+    if (currency) {
+      const { error } = validator.validateTeamCurrency({ currency });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid currency' });
+      }
+    }
+    
     let query = `
-      SELECT 
-        user_id,
-        team_id,
-        model_provider,
-        model_name,
-        COUNT(*) as total_calls,
-        SUM(total_tokens) as total_tokens,
-        SUM(total_cost) as total_cost,
-        MIN(created_at) as first_call,
-        MAX(created_at) as last_call
+      SELECT user_id, team_id, model_provider, model_name, total_tokens, total_cost, created_at
       FROM usage_logs
       WHERE 1=1
     `;
@@ -195,17 +210,73 @@ router.get('/billing', async (req, res) => {
       params.push(end_date);
     }
     
-    query += ' GROUP BY user_id, team_id, model_provider, model_name ORDER BY total_cost DESC';
+    const scope = authService.visibilityScope(req.auth);
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
     
-    const billingData = await database.allQuery(query, params);
+    query += ' ORDER BY created_at';
+    
+    const logs = await database.allQuery(query, params);
+    const converter = await currencyService.createConverter();
+    const billingCurrency = currency
+      ? () => currency.toUpperCase()
+      : await currencyService.loadBillingCurrencies();
+    
+    // Get billing summary per user, team and model
+    const groups = {};
+    logs.forEach(log => {
+      const logCurrency = billingCurrency(log.team_id);
+      const key = [log.user_id, log.team_id, log.model_provider, log.model_name, logCurrency].join('|');
+      if (!groups[key]) {
+        groups[key] = {
+          user_id: log.user_id,
+          team_id: log.team_id,
+          model_provider: log.model_provider,
+          model_name: log.model_name,
+          total_calls: 0,
+          total_tokens: 0,
+          total_cost: 0,
+          first_call: log.created_at,
+          last_call: log.created_at,
+          currency: logCurrency,
+          converted_cost: 0,
+          unconverted_calls: 0
+        };
+      }
+      
+      const group = groups[key];
+      group.total_calls++;
+      group.total_tokens += log.total_tokens || 0;
+      group.total_cost += log.total_cost;
+      group.last_call = log.created_at;
+      
+      const converted = converter.convert(log.total_cost, logCurrency, log.created_at);
+      if (converted) {
+        group.converted_cost += converted.amount;
+      } else {
+        group.unconverted_calls++;
+      }
+    });
+    
+    const billingData = Object.values(groups).sort((a, b) => b.total_cost - a.total_cost);
     
-    // Calculate totals
+    // Calculate totals, with converted costs per billing currency
     const totals = {
       total_calls: billingData.reduce((sum, item) => sum + item.total_calls, 0),
       total_tokens: billingData.reduce((sum, item) => sum + item.total_tokens, 0),
-      total_cost: billingData.reduce((sum, item) => sum + item.total_cost, 0)
+      total_cost: billingData.reduce((sum, item) => sum + item.total_cost, 0),
+      converted: {}
     };
     
+    billingData.forEach(item => {
+      const converted = totals.converted[item.currency] || { total_cost: 0, unconverted_calls: 0 };
+      converted.total_cost += item.converted_cost;
+      converted.unconverted_calls += item.unconverted_calls;
+      totals.converted[item.currency] = converted;
+    });
+    
     const report = {
       metadata: {
         generated_at: new Date().toISOString(),
@@ -215,7 +286,8 @@ router.get('/billing', async (req, res) => {
         },
         filters: {
           user_id,
-          team_id
+          team_id,
+          currency
         }
       },
       totals,
@@ -239,7 +311,7 @@ router.get('/billing', async (req, res) => {
 });
 
 // Generate performance report
-router.get('/performance', async (req, res) => {
+router.get('/performance', requirePermission('reports:read'), async (req, res) => {
   try {
     const {
       user_id,
@@ -249,18 +321,29 @@ router.get('/performance', async (req, res) => {
       format = 'json'
     } = req.query;
     
+    // Every column describes the final attempt of each call. Attempts that
+    // were retried (status 'retry') are only counted in retry_attempts and,
+    // when their response failed the schema, schema_failed_attempts.
+    const final = "status != 'retry'";
     let query = `
       SELECT 
         model_provider,
         model_name,
-        COUNT(*) as total_calls,
-        AVG(response_time_ms) as avg_response_time,
-        MIN(response_time_ms) as min_response_time,
-        MAX(response_time_ms) as max_response_time,
+        COUNT(CASE WHEN ${final} THEN 1 END) as total_calls,
+        COUNT(CASE WHEN status = 'retry' THEN 1 END) as retry_attempts,
+        AVG(CASE WHEN ${final} THEN response_time_ms END) as avg_response_time,
+        MIN(CASE WHEN ${final} THEN response_time_ms END) as min_response_time,
+        MAX(CASE WHEN ${final} THEN response_time_ms END) as max_response_time,
         COUNT(CASE WHEN status = 'success' THEN 1 END) as success_count,
         COUNT(CASE WHEN status = 'failure' THEN 1 END) as failure_count,
         COUNT(CASE WHEN status = 'hallucination' THEN 1 END) as hallucination_count,
-        (COUNT(CASE WHEN status = 'success' THEN 1 END) * 100.0 / COUNT(*)) as success_rate
+        (COUNT(CASE WHEN status = 'success' THEN 1 END) * 100.0 / NULLIF(COUNT(CASE WHEN ${final} THEN 1 END), 0)) as success_rate,
+        AVG(CASE WHEN ${final} THEN json_extract(quality, '$.score') END) as avg_quality_score,
+        COUNT(CASE WHEN ${final} AND json_extract(quality, '$.passed') = 0 THEN 1 END) as low_quality_count,
+        COUNT(CASE WHEN ${final} THEN schema_valid END) as schema_checked_count,
+        COUNT(CASE WHEN ${final} AND schema_valid = 0 THEN 1 END) as schema_failure_count,
+        (COUNT(CASE WHEN ${final} AND schema_valid = 0 THEN 1 END) * 100.0 / NULLIF(COUNT(CASE WHEN ${final} THEN schema_valid END), 0)) as schema_failure_rate,
+        COUNT(CASE WHEN schema_valid = 0 THEN 1 END) as schema_failed_attempts
       FROM usage_logs
       WHERE 1=1
     `;
@@ -287,6 +370,12 @@ router.get('/performance', async (req, res) => {
       params.push(end_date);
     }
     
+    const scope = authService.visibilityScope(req.auth);
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+    
     query += ' GROUP BY model_provider, model_name ORDER BY total_calls DESC';
     
     const performanceData = await database.allQuery(query, params);
@@ -322,6 +411,259 @@ router.get('/performance', async (req, res) => {
   }
 });
 
+// Compare local token estimates with provider-reported usage
+router.get('/token-accuracy', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const {
+      user_id,
+      team_id,
+      start_date,
+      end_date,
+      format = 'json'
+    } = req.query;
+    
+    let query = `
+      SELECT 
+        model_provider,
+        model_name,
+        COUNT(*) as total_calls,
+        SUM(input_tokens) as actual_input_tokens,
+        SUM(estimated_input_tokens) as estimated_input_tokens,
+        SUM(output_tokens) as actual_output_tokens,
+        SUM(estimated_output_tokens) as estimated_output_tokens,
+        AVG(ABS(estimated_input_tokens - input_tokens) * 100.0 / MAX(input_tokens, 1)) as avg_input_error_pct,
+        AVG(ABS(estimated_output_tokens - output_tokens) * 100.0 / MAX(output_tokens, 1)) as avg_output_error_pct
+      FROM usage_logs
+      WHERE usage_source = 'provider'
+    `;
+    
+    const params = [];
+    
+    if (user_id) {
+      query += ' AND user_id = ?';
+      params.push(user_id);
+    }
+    
+    if (team_id) {
+      query += ' AND team_id = ?';
+      params.push(team_id);
+    }
+    
+    if (start_date) {
+      query += ' AND created_at >= ?';
+      params.push(start_date);
+    }
+    
+    if (end_date) {
+      query += ' AND created_at <= ?';
+      params.push(end_date);
+    }
+    
+    const scope = authService.visibilityScope(req.auth);
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+    
+    query += ' GROUP BY model_provider, model_name ORDER BY total_calls DESC';
+    
+    const rows = await database.allQuery(query, params);
+    
+    const accuracyData = rows.map(row => {
+      const actualTotal = row.actual_input_tokens + row.actual_output_tokens;
+      const estimatedTotal = row.estimated_input_tokens + row.estimated_output_tokens;
+      
+      return {
+        ...row,
+        input_accuracy: tokenCounter.estimateAccuracy(row.estimated_input_tokens, row.actual_input_tokens),
+        output_accuracy: tokenCounter.estimateAccuracy(row.estimated_output_tokens, row.actual_output_tokens),
+        overall_accuracy: tokenCounter.estimateAccuracy(estimatedTotal, actualTotal),
+        // Positive means the estimate under-counted the billed tokens
+        billing_drift_pct: estimatedTotal > 0 ? ((actualTotal - estimatedTotal) * 100.0) / estimatedTotal : 0
+      };
+    });
+    
+    const report = {
+      metadata: {
+        generated_at: new Date().toISOString(),
+        period: {
+          start: start_date,
+          end: end_date
+        },
+        filters: {
+          user_id,
+          team_id
+        }
+      },
+      accuracy: accuracyData
+    };
+    
+    // Return in requested format
+    switch (format.toLowerCase()) {
+      case 'csv':
+        return await generateCsvReport(res, report, 'token-accuracy-report');
+      case 'pdf':
+        return await generatePdfReport(res, report, 'token-accuracy-report');
+      default:
+        res.json(report);
+    }
+    
+  } catch (error) {
+    console.error('Error generating token accuracy report:', error);
+    res.status(500).json({ error: 'Failed to generate token accuracy report' });
+  }
+});
+
+// Safety report: what each filter did, injection scores and leaked secrets,
+// from the safety events and secret incidents recorded when calls are checked
+router.get('/safety', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const {
+      user_id,
+      team_id,
+      start_date,
+      end_date,
+      format = 'json'
+    } = req.query;
+    
+    let conditions = '';
+    const params = [];
+    
+    if (user_id) {
+      conditions += ' AND user_id = ?';
+      params.push(user_id);
+    }
+    
+    if (team_id) {
+      conditions += ' AND team_id = ?';
+      params.push(team_id);
+    }
+    
+    if (start_date) {
+      conditions += ' AND created_at >= ?';
+      params.push(start_date);
+    }
+    
+    if (end_date) {
+      conditions += ' AND created_at <= ?';
+      params.push(end_date);
+    }
+    
+    const scope = authService.visibilityScope(req.auth);
+    if (scope) {
+      conditions += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+    
+    const byFilter = await database.allQuery(`
+      SELECT 
+        filter_name,
+        filter_type,
+        COUNT(*) as trips,
+        COUNT(CASE WHEN action = 'block' THEN 1 END) as blocked,
+        COUNT(CASE WHEN action = 'warn' THEN 1 END) as warned,
+        COUNT(CASE WHEN action = 'alert' THEN 1 END) as alerted,
+        COUNT(CASE WHEN action = 'redact' THEN 1 END) as redacted,
+        COUNT(CASE WHEN action = 'reroute' THEN 1 END) as rerouted
+      FROM safety_events
+      WHERE action IS NOT NULL${conditions}
+      GROUP BY filter_name, filter_type
+      ORDER BY trips DESC
+    `, params);
+    
+    const injectionByModel = await database.allQuery(`
+      SELECT 
+        model_provider,
+        model_name,
+        COUNT(*) as scored_prompts,
+        COUNT(action) as tripped,
+        AVG(score) as avg_score,
+        MAX(score) as max_score
+      FROM safety_events
+      WHERE filter_type = 'injection'${conditions}
+      GROUP BY model_provider, model_name
+      ORDER BY scored_prompts DESC
+    `, params);
+    
+    const injectionEvents = await database.allQuery(`
+      SELECT score, signals
+      FROM safety_events
+      WHERE filter_type = 'injection'${conditions}
+    `, params);
+    
+    const secrets = await database.allQuery(`
+      SELECT 
+        secret_type,
+        source,
+        COUNT(*) as incidents,
+        COUNT(CASE WHEN status = 'open' THEN 1 END) as open_incidents,
+        SUM(occurrences) as occurrences
+      FROM secret_incidents
+      WHERE 1=1${conditions}
+      GROUP BY secret_type, source
+      ORDER BY incidents DESC
+    `, params);
+    
+    const report = {
+      metadata: {
+        generated_at: new Date().toISOString(),
+        period: {
+          start: start_date,
+          end: end_date
+        },
+        filters: {
+          user_id,
+          team_id
+        }
+      },
+      by_filter: byFilter,
+      injection: {
+        ...summarizeInjectionEvents(injectionEvents),
+        by_model: injectionByModel
+      },
+      secrets
+    };
+    
+    // Return in requested format
+    switch (format.toLowerCase()) {
+      case 'csv':
+        return await generateCsvReport(res, report, 'safety-report');
+      case 'pdf':
+        return await generatePdfReport(res, report, 'safety-report');
+      default:
+        res.json(report);
+    }
+  
+  } catch (error) {
+    console.error('Error generating safety report:', error);
+    res.status(500).json({ error: 'Failed to generate safety report' });
+  }
+});
+
+// Injection scores bucketed by tenths, and how often each signal fired
+function summarizeInjectionEvents(events) {
+  const distribution = Array.from({ length: 10 }, (_, index) => ({
+    range: `${(index / 10).toFixed(1)}-${((index + 1) / 10).toFixed(1)}`,
+    count: 0
+  }));
+  const signals = {};
+  
+  for (const event of events) {
+    distribution[Math.min(Math.floor(event.score * 10), 9)].count++;
+    for (const signal of JSON.parse(event.signals || '[]')) {
+      signals[signal] = (signals[signal] || 0) + 1;
+    }
+  }
+  
+  return {
+    scored_prompts: events.length,
+    score_distribution: distribution,
+    top_signals: Object.entries(signals)
+      .map(([signal, count]) => ({ signal, count }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
 // Generate CSV report
 async function generateCsvReport(res, report, filename) {
   const csvPath = path.join(__dirname, '../temp', `${filename}-${Date.now()}.csv`);
@@ -341,6 +683,10 @@ async function generateCsvReport(res, report, filename) {
     csvData = report.breakdown;
   } else if (report.performance) {
     csvData = report.performance;
+  } else if (report.accuracy) {
+    csvData = report.accuracy;
+  } else if (report.by_filter) {
+    csvData = report.by_filter;
   }
   
   if (csvData.length === 0) {
@@ -421,6 +767,10 @@ function generateReportHtml(report, reportType) {
     data = report.breakdown;
   } else if (report.performance) {
     data = report.performance;
+  } else if (report.accuracy) {
+    data = report.accuracy;
+  } else if (report.by_filter) {
+    data = report.by_filter;
   }
   
   if (data.length > 0) {
@@ -517,6 +867,11 @@ function generateReportHtml(report, reportType) {
           <p><strong>Total Calls:</strong> ${report.totals.total_calls}</p>
           <p><strong>Total Tokens:</strong> ${report.totals.total_tokens}</p>
           <p><strong>Total Cost:</strong> $${report.totals.total_cost.toFixed(4)}</p>
+          ${Object.entries(report.totals.converted || {})
+            .filter(([currency]) => currency !== 'USD')
+            .map(([currency, converted]) => `
+          <p><strong>Total Cost (${currency}):</strong> ${currency} ${converted.total_cost.toFixed(4)}${converted.unconverted_calls > 0 ? ` (${converted.unconverted_calls} calls without an exchange rate)` : ''}</p>
+          `).join('')}
         </div>
       ` : ''}
       
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../database');
+const authService = require('../services/auth');
+const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
+
+// Leaked secrets found by content filters with scan_secrets, newest first.
+// Optionally by ?status=open|resolved, ?source=prompt|response,
+// ?secret_type=, ?team_id=, ?user_id= and ?start_date=/?end_date=.
+// Non-admins see their teams' incidents and their own.
+router.get('/', requirePermission('incidents:read'), async (req, res) => {
+  try {
+    const { status, source, secret_type, team_id, user_id, start_date, end_date, limit = 100 } = req.query;
+
+    let query = `
+      SELECT i.*, f.name as filter_name
+      FROM secret_incidents i
+      LEFT JOIN safety_filters f ON f.id = i.filter_id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND i.status = ?';
+      params.push(status);
+    }
+
+    if (source) {
+      query += ' AND i.source = ?';
+      params.push(source);
+    }
+
+    if (secret_type) {
+      query += ' AND i.secret_type = ?';
+      params.push(secret_type);
+    }
+
+    if (team_id) {
+      query += ' AND i.team_id = ?';
+      params.push(team_id);
+    }
+
+    if (user_id) {
+      query += ' AND i.user_id = ?';
+      params.push(user_id);
+    }
+
+    if (start_date) {
+      query += ' AND i.created_at >= ?';
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      query += ' AND i.created_at <= ?';
+      params.push(end_date);
+    }
+
+    const scope = authService.visibilityScope(req.auth, { teamColumn: 'i.team_id', userColumn: 'i.user_id' });
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+
+    query += ' ORDER BY i.last_seen_at DESC LIMIT ?';
+    params.push(Math.min(parseInt(limit) || 100, 1000));
+
+    res.json(await database.allQuery(query, params));
+  } catch (error) {
+    console.error('Error fetching secret incidents:', error);
+    res.status(500).json({ error: 'Failed to fetch secret incidents' });
+  }
+});
+
+// Resolve an incident once the secret has been rotated, or reopen it. Team
+// managers resolve incidents of their teams.
+router.put('/:id', requirePermission('incidents:manage'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateSecretIncident(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const incident = await database.getQuery('SELECT * FROM secret_incidents WHERE id = ?', [req.params.id]);
+    if (!incident || !authService.canSeeRow(req.auth, incident)) {
+      return res.status(404).json({ error: 'Secret incident not found' });
+    }
+
+    const resolved = value.status === 'resolved';
+    await database.runQuery(`
+      UPDATE secret_incidents
+      SET status = ?, resolved_by = ?, resolved_at = ${resolved ? 'CURRENT_TIMESTAMP' : 'NULL'}
+      WHERE id = ?
+    `, [value.status, resolved ? req.auth.user.id : null, incident.id]);
+
+    res.json({ message: `Secret incident ${resolved ? 'resolved' : 'reopened'} successfully` });
+  } catch (error) {
+    console.error('Error updating secret incident:', error);
+    res.status(500).json({ error: 'Failed to update secret incident' });
+  }
+});
+
+module.exports = router;
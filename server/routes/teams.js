@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../database');
+const teamService = require('../services/teams');
+const currencyService = require('../services/currency');
+const authService = require('../services/auth');
+const validator = require('../utils/validator');
+const { requirePermission, requireTeamAccess } = require('../middleware/auth');
+
+// List teams with their member counts. Only admins see every team.
+router.get('/', requirePermission('teams:read'), async (req, res) => {
+  try {
+    let query = `
+      SELECT t.*, tb.currency as billing_currency, COUNT(tm.user_id) as member_count
+      FROM teams t
+      LEFT JOIN team_billing tb ON tb.team_id = t.id
+      LEFT JOIN team_members tm ON tm.team_id = t.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (req.auth.role !== 'admin') {
+      query += ` AND t.id IN (${req.auth.team_ids.map(() => '?').join(', ')})`;
+      params.push(...req.auth.team_ids);
+    }
+
+    query += ' GROUP BY t.id ORDER BY t.name';
+
+    const teams = await database.allQuery(query, params);
+
+    res.json(teams);
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ error: 'Failed to fetch teams' });
+  }
+});
+
+// Get a team and its members
+router.get('/:id', requirePermission('teams:read'), requireTeamAccess(), async (req, res) => {
+  try {
+    const team = await teamService.getTeam(req.params.id);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    res.json(team);
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+// Create a team. The id may be given to match ids already in usage logs.
+router.post('/', requirePermission('teams:write'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateTeam(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (value.id && await database.getQuery('SELECT id FROM teams WHERE id = ?', [value.id])) {
+      return res.status(409).json({ error: `Team ${value.id} already exists` });
+    }
+
+    const id = await database.insertTeam(value);
+    if (value.billing_currency) {
+      await currencyService.setTeamCurrency(id, value.billing_currency);
+    }
+
+    res.json({ id, message: 'Team created successfully' });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
+
+// Update a team's name, description or billing currency (null for the default)
+router.put('/:id', requirePermission('teams:manage'), requireTeamAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = validator.validateTeam(req.body, { update: true });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (value.billing_currency !== undefined && !authService.can(req.auth, 'currencies:write')) {
+      return res.status(403).json({ error: 'You do not have permission to change billing currencies' });
+    }
+
+    const team = await database.getQuery('SELECT * FROM teams WHERE id = ?', [id]);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    await database.runQuery('UPDATE teams SET name = ?, description = ? WHERE id = ?', [
+      value.name !== undefined ? value.name : team.name,
+      value.description !== undefined ? value.description : team.description,
+      id
+    ]);
+
+    if (value.billing_currency) {
+      await currencyService.setTeamCurrency(id, value.billing_currency);
+    } else if (value.billing_currency === null) {
+      await database.runQuery('DELETE FROM team_billing WHERE team_id = ?', [id]);
+    }
+
+    res.json({ message: 'Team updated successfully' });
+  } catch (error) {
+    console.error('Error updating team:', error);
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+// Delete a team, its memberships and billing currency. Usage logs keep the team id.
+router.delete('/:id', requirePermission('teams:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await database.runQuery('DELETE FROM teams WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    await database.runQuery('DELETE FROM team_members WHERE team_id = ?', [id]);
+    await database.runQuery('DELETE FROM team_billing WHERE team_id = ?', [id]);
+
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({ error: 'Failed to delete team' });
+  }
+});
+
+// Get a team's members and their roles
+router.get('/:id/members', requirePermission('teams:read'), requireTeamAccess(), async (req, res) => {
+  try {
+    const team = await database.getQuery('SELECT id FROM teams WHERE id = ?', [req.params.id]);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const members = await database.getTeamMembers(req.params.id);
+
+    res.json(members);
+  } catch (error) {
+    console.error('Error fetching team members:', error);
+    res.status(500).json({ error: 'Failed to fetch team members' });
+  }
+});
+
+// Add a user to a team, or change their role
+router.put('/:id/members/:user_id', requirePermission('teams:manage'), requireTeamAccess(), async (req, res) => {
+  try {
+    const { id, user_id } = req.params;
+    const { error, value } = validator.validateTeamMember(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const team = await database.getQuery('SELECT id FROM teams WHERE id = ?', [id]);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const user = await database.getQuery('SELECT id FROM users WHERE id = ?', [user_id]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await database.runQuery(`
+      INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, ?)
+      ON CONFLICT (team_id, user_id) DO UPDATE SET role = excluded.role
+    `, [id, user_id, value.role]);
+
+    res.json({ team_id: id, user_id, role: value.role, message: 'Team member saved successfully' });
+  } catch (error) {
+    console.error('Error saving team member:', error);
+    res.status(500).json({ error: 'Failed to save team member' });
+  }
+});
+
+// Remove a user from a team
+router.delete('/:id/members/:user_id', requirePermission('teams:manage'), requireTeamAccess(), async (req, res) => {
+  try {
+    const { id, user_id } = req.params;
+
+    const result = await database.runQuery(
+      'DELETE FROM team_members WHERE team_id = ? AND user_id = ?',
+      [id, user_id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    res.json({ message: 'Team member removed successfully' });
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({ error: 'Failed to remove team member' });
+  }
+});
+
+module.exports = router;
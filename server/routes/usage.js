@@ -4,10 +4,20 @@ const { v4: uuidv4 } = require('uuid');
 const database = require('../database');
 const aiProviders = require('../services/ai-providers');
 const safetyFilters = require('../services/safety-filters');
-const tokenCounter = require('../utils/token-counter');
+const tracking = require('../services/tracking-pipeline');
+const replay = require('../services/replay');
+const providerRegistry = require('../services/providers');
+const teamService = require('../services/teams');
+const keyVault = require('../services/key-vault');
+const virtualKeys = require('../services/virtual-keys');
+const chatMessages = require('../utils/chat-messages');
+const authService = require('../services/auth');
+const validator = require('../utils/validator');
+const rateLimiter = require('../services/rate-limiter');
+const { requirePermission } = require('../middleware/auth');
 
 // Create new usage session
-router.post('/session', async (req, res) => {
+router.post('/session', requirePermission('usage:track'), async (req, res) => {
   try {
     const { user_id, team_id, name } = req.body;
     const session_id = uuidv4();
@@ -21,147 +31,201 @@ router.post('/session', async (req, res) => {
 });
 
 // Track AI usage
-router.post('/track', async (req, res) => {
-  const startTime = Date.now();
-  
+router.post('/track', requirePermission('usage:track'), async (req, res) => {
   try {
     const {
-      user_id,
-      team_id,
       session_id,
+      project_id,
       model_provider,
       model_name,
-      prompt,
-      api_key,
+      prompt: promptText,
+      messages,
+      system,
+      tools,
+      tool_choice,
+      api_key: apiKey,
+      api_keys: apiKeys,
+      api_key_id,
+      api_key_ids,
+      units = {},
       options = {}
     } = req.body;
     
+    // Retry, fallback, batch, quality and schema settings steer tracking and are not sent upstream
+    const {
+      retry, fallbacks, batch = false, quality, response_schema, schema_retries, ...callOptions
+    } = options;
+    
     // Validate required fields
-    if (!model_provider || !model_name || !prompt || !api_key) {
+    const hasMessages = Array.isArray(messages) && messages.length > 0;
+    if (!model_provider || !model_name || (!promptText && !hasMessages) || (!apiKey && !api_key_id)) {
       return res.status(400).json({ 
-        error: 'Missing required fields: model_provider, model_name, prompt, api_key' 
+        error: 'Missing required fields: model_provider, model_name, prompt or messages, api_key or api_key_id' 
       });
     }
     
+    if (!providerRegistry.hasProvider(model_provider)) {
+      return res.status(400).json({ error: `Unknown model_provider: ${model_provider}` });
+    }
+    
+    const responseChecks = validator.validateResponseChecks({ quality, response_schema, schema_retries });
+    if (responseChecks.error) {
+      return res.status(400).json({ error: responseChecks.error.details[0].message });
+    }
+    
+    // Calls are attributed to the caller; only admins may name another user
+    let user_id = authService.attributedUserId(req.auth, req.body.user_id);
+    if (!user_id) {
+      return res.status(403).json({ error: 'Only admins may track calls for another user' });
+    }
+    let { team_id } = req.body;
+    
+    // A virtual key stands in for the vault key it was issued against, and
+    // the call is attributed to the key's owner
+    let providerKey = apiKey;
+    let virtualKey = null;
+    if (virtualKeys.isVirtualKey(apiKey)) {
+      const resolved = await virtualKeys.resolveKey(apiKey, model_provider);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+      virtualKey = resolved.virtualKey;
+      providerKey = resolved.api_key;
+      user_id = virtualKey.user_id || user_id;
+      team_id = virtualKey.team_id || team_id;
+    }
+    
+    // Keys referenced by id are decrypted from the vault
+    const keys = await keyVault.resolveRequestKeys({
+      model_provider, api_key: providerKey, api_keys: apiKeys, api_key_id, api_key_ids
+    }, req.auth);
+    if (keys.error) {
+      return res.status(keys.status).json({ error: keys.error });
+    }
+    const { api_key, api_keys } = keys;
+    
+    // An unknown team is created or rejected according to unknown_team_policy
+    const teamCheck = await teamService.checkTeam(team_id);
+    if (!teamCheck.allowed) {
+      return res.status(400).json({ error: teamCheck.error });
+    }
+    
+    // A bare prompt is treated as a one-message conversation; the flattened
+    // conversation is what filters see and what the prompt column stores
+    let conversation = chatMessages.buildConversation({ prompt: promptText, messages, system });
+    let prompt = hasMessages ? chatMessages.messagesToPrompt(conversation) : promptText;
+    const toolDefinitions = chatMessages.normalizeTools(tools);
+    
     // Check safety filters before making the call
     const safetyCheck = await safetyFilters.checkFilters({
       user_id,
       team_id,
+      project_id,
       model_provider,
       model_name,
       prompt,
-      options
+      messages: conversation,
+      options: callOptions,
+      virtual_key: virtualKey
     });
     
+    res.set(rateLimiter.rateLimitHeaders(safetyCheck.rate_limits, safetyCheck.retry_after_ms));
     if (!safetyCheck.allowed) {
-      return res.status(403).json({
-        error: 'Request blocked by safety filters',
-        reasons: safetyCheck.reasons
-      });
+      return sendBlocked(res, safetyCheck);
     }
     
-    // Get model pricing
-    const pricing = await database.getModelPricing(model_provider, model_name);
+    // Filters may have redacted the prompt or rerouted the call to a cheaper
+    // model. PII placeholders are restored in what is returned, not in the log.
+    conversation = safetyCheck.messages;
+    prompt = safetyCheck.prompt;
+    const routedModel = safetyCheck.model_name;
     
     let usageData = {
       user_id,
       team_id,
       session_id,
+      project_id,
       model_provider,
-      model_name,
+      model_name: routedModel,
       prompt,
-      input_tokens: 0,
-      output_tokens: 0,
-      total_tokens: 0,
-      cost_per_input_token: pricing ? pricing.input_cost_per_1k_tokens / 1000 : 0,
-      cost_per_output_token: pricing ? pricing.output_cost_per_1k_tokens / 1000 : 0,
-      total_cost: 0,
-      status: 'processing',
+      messages: hasMessages || system ? conversation : null,
+      tools: toolDefinitions,
+      // Billable units that are not tokens; images are counted unless given
+      image_count: units.images ?? chatMessages.countImages(conversation),
+      audio_seconds: units.audio_seconds || 0,
+      is_batch: batch,
       retry_count: 0,
-      response_time_ms: 0,
+      virtual_key_id: virtualKey && virtualKey.id,
       safety_flags: safetyCheck.flags || {},
       metadata: {
         user_agent: req.get('User-Agent'),
         ip_address: req.ip,
         timestamp: new Date().toISOString(),
-        ...options
+        ...callOptions,
+        tool_choice,
+        fallbacks: fallbacks && fallbacks.map(formatTarget)
       }
     };
     
-    try {
-      // Make the AI API call
-      const aiResponse = await aiProviders.makeRequest(
-        model_provider,
-        api_key,
-        {
-          model: model_name,
-          prompt,
-          ...options
-        }
-      );
-      
-      // Count tokens
-      const inputTokens = tokenCounter.countTokens(prompt, model_provider);
-      const outputTokens = tokenCounter.countTokens(aiResponse.response, model_provider);
-      
-      // Calculate costs
-      const inputCost = inputTokens * usageData.cost_per_input_token;
-      const outputCost = outputTokens * usageData.cost_per_output_token;
-      
-      // Update usage data
-      usageData.response = aiResponse.response;
-      usageData.input_tokens = inputTokens;
-      usageData.output_tokens = outputTokens;
-      usageData.total_tokens = inputTokens + outputTokens;
-      usageData.total_cost = inputCost + outputCost;
-      usageData.status = 'success';
-      usageData.response_time_ms = Date.now() - startTime;
-      usageData.metadata.actual_model = aiResponse.model || model_name;
-      usageData.metadata.finish_reason = aiResponse.finish_reason;
-      
-      // Check for potential hallucinations or issues
-      const qualityCheck = await safetyFilters.checkResponseQuality(prompt, aiResponse.response);
-      if (qualityCheck.flags.length > 0) {
-        usageData.status = 'hallucination';
-        usageData.safety_flags.quality_issues = qualityCheck.flags;
-      }
-      
-    } catch (aiError) {
-      console.error('AI API Error:', aiError);
-      usageData.status = 'failure';
-      usageData.error_message = aiError.message;
-      usageData.response_time_ms = Date.now() - startTime;
-    }
+    const requestOptions = {
+      messages: conversation,
+      tools: toolDefinitions,
+      tool_choice,
+      ...callOptions
+    };
     
-    // Log the usage to database
-    const logId = await database.insertUsageLog(usageData);
-    
-    // Send real-time update via WebSocket
-    const wss = req.app.locals.wss;
-    if (wss) {
-      wss.clients.forEach(client => {
-        if (client.readyState === client.OPEN) {
-          client.send(JSON.stringify({
-            type: 'usage_update',
-            data: { ...usageData, id: logId }
-          }));
-        }
-      });
+    // Failed calls are retried per the retry policy, then handed to each fallback
+    const policy = await tracking.getRetryPolicy(retry);
+    const targets = await tracking.resolveTargets(
+      { model_provider, model_name: routedModel, api_key }, fallbacks, api_keys
+    );
+    const pipeline = {
+      base: usageData,
+      targets,
+      policy,
+      conversation,
+      // The expected schema is also scored by the json_schema quality check
+      quality: response_schema ? { json_schema: response_schema, ...quality } : quality,
+      // Streamed output has already been relayed, so it is never asked for again
+      responseSchema: response_schema && {
+        schema: response_schema,
+        max_retries: callOptions.stream ? 0 : responseChecks.value.schema_retries
+      },
+      filterRequest: { user_id, team_id, project_id, prompt, messages: conversation, options: callOptions, virtual_key: virtualKey }
+    };
+    
+    // Streamed requests are relayed as server-sent events and logged when they end
+    if (callOptions.stream) {
+      return streamTrackedRequest(req, res, pipeline, requestOptions, safetyCheck);
     }
     
+    const result = await tracking.trackRequest(req.app, {
+      ...pipeline,
+      callProvider: (target) => aiProviders.makeRequest(target.model_provider, target.api_key, {
+        ...requestOptions,
+        model: target.model_name,
+        timeout_ms: callOptions.timeout_ms || policy.timeout_ms
+      })
+    });
+    usageData = result.usageData;
+    
     // Return response
     res.json({
-      id: logId,
-      response: usageData.response,
-      usage: {
-        input_tokens: usageData.input_tokens,
-        output_tokens: usageData.output_tokens,
-        total_tokens: usageData.total_tokens,
-        cost: usageData.total_cost
-      },
+      id: usageData.id,
+      model_provider: usageData.model_provider,
+      model_name: usageData.model_name,
+      response: safetyCheck.pii.restore(usageData.response),
+      tool_calls: safetyCheck.pii.restoreValue(usageData.tool_calls || []),
+      usage: usageSummary(usageData),
       status: usageData.status,
       response_time_ms: usageData.response_time_ms,
-      safety_flags: usageData.safety_flags
+      safety_flags: usageData.safety_flags,
+      safety_actions: safetyCheck.actions,
+      quality: usageData.quality || null,
+      schema_valid: usageData.schema_valid,
+      schema_errors: usageData.schema_errors,
+      attempts: result.attempts,
+      attempts_cost: totalAttemptsCost(result.attempts)
     });
     
   } catch (error) {
@@ -170,17 +234,166 @@ router.post('/track', async (req, res) => {
   }
 });
 
+// Relay a provider stream to the caller and write the usage log once it ends.
+// If the caller disconnects first, the partial response is logged as 'cancelled'.
+// Attempts that fail before any output is sent are retried or fall back like
+// unstreamed calls, with a 'retry' event telling the caller what happened.
+async function streamTrackedRequest(req, res, pipeline, requestOptions, safetyCheck) {
+  const controller = new AbortController();
+  const firstLogId = uuidv4();
+  let cancelled = false;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Billfrog-Log-Id': firstLogId
+  });
+  
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      cancelled = true;
+      controller.abort();
+    }
+  });
+  
+  try {
+    const { usageData, attempts } = await tracking.trackRequest(req.app, {
+      ...pipeline,
+      firstLogId,
+      signal: controller.signal,
+      callProvider: async (target) => {
+        let started = false;
+        const restorer = safetyCheck.pii.createStreamRestorer();
+        try {
+          const result = await aiProviders.makeStreamingRequest(target.model_provider, target.api_key, {
+            ...requestOptions,
+            model: target.model_name,
+            timeout_ms: requestOptions.timeout_ms || pipeline.policy.timeout_ms
+          }, {
+            signal: controller.signal,
+            onChunk: (content) => {
+              started = true;
+              const restored = restorer.push(content);
+              if (restored) {
+                sendEvent(res, { type: 'chunk', content: restored });
+              }
+            }
+          });
+          const rest = restorer.flush();
+          if (rest) {
+            sendEvent(res, { type: 'chunk', content: rest });
+          }
+          return result;
+        } catch (aiError) {
+          aiError.cancelled = cancelled;
+          aiError.streamStarted = started;
+          throw aiError;
+        }
+      },
+      onAttempt: (attempt) => {
+        if (!cancelled) {
+          sendEvent(res, { type: 'retry', ...attempt });
+        }
+      }
+    });
+    
+    if (cancelled) {
+      return;
+    }
+    
+    if (usageData.status === 'failure') {
+      sendEvent(res, { type: 'error', id: usageData.id, error: usageData.error_message });
+    }
+    
+    sendEvent(res, {
+      type: 'done',
+      id: usageData.id,
+      model_provider: usageData.model_provider,
+      model_name: usageData.model_name,
+      tool_calls: safetyCheck.pii.restoreValue(usageData.tool_calls || []),
+      usage: usageSummary(usageData),
+      status: usageData.status,
+      response_time_ms: usageData.response_time_ms,
+      time_to_first_token_ms: usageData.time_to_first_token_ms,
+      safety_flags: usageData.safety_flags,
+      safety_actions: safetyCheck.actions,
+      quality: usageData.quality || null,
+      schema_valid: usageData.schema_valid,
+      schema_errors: usageData.schema_errors,
+      attempts,
+      attempts_cost: totalAttemptsCost(attempts)
+    });
+    res.end();
+  } catch (error) {
+    console.error('Error tracking streamed usage:', error);
+    if (!cancelled) {
+      sendEvent(res, { type: 'error', error: 'Failed to track usage' });
+      res.end();
+    }
+  }
+}
+
+// Calls a rate filter refused are told when to retry; anything else the
+// filters blocked is forbidden
+function sendBlocked(res, { reasons, retry_after_ms }) {
+  if (retry_after_ms > 0) {
+    return res.status(429).json({
+      error: 'Rate limit exceeded',
+      reasons,
+      retry_after_ms
+    });
+  }
+  
+  return res.status(403).json({
+    error: 'Request blocked by safety filters',
+    reasons
+  });
+}
+
+function usageSummary(usageData) {
+  return {
+    input_tokens: usageData.input_tokens,
+    output_tokens: usageData.output_tokens,
+    total_tokens: usageData.total_tokens,
+    cached_input_tokens: usageData.cached_input_tokens,
+    cache_write_tokens: usageData.cache_write_tokens,
+    estimated_input_tokens: usageData.estimated_input_tokens,
+    estimated_output_tokens: usageData.estimated_output_tokens,
+    source: usageData.usage_source,
+    cost: usageData.total_cost,
+    cost_breakdown: usageData.cost_breakdown || []
+  };
+}
+
+// Cost of the call including every failed attempt before it
+function totalAttemptsCost(attempts) {
+  return attempts.reduce((sum, attempt) => sum + (attempt.cost || 0), 0);
+}
+
+function formatTarget(entry) {
+  return typeof entry === 'string' ? entry : `${entry.model_provider}:${entry.model_name}`;
+}
+
+function sendEvent(res, data) {
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
 // Get usage logs
-router.get('/logs', async (req, res) => {
+router.get('/logs', requirePermission('usage:read'), async (req, res) => {
   try {
     const {
       user_id,
       team_id,
+      project_id,
       start_date,
       end_date,
       model_provider,
       model_name,
       status,
+      replay_of,
+      api_key_id,
+      virtual_key_id,
       limit = 100,
       offset = 0
     } = req.query;
@@ -188,11 +401,16 @@ router.get('/logs', async (req, res) => {
     const filters = {
       user_id,
       team_id,
+      project_id,
       start_date,
       end_date,
       model_provider,
       model_name,
       status,
+      replay_of,
+      api_key_id,
+      virtual_key_id,
+      scope: authService.visibilityScope(req.auth),
       limit: parseInt(limit),
       offset: parseInt(offset)
     };
@@ -209,7 +427,13 @@ router.get('/logs', async (req, res) => {
     // Parse JSON fields
     const parsedLogs = logs.map(log => ({
       ...log,
+      cost_breakdown: JSON.parse(log.cost_breakdown || '[]'),
+      messages: log.messages ? JSON.parse(log.messages) : null,
+      tools: JSON.parse(log.tools || '[]'),
+      tool_calls: JSON.parse(log.tool_calls || '[]'),
       safety_flags: JSON.parse(log.safety_flags || '{}'),
+      quality: log.quality ? JSON.parse(log.quality) : null,
+      schema_errors: log.schema_errors ? JSON.parse(log.schema_errors) : null,
       metadata: JSON.parse(log.metadata || '{}')
     }));
     
@@ -221,7 +445,7 @@ router.get('/logs', async (req, res) => {
 });
 
 // Get usage summary
-router.get('/summary', async (req, res) => {
+router.get('/summary', requirePermission('usage:read'), async (req, res) => {
   try {
     const {
       user_id,
@@ -271,6 +495,12 @@ router.get('/summary', async (req, res) => {
       params.push(end_date);
     }
     
+    const scope = authService.visibilityScope(req.auth);
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+    
     // Group by clause
     switch (group_by) {
       case 'week':
@@ -300,51 +530,141 @@ router.get('/summary', async (req, res) => {
   }
 });
 
-// Retry failed request
-router.post('/retry/:id', async (req, res) => {
+// Replays are attributed to the caller. Admins keep each log's user unless
+// the overrides name another.
+function replayAttribution(auth, overrides) {
+  if (auth.role === 'admin') {
+    return { overrides };
+  }
+  
+  const user_id = authService.attributedUserId(auth, overrides.user_id);
+  if (!user_id) {
+    return { error: 'Only admins may replay calls for another user' };
+  }
+  return { overrides: { ...overrides, user_id } };
+}
+
+// Replay a logged request with its original parameters. The body carries the
+// API key and optional model_provider, model_name and options overrides.
+router.post(['/replay/:id', '/retry/:id'], requirePermission('usage:replay'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { api_key } = req.body;
     
-    // Get the original request
-    const originalLog = await database.getQuery('SELECT * FROM usage_logs WHERE id = ?', [id]);
+    const { error, value } = validator.validateReplay(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
     
-    if (!originalLog) {
+    const originalLog = await database.getQuery('SELECT * FROM usage_logs WHERE id = ?', [id]);
+    if (!originalLog || !authService.canSeeRow(req.auth, originalLog)) {
       return res.status(404).json({ error: 'Usage log not found' });
     }
     
-    if (originalLog.status === 'success') {
-      return res.status(400).json({ error: 'Cannot retry successful request' });
+    const { api_key, api_keys, api_key_id, api_key_ids, ...overrides } = value;
+    const attribution = replayAttribution(req.auth, overrides);
+    if (attribution.error) {
+      return res.status(403).json({ error: attribution.error });
     }
     
-    // Create new tracking request with retry count
-    const retryData = {
-      user_id: originalLog.user_id,
-      team_id: originalLog.team_id,
-      session_id: originalLog.session_id,
-      model_provider: originalLog.model_provider,
-      model_name: originalLog.model_name,
-      prompt: originalLog.prompt,
+    const keys = await keyVault.resolveRequestKeys({
+      model_provider: overrides.model_provider || originalLog.model_provider,
       api_key,
-      options: {
-        retry_of: id,
-        retry_count: originalLog.retry_count + 1
-      }
-    };
+      api_keys,
+      api_key_id,
+      api_key_ids
+    }, req.auth);
+    if (keys.error) {
+      return res.status(keys.status).json({ error: keys.error });
+    }
+    
+    const result = await replay.replayLog(req.app, originalLog, {
+      api_key: keys.api_key,
+      api_keys: keys.api_keys,
+      overrides: attribution.overrides
+    });
     
-    // Forward to the track endpoint
-    req.body = retryData;
-    return router.handle(req, res);
+    if (result.blocked) {
+      res.set(rateLimiter.rateLimitHeaders([], result.retry_after_ms));
+      return sendBlocked(res, result);
+    }
+    
+    const { usageData, attempts } = result;
+    res.json({
+      id: usageData.id,
+      replay_of: id,
+      model_provider: usageData.model_provider,
+      model_name: usageData.model_name,
+      response: usageData.response,
+      tool_calls: usageData.tool_calls || [],
+      usage: usageSummary(usageData),
+      status: usageData.status,
+      response_time_ms: usageData.response_time_ms,
+      safety_flags: usageData.safety_flags,
+      attempts,
+      attempts_cost: totalAttemptsCost(attempts)
+    });
     
   } catch (error) {
-    console.error('Error retrying request:', error);
-    res.status(500).json({ error: 'Failed to retry request' });
+    console.error('Error replaying request:', error);
+    res.status(500).json({ error: 'Failed to replay request' });
+  }
+});
+
+// Replay every log in a time range matching the filters (failures by default).
+// Replays run in the background; progress is sent as replay_progress events.
+router.post('/replay', requirePermission('usage:replay'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateBulkReplay(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { api_key, api_keys, api_key_id, api_key_ids, overrides, ...filters } = value;
+    const attribution = replayAttribution(req.auth, overrides);
+    if (attribution.error) {
+      return res.status(403).json({ error: attribution.error });
+    }
+    
+    const keys = await keyVault.resolveRequestKeys({ api_key, api_keys, api_key_id, api_key_ids }, req.auth);
+    if (keys.error) {
+      return res.status(keys.status).json({ error: keys.error });
+    }
+    
+    const logs = await replay.findReplayCandidates({
+      ...filters,
+      scope: authService.visibilityScope(req.auth)
+    });
+    const replayId = uuidv4();
+    
+    replay.replayLogs(req.app, logs, {
+      api_key: keys.api_key,
+      api_keys: keys.api_keys,
+      overrides: attribution.overrides,
+      replayId,
+      requestedBy: req.auth.user.id
+    })
+      .catch(replayError => console.error('Error running bulk replay:', replayError));
+    
+    res.status(202).json({
+      replay_id: replayId,
+      total: logs.length,
+      log_ids: logs.map(log => log.id),
+      message: 'Replay started'
+    });
+    
+  } catch (error) {
+    console.error('Error starting bulk replay:', error);
+    res.status(500).json({ error: 'Failed to start replay' });
   }
 });
 
 // Get real-time usage metrics
-router.get('/metrics/realtime', async (req, res) => {
+router.get('/metrics/realtime', requirePermission('usage:read'), async (req, res) => {
   try {
+    const scope = authService.visibilityScope(req.auth);
+    const scopeClause = scope ? ` AND ${scope.clause}` : '';
+    const scopeParams = scope ? scope.params : [];
+    
     const metrics = await database.allQuery(`
       SELECT 
         COUNT(*) as calls_last_hour,
@@ -352,8 +672,8 @@ router.get('/metrics/realtime', async (req, res) => {
         SUM(total_tokens) as tokens_last_hour,
         AVG(response_time_ms) as avg_response_time_last_hour
       FROM usage_logs
-      WHERE created_at >= datetime('now', '-1 hour')
-    `);
+      WHERE created_at >= datetime('now', '-1 hour')${scopeClause}
+    `, scopeParams);
     
     const activeModels = await database.allQuery(`
       SELECT 
@@ -362,10 +682,10 @@ router.get('/metrics/realtime', async (req, res) => {
         COUNT(*) as calls,
         SUM(total_cost) as cost
       FROM usage_logs
-      WHERE created_at >= datetime('now', '-1 hour')
+      WHERE created_at >= datetime('now', '-1 hour')${scopeClause}
       GROUP BY model_provider, model_name
       ORDER BY calls DESC
-    `);
+    `, scopeParams);
     
     res.json({
       metrics: metrics[0],
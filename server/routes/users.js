@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../database');
+const teamService = require('../services/teams');
+const authService = require('../services/auth');
+const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
+
+const USER_COLUMNS = 'u.id, u.name, u.email, u.username, u.role, u.last_login_at, u.created_at';
+
+// List users, optionally only the members of ?team_id= or matching ?search=.
+// Only admins see every user; others see themselves and their teammates.
+router.get('/', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { team_id, search, limit = 100, offset = 0 } = req.query;
+
+    let query = `SELECT ${USER_COLUMNS} FROM users u WHERE 1=1`;
+    const params = [];
+
+    if (req.auth.role !== 'admin') {
+      query += ` AND (u.id = ? OR u.id IN (
+        SELECT user_id FROM team_members WHERE team_id IN (${req.auth.team_ids.map(() => '?').join(', ')})
+      ))`;
+      params.push(req.auth.user.id, ...req.auth.team_ids);
+    }
+
+    if (team_id) {
+      query += ' AND u.id IN (SELECT user_id FROM team_members WHERE team_id = ?)';
+      params.push(team_id);
+    }
+
+    if (search) {
+      query += ' AND (u.name LIKE ? OR u.email LIKE ? OR u.id LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    query += ' ORDER BY u.name LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const users = await database.allQuery(query, params);
+
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Get a user and the teams they belong to
+router.get('/:id', requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await teamService.getUser(req.params.id);
+    if (!user || !canSeeUser(req.auth, user)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Create a user. The id may be given to match ids already in usage logs.
+// A user with a username and password can sign in.
+router.post('/', requirePermission('users:write'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateUser(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (value.id && await database.getQuery('SELECT id FROM users WHERE id = ?', [value.id])) {
+      return res.status(409).json({ error: `User ${value.id} already exists` });
+    }
+
+    if (value.email && await findByEmail(value.email)) {
+      return res.status(409).json({ error: `A user with email ${value.email} already exists` });
+    }
+
+    if (value.username && await findByUsername(value.username)) {
+      return res.status(409).json({ error: `Username ${value.username} is taken` });
+    }
+
+    const { password, ...userData } = value;
+    if (password) {
+      userData.password_hash = await authService.hashPassword(password);
+    }
+
+    const id = await database.insertUser(userData);
+
+    res.json({ id, message: 'User created successfully' });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update a user's name, email, username, password or role. Setting a password
+// signs the user out everywhere.
+router.put('/:id', requirePermission('users:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = validator.validateUser(req.body, { update: true });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await database.getQuery('SELECT * FROM users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (value.email) {
+      const existing = await findByEmail(value.email);
+      if (existing && existing.id !== id) {
+        return res.status(409).json({ error: `A user with email ${value.email} already exists` });
+      }
+    }
+
+    if (value.username) {
+      const existing = await findByUsername(value.username);
+      if (existing && existing.id !== id) {
+        return res.status(409).json({ error: `Username ${value.username} is taken` });
+      }
+    }
+
+    if (value.role && value.role !== 'admin' && await isLastAdmin(user)) {
+      return res.status(400).json({ error: 'Cannot remove the role of the last admin' });
+    }
+
+    await database.runQuery('UPDATE users SET name = ?, email = ?, username = ?, role = ? WHERE id = ?', [
+      value.name !== undefined ? value.name : user.name,
+      value.email !== undefined ? value.email : user.email,
+      value.username !== undefined ? value.username : user.username,
+      value.role || user.role,
+      id
+    ]);
+
+    if (value.password) {
+      await database.runQuery('UPDATE users SET password_hash = ? WHERE id = ?', [
+        await authService.hashPassword(value.password),
+        id
+      ]);
+      await database.runQuery('DELETE FROM sessions WHERE user_id = ?', [id]);
+    }
+
+    res.json({ message: 'User updated successfully' });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Delete a user, their team memberships, sessions and API tokens. Usage logs
+// keep the user id.
+router.delete('/:id', requirePermission('users:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await database.getQuery('SELECT * FROM users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (await isLastAdmin(user)) {
+      return res.status(400).json({ error: 'Cannot delete the last admin' });
+    }
+
+    await database.runQuery('DELETE FROM users WHERE id = ?', [id]);
+    await database.runQuery('DELETE FROM team_members WHERE user_id = ?', [id]);
+    await database.runQuery('DELETE FROM sessions WHERE user_id = ?', [id]);
+    await database.runQuery('DELETE FROM api_tokens WHERE user_id = ?', [id]);
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+async function findByEmail(email) {
+  return await database.getQuery('SELECT id FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+}
+
+async function findByUsername(username) {
+  return await database.getQuery('SELECT id FROM users WHERE LOWER(username) = LOWER(?)', [username]);
+}
+
+// Whether the user is the only admin able to sign in
+async function isLastAdmin(user) {
+  if (user.role !== 'admin') {
+    return false;
+  }
+  const { count } = await database.getQuery(
+    "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND password_hash IS NOT NULL AND id != ?",
+    [user.id]
+  );
+  return count === 0;
+}
+
+// Non-admins only see themselves and the members of their teams
+function canSeeUser(auth, user) {
+  return auth.role === 'admin' ||
+    user.id === auth.user.id ||
+    user.teams.some(team => auth.team_ids.includes(team.id));
+}
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const database = require('../database');
+const virtualKeys = require('../services/virtual-keys');
+const keyVault = require('../services/key-vault');
+const authService = require('../services/auth');
+const validator = require('../utils/validator');
+const { requirePermission } = require('../middleware/auth');
+
+// List virtual keys with what each has spent, optionally by ?team_id=,
+// ?user_id= or ?active=true|false. Non-admins see their teams' keys and
+// their own.
+router.get('/', requirePermission('keys:read'), async (req, res) => {
+  try {
+    const { team_id, user_id, active } = req.query;
+
+    let query = `
+      SELECT k.*, COALESCE(SUM(l.total_cost), 0) as spent
+      FROM api_keys k
+      LEFT JOIN usage_logs l ON l.virtual_key_id = k.id
+      WHERE k.key_type = 'virtual'
+    `;
+    const params = [];
+
+    if (team_id) {
+      query += ' AND k.team_id = ?';
+      params.push(team_id);
+    }
+
+    if (user_id) {
+      query += ' AND k.user_id = ?';
+      params.push(user_id);
+    }
+
+    if (active !== undefined) {
+      query += ' AND k.is_active = ?';
+      params.push(active === 'true');
+    }
+
+    const scope = authService.visibilityScope(req.auth, { teamColumn: 'k.team_id', userColumn: 'k.user_id' });
+    if (scope) {
+      query += ` AND ${scope.clause}`;
+      params.push(...scope.params);
+    }
+
+    query += ' GROUP BY k.id ORDER BY k.created_at DESC';
+
+    const rows = await database.allQuery(query, params);
+
+    res.json(rows.map(row => withSpend(row, row.spent)));
+  } catch (error) {
+    console.error('Error fetching virtual keys:', error);
+    res.status(500).json({ error: 'Failed to fetch virtual keys' });
+  }
+});
+
+// Get a virtual key and what it has spent
+router.get('/:id', requirePermission('keys:read'), async (req, res) => {
+  try {
+    const row = await findKey(req.params.id);
+    if (!row || !authService.canSeeRow(req.auth, row)) {
+      return res.status(404).json({ error: 'Virtual key not found' });
+    }
+
+    res.json(withSpend(row, await virtualKeys.getSpend(row.id)));
+  } catch (error) {
+    console.error('Error fetching virtual key:', error);
+    res.status(500).json({ error: 'Failed to fetch virtual key' });
+  }
+});
+
+// Issue a virtual key. The key is only returned in this response. Team
+// managers issue keys for their teams from vault keys they may use.
+router.post('/', requirePermission('keys:manage'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateVirtualKey(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!value.team_id && req.auth.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can issue keys without a team' });
+    }
+
+    const providerKey = await database.getQuery(
+      'SELECT * FROM api_keys WHERE id = ? AND encrypted_key IS NOT NULL',
+      [value.provider_key_id]
+    );
+    if (!providerKey || !keyVault.canUseKey(req.auth, providerKey)) {
+      return res.status(400).json({ error: `API key ${value.provider_key_id} not found` });
+    }
+
+    const { id, key } = await virtualKeys.issueKey({ ...value, created_by: req.auth.user.id });
+
+    res.json({ id, key, message: 'Virtual key issued successfully' });
+  } catch (error) {
+    console.error('Error issuing virtual key:', error);
+    res.status(500).json({ error: 'Failed to issue virtual key' });
+  }
+});
+
+// Change a virtual key's name, cap, models or expiry, or turn it on or off
+router.put('/:id', requirePermission('keys:manage'), async (req, res) => {
+  try {
+    const { error, value } = validator.validateVirtualKey(req.body, { update: true });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const row = await findKey(req.params.id);
+    if (!row || !canManageKey(req.auth, row)) {
+      return res.status(404).json({ error: 'Virtual key not found' });
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (value.name !== undefined) {
+      updates.push('key_name = ?');
+      params.push(value.name);
+    }
+
+    if (value.spend_cap !== undefined) {
+      updates.push('spend_cap = ?');
+      params.push(value.spend_cap);
+    }
+
+    if (value.allowed_models !== undefined) {
+      updates.push('allowed_models = ?');
+      params.push(value.allowed_models.length > 0 ? JSON.stringify(value.allowed_models) : null);
+    }
+
+    if (value.expires_at !== undefined) {
+      updates.push('expires_at = ?');
+      params.push(value.expires_at ? new Date(value.expires_at).toISOString() : null);
+    }
+
+    if (value.is_active !== undefined) {
+      updates.push('is_active = ?');
+      params.push(value.is_active);
+    }
+
+    params.push(row.id);
+    await database.runQuery(`UPDATE api_keys SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    res.json({ message: 'Virtual key updated successfully' });
+  } catch (error) {
+    console.error('Error updating virtual key:', error);
+    res.status(500).json({ error: 'Failed to update virtual key' });
+  }
+});
+
+// Revoke a virtual key. Usage logs keep its id.
+router.delete('/:id', requirePermission('keys:manage'), async (req, res) => {
+  try {
+    const row = await findKey(req.params.id);
+    if (!row || !canManageKey(req.auth, row)) {
+      return res.status(404).json({ error: 'Virtual key not found' });
+    }
+
+    await database.runQuery('DELETE FROM api_keys WHERE id = ?', [row.id]);
+
+    res.json({ message: 'Virtual key revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking virtual key:', error);
+    res.status(500).json({ error: 'Failed to revoke virtual key' });
+  }
+});
+
+async function findKey(id) {
+  return await database.getQuery("SELECT * FROM api_keys WHERE id = ? AND key_type = 'virtual'", [id]);
+}
+
+function withSpend(row, spent) {
+  const key = virtualKeys.formatKey(row);
+  return {
+    ...key,
+    spent,
+    remaining: key.spend_cap === null ? null : Math.max(key.spend_cap - spent, 0)
+  };
+}
+
+// Admins manage every virtual key, team managers their teams' keys
+function canManageKey(auth, row) {
+  return auth.role === 'admin' || (row.team_id && authService.canSeeTeam(auth, row.team_id));
+}
+
+module.exports = router;
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// Import and export price sheets against the local database.
+//
+//   npm run price-sheet -- validate <file>
+//   npm run price-sheet -- export [file] [--format yaml|json] [--at <date>] [--version <v>]
+//   npm run price-sheet -- diff <file>
+//   npm run price-sheet -- apply <file> [--recalculate] [--reason <text>]
+//
+// Output goes to stdout, so an exported sheet can be piped, and progress and
+// errors to stderr.
+const fs = require('fs');
+const path = require('path');
+const database = require('../database');
+const pricingService = require('../services/pricing');
+const priceSheets = require('../services/price-sheets');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        args[name] = true;
+      } else {
+        args[name] = next;
+        i++;
+      }
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function readSheet(file) {
+  if (!file) {
+    throw new Error('A price sheet file is required');
+  }
+
+  const { sheet, errors } = priceSheets.loadSheet(fs.readFileSync(file, 'utf8'));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`  ${error.field || '(sheet)'}: ${error.message}`));
+    throw new Error(`Invalid price sheet ${file}`);
+  }
+  return sheet;
+}
+
+function formatRates(rates) {
+  return Object.entries(rates)
+    .map(([field, value]) => `${field}=${JSON.stringify(value)}`)
+    .join(' ');
+}
+
+function printDiff(diff) {
+  const last = diff.last_applied;
+  process.stdout.write(`Price sheet ${diff.version}` +
+    (last ? ` (last applied: ${last.version} at ${last.applied_at})` : '') + '\n');
+
+  diff.entries.forEach(entry => {
+    const model = `${entry.provider}:${entry.model_name} from ${entry.effective_date}`;
+    if (entry.status === 'error') {
+      process.stdout.write(`  ! ${model}  ${entry.error}\n`);
+    } else if (entry.status === 'added') {
+      process.stdout.write(`  + ${model}  ${formatRates(entry.rates)}\n`);
+    } else if (entry.status === 'changed') {
+      const changes = Object.entries(entry.changes)
+        .map(([field, change]) => `${field} ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`)
+        .join(', ');
+      process.stdout.write(`  ~ ${model}  ${changes}\n`);
+    }
+  });
+
+  diff.not_in_sheet.forEach(model => {
+    process.stdout.write(`  ? ${model.provider}:${model.model_name} is priced but not in the sheet\n`);
+  });
+
+  const { summary } = diff;
+  process.stdout.write(`${summary.added} added, ${summary.changed} changed, ` +
+    `${summary.unchanged} unchanged, ${summary.errors} errors, ${summary.not_in_sheet} not in sheet\n`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, file] = args._;
+
+  switch (command) {
+    case 'validate': {
+      const sheet = readSheet(file);
+      process.stdout.write(`Price sheet ${sheet.version} is valid (${sheet.prices.length} prices)\n`);
+      return;
+    }
+
+    case 'export': {
+      const format = args.format || (file && path.extname(file) === '.json' ? 'json' : 'yaml');
+      if (!['yaml', 'json'].includes(format)) {
+        throw new Error('--format must be yaml or json');
+      }
+      if (args.at && !pricingService.isValidTimestamp(args.at)) {
+        throw new Error('Invalid --at date');
+      }
+
+      await database.initializeDatabase({ quiet: true });
+      const sheet = await priceSheets.exportSheet({ at: args.at, version: args.version });
+      const text = priceSheets.serializeSheet(sheet, format);
+      if (file) {
+        fs.writeFileSync(file, text);
+        console.error(`Exported ${sheet.prices.length} prices to ${file}`);
+      } else {
+        process.stdout.write(text);
+      }
+      return;
+    }
+
+    case 'diff': {
+      const sheet = readSheet(file);
+      await database.initializeDatabase({ quiet: true });
+      printDiff(await priceSheets.diffSheet(sheet));
+      return;
+    }
+
+    case 'apply': {
+      const sheet = readSheet(file);
+      await database.initializeDatabase({ quiet: true });
+      const result = await priceSheets.applySheet(sheet, {
+        source: 'cli',
+        recalculate: Boolean(args.recalculate),
+        reason: typeof args.reason === 'string' ? args.reason : undefined
+      });
+      printDiff(result);
+      if (!result.applied) {
+        throw new Error('Price sheet not applied');
+      }
+      (result.recalculations || []).forEach(summary => {
+        process.stdout.write(`Repriced ${summary.logs_adjusted} of ${summary.logs_checked} logs ` +
+          `(batch ${summary.batch_id})\n`);
+      });
+      return;
+    }
+
+    default:
+      throw new Error('Usage: price-sheet <validate|export|diff|apply> [file] [options]');
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
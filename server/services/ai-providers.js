@@ -1,48 +1,20 @@
 const axios = require('axios');
-
-// AI Provider configurations
-const PROVIDERS = {
-  openai: {
-    name: 'OpenAI',
-    baseUrl: 'https://api.openai.com/v1',
-    models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo', 'gpt-4-1106-preview'],
-    headers: (apiKey) => ({
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    })
-  },
-  anthropic: {
-    name: 'Anthropic',
-    baseUrl: 'https://api.anthropic.com/v1',
-    models: ['claude-3-opus-20240229', 'claude-3-sonnet-20240229', 'claude-3-haiku-20240307'],
-    headers: (apiKey) => ({
-      'x-api-key': apiKey,
-      'Content-Type': 'application/json',
-      'anthropic-version': '2023-06-01'
-    })
-  },
-  google: {
-    name: 'Google',
-    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
-    models: ['gemini-pro', 'gemini-pro-vision'],
-    headers: (apiKey) => ({
-      'Content-Type': 'application/json'
-    })
-  }
-};
+const { StringDecoder } = require('string_decoder');
+const chatMessages = require('../utils/chat-messages');
+const providerRegistry = require('./providers');
 
 // Test API key for a provider
 async function testApiKey(provider, apiKey, modelName) {
   try {
-    const providerConfig = PROVIDERS[provider.toLowerCase()];
-    if (!providerConfig) {
+    const adapter = providerRegistry.getAdapter(provider);
+    if (!adapter) {
       return { success: false, message: 'Unsupported provider' };
     }
     
     const testPrompt = 'Hello, this is a test message. Please respond with "Test successful".';
     
     const response = await makeRequest(provider, apiKey, {
-      model: modelName || providerConfig.models[0],
+      model: modelName || adapter.models[0],
       prompt: testPrompt,
       max_tokens: 50
     });
@@ -51,8 +23,8 @@ async function testApiKey(provider, apiKey, modelName) {
       success: true,
       message: 'API key is valid',
       modelInfo: {
-        provider: providerConfig.name,
-        model: modelName || providerConfig.models[0],
+        provider: adapter.name,
+        model: modelName || adapter.models[0],
         response: response.response
       }
     };
@@ -66,161 +38,295 @@ async function testApiKey(provider, apiKey, modelName) {
 
 // Make request to AI provider
 async function makeRequest(provider, apiKey, options) {
-  const providerConfig = PROVIDERS[provider.toLowerCase()];
-  if (!providerConfig) {
-    throw new Error(`Unsupported provider: ${provider}`);
-  }
+  const adapter = providerRegistry.requireAdapter(provider);
   
-  const { model, prompt, max_tokens = 1000, temperature = 0.7 } = options;
+  const { model, max_tokens = 1000, temperature = 0.7, timeout_ms } = options;
+  const request = buildChatRequest(options);
   
   try {
-    let response;
+    const payload = adapter.buildPayload(model, request, max_tokens, temperature);
     
-    switch (provider.toLowerCase()) {
-      case 'openai':
-        response = await makeOpenAIRequest(apiKey, model, prompt, max_tokens, temperature);
-        break;
-      case 'anthropic':
-        response = await makeAnthropicRequest(apiKey, model, prompt, max_tokens, temperature);
-        break;
-      case 'google':
-        response = await makeGoogleRequest(apiKey, model, prompt, max_tokens, temperature);
-        break;
-      default:
-        throw new Error(`Unsupported provider: ${provider}`);
-    }
+    const response = await axios.post(adapter.chatUrl(model, apiKey), payload, {
+      headers: adapter.headers(apiKey),
+      timeout: timeout_ms
+    });
     
-    return response;
+    return parseResponse(adapter, response.data, model);
   } catch (error) {
-    throw new Error(`${provider} API error: ${error.message}`);
+    throw wrapProviderError(provider, error);
   }
 }
 
-// OpenAI API request
-async function makeOpenAIRequest(apiKey, model, prompt, maxTokens, temperature) {
-  const url = `${PROVIDERS.openai.baseUrl}/chat/completions`;
+// Canonical request from makeRequest options: a bare `prompt` or a `messages`
+// conversation (plus optional top-level `system`), with optional tools
+function buildChatRequest(options) {
+  const { prompt, messages, system, tools, tool_choice } = options;
   
-  const payload = {
-    model: model,
-    messages: [
-      { role: 'user', content: prompt }
-    ],
-    max_tokens: maxTokens,
-    temperature: temperature
+  return {
+    messages: chatMessages.buildConversation({ prompt, messages, system }),
+    tools: chatMessages.normalizeTools(tools),
+    tool_choice
   };
+}
+
+// Normalize a raw response body into the makeRequest result shape
+function parseResponse(adapter, data, model) {
+  return {
+    response: adapter.extractText(data),
+    tool_calls: adapter.extractToolCalls(data),
+    model: data.model || model,
+    finish_reason: adapter.extractFinishReason(data),
+    usage: adapter.extractUsage(data)
+  };
+}
+
+// Forward a request body to a provider's chat endpoint without reshaping it
+async function forwardRequest(provider, apiKey, body) {
+  const adapter = providerRegistry.requireAdapter(provider);
   
-  const response = await axios.post(url, payload, {
-    headers: PROVIDERS.openai.headers(apiKey)
-  });
+  try {
+    const response = await axios.post(adapter.chatUrl(body.model, apiKey), body, {
+      headers: adapter.headers(apiKey)
+    });
+    
+    return {
+      data: response.data,
+      ...parseResponse(adapter, response.data, body.model)
+    };
+  } catch (error) {
+    throw wrapProviderError(provider, error);
+  }
+}
+
+// Keep the upstream status and body so callers can relay them
+function wrapProviderError(provider, error) {
+  const wrapped = new Error(`${provider} API error: ${error.message}`);
+  wrapped.code = error.code;
+  if (error.response) {
+    wrapped.status = error.response.status;
+    wrapped.data = error.response.data;
+    wrapped.headers = error.response.headers;
+  }
+  return wrapped;
+}
+
+// Normalize a raw provider response body into prompt/completion token counts
+function extractUsage(provider, data) {
+  const adapter = providerRegistry.getAdapter(provider);
+  return adapter ? adapter.extractUsage(data) : null;
+}
+
+// Tool calls from a raw provider response, in canonical OpenAI form
+function extractToolCalls(provider, data) {
+  const adapter = providerRegistry.getAdapter(provider);
+  return adapter ? adapter.extractToolCalls(data) : [];
+}
+
+// Make a streaming request, calling onChunk with each text delta as it arrives.
+// Resolves with the same shape as makeRequest plus time_to_first_token_ms. On
+// failure or abort the thrown error carries whatever was received in `partial`.
+async function makeStreamingRequest(provider, apiKey, options, { onChunk, signal } = {}) {
+  const adapter = providerRegistry.requireAdapter(provider);
   
-  const choice = response.data.choices[0];
-  const usage = response.data.usage;
+  const { model, max_tokens = 1000, temperature = 0.7, timeout_ms } = options;
+  const request = buildChatRequest(options);
   
-  return {
-    response: choice.message.content,
-    model: response.data.model,
-    finish_reason: choice.finish_reason,
-    usage: {
-      prompt_tokens: usage.prompt_tokens,
-      completion_tokens: usage.completion_tokens,
-      total_tokens: usage.total_tokens
-    }
-  };
+  const url = adapter.chatUrl(model, apiKey, { stream: true });
+  const payload = adapter.streamPayload(adapter.buildPayload(model, request, max_tokens, temperature));
+  const accumulator = createStreamAccumulator(adapter, model);
+  
+  try {
+    await streamEvents(url, payload, adapter.headers(apiKey), { signal, timeout: timeout_ms }, (rawEvent, data) => {
+      if (!data) return;
+      const text = accumulator.add(data);
+      if (text && onChunk) {
+        onChunk(text);
+      }
+    });
+  } catch (error) {
+    const wrapped = await wrapStreamError(provider, error);
+    wrapped.partial = accumulator.result();
+    throw wrapped;
+  }
+  
+  return accumulator.result();
 }
 
-// Anthropic API request
-async function makeAnthropicRequest(apiKey, model, prompt, maxTokens, temperature) {
-  const url = `${PROVIDERS.anthropic.baseUrl}/messages`;
+// Forward a streaming request body unchanged, handing each raw SSE event to
+// onEvent while accumulating text and usage for logging
+async function forwardStreamingRequest(provider, apiKey, body, { onEvent, signal } = {}) {
+  const adapter = providerRegistry.requireAdapter(provider);
+  const accumulator = createStreamAccumulator(adapter, body.model);
   
-  const payload = {
-    model: model,
-    max_tokens: maxTokens,
-    temperature: temperature,
-    messages: [
-      { role: 'user', content: prompt }
-    ]
-  };
+  try {
+    await streamEvents(adapter.chatUrl(body.model, apiKey, { stream: true }), body, adapter.headers(apiKey), { signal }, (rawEvent, data) => {
+      if (data) {
+        accumulator.add(data);
+      }
+      onEvent(rawEvent, data);
+    });
+  } catch (error) {
+    const wrapped = await wrapStreamError(provider, error);
+    wrapped.partial = accumulator.result();
+    throw wrapped;
+  }
   
+  return accumulator.result();
+}
+
+// POST a request and call onEvent(rawEvent, data) for every server-sent event.
+// `data` is the parsed JSON payload, or null for non-JSON events such as [DONE].
+async function streamEvents(url, payload, headers, { signal, timeout } = {}, onEvent) {
   const response = await axios.post(url, payload, {
-    headers: PROVIDERS.anthropic.headers(apiKey)
+    headers,
+    responseType: 'stream',
+    signal,
+    timeout
   });
   
-  const content = response.data.content[0];
-  const usage = response.data.usage;
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
   
-  return {
-    response: content.text,
-    model: response.data.model,
-    finish_reason: response.data.stop_reason,
-    usage: {
-      prompt_tokens: usage.input_tokens,
-      completion_tokens: usage.output_tokens,
-      total_tokens: usage.input_tokens + usage.output_tokens
+  const dispatch = (rawEvent) => {
+    const dataLines = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''));
+    
+    if (dataLines.length === 0) {
+      return;
     }
+    
+    let data = null;
+    try {
+      data = JSON.parse(dataLines.join('\n'));
+    } catch (error) {
+      // Sentinels like [DONE] are relayed but carry no payload
+    }
+    
+    onEvent(rawEvent, data);
   };
+  
+  for await (const chunk of response.data) {
+    buffer += decoder.write(chunk);
+    
+    let match;
+    while ((match = /\r?\n\r?\n/.exec(buffer)) !== null) {
+      const rawEvent = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      dispatch(rawEvent);
+    }
+  }
+  
+  buffer += decoder.end();
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
 }
 
-// Google API request
-async function makeGoogleRequest(apiKey, model, prompt, maxTokens, temperature) {
-  const url = `${PROVIDERS.google.baseUrl}/models/${model}:generateContent?key=${apiKey}`;
+// Collect streamed deltas into a makeRequest-style result. The adapter reads
+// each event and reports text, tool call fragments and usage through `stream`.
+function createStreamAccumulator(adapter, model) {
+  const startedAt = Date.now();
+  const state = {
+    response: '',
+    model: model,
+    finish_reason: undefined,
+    usage: null,
+    time_to_first_token_ms: null
+  };
+  // Tool calls are assembled from fragments keyed by their position
+  const toolCalls = [];
   
-  const payload = {
-    contents: [
-      {
-        parts: [
-          { text: prompt }
-        ]
+  const stream = {
+    state,
+    
+    append(text) {
+      if (!text) {
+        return '';
+      }
+      if (state.time_to_first_token_ms === null) {
+        state.time_to_first_token_ms = Date.now() - startedAt;
+      }
+      state.response += text;
+      return text;
+    },
+    
+    toolCallAt(index) {
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: undefined, type: 'function', function: { name: '', arguments: '' } };
       }
-    ],
-    generationConfig: {
-      maxOutputTokens: maxTokens,
-      temperature: temperature
+      return toolCalls[index];
+    },
+    
+    // Complete calls without ids are numbered in arrival order
+    addToolCall(call) {
+      toolCalls.push({ id: `call_${toolCalls.length}`, ...call });
     }
   };
   
-  const response = await axios.post(url, payload, {
-    headers: PROVIDERS.google.headers(apiKey)
-  });
-  
-  const candidate = response.data.candidates[0];
-  const usage = response.data.usageMetadata;
-  
   return {
-    response: candidate.content.parts[0].text,
-    model: model,
-    finish_reason: candidate.finishReason,
-    usage: {
-      prompt_tokens: usage.promptTokenCount,
-      completion_tokens: usage.candidatesTokenCount,
-      total_tokens: usage.totalTokenCount
+    // Returns the text delta contained in this event, if any
+    add(data) {
+      return adapter.applyStreamEvent(data, stream) || '';
+    },
+    
+    result() {
+      // Cached and cache-write token counts are kept for billing
+      const usage = state.usage ? {
+        prompt_tokens: state.usage.prompt_tokens || 0,
+        completion_tokens: state.usage.completion_tokens || 0,
+        total_tokens: (state.usage.prompt_tokens || 0) + (state.usage.completion_tokens || 0),
+        cached_tokens: state.usage.cached_tokens || 0,
+        cache_write_tokens: state.usage.cache_write_tokens || 0
+      } : null;
+      
+      // Anthropic indexes tool_use blocks among text blocks, leaving gaps
+      const tool_calls = toolCalls
+        .filter(Boolean)
+        .map(call => ({ ...call, function: { ...call.function, arguments: call.function.arguments || '{}' } }));
+      
+      return { ...state, tool_calls, usage };
     }
   };
 }
 
+// Streamed error bodies arrive as a stream too; read them before wrapping
+async function wrapStreamError(provider, error) {
+  if (error.response && error.response.data && typeof error.response.data.on === 'function') {
+    let body = '';
+    try {
+      for await (const chunk of error.response.data) {
+        body += chunk.toString();
+      }
+      error.response.data = JSON.parse(body);
+    } catch (readError) {
+      error.response.data = body ? { error: { message: body } } : null;
+    }
+  }
+  
+  const wrapped = wrapProviderError(provider, error);
+  wrapped.cancelled = axios.isCancel(error) || error.name === 'AbortError' || error.code === 'ERR_CANCELED';
+  return wrapped;
+}
+
 // Get available models for a provider
 async function getAvailableModels(provider) {
-  const providerConfig = PROVIDERS[provider.toLowerCase()];
-  if (!providerConfig) {
-    throw new Error(`Unsupported provider: ${provider}`);
-  }
+  const adapter = providerRegistry.requireAdapter(provider);
   
   return {
-    provider: providerConfig.name,
-    models: providerConfig.models.map(model => ({
+    provider: adapter.name,
+    models: adapter.models.map(model => ({
       id: model,
       name: model,
-      description: `${providerConfig.name} ${model}`
+      description: `${adapter.name} ${model}`
     }))
   };
 }
 
-// Get all supported providers
+// Get all supported providers, including user-defined ones
 function getAllProviders() {
-  return Object.keys(PROVIDERS).map(key => ({
-    id: key,
-    name: PROVIDERS[key].name,
-    models: PROVIDERS[key].models
-  }));
+  return providerRegistry.listProviders();
 }
 
 // Estimate token count for a provider
@@ -244,8 +350,12 @@ function estimateTokenCount(text, provider) {
 module.exports = {
   testApiKey,
   makeRequest,
+  forwardRequest,
+  makeStreamingRequest,
+  forwardStreamingRequest,
+  extractUsage,
+  extractToolCalls,
   getAvailableModels,
   getAllProviders,
-  estimateTokenCount,
-  PROVIDERS
-};
\ No newline at end of file
+  estimateTokenCount
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Delivery of alerts to each kind of channel. Every sender takes the
+// channel's parsed config and an alert { source, severity, title, message,
+// details, created_at } and resolves once the receiving end accepted it.
+
+const SEND_TIMEOUT_MS = 10000;
+
+const SEVERITY_COLORS = {
+  info: '#0088cc',
+  warning: '#ff9800',
+  critical: '#f44336'
+};
+
+// Generic webhook: the alert as JSON. With a secret the body is signed as
+// HMAC-SHA256 of `${timestamp}.${body}`, sent as X-Billfrog-Signature:
+// sha256=<hex> with the timestamp in X-Billfrog-Timestamp.
+async function sendWebhook(config, alert) {
+  const body = JSON.stringify(alert);
+  const headers = { 'Content-Type': 'application/json', ...(config.headers || {}) };
+
+  if (config.secret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    headers['X-Billfrog-Timestamp'] = timestamp;
+    headers['X-Billfrog-Signature'] = 'sha256=' + signPayload(config.secret, timestamp, body);
+  }
+
+  await axios.post(config.url, body, { headers, timeout: SEND_TIMEOUT_MS });
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Slack incoming webhook
+async function sendSlack(config, alert) {
+  await axios.post(config.url, {
+    text: `[${alert.severity.toUpperCase()}] ${alert.title}`,
+    attachments: [{
+      color: SEVERITY_COLORS[alert.severity],
+      text: alert.message,
+      fields: detailFields(alert).map(([title, value]) => ({ title, value, short: true })),
+      footer: `billfrog ${alert.source} alert`,
+      ts: Math.floor(new Date(alert.created_at).getTime() / 1000)
+    }]
+  }, { timeout: SEND_TIMEOUT_MS });
+}
+
+// Microsoft Teams incoming webhook (MessageCard)
+async function sendTeams(config, alert) {
+  await axios.post(config.url, {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: alert.title,
+    themeColor: SEVERITY_COLORS[alert.severity].slice(1),
+    title: `[${alert.severity.toUpperCase()}] ${alert.title}`,
+    text: alert.message,
+    sections: [{
+      facts: detailFields(alert).map(([name, value]) => ({ name, value }))
+    }]
+  }, { timeout: SEND_TIMEOUT_MS });
+}
+
+// Email through the SMTP server in SMTP_HOST
+async function sendEmail(config, alert) {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP is not configured: set SMTP_HOST');
+  }
+
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    connectionTimeout: SEND_TIMEOUT_MS,
+    greetingTimeout: SEND_TIMEOUT_MS,
+    socketTimeout: SEND_TIMEOUT_MS
+  });
+
+  const fields = detailFields(alert).map(([name, value]) => `${name}: ${value}`);
+
+  await transport.sendMail({
+    from: process.env.ALERT_EMAIL_FROM || 'billfrog@localhost',
+    to: config.to.join(', '),
+    subject: `[billfrog ${alert.severity}] ${alert.title}`,
+    text: [alert.message, '', ...fields].join('\n')
+  });
+}
+
+// Scalar details worth showing as fields in chat and email messages
+function detailFields(alert) {
+  return Object.entries(alert.details || {})
+    .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+    .map(([name, value]) => [name, String(value)]);
+}
+
+const SENDERS = {
+  webhook: sendWebhook,
+  email: sendEmail,
+  slack: sendSlack,
+  teams: sendTeams
+};
+
+const CHANNEL_TYPES = Object.keys(SENDERS);
+
+async function send(channel, config, alert) {
+  const sender = SENDERS[channel.type];
+  if (!sender) {
+    throw new Error(`Unknown alert channel type: ${channel.type}`);
+  }
+  await sender(config, alert);
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  send,
+  signPayload
+};
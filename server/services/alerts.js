@@ -0,0 +1,132 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const senders = require('./alert-senders');
+
+// Alerts are raised by safety filters and budgets and sent to every active
+// channel that takes their source and severity. An alert raised again with
+// the same dedup_key within a channel's cooldown is not sent again; it is
+// counted on the history row of the one that was.
+const SEVERITIES = ['info', 'warning', 'critical'];
+const SOURCES = ['filter', 'budget'];
+
+// Cooldown for alerts no channel takes, which are only recorded
+const UNROUTED_COOLDOWN_MINUTES = 15;
+
+// Raise an alert { source, source_id, severity, title, message, details,
+// dedup_key }. Resolves with the outcome per channel.
+async function raise(alert) {
+  const event = { ...alert, details: alert.details || {}, created_at: new Date().toISOString() };
+  const channels = await getMatchingChannels(event);
+
+  if (channels.length === 0) {
+    const folded = await foldIntoRecent(null, event.dedup_key, UNROUTED_COOLDOWN_MINUTES);
+    const id = folded || await insertHistory(uuidv4(), null, event, 'unrouted');
+    return [{ channel_id: null, status: folded ? 'suppressed' : 'unrouted', alert_id: id }];
+  }
+
+  const results = [];
+  for (const channel of channels) {
+    results.push(await deliver(channel, event));
+  }
+  return results;
+}
+
+// Raise an alert without waiting for delivery, for use on request paths
+function emit(alert) {
+  raise(alert).catch(error => console.error('Error raising alert:', error));
+}
+
+// Send an alert to one channel unless it is within the channel's cooldown.
+// `force` skips the cooldown, as for test sends.
+async function deliver(channel, alert, { force = false } = {}) {
+  if (!force) {
+    const folded = await foldIntoRecent(channel.id, alert.dedup_key, channel.cooldown_minutes);
+    if (folded) {
+      return { channel_id: channel.id, status: 'suppressed', alert_id: folded };
+    }
+  }
+
+  const id = uuidv4();
+  let status = 'sent';
+  let error = null;
+
+  try {
+    await senders.send(channel, JSON.parse(channel.config), { id, ...alert });
+  } catch (sendError) {
+    console.error(`Error sending alert to channel ${channel.name}:`, sendError.message);
+    status = 'failed';
+    error = sendError.message;
+  }
+
+  await insertHistory(id, channel.id, alert, status, error);
+  return { channel_id: channel.id, status, error, alert_id: id };
+}
+
+// Send a test alert to a channel, ignoring its sources, severity and cooldown
+async function sendTest(channel) {
+  return await deliver(channel, {
+    source: 'test',
+    source_id: channel.id,
+    severity: 'info',
+    title: 'Test alert from billfrog',
+    message: `Alerts for channel "${channel.name}" are set up correctly.`,
+    details: { channel: channel.name, type: channel.type },
+    dedup_key: `test:${channel.id}:${uuidv4()}`,
+    created_at: new Date().toISOString()
+  }, { force: true });
+}
+
+async function getMatchingChannels(alert) {
+  const channels = await database.allQuery('SELECT * FROM alert_channels WHERE is_active = 1');
+  const rank = SEVERITIES.indexOf(alert.severity);
+
+  return channels.filter(channel => {
+    const sources = channel.sources ? JSON.parse(channel.sources) : null;
+    return (!sources || sources.includes(alert.source)) &&
+      rank >= SEVERITIES.indexOf(channel.min_severity || 'warning');
+  });
+}
+
+// Count a repeat of an alert sent to the channel within `minutes`. Resolves
+// with the history row it was counted on, or null.
+async function foldIntoRecent(channelId, dedupKey, minutes) {
+  const recent = await database.getQuery(`
+    SELECT id FROM alert_history
+    WHERE channel_id IS ? AND dedup_key = ? AND status IN ('sent', 'unrouted')
+      AND created_at > datetime('now', ?)
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [channelId, dedupKey, `-${minutes || 0} minutes`]);
+
+  if (!recent) {
+    return null;
+  }
+
+  await database.runQuery(`
+    UPDATE alert_history
+    SET occurrences = occurrences + 1, last_occurred_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [recent.id]);
+  return recent.id;
+}
+
+async function insertHistory(id, channelId, alert, status, error = null) {
+  await database.runQuery(`
+    INSERT INTO alert_history (
+      id, channel_id, source, source_id, dedup_key, severity, title, message, details, status, error
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    id, channelId, alert.source, alert.source_id || null, alert.dedup_key, alert.severity,
+    alert.title, alert.message || null, JSON.stringify(alert.details || {}), status, error
+  ]);
+  return id;
+}
+
+module.exports = {
+  SEVERITIES,
+  SOURCES,
+  raise,
+  emit,
+  sendTest
+};
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+
+const scrypt = promisify(crypto.scrypt);
+
+// System roles, most privileged first. Admins see and manage everything; every
+// other role only sees usage of the teams it belongs to and its own.
+const ROLES = ['admin', 'team-manager', 'member', 'viewer'];
+const DEFAULT_ROLE = 'viewer';
+
+const READ_PERMISSIONS = [
+  'usage:read', 'reports:read', 'receipts:read', 'pricing:read', 'providers:read',
+  'currencies:read', 'users:read', 'teams:read', 'keys:read', 'budgets:read', 'incidents:read'
+];
+
+// What each role may do. Admins may do anything.
+const PERMISSIONS = {
+  admin: ['*'],
+  'team-manager': [...READ_PERMISSIONS, 'usage:track', 'usage:replay', 'filters:read', 'teams:manage', 'keys:manage', 'budgets:manage', 'incidents:manage'],
+  member: [...READ_PERMISSIONS, 'usage:track', 'usage:replay'],
+  viewer: READ_PERMISSIONS
+};
+
+const SESSION_COOKIE = 'billfrog_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+const API_TOKEN_PREFIX = 'bft_';
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Hash a password as scrypt$N$r$p$salt$key so the cost can be raised later
+// without invalidating stored hashes
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, key] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !key) {
+    return false;
+  }
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Sessions and API tokens are stored as SHA-256 hashes only
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Check a username and password. Resolves with the user, or null.
+async function login(username, password) {
+  const user = await database.getQuery(
+    'SELECT * FROM users WHERE LOWER(username) = LOWER(?)',
+    [username]
+  );
+
+  if (!user || !user.password_hash || !(await verifyPassword(password, user.password_hash))) {
+    return null;
+  }
+
+  await database.runQuery('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+  return user;
+}
+
+// Start a session. Resolves with the token to hand to the client.
+async function createSession(userId, { user_agent } = {}) {
+  const token = randomToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  await database.runQuery(`
+    INSERT INTO sessions (id, user_id, user_agent, expires_at)
+    VALUES (?, ?, ?, ?)
+  `, [hashToken(token), userId, user_agent || null, expiresAt]);
+
+  return { token, expires_at: expiresAt };
+}
+
+// Issue an API token. The token itself is only returned here.
+async function createApiToken(userId, { name, expires_at }) {
+  const id = uuidv4();
+  const token = API_TOKEN_PREFIX + randomToken();
+
+  await database.runQuery(`
+    INSERT INTO api_tokens (id, user_id, name, token_hash, prefix, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [id, userId, name, hashToken(token), token.slice(0, API_TOKEN_PREFIX.length + 6), expires_at || null]);
+
+  return { id, token };
+}
+
+// User a session or API token belongs to, or null when it is unknown,
+// expired or revoked
+async function resolveToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    const row = await database.getQuery(`
+      SELECT id FROM api_tokens
+      WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    `, [hashToken(token), now]);
+    if (!row) {
+      return null;
+    }
+
+    await database.runQuery('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+    const user = await database.getQuery(
+      'SELECT u.* FROM users u JOIN api_tokens t ON t.user_id = u.id WHERE t.id = ?',
+      [row.id]
+    );
+    return user && { user, via: 'token', token_id: row.id };
+  }
+
+  const session = await database.getQuery(
+    'SELECT * FROM sessions WHERE id = ? AND expires_at > ?',
+    [hashToken(token), now]
+  );
+  if (!session) {
+    return null;
+  }
+
+  await database.runQuery('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id]);
+  const user = await database.getQuery('SELECT * FROM users WHERE id = ?', [session.user_id]);
+  return user && { user, via: 'session', session_id: session.id };
+}
+
+// Token of a request: a Bearer Authorization header, else the session cookie
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+// What a signed-in user may do and see, attached to requests as req.auth
+async function buildContext({ user, via, token_id, session_id }) {
+  const role = ROLES.includes(user.role) ? user.role : DEFAULT_ROLE;
+  const teams = await database.getUserTeams(user.id);
+
+  return {
+    user: publicUser(user),
+    role,
+    team_ids: teams.map(team => team.id),
+    via,
+    token_id,
+    session_id
+  };
+}
+
+async function authenticateRequest(req) {
+  return await authenticateToken(tokenFromRequest(req));
+}
+
+// Context of a session or API token, or null when it is not valid
+async function authenticateToken(token) {
+  const resolved = await resolveToken(token);
+  return resolved ? await buildContext(resolved) : null;
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    role: user.role || DEFAULT_ROLE,
+    last_login_at: user.last_login_at
+  };
+}
+
+function permissionsFor(role) {
+  return PERMISSIONS[role] || [];
+}
+
+function can(context, permission) {
+  const permissions = permissionsFor(context.role);
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+function canSeeTeam(context, teamId) {
+  return context.role === 'admin' || context.team_ids.includes(teamId);
+}
+
+// Whether a usage log, receipt or other row with team_id and user_id is visible
+function canSeeRow(context, row) {
+  return context.role === 'admin' ||
+    context.team_ids.includes(row.team_id) ||
+    row.user_id === context.user.id;
+}
+
+// User a tracked call or replay is attributed to: the caller, unless an admin
+// names someone else. Returns null when anyone else names another user.
+function attributedUserId(context, userId) {
+  if (!userId || userId === context.user.id) {
+    return context.user.id;
+  }
+  return context.role === 'admin' ? userId : null;
+}
+
+// SQL condition limiting rows to the user's teams and their own, or null for
+// admins. Append as ` AND ${scope.clause}` with scope.params.
+function visibilityScope(context, { teamColumn = 'team_id', userColumn = 'user_id' } = {}) {
+  if (context.role === 'admin') {
+    return null;
+  }
+
+  const conditions = [`${userColumn} = ?`];
+  const params = [context.user.id];
+  if (context.team_ids.length > 0) {
+    conditions.unshift(`${teamColumn} IN (${context.team_ids.map(() => '?').join(', ')})`);
+    params.unshift(...context.team_ids);
+  }
+
+  return { clause: `(${conditions.join(' OR ')})`, params };
+}
+
+// Make sure someone can sign in: when there is no admin with a password, the
+// ADMIN_USERNAME user (default "admin") is created or promoted with
+// ADMIN_PASSWORD, or a generated password printed once.
+async function ensureAdminUser() {
+  const admin = await database.getQuery(
+    "SELECT id FROM users WHERE role = 'admin' AND password_hash IS NOT NULL LIMIT 1"
+  );
+  if (admin) {
+    return;
+  }
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || randomToken().slice(0, 16);
+  const passwordHash = await hashPassword(password);
+
+  const existing = await database.getQuery(
+    'SELECT id FROM users WHERE LOWER(username) = LOWER(?)',
+    [username]
+  );
+  if (existing) {
+    await database.runQuery(
+      "UPDATE users SET role = 'admin', password_hash = ? WHERE id = ?",
+      [passwordHash, existing.id]
+    );
+  } else {
+    await database.insertUser({ name: 'Administrator', username, role: 'admin', password_hash: passwordHash });
+  }
+
+  if (process.env.ADMIN_PASSWORD) {
+    console.log(`Admin user "${username}" set up with ADMIN_PASSWORD`);
+  } else {
+    console.log(`Admin user "${username}" created with password: ${password}`);
+    console.log('Change it after signing in (POST /api/auth/password)');
+  }
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  SESSION_COOKIE,
+  SESSION_TTL_HOURS,
+  API_TOKEN_PREFIX,
+  hashPassword,
+  verifyPassword,
+  login,
+  createSession,
+  createApiToken,
+  authenticateRequest,
+  authenticateToken,
+  buildContext,
+  publicUser,
+  permissionsFor,
+  can,
+  canSeeTeam,
+  canSeeRow,
+  attributedUserId,
+  visibilityScope,
+  ensureAdminUser
+};
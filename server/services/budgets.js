@@ -0,0 +1,192 @@
+const moment = require('moment');
+const database = require('../database');
+
+// Budgets cap spending per period for the whole organization or one team,
+// user or project. A call counts against every active budget that covers it.
+// Crossing soft_limit_percent raises an alert; with hard_limit set, calls are
+// blocked once the budget is spent. Periods are calendar days, ISO weeks
+// (from Monday) and months in UTC.
+const SCOPES = ['org', 'team', 'user', 'project'];
+const PERIODS = { daily: 'day', weekly: 'isoWeek', monthly: 'month' };
+
+// What is carried over from the previous period: nothing, only what was left
+// unspent, or the balance either way so overspending shrinks the next period
+const ROLLOVERS = ['none', 'unspent', 'all'];
+
+// usage_logs.created_at is stored as UTC 'YYYY-MM-DD HH:mm:ss'
+const TIMESTAMP_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// Start and end of the period containing `at`
+function periodBounds(period, at = moment.utc()) {
+  const unit = PERIODS[period];
+  const start = moment.utc(at).startOf(unit);
+  return { start, end: start.clone().add(1, unit === 'isoWeek' ? 'week' : unit) };
+}
+
+function scopeCondition(budget) {
+  switch (budget.scope) {
+    case 'team':
+      return { clause: 'team_id = ?', params: [budget.scope_id] };
+    case 'user':
+      return { clause: 'user_id = ?', params: [budget.scope_id] };
+    case 'project':
+      return { clause: 'project_id = ?', params: [budget.scope_id] };
+    default:
+      return { clause: '1=1', params: [] };
+  }
+}
+
+async function getSpend(budget, start, end) {
+  const scope = scopeCondition(budget);
+  const row = await database.getQuery(`
+    SELECT SUM(total_cost) as total_cost
+    FROM usage_logs
+    WHERE created_at >= ? AND created_at < ? AND ${scope.clause}
+  `, [start.format(TIMESTAMP_FORMAT), end.format(TIMESTAMP_FORMAT), ...scope.params]);
+  return row && row.total_cost ? row.total_cost : 0;
+}
+
+// Budget for the current period: its amount plus whatever rolls over
+async function getAvailable(budget, start) {
+  if (!budget.rollover || budget.rollover === 'none') {
+    return budget.amount;
+  }
+
+  const previous = periodBounds(budget.period, start.clone().subtract(1, 'millisecond'));
+  const left = budget.amount - await getSpend(budget, previous.start, previous.end);
+  return budget.amount + (budget.rollover === 'unspent' ? Math.max(left, 0) : left);
+}
+
+// Where a budget stands now: spend, remaining amount, 'ok', 'warning' (past
+// the soft limit) or 'exceeded', and when it runs out at the current rate
+async function getStatus(budget, now = moment.utc()) {
+  const { start, end } = periodBounds(budget.period, now);
+  const spent = await getSpend(budget, start, end);
+  const available = await getAvailable(budget, start);
+  const remaining = available - spent;
+  const percentUsed = available > 0 ? (spent / available) * 100 : (spent > 0 ? 100 : 0);
+
+  let status = 'ok';
+  if (remaining <= 0 && (spent > 0 || available <= 0)) {
+    status = 'exceeded';
+  } else if (budget.soft_limit_percent !== null && percentUsed >= budget.soft_limit_percent) {
+    status = 'warning';
+  }
+
+  // Project the spend so far linearly over the rest of the period
+  const elapsed = Math.max(now.diff(start), 1);
+  const rate = spent / elapsed;
+  let projectedExhaustion = null;
+  if (status === 'exceeded') {
+    projectedExhaustion = now.toISOString();
+  } else if (rate > 0) {
+    const exhaustion = now.clone().add(remaining / rate, 'milliseconds');
+    projectedExhaustion = exhaustion.isBefore(end) ? exhaustion.toISOString() : null;
+  }
+
+  return {
+    ...formatBudget(budget),
+    period_start: start.toISOString(),
+    period_end: end.toISOString(),
+    available: round(available),
+    spent: round(spent),
+    remaining: round(remaining),
+    percent_used: round(percentUsed, 2),
+    status,
+    projected_spend: round(rate * end.diff(start)),
+    projected_exhaustion: projectedExhaustion
+  };
+}
+
+// Active budgets covering a call by its team, user and project
+async function getApplicableBudgets({ team_id, user_id, project_id }) {
+  return await database.allQuery(`
+    SELECT * FROM budgets
+    WHERE is_active = 1 AND (
+      scope = 'org'
+      OR (scope = 'team' AND scope_id = ?)
+      OR (scope = 'user' AND scope_id = ?)
+      OR (scope = 'project' AND scope_id = ?)
+    )
+  `, [team_id || null, user_id || null, project_id || null]);
+}
+
+// Check a call against the budgets covering it. Budgets with hard_limit block
+// it once spent; others only flag it.
+async function checkBudgets(requestData) {
+  const result = { allowed: true, reasons: [], flags: {} };
+
+  for (const budget of await getApplicableBudgets(requestData)) {
+    const status = await getStatus(budget);
+    if (status.status === 'ok') {
+      continue;
+    }
+
+    result.flags[budget.name] = { status: status.status, remaining: status.remaining };
+
+    if (status.status === 'exceeded' && budget.hard_limit) {
+      result.allowed = false;
+      result.reasons.push({
+        filter: `budget:${budget.name}`,
+        reason: `Budget exceeded: $${status.spent.toFixed(6)} of $${status.available} (${budget.period})`
+      });
+    }
+  }
+
+  return result;
+}
+
+// Budgets a recorded call pushed past their soft limit or amount for the
+// first time this period. Each alert is returned once per period.
+async function checkThresholds(usageData) {
+  const alerts = [];
+
+  for (const budget of await getApplicableBudgets(usageData)) {
+    const status = await getStatus(budget);
+    const periodStart = status.period_start;
+
+    if (status.status === 'exceeded' && budget.exceeded_period !== periodStart) {
+      await database.runQuery('UPDATE budgets SET exceeded_period = ?, alerted_period = ? WHERE id = ?', [periodStart, periodStart, budget.id]);
+      alerts.push({ level: 'exceeded', budget: status });
+    } else if (status.status === 'warning' && budget.alerted_period !== periodStart) {
+      await database.runQuery('UPDATE budgets SET alerted_period = ? WHERE id = ?', [periodStart, budget.id]);
+      alerts.push({ level: 'warning', budget: status });
+    }
+  }
+
+  return alerts;
+}
+
+function formatBudget(budget) {
+  return {
+    id: budget.id,
+    name: budget.name,
+    scope: budget.scope,
+    scope_id: budget.scope_id,
+    period: budget.period,
+    amount: budget.amount,
+    soft_limit_percent: budget.soft_limit_percent,
+    hard_limit: Boolean(budget.hard_limit),
+    rollover: budget.rollover,
+    is_active: Boolean(budget.is_active),
+    created_by: budget.created_by,
+    created_at: budget.created_at
+  };
+}
+
+function round(value, digits = 6) {
+  return Number(value.toFixed(digits));
+}
+
+module.exports = {
+  SCOPES,
+  PERIODS,
+  ROLLOVERS,
+  periodBounds,
+  getSpend,
+  getStatus,
+  getApplicableBudgets,
+  checkBudgets,
+  checkThresholds,
+  formatBudget
+};
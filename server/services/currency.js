@@ -0,0 +1,194 @@
+const { v4: uuidv4 } = require('uuid');
+const yaml = require('js-yaml');
+const database = require('../database');
+const pricingService = require('./pricing');
+const validator = require('../utils/validator');
+
+// Costs are calculated and stored in USD. Exchange rates are units of a
+// currency per 1 USD, effective from their effective_date until the next one.
+const BASE_CURRENCY = 'USD';
+
+// Rates of a price given per 1K tokens, per image or per audio second.
+// batch_discount is a fraction and is never converted.
+const PRICE_RATES = [
+  'input_cost', 'output_cost', 'cached_input_cost', 'cache_write_cost', 'cost_per_image', 'cost_per_audio_second'
+];
+const TIER_RATES = ['input_cost', 'output_cost', 'cached_input_cost', 'cache_write_cost'];
+
+// Enter a rate. A rate with the same currency and effective_date replaces it.
+async function setRate({ currency, rate, effective_date, source = 'manual' }) {
+  const id = uuidv4();
+  const effectiveDate = pricingService.toTimestamp(effective_date);
+
+  await database.runQuery(`
+    INSERT OR REPLACE INTO exchange_rates (id, currency, rate, effective_date, source)
+    VALUES (?, ?, ?, ?, ?)
+  `, [id, currency, rate, effectiveDate, source]);
+
+  return { id, currency, rate, effective_date: effectiveDate };
+}
+
+// Rate in effect for `currency` at `at` (default now), or null when none was
+// entered before then. USD is always 1.
+async function getRate(currency, at) {
+  if (currency === BASE_CURRENCY) {
+    return { currency, rate: 1, effective_date: null };
+  }
+
+  return await database.getQuery(`
+    SELECT * FROM exchange_rates
+    WHERE currency = ? AND effective_date <= ?
+    ORDER BY effective_date DESC LIMIT 1
+  `, [currency, pricingService.toTimestamp(at)]) || null;
+}
+
+// Converter for many amounts at once: every rate is loaded up front.
+// convert(amount, currency, at) returns { amount, rate, rate_date }, or null
+// when there is no rate for the currency at that time.
+async function createConverter() {
+  const rows = await database.allQuery(
+    'SELECT currency, rate, effective_date FROM exchange_rates ORDER BY currency, effective_date DESC'
+  );
+
+  const rateAt = (currency, at) => {
+    if (currency === BASE_CURRENCY) {
+      return { rate: 1, effective_date: null };
+    }
+    const timestamp = pricingService.toTimestamp(at);
+    return rows.find(row => row.currency === currency && row.effective_date <= timestamp) || null;
+  };
+
+  return {
+    rateAt,
+    convert(amount, currency, at) {
+      const rate = rateAt(currency, at);
+      if (!rate) {
+        return null;
+      }
+      return { amount: amount * rate.rate, rate: rate.rate, rate_date: rate.effective_date };
+    }
+  };
+}
+
+// Convert a price entered in `currency` to USD at the rate in effect at `at`.
+// Resolves with null when there is no rate.
+async function priceToBase(price, currency, at) {
+  if (!currency || currency === BASE_CURRENCY) {
+    return price;
+  }
+
+  const rate = await getRate(currency, at);
+  if (!rate) {
+    return null;
+  }
+
+  const toBase = (rates, fields) => {
+    const converted = { ...rates };
+    fields.forEach(field => {
+      if (typeof rates[field] === 'number') {
+        // Rounded so a converted price compares equal to the same price stored
+        converted[field] = Number((rates[field] / rate.rate).toPrecision(12));
+      }
+    });
+    return converted;
+  };
+
+  return {
+    ...toBase(price, PRICE_RATES),
+    tiers: price.tiers && price.tiers.map(tier => toBase(tier, TIER_RATES))
+  };
+}
+
+// Billing currency of a team: its own, else the billing_currency setting,
+// else USD
+async function getBillingCurrency(teamId) {
+  if (teamId) {
+    const team = await database.getQuery('SELECT currency FROM team_billing WHERE team_id = ?', [teamId]);
+    if (team) {
+      return team.currency;
+    }
+  }
+  return await getDefaultCurrency();
+}
+
+// Billing currency lookup for many teams at once
+async function loadBillingCurrencies() {
+  const teams = await database.allQuery('SELECT team_id, currency FROM team_billing');
+  const defaultCurrency = await getDefaultCurrency();
+  const byTeam = new Map(teams.map(team => [team.team_id, team.currency]));
+  return teamId => byTeam.get(teamId) || defaultCurrency;
+}
+
+async function getDefaultCurrency() {
+  return (await database.getSetting('billing_currency')) || BASE_CURRENCY;
+}
+
+async function setTeamCurrency(teamId, currency) {
+  await database.runQuery(`
+    INSERT OR REPLACE INTO team_billing (team_id, currency, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+  `, [teamId, currency]);
+}
+
+// Parse an exchange-rate file: CSV with a currency,rate[,effective_date]
+// header, or a JSON/YAML list of { currency, rate, effective_date }. Returns
+// { rates, errors } with each rate validated like a manual entry.
+function parseRates(text) {
+  let entries;
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{') || trimmed.startsWith('-')) {
+    try {
+      entries = yaml.load(trimmed, { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+      return { rates: [], errors: [{ field: '', message: `Could not parse rates: ${error.message}` }] };
+    }
+    if (entries && !Array.isArray(entries)) {
+      entries = entries.rates;
+    }
+    if (!Array.isArray(entries)) {
+      return { rates: [], errors: [{ field: '', message: 'Expected a list of rates' }] };
+    }
+  } else {
+    const [header, ...lines] = trimmed.split(/\r?\n/).filter(line => line.trim());
+    const columns = (header || '').split(',').map(column => column.trim().toLowerCase());
+    entries = lines.map(line => {
+      const entry = {};
+      line.split(',').forEach((value, index) => {
+        if (columns[index] && value.trim() !== '') {
+          entry[columns[index]] = columns[index] === 'rate' ? Number(value.trim()) : value.trim();
+        }
+      });
+      return entry;
+    });
+  }
+
+  const errors = [];
+  const rates = [];
+  entries.forEach((entry, index) => {
+    const { error, value } = validator.validateExchangeRate(entry);
+    if (error) {
+      errors.push(...error.details.map(detail => ({
+        field: [`rates.${index}`, ...detail.path].join('.'),
+        message: detail.message
+      })));
+    } else {
+      rates.push(value);
+    }
+  });
+
+  return { rates, errors };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  setRate,
+  getRate,
+  createConverter,
+  priceToBase,
+  getBillingCurrency,
+  loadBillingCurrencies,
+  getDefaultCurrency,
+  setTeamCurrency,
+  parseRates
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const authService = require('./auth');
+
+// Provider keys are encrypted with AES-256-GCM under KEY_VAULT_MASTER_KEY
+// (32 bytes, hex or base64). Each row records which master key encrypted it,
+// so the master key can be rotated: move the old one to
+// KEY_VAULT_PREVIOUS_MASTER_KEYS and rows are re-encrypted as they are used,
+// or all at once with reencryptAll().
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+function parseMasterKey(value) {
+  const text = (value || '').trim();
+  if (/^[0-9a-fA-F]{64}$/.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+  const decoded = Buffer.from(text, 'base64');
+  return decoded.length === 32 ? decoded : null;
+}
+
+// Short id of a master key, stored with each row it encrypted
+function masterKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// Current master key and every key that can still decrypt, by id
+function loadMasterKeys() {
+  const current = parseMasterKey(process.env.KEY_VAULT_MASTER_KEY);
+  const keys = new Map();
+
+  (process.env.KEY_VAULT_PREVIOUS_MASTER_KEYS || '').split(',')
+    .map(parseMasterKey)
+    .filter(Boolean)
+    .forEach(key => keys.set(masterKeyId(key), key));
+
+  if (current) {
+    keys.set(masterKeyId(current), current);
+  }
+
+  return { current, currentId: current && masterKeyId(current), keys };
+}
+
+function isConfigured() {
+  return Boolean(loadMasterKeys().current);
+}
+
+// Lookup hash of a provider key. Keys sent in requests are matched against
+// stored ones by this hash, so calls are attributed to a vault key even when
+// the caller sends the key itself.
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function keyHint(apiKey) {
+  return apiKey.slice(-4);
+}
+
+// Encrypt a provider key for row `id`. The row id is bound in as associated
+// data so a ciphertext cannot be moved to another row.
+function encrypt(id, apiKey) {
+  const { current, currentId } = loadMasterKeys();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, current, iv);
+  cipher.setAAD(Buffer.from(id));
+  const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+
+  return {
+    encrypted_key: [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':'),
+    master_key_id: currentId
+  };
+}
+
+function decrypt(row) {
+  const key = loadMasterKeys().keys.get(row.master_key_id);
+  if (!key) {
+    throw new Error(`Master key ${row.master_key_id} for API key ${row.id} is not configured`);
+  }
+
+  const [iv, tag, ciphertext] = row.encrypted_key.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAAD(Buffer.from(row.id));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// Store a provider key. Resolves with the new row's id.
+async function storeKey({ provider, name, key, team_id, user_id, created_by }) {
+  const id = uuidv4();
+  const { encrypted_key, master_key_id } = encrypt(id, key);
+
+  await database.runQuery(`
+    INSERT INTO api_keys (
+      id, user_id, team_id, provider, key_name, key_hash, key_hint, encrypted_key, master_key_id, created_by
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    id, user_id || null, team_id || null, provider, name, hashKey(key), keyHint(key),
+    encrypted_key, master_key_id, created_by || null
+  ]);
+
+  return id;
+}
+
+// Replace the secret of a stored key, keeping its id so requests that
+// reference it pick up the new key
+async function rotateKey(id, key) {
+  const { encrypted_key, master_key_id } = encrypt(id, key);
+
+  await database.runQuery(`
+    UPDATE api_keys
+    SET key_hash = ?, key_hint = ?, encrypted_key = ?, master_key_id = ?, rotated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [hashKey(key), keyHint(key), encrypted_key, master_key_id, id]);
+}
+
+// Id of the stored key matching a provider key, or null
+async function findKeyId(apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+  const row = await database.getQuery('SELECT id FROM api_keys WHERE key_hash = ?', [hashKey(apiKey)]);
+  return row ? row.id : null;
+}
+
+function canUseKey(auth, row) {
+  return !row.team_id || authService.canSeeTeam(auth, row.team_id);
+}
+
+// Decrypt a stored key for use by `auth`. Resolves with { key } or
+// { status, error } when the key is unknown, inactive, for another provider
+// or belongs to a team the user is not in. Without `auth` access is not
+// checked, as for virtual keys, which were checked when they were issued.
+async function useKey(id, provider, auth) {
+  const row = await database.getQuery('SELECT * FROM api_keys WHERE id = ?', [id]);
+  if (!row || (auth && !canUseKey(auth, row))) {
+    return { status: 404, error: `API key ${id} not found` };
+  }
+  if (!row.encrypted_key) {
+    return { status: 400, error: `API key ${id} has no stored secret` };
+  }
+  if (!row.is_active) {
+    return { status: 400, error: `API key ${id} is inactive` };
+  }
+  if (provider && row.provider !== provider) {
+    return { status: 400, error: `API key ${id} is for ${row.provider}, not ${provider}` };
+  }
+
+  const key = decrypt(row);
+
+  // Rows still under a previous master key move to the current one
+  const { currentId } = loadMasterKeys();
+  if (currentId && row.master_key_id !== currentId) {
+    const reencrypted = encrypt(row.id, key);
+    await database.runQuery(
+      'UPDATE api_keys SET encrypted_key = ?, master_key_id = ? WHERE id = ?',
+      [reencrypted.encrypted_key, reencrypted.master_key_id, row.id]
+    );
+  }
+
+  return { key };
+}
+
+// Replace api_key_id and api_key_ids (by provider) in a track or replay
+// request with the keys they reference. Resolves with { api_key, api_keys },
+// or { status, error } when a key cannot be used.
+async function resolveRequestKeys({ model_provider, api_key, api_keys = {}, api_key_id, api_key_ids = {} }, auth) {
+  if ((api_key_id || Object.keys(api_key_ids).length > 0) && !isConfigured()) {
+    return { status: 503, error: 'Key vault is not configured: set KEY_VAULT_MASTER_KEY' };
+  }
+
+  const resolved = { api_key, api_keys: { ...api_keys } };
+
+  if (api_key_id) {
+    const result = await useKey(api_key_id, model_provider, auth);
+    if (result.error) {
+      return result;
+    }
+    resolved.api_key = result.key;
+  }
+
+  for (const [provider, id] of Object.entries(api_key_ids)) {
+    const result = await useKey(id, provider, auth);
+    if (result.error) {
+      return result;
+    }
+    resolved.api_keys[provider] = result.key;
+  }
+
+  return resolved;
+}
+
+// Re-encrypt every stored key under the current master key. Resolves with the
+// number of keys re-encrypted.
+async function reencryptAll() {
+  const { currentId } = loadMasterKeys();
+  const rows = await database.allQuery(
+    'SELECT * FROM api_keys WHERE encrypted_key IS NOT NULL AND master_key_id != ?',
+    [currentId]
+  );
+
+  for (const row of rows) {
+    const reencrypted = encrypt(row.id, decrypt(row));
+    await database.runQuery(
+      'UPDATE api_keys SET encrypted_key = ?, master_key_id = ? WHERE id = ?',
+      [reencrypted.encrypted_key, reencrypted.master_key_id, row.id]
+    );
+  }
+
+  return rows.length;
+}
+
+module.exports = {
+  isConfigured,
+  hashKey,
+  storeKey,
+  rotateKey,
+  findKeyId,
+  canUseKey,
+  useKey,
+  resolveRequestKeys,
+  reencryptAll
+};
@@ -0,0 +1,263 @@
+const net = require('net');
+const secretScanner = require('./secret-scanner');
+
+// Reversible PII redaction. Detected values are replaced with numbered
+// placeholders such as [EMAIL_1] before a prompt is sent to a provider, and
+// the placeholders are put back in the response returned to the caller. The
+// mapping only lives for the request, so logs keep the placeholders.
+
+// Built-in detectors, in the order overlapping matches are preferred
+const DETECTORS = {
+  secret: {
+    find: text => secretScanner.scan(text, { min_entropy: false })
+  },
+  email: {
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  iban: {
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: isValidIban
+  },
+  card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: passesLuhn
+  },
+  ssn: {
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g
+  },
+  ip: {
+    pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b|\b(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}\b/g,
+    validate: value => net.isIP(value) !== 0
+  },
+  phone: {
+    pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g
+  }
+};
+
+const DETECTOR_NAMES = Object.keys(DETECTORS);
+
+const PLACEHOLDER_PATTERN = /\[[A-Z0-9_]+_\d+\]/g;
+
+// Longest placeholder a stream restorer waits for before giving up on one
+const MAX_PLACEHOLDER_LENGTH = 64;
+
+// Values in `text` matched by the rules' detectors (all built-ins by default),
+// user-defined `patterns` ({ name, pattern, flags }) and `dictionaries`
+// ({ name, terms }), without overlaps: the earliest and then longest wins.
+// Returns [{ type, value, start, end }] in order.
+function detect(text, rules = {}) {
+  if (!text) {
+    return [];
+  }
+
+  const matches = [];
+  for (const { type, pattern, validate, find } of matchersFor(rules)) {
+    if (find) {
+      matches.push(...find(text).map(match => ({ ...match, type })));
+      continue;
+    }
+    for (const match of text.matchAll(pattern)) {
+      if (match[0].length > 0 && (!validate || validate(match[0]))) {
+        matches.push({ type, value: match[0], start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const accepted = [];
+  for (const match of matches) {
+    if (accepted.length === 0 || match.start >= accepted[accepted.length - 1].end) {
+      accepted.push(match);
+    }
+  }
+  return accepted;
+}
+
+// User rules come first so they win over built-ins matching the same text
+function matchersFor(rules) {
+  const matchers = [];
+
+  for (const { name, pattern, flags = '' } of rules.patterns || []) {
+    matchers.push({
+      type: placeholderType(name),
+      pattern: new RegExp(pattern, flags.includes('g') ? flags : flags + 'g')
+    });
+  }
+
+  for (const { name, terms } of rules.dictionaries || []) {
+    const alternatives = terms
+      .filter(term => term.length > 0)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (alternatives.length > 0) {
+      matchers.push({
+        type: placeholderType(name),
+        pattern: new RegExp(`(?<![\\w])(?:${alternatives.join('|')})(?![\\w])`, 'gi')
+      });
+    }
+  }
+
+  for (const name of rules.detectors || DETECTOR_NAMES) {
+    matchers.push({ type: placeholderType(name), ...DETECTORS[name] });
+  }
+
+  return matchers;
+}
+
+// Counts of each kind of value found, for flags; never the values
+function summarize(matches) {
+  const counts = {};
+  for (const { type } of matches) {
+    const name = type.toLowerCase();
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  return counts;
+}
+
+// Placeholders and the values they stand for during one request. The same
+// value always gets the same placeholder, so a prompt and the provider-shaped
+// body it came from are redacted alike.
+function createVault() {
+  const placeholders = new Map();
+  const values = new Map();
+  const counters = {};
+
+  function placeholderFor({ type, value }) {
+    if (!placeholders.has(value)) {
+      const name = placeholderType(type);
+      counters[name] = (counters[name] || 0) + 1;
+      const placeholder = `[${name}_${counters[name]}]`;
+      placeholders.set(value, placeholder);
+      values.set(placeholder, value);
+    }
+    return placeholders.get(value);
+  }
+
+  function redact(text, rules) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    return redactMatches(text, detect(text, rules));
+  }
+
+  // Replace matches found by another detector, such as the secret scanner
+  function redactMatches(text, matches) {
+    let redacted = '';
+    let last = 0;
+    for (const match of matches) {
+      redacted += text.slice(last, match.start) + placeholderFor(match);
+      last = match.end;
+    }
+    return redacted + text.slice(last);
+  }
+
+  function restore(text) {
+    if (typeof text !== 'string' || values.size === 0) {
+      return text;
+    }
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => values.get(placeholder) ?? placeholder);
+  }
+
+  // Restore every string in a response object, such as tool call arguments
+  function restoreValue(value) {
+    if (typeof value === 'string') {
+      return restore(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(restoreValue);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreValue(item)]));
+    }
+    return value;
+  }
+
+  // Restore a response streamed in pieces. Text that may be the start of a
+  // placeholder split across chunks is held back until the next one.
+  function createStreamRestorer() {
+    let pending = '';
+
+    return {
+      push(text) {
+        pending += text || '';
+        const open = pending.lastIndexOf('[');
+        let ready = pending;
+        if (open !== -1 && pending.length - open < MAX_PLACEHOLDER_LENGTH &&
+            /^\[[A-Z0-9_]*$/.test(pending.slice(open))) {
+          ready = pending.slice(0, open);
+        }
+        pending = pending.slice(ready.length);
+        return restore(ready);
+      },
+      flush() {
+        const rest = restore(pending);
+        pending = '';
+        return rest;
+      }
+    };
+  }
+
+  return {
+    redact,
+    redactMatches,
+    restore,
+    restoreValue,
+    createStreamRestorer,
+    get size() {
+      return values.size;
+    }
+  };
+}
+
+function placeholderType(name) {
+  return String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// Luhn checksum of a card number, ignoring spaces and dashes
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616 check: move the country code and check digits to the end, turn
+// letters into numbers and take the remainder mod 97, which must be 1
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+module.exports = {
+  DETECTOR_NAMES,
+  detect,
+  summarize,
+  createVault,
+  passesLuhn,
+  isValidIban
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const pricingService = require('./pricing');
+const currencyService = require('./currency');
+const validator = require('../utils/validator');
+
+const DEFAULT_SHEET_PATH = path.join(__dirname, '../price-sheets/default.yaml');
+
+// Optional rates of a sheet entry. Those listed with 0 are left out of
+// exports and diffs when they are 0, the rest when they are not set.
+const OPTIONAL_RATES = {
+  cached_input_cost: null,
+  cache_write_cost: null,
+  batch_discount: 0,
+  cost_per_image: 0,
+  cost_per_audio_second: 0
+};
+
+const TIER_RATES = ['input_cost', 'output_cost', 'cached_input_cost', 'cache_write_cost'];
+
+// Parse a sheet given as YAML or JSON text (JSON is valid YAML). Dates are
+// kept as strings rather than turned into Date objects.
+function parseSheet(text) {
+  return yaml.load(text, { schema: yaml.CORE_SCHEMA });
+}
+
+function serializeSheet(sheet, format = 'yaml') {
+  if (format === 'json') {
+    return JSON.stringify(sheet, null, 2) + '\n';
+  }
+  return yaml.dump(sheet, { lineWidth: -1, noRefs: true });
+}
+
+// Validate a sheet (text or an already parsed object). Returns
+// { sheet, errors }: the sheet with defaults applied, and a list of
+// { field, message } that is empty when the sheet can be applied.
+function loadSheet(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = parseSheet(input);
+    } catch (error) {
+      return { sheet: null, errors: [{ field: '', message: `Could not parse price sheet: ${error.message}` }] };
+    }
+  }
+
+  const { error, value } = validator.validatePriceSheet(data);
+  if (error) {
+    return { sheet: null, errors: toErrors(error) };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const prices = value.prices.map((entry, index) => {
+    const result = validator.validateModelPricing(entry);
+    if (result.error) {
+      errors.push(...toErrors(result.error, `prices.${index}`));
+      return null;
+    }
+
+    const { currency, recalculate, reason, ...price } = result.value;
+    const key = [price.provider, price.model_name, price.effective_date || ''].join('|');
+    if (seen.has(key)) {
+      errors.push({
+        field: `prices.${index}`,
+        message: `Duplicate price for ${price.provider}:${price.model_name}`
+      });
+    }
+    seen.add(key);
+    return price;
+  });
+
+  return { sheet: errors.length === 0 ? { ...value, prices } : null, errors };
+}
+
+function toErrors(error, prefix) {
+  return error.details.map(detail => ({
+    field: [prefix, ...detail.path].filter(part => part !== undefined).join('.'),
+    message: detail.message
+  }));
+}
+
+// Sheet of the prices in effect at `at` (default now). Entries carry no
+// effective_date, so applying the sheet elsewhere prices from that moment.
+async function exportSheet({ at, version, description } = {}) {
+  const timestamp = pricingService.toTimestamp(at);
+  const rows = await database.allQuery(`
+    SELECT * FROM model_pricing
+    WHERE is_active = true
+      AND effective_date <= ?
+      AND (effective_to IS NULL OR effective_to > ?)
+    ORDER BY provider, model_name, effective_date DESC
+  `, [timestamp, timestamp]);
+
+  const prices = rows
+    .filter((row, index) =>
+      index === 0 ||
+      row.provider !== rows[index - 1].provider ||
+      row.model_name !== rows[index - 1].model_name
+    )
+    .map(row => ({ provider: row.provider, model_name: row.model_name, ...toRates(row) }));
+
+  const sheet = { version: version || timestamp.slice(0, 10).replace(/-/g, '.') };
+  if (description) {
+    sheet.description = description;
+  }
+  sheet.currency = 'USD';
+  sheet.prices = prices;
+  return sheet;
+}
+
+// Rates of a model_pricing row named as in a sheet
+function toRates(row) {
+  const pricing = pricingService.parsePricing(row);
+  return normalizeRates({
+    input_cost: row.input_cost_per_1k_tokens,
+    output_cost: row.output_cost_per_1k_tokens,
+    cached_input_cost: row.cached_input_cost_per_1k_tokens,
+    cache_write_cost: row.cache_write_cost_per_1k_tokens,
+    batch_discount: row.batch_discount,
+    cost_per_image: row.cost_per_image,
+    cost_per_audio_second: row.cost_per_audio_second,
+    tiers: pricing.tiers.map(pricingService.fromStoredTier)
+  });
+}
+
+// Drop rates that are not charged and order tiers, so two sets of rates
+// that bill the same compare equal
+function normalizeRates(price) {
+  const rates = { input_cost: price.input_cost, output_cost: price.output_cost };
+
+  Object.entries(OPTIONAL_RATES).forEach(([field, unset]) => {
+    const value = price[field];
+    if (value !== undefined && value !== null && value !== unset) {
+      rates[field] = value;
+    }
+  });
+
+  const tiers = (price.tiers || [])
+    .map(tier => {
+      const normalized = { above_input_tokens: tier.above_input_tokens };
+      TIER_RATES.forEach(field => {
+        if (tier[field] !== undefined && tier[field] !== null) {
+          normalized[field] = tier[field];
+        }
+      });
+      return normalized;
+    })
+    .sort((a, b) => a.above_input_tokens - b.above_input_tokens);
+
+  if (tiers.length > 0) {
+    rates.tiers = tiers;
+  }
+  return rates;
+}
+
+// Compare a validated sheet with model_pricing. Each entry is compared with
+// the price in effect at its effective_date (the entry's, then the sheet's,
+// then now) and marked added, changed or unchanged; changed entries list
+// each differing rate as { from, to }. Prices in a sheet currency other than
+// USD are converted at the exchange rate of their effective date, and are
+// marked error when there is none. Models priced now that the sheet leaves
+// out are listed in not_in_sheet and are not touched by applySheet.
+async function diffSheet(sheet, { now = pricingService.toTimestamp() } = {}) {
+  const entries = [];
+
+  for (const sheetPrice of sheet.prices) {
+    const effectiveDate = effectiveDateOf(sheetPrice, sheet, now);
+    const price = await currencyService.priceToBase(sheetPrice, sheet.currency, effectiveDate);
+    const entry = {
+      provider: sheetPrice.provider,
+      model_name: sheetPrice.model_name,
+      effective_date: effectiveDate
+    };
+
+    if (!price) {
+      entries.push({
+        ...entry,
+        status: 'error',
+        error: `No ${sheet.currency} exchange rate on record for ${effectiveDate}`
+      });
+      continue;
+    }
+
+    const capped = validator.validateBasePrice(price);
+    if (capped.error) {
+      entries.push({ ...entry, status: 'error', error: `${capped.error.details[0].message} (in USD)` });
+      continue;
+    }
+
+    const current = await database.getModelPricing(price.provider, price.model_name, effectiveDate);
+    const rates = normalizeRates(price);
+    entry.rates = rates;
+
+    if (!current) {
+      entries.push({ ...entry, status: 'added' });
+      continue;
+    }
+
+    const currentRates = toRates(current);
+    const changes = {};
+    new Set([...Object.keys(currentRates), ...Object.keys(rates)]).forEach(field => {
+      if (JSON.stringify(currentRates[field]) !== JSON.stringify(rates[field])) {
+        changes[field] = {
+          from: currentRates[field] === undefined ? null : currentRates[field],
+          to: rates[field] === undefined ? null : rates[field]
+        };
+      }
+    });
+
+    entries.push({
+      ...entry,
+      status: Object.keys(changes).length > 0 ? 'changed' : 'unchanged',
+      pricing_id: current.id,
+      changes
+    });
+  }
+
+  const priced = await exportSheet({ at: now });
+  const notInSheet = priced.prices
+    .filter(current => !sheet.prices.some(price =>
+      price.provider === current.provider && price.model_name === current.model_name
+    ))
+    .map(({ provider, model_name }) => ({ provider, model_name }));
+
+  return {
+    version: sheet.version,
+    last_applied: await getLastAppliedSheet(),
+    summary: {
+      added: entries.filter(entry => entry.status === 'added').length,
+      changed: entries.filter(entry => entry.status === 'changed').length,
+      unchanged: entries.filter(entry => entry.status === 'unchanged').length,
+      errors: entries.filter(entry => entry.status === 'error').length,
+      not_in_sheet: notInSheet.length
+    },
+    entries,
+    not_in_sheet: notInSheet
+  };
+}
+
+function effectiveDateOf(price, sheet, now) {
+  const date = price.effective_date || sheet.effective_date;
+  return date ? pricingService.toTimestamp(date) : now;
+}
+
+// Set every added or changed price of a validated sheet and record the sheet
+// in price_sheets. With recalculate, logs in each new price's window are
+// repriced. Resolves with the diff and the sheet's id, or with the diff and
+// applied: false, changing nothing, when any entry has an error.
+async function applySheet(sheet, { source = 'api', recalculate = false, reason } = {}) {
+  const now = pricingService.toTimestamp();
+  const diff = await diffSheet(sheet, { now });
+  if (diff.summary.errors > 0) {
+    return { applied: false, ...diff };
+  }
+
+  const sheetId = uuidv4();
+  const recalculations = [];
+
+  for (const entry of diff.entries) {
+    if (entry.status === 'unchanged') {
+      continue;
+    }
+
+    const price = await pricingService.setModelPrice({
+      provider: entry.provider,
+      model_name: entry.model_name,
+      effective_date: entry.effective_date,
+      ...entry.rates
+    });
+    entry.pricing_id = price.id;
+
+    if (recalculate) {
+      recalculations.push(await pricingService.recalculateCosts({
+        provider: entry.provider,
+        model_name: entry.model_name,
+        start_date: price.effective_date,
+        end_date: price.effective_to || undefined,
+        reason: reason || `Price sheet ${sheet.version}`
+      }));
+    }
+  }
+
+  await database.runQuery(`
+    INSERT INTO price_sheets (
+      id, version, description, effective_date, source,
+      prices_added, prices_changed, prices_unchanged
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    sheetId, sheet.version, sheet.description || null,
+    sheet.effective_date ? pricingService.toTimestamp(sheet.effective_date) : now, source,
+    diff.summary.added, diff.summary.changed, diff.summary.unchanged
+  ]);
+
+  return { id: sheetId, applied: true, ...diff, recalculations: recalculate ? recalculations : undefined };
+}
+
+async function getLastAppliedSheet() {
+  return await database.getQuery('SELECT * FROM price_sheets ORDER BY applied_at DESC, rowid DESC LIMIT 1') || null;
+}
+
+// Load the bundled default sheet into an empty model_pricing table. Existing
+// prices are never overwritten, so edits survive restarts.
+async function seedDefaultPrices() {
+  const { count } = await database.getQuery('SELECT COUNT(*) as count FROM model_pricing');
+  if (count > 0) {
+    return null;
+  }
+
+  const { sheet, errors } = loadSheet(fs.readFileSync(DEFAULT_SHEET_PATH, 'utf8'));
+  if (errors.length > 0) {
+    throw new Error(`Invalid default price sheet: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+  }
+
+  return await applySheet(sheet, { source: 'default' });
+}
+
+module.exports = {
+  DEFAULT_SHEET_PATH,
+  parseSheet,
+  serializeSheet,
+  loadSheet,
+  exportSheet,
+  diffSheet,
+  applySheet,
+  getLastAppliedSheet,
+  seedDefaultPrices
+};
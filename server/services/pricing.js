@@ -0,0 +1,186 @@
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const tokenCounter = require('../utils/token-counter');
+
+// Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' in UTC, matching
+// CURRENT_TIMESTAMP, so they can be compared as strings
+function toTimestamp(value) {
+  return moment.utc(value || undefined).format('YYYY-MM-DD HH:mm:ss');
+}
+
+function isValidTimestamp(value) {
+  return moment.utc(value, moment.ISO_8601).isValid();
+}
+
+// Set a model's price from `effective_date` (default now). The price in effect
+// at that moment is closed there, and the new one runs until the next price
+// already scheduled after it, if any. A price with exactly the same
+// effective_date as an existing one is a correction and replaces it.
+// Optional rates (cached_input_cost, cache_write_cost, batch_discount,
+// cost_per_image, cost_per_audio_second, tiers) are stored alongside.
+async function setModelPrice({ provider, model_name, effective_date, ...rates }) {
+  const effectiveDate = toTimestamp(effective_date);
+
+  await database.runQuery(`
+    UPDATE model_pricing
+    SET is_active = false
+    WHERE provider = ? AND model_name = ? AND is_active = true AND effective_date = ?
+  `, [provider, model_name, effectiveDate]);
+
+  await database.runQuery(`
+    UPDATE model_pricing
+    SET effective_to = ?
+    WHERE provider = ? AND model_name = ? AND is_active = true
+      AND effective_date < ?
+      AND (effective_to IS NULL OR effective_to > ?)
+  `, [effectiveDate, provider, model_name, effectiveDate, effectiveDate]);
+
+  const next = await database.getQuery(`
+    SELECT MIN(effective_date) as effective_date FROM model_pricing
+    WHERE provider = ? AND model_name = ? AND is_active = true AND effective_date > ?
+  `, [provider, model_name, effectiveDate]);
+
+  const effectiveTo = next ? next.effective_date : null;
+  const id = await database.insertModelPricing({
+    ...rates,
+    tiers: rates.tiers && rates.tiers.map(toStoredTier),
+    provider,
+    model_name,
+    effective_date: effectiveDate,
+    effective_to: effectiveTo
+  });
+
+  return { id, effective_date: effectiveDate, effective_to: effectiveTo };
+}
+
+// Reprice usage logs created between start_date and end_date at the price in
+// effect when each call was made. Every changed log gets a cost_adjustments
+// row under one batch id. Logs with no price on record are left alone.
+// With dry_run nothing is written, but the summary is the same.
+async function recalculateCosts({ start_date, end_date, provider, model_name, reason, dry_run = false }) {
+  let query = `
+    SELECT id, model_provider, model_name, input_tokens, output_tokens,
+           cached_input_tokens, cache_write_tokens, image_count, audio_seconds, is_batch,
+           cost_per_input_token, cost_per_output_token, total_cost, created_at
+    FROM usage_logs
+    WHERE created_at >= ? AND created_at <= ?
+  `;
+  const params = [toTimestamp(start_date), toTimestamp(end_date)];
+
+  if (provider) {
+    query += ' AND model_provider = ?';
+    params.push(provider);
+  }
+
+  if (model_name) {
+    query += ' AND model_name = ?';
+    params.push(model_name);
+  }
+
+  query += ' ORDER BY created_at';
+
+  const logs = await database.allQuery(query, params);
+  const summary = {
+    batch_id: uuidv4(),
+    dry_run,
+    logs_checked: logs.length,
+    logs_adjusted: 0,
+    logs_unpriced: 0,
+    cost_before: 0,
+    cost_after: 0
+  };
+
+  for (const log of logs) {
+    const pricing = await database.getModelPricing(log.model_provider, log.model_name, log.created_at);
+    summary.cost_before += log.total_cost;
+
+    if (!pricing) {
+      summary.logs_unpriced++;
+      summary.cost_after += log.total_cost;
+      continue;
+    }
+
+    const cost = tokenCounter.calculateCost(pricing, {
+      ...log,
+      images: log.image_count,
+      batch: Boolean(log.is_batch)
+    });
+    summary.cost_after += cost.total_cost;
+
+    if (cost.cost_per_input_token === log.cost_per_input_token &&
+        cost.cost_per_output_token === log.cost_per_output_token &&
+        Math.abs(cost.total_cost - log.total_cost) < 1e-12) {
+      continue;
+    }
+
+    summary.logs_adjusted++;
+    if (dry_run) {
+      continue;
+    }
+
+    await database.runQuery(`
+      UPDATE usage_logs
+      SET cost_per_input_token = ?, cost_per_output_token = ?, total_cost = ?, cost_breakdown = ?
+      WHERE id = ?
+    `, [
+      cost.cost_per_input_token, cost.cost_per_output_token, cost.total_cost,
+      JSON.stringify(cost.cost_breakdown), log.id
+    ]);
+
+    await database.runQuery(`
+      INSERT INTO cost_adjustments (
+        id, batch_id, usage_log_id, pricing_id,
+        old_cost_per_input_token, old_cost_per_output_token, old_total_cost,
+        new_cost_per_input_token, new_cost_per_output_token, new_total_cost, reason
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      uuidv4(), summary.batch_id, log.id, pricing.id,
+      log.cost_per_input_token, log.cost_per_output_token, log.total_cost,
+      cost.cost_per_input_token, cost.cost_per_output_token, cost.total_cost, reason || null
+    ]);
+  }
+
+  summary.cost_difference = summary.cost_after - summary.cost_before;
+  return summary;
+}
+
+// Tiers are given with the same names as the base rates and stored with the
+// column names, so a tier's rates can be laid over the row's
+function toStoredTier(tier) {
+  return {
+    above_input_tokens: tier.above_input_tokens,
+    input_cost_per_1k_tokens: tier.input_cost,
+    output_cost_per_1k_tokens: tier.output_cost,
+    cached_input_cost_per_1k_tokens: tier.cached_input_cost,
+    cache_write_cost_per_1k_tokens: tier.cache_write_cost
+  };
+}
+
+function fromStoredTier(tier) {
+  return {
+    above_input_tokens: tier.above_input_tokens,
+    input_cost: tier.input_cost_per_1k_tokens,
+    output_cost: tier.output_cost_per_1k_tokens,
+    cached_input_cost: tier.cached_input_cost_per_1k_tokens,
+    cache_write_cost: tier.cache_write_cost_per_1k_tokens
+  };
+}
+
+// model_pricing row with its tiers parsed
+function parsePricing(row) {
+  return {
+    ...row,
+    tiers: JSON.parse(row.tiers || '[]'),
+    is_active: Boolean(row.is_active)
+  };
+}
+
+module.exports = {
+  toTimestamp,
+  parsePricing,
+  fromStoredTier,
+  isValidTimestamp,
+  setModelPrice,
+  recalculateCosts
+};
@@ -0,0 +1,208 @@
+// Local prompt-injection and jailbreak scoring. Each rule that matches a
+// prompt is a signal with a weight between 0 and 1; the score combines them
+// as 1 - (1 - w1)(1 - w2)..., so it grows with every signal but stays below
+// 1. Nothing leaves the server.
+
+// Groups of rules, each of which a filter can turn off
+const CHECKS = ['instruction_override', 'jailbreak', 'encoded_payload', 'invisible_characters'];
+
+const DEFAULT_THRESHOLD = 0.5;
+
+// Phrases that try to replace the instructions the model was given
+const OVERRIDE_RULES = [
+  {
+    name: 'ignore_instructions',
+    weight: 0.6,
+    pattern: /\b(?:ignore|disregard|forget|override|bypass|skip)\b[^.\n]{0,40}?\b(?:previous|prior|above|earlier|preceding|all|any|your|the|system)\b[^.\n]{0,30}?\b(?:instructions?|prompts?|rules|directions|guidelines|context|messages?|constraints)\b/i
+  },
+  {
+    name: 'reveal_system_prompt',
+    weight: 0.5,
+    pattern: /\b(?:reveal|print|show|repeat|output|leak|display|tell me)\b[^.\n]{0,30}?\b(?:system prompt|hidden (?:prompt|instructions)|initial (?:prompt|instructions)|your (?:instructions|prompt|rules))\b/i
+  },
+  {
+    name: 'new_instructions',
+    weight: 0.4,
+    pattern: /\b(?:new|updated|real|actual) (?:instructions?|rules|system prompt)\s*:|\bfrom now on,? (?:you|your)\b/i
+  },
+  {
+    name: 'unrestricted_claim',
+    weight: 0.4,
+    pattern: /\byou (?:are|will be|have been) (?:no longer|not) (?:bound|restricted|limited|required)\b|\byou have been (?:freed|unlocked|jailbroken)\b/i
+  },
+  {
+    name: 'chat_template_tokens',
+    weight: 0.5,
+    pattern: /<\|(?:im_start|im_end|system|endoftext)\|>|\[\/?INST\]|<<\/?SYS>>|<\/?system>/i
+  },
+  {
+    name: 'fake_role_turn',
+    weight: 0.3,
+    pattern: /(?:^|\n)\s*(?:###\s*)?(?:system|assistant)\s*:/i
+  }
+];
+
+// Role-play and persona templates used to talk a model out of its rules
+const JAILBREAK_RULES = [
+  {
+    name: 'dan_persona',
+    weight: 0.6,
+    pattern: /\bDAN\b|\b[Dd]o [Aa]nything [Nn]ow\b/
+  },
+  {
+    name: 'developer_mode',
+    weight: 0.5,
+    pattern: /\b(?:developer|god|debug|admin|sudo|opposite) mode\b/i
+  },
+  {
+    name: 'jailbreak_mention',
+    weight: 0.4,
+    pattern: /\bjailbr(?:eak|oken|eaking)\b/i
+  },
+  {
+    name: 'unrestricted_roleplay',
+    weight: 0.5,
+    pattern: /\b(?:pretend|act|roleplay|role-play|imagine)\b[^.\n]{0,30}?\b(?:to be|as|that you are|you are)\b[^.\n]{0,60}?\b(?:no|without|unfiltered|uncensored|unrestricted|evil|amoral|unethical)\b/i
+  },
+  {
+    name: 'no_restrictions',
+    weight: 0.4,
+    pattern: /\b(?:no|without any|free (?:of|from)) (?:restrictions|filters|limitations|limits|guidelines|content polic(?:y|ies)|morals?|ethics|censorship)\b/i
+  },
+  {
+    name: 'stay_in_character',
+    weight: 0.3,
+    pattern: /\b(?:stay|remain|never break) (?:in )?character\b/i
+  },
+  {
+    name: 'hypothetical_framing',
+    weight: 0.3,
+    pattern: /\b(?:hypothetical|fictional|imaginary) (?:scenario|story|world|universe)\b[^.\n]{0,80}?\b(?:no rules|no laws|illegal|anything goes)\b/i
+  }
+];
+
+// Zero-width characters, bidirectional controls and Unicode tag characters,
+// which hide text from people reading the prompt
+const INVISIBLE_CHARACTERS = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]|[\u{E0000}-\u{E007F}]/gu;
+const TAG_CHARACTERS = /[\u{E0020}-\u{E007E}]/gu;
+
+const BASE64_BLOB = /(?:[A-Za-z0-9+/]{4}){6,}(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?/g;
+const ENCODING_MENTION = /\b(?:base64|rot13|rot-13|caesar cipher|hex(?:adecimal)?)\b[^.\n]{0,40}?\b(?:decode|decoded|decoding|encoded)\b|\b(?:decode|decoded|decoding)\b[^.\n]{0,40}?\b(?:base64|rot13|rot-13)\b/i;
+
+// Score `text`. Options: `checks` to run (all by default) and extra
+// override `phrases` to look for, matched case-insensitively. Returns
+// { score, signals: [name, ...] }.
+function scoreText(text, { checks = CHECKS, phrases = [] } = {}) {
+  const signals = [];
+  if (typeof text !== 'string' || !text) {
+    return { score: 0, signals };
+  }
+
+  const add = (name, weight) => {
+    if (!signals.some(signal => signal.name === name)) {
+      signals.push({ name, weight });
+    }
+  };
+
+  if (checks.includes('instruction_override')) {
+    matchRules(text, OVERRIDE_RULES, 'instruction_override', add);
+    const lower = text.toLowerCase();
+    for (const phrase of phrases) {
+      if (phrase && lower.includes(phrase.toLowerCase())) {
+        add('instruction_override:custom_phrase', 0.6);
+        break;
+      }
+    }
+  }
+
+  if (checks.includes('jailbreak')) {
+    matchRules(text, JAILBREAK_RULES, 'jailbreak', add);
+  }
+
+  if (checks.includes('encoded_payload')) {
+    scoreEncodedPayloads(text, add);
+  }
+
+  if (checks.includes('invisible_characters')) {
+    scoreInvisibleCharacters(text, add);
+  }
+
+  const score = 1 - signals.reduce((remaining, signal) => remaining * (1 - signal.weight), 1);
+  return {
+    score: Math.round(score * 100) / 100,
+    signals: signals.map(signal => signal.name)
+  };
+}
+
+function matchRules(text, rules, check, add, { prefix = '' } = {}) {
+  for (const rule of rules) {
+    if (rule.pattern.test(text)) {
+      add(`${check}:${prefix}${rule.name}`, rule.weight);
+    }
+  }
+}
+
+// Instructions hidden in base64 or rot13 count as much as plain ones;
+// encoded text that decodes to something readable counts a little
+function scoreEncodedPayloads(text, add) {
+  if (ENCODING_MENTION.test(text)) {
+    add('encoded_payload:decode_request', 0.2);
+  }
+
+  for (const match of text.matchAll(BASE64_BLOB)) {
+    const decoded = decodeBase64(match[0]);
+    if (decoded) {
+      add('encoded_payload:base64', 0.3);
+      matchRules(decoded, OVERRIDE_RULES, 'encoded_payload', add, { prefix: 'base64_' });
+      matchRules(decoded, JAILBREAK_RULES, 'encoded_payload', add, { prefix: 'base64_' });
+    }
+  }
+
+  const rotated = rot13(text);
+  for (const rule of [...OVERRIDE_RULES, ...JAILBREAK_RULES]) {
+    if (rule.pattern.test(rotated) && !rule.pattern.test(text)) {
+      add(`encoded_payload:rot13_${rule.name}`, rule.weight);
+    }
+  }
+}
+
+function scoreInvisibleCharacters(text, add) {
+  const invisible = text.match(INVISIBLE_CHARACTERS) || [];
+  if (invisible.length === 0) {
+    return;
+  }
+
+  add('invisible_characters', invisible.length >= 5 ? 0.5 : 0.3);
+
+  // Tag characters mirror ASCII and are how text is smuggled invisibly
+  const smuggled = (text.match(TAG_CHARACTERS) || [])
+    .map(char => String.fromCharCode(char.codePointAt(0) - 0xE0000))
+    .join('');
+  if (smuggled.length > 0) {
+    add('invisible_characters:tag_text', 0.5);
+    matchRules(smuggled, OVERRIDE_RULES, 'invisible_characters', add, { prefix: 'hidden_' });
+    matchRules(smuggled, JAILBREAK_RULES, 'invisible_characters', add, { prefix: 'hidden_' });
+  }
+}
+
+// Decoded base64 when it is mostly printable text, else null
+function decodeBase64(value) {
+  const decoded = Buffer.from(value, 'base64').toString('utf8');
+  const printable = decoded.replace(/[^\x20-\x7E\n\r\t]/g, '');
+  return decoded.length > 0 && printable.length / decoded.length > 0.9 && /[a-z]{3,} [a-z]{2,}/i.test(printable)
+    ? printable
+    : null;
+}
+
+function rot13(text) {
+  return text.replace(/[A-Za-z]/g, char => {
+    const base = char <= 'Z' ? 65 : 97;
+    return String.fromCharCode((char.charCodeAt(0) - base + 13) % 26 + base);
+  });
+}
+
+module.exports = {
+  CHECKS,
+  DEFAULT_THRESHOLD,
+  scoreText
+};
@@ -0,0 +1,199 @@
+const chatMessages = require('../../utils/chat-messages');
+
+// Anthropic takes the system prompt at the top level, expresses tool calls as
+// tool_use blocks and tool results as tool_result blocks in a user turn
+function buildPayload(model, request, maxTokens, temperature) {
+  const { system, messages } = chatMessages.splitSystemMessages(request.messages);
+  const converted = [];
+
+  for (const message of messages) {
+    let role = message.role;
+    let content;
+
+    if (message.role === 'tool') {
+      role = 'user';
+      content = [{
+        type: 'tool_result',
+        tool_use_id: message.tool_call_id,
+        content: chatMessages.contentToText(message.content)
+      }];
+    } else if (message.role === 'assistant' && message.tool_calls && message.tool_calls.length > 0) {
+      const text = chatMessages.contentToText(message.content);
+      content = [
+        ...(text ? [{ type: 'text', text }] : []),
+        ...message.tool_calls.map(call => ({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: chatMessages.parseToolArguments(call.function.arguments)
+        }))
+      ];
+    } else {
+      content = typeof message.content === 'string'
+        ? [{ type: 'text', text: message.content }]
+        : message.content || [];
+    }
+
+    // Consecutive turns from the same role (e.g. several tool results) are merged
+    const previous = converted[converted.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...content);
+    } else {
+      converted.push({ role, content });
+    }
+  }
+
+  const payload = {
+    model: model,
+    max_tokens: maxTokens,
+    temperature: temperature,
+    messages: converted
+  };
+
+  if (system) {
+    payload.system = system;
+  }
+
+  if (request.tools.length > 0) {
+    payload.tools = request.tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters
+    }));
+
+    if (request.tool_choice) {
+      payload.tool_choice = toToolChoice(request.tool_choice);
+    }
+  }
+
+  return payload;
+}
+
+function toToolChoice(toolChoice) {
+  switch (toolChoice) {
+    case 'auto':
+      return { type: 'auto' };
+    case 'required':
+      return { type: 'any' };
+    case 'none':
+      return { type: 'none' };
+    default:
+      return { type: 'tool', name: toolChoice.name };
+  }
+}
+
+function extractText(data) {
+  return (data.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+function extractToolCalls(data) {
+  return (data.content || [])
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: {
+        name: block.name,
+        arguments: JSON.stringify(block.input || {})
+      }
+    }));
+}
+
+function extractFinishReason(data) {
+  return data.stop_reason;
+}
+
+// input_tokens leaves out prompt tokens read from or written to the cache,
+// so they are added back in and reported separately
+function promptUsage(usage) {
+  const cachedTokens = usage.cache_read_input_tokens || 0;
+  const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+  return {
+    prompt_tokens: usage.input_tokens + cachedTokens + cacheWriteTokens,
+    cached_tokens: cachedTokens,
+    cache_write_tokens: cacheWriteTokens
+  };
+}
+
+function extractUsage(data) {
+  if (!data.usage) return null;
+  const prompt = promptUsage(data.usage);
+  return {
+    ...prompt,
+    completion_tokens: data.usage.output_tokens,
+    total_tokens: prompt.prompt_tokens + data.usage.output_tokens
+  };
+}
+
+// Input tokens arrive in message_start, output tokens in message_delta, and
+// tool_use input is streamed as partial JSON for its content block
+function applyStreamEvent(data, stream) {
+  switch (data.type) {
+    case 'message_start':
+      stream.state.model = data.message.model || stream.state.model;
+      stream.state.usage = {
+        ...promptUsage(data.message.usage),
+        completion_tokens: data.message.usage.output_tokens || 0
+      };
+      return '';
+    case 'content_block_start':
+      if (data.content_block.type === 'tool_use') {
+        const call = stream.toolCallAt(data.index);
+        call.id = data.content_block.id;
+        call.function.name = data.content_block.name;
+      }
+      return '';
+    case 'content_block_delta':
+      if (data.delta.type === 'input_json_delta') {
+        stream.toolCallAt(data.index).function.arguments += data.delta.partial_json;
+        return '';
+      }
+      return stream.append(data.delta.type === 'text_delta' ? data.delta.text : '');
+    case 'message_delta':
+      stream.state.finish_reason = data.delta.stop_reason;
+      if (data.usage) {
+        stream.state.usage = { ...stream.state.usage, completion_tokens: data.usage.output_tokens };
+      }
+      return '';
+    case 'error':
+      throw new Error(data.error.message);
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  format: 'anthropic',
+  baseUrl: 'https://api.anthropic.com/v1',
+  models: ['claude-3-opus-20240229', 'claude-3-sonnet-20240229', 'claude-3-haiku-20240307'],
+  builtIn: true,
+
+  headers(apiKey) {
+    return {
+      'x-api-key': apiKey,
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01'
+    };
+  },
+
+  chatUrl() {
+    return `${this.baseUrl}/messages`;
+  },
+
+  buildPayload,
+
+  streamPayload(payload) {
+    return { ...payload, stream: true };
+  },
+
+  extractText,
+  extractToolCalls,
+  extractFinishReason,
+  extractUsage,
+  applyStreamEvent
+};
@@ -0,0 +1,179 @@
+const chatMessages = require('../../utils/chat-messages');
+
+// Gemini takes the system prompt as `systemInstruction`, calls the assistant
+// role 'model' and describes tools as `functionDeclarations`
+function buildPayload(model, request, maxTokens, temperature) {
+  const { system, messages } = chatMessages.splitSystemMessages(request.messages);
+  const toolNames = {};
+  const contents = [];
+
+  for (const message of messages) {
+    let role = 'user';
+    const parts = [];
+
+    if (message.role === 'assistant') {
+      role = 'model';
+      const text = chatMessages.contentToText(message.content);
+      if (text) {
+        parts.push({ text });
+      }
+      for (const call of message.tool_calls || []) {
+        toolNames[call.id] = call.function.name;
+        parts.push({
+          functionCall: {
+            name: call.function.name,
+            args: chatMessages.parseToolArguments(call.function.arguments)
+          }
+        });
+      }
+    } else if (message.role === 'tool') {
+      parts.push({
+        functionResponse: {
+          name: message.name || toolNames[message.tool_call_id],
+          response: { content: chatMessages.contentToText(message.content) }
+        }
+      });
+    } else {
+      parts.push({ text: chatMessages.contentToText(message.content) });
+    }
+
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  const payload = {
+    contents,
+    generationConfig: {
+      maxOutputTokens: maxTokens,
+      temperature: temperature
+    }
+  };
+
+  if (system) {
+    payload.systemInstruction = { parts: [{ text: system }] };
+  }
+
+  if (request.tools.length > 0) {
+    payload.tools = [{
+      functionDeclarations: request.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }))
+    }];
+
+    if (request.tool_choice) {
+      payload.toolConfig = { functionCallingConfig: toToolChoice(request.tool_choice) };
+    }
+  }
+
+  return payload;
+}
+
+function toToolChoice(toolChoice) {
+  switch (toolChoice) {
+    case 'auto':
+      return { mode: 'AUTO' };
+    case 'required':
+      return { mode: 'ANY' };
+    case 'none':
+      return { mode: 'NONE' };
+    default:
+      return { mode: 'ANY', allowedFunctionNames: [toolChoice.name] };
+  }
+}
+
+function candidateParts(data) {
+  return data.candidates?.[0]?.content?.parts || [];
+}
+
+function extractText(data) {
+  return candidateParts(data)
+    .map(part => part.text || '')
+    .join('');
+}
+
+// Gemini does not assign ids to function calls
+function functionCalls(data) {
+  return candidateParts(data)
+    .filter(part => part.functionCall)
+    .map(part => ({
+      type: 'function',
+      function: {
+        name: part.functionCall.name,
+        arguments: JSON.stringify(part.functionCall.args || {})
+      }
+    }));
+}
+
+function extractToolCalls(data) {
+  return functionCalls(data).map((call, index) => ({ id: `call_${index}`, ...call }));
+}
+
+function extractFinishReason(data) {
+  return data.candidates?.[0]?.finishReason;
+}
+
+function extractUsage(data) {
+  if (!data.usageMetadata) return null;
+  return {
+    prompt_tokens: data.usageMetadata.promptTokenCount,
+    completion_tokens: data.usageMetadata.candidatesTokenCount,
+    total_tokens: data.usageMetadata.totalTokenCount,
+    cached_tokens: data.usageMetadata.cachedContentTokenCount || 0
+  };
+}
+
+// Each streamed chunk is a complete response object holding only new content
+function applyStreamEvent(data, stream) {
+  if (data.usageMetadata) stream.state.usage = extractUsage(data);
+
+  const candidate = data.candidates && data.candidates[0];
+  if (!candidate) return '';
+  if (candidate.finishReason) stream.state.finish_reason = candidate.finishReason;
+
+  for (const call of functionCalls(data)) {
+    stream.addToolCall(call);
+  }
+
+  return stream.append(extractText(data));
+}
+
+module.exports = {
+  id: 'google',
+  name: 'Google',
+  format: 'google',
+  baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  models: ['gemini-pro', 'gemini-pro-vision'],
+  builtIn: true,
+
+  // The key travels in the query string
+  headers() {
+    return {
+      'Content-Type': 'application/json'
+    };
+  },
+
+  chatUrl(model, apiKey, { stream = false } = {}) {
+    return stream
+      ? `${this.baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+      : `${this.baseUrl}/models/${model}:generateContent?key=${apiKey}`;
+  },
+
+  buildPayload,
+
+  // Streaming is selected by the URL rather than the body
+  streamPayload(payload) {
+    return payload;
+  },
+
+  extractText,
+  extractToolCalls,
+  extractFinishReason,
+  extractUsage,
+  applyStreamEvent
+};
@@ -0,0 +1,117 @@
+// Provider adapter registry
+//
+// Every provider is an adapter with the same shape:
+//   id, name, format ('openai' | 'anthropic' | 'google'), baseUrl, models, builtIn
+//   headers(apiKey)                            request headers
+//   chatUrl(model, apiKey, { stream })         chat endpoint URL
+//   buildPayload(model, request, maxTokens, temperature)
+//                                              provider body for a canonical request
+//                                              ({ messages, tools, tool_choice })
+//   streamPayload(payload)                     the same body with streaming enabled
+//   extractText(data), extractToolCalls(data),
+//   extractFinishReason(data), extractUsage(data)
+//                                              read a response body
+//   applyStreamEvent(data, stream)             fold one streamed event into the
+//                                              accumulator, returning any text delta
+//
+// Built-in adapters are always registered. OpenAI-compatible endpoints stored in
+// the custom_providers table are registered on startup and whenever they change.
+
+const database = require('../../database');
+const { createOpenAICompatibleAdapter } = require('./openai-compatible');
+
+const BUILT_IN_ADAPTERS = [
+  require('./openai'),
+  require('./anthropic'),
+  require('./google')
+];
+
+const adapters = new Map();
+BUILT_IN_ADAPTERS.forEach(adapter => adapters.set(adapter.id, adapter));
+
+function registerAdapter(adapter) {
+  const existing = adapters.get(adapter.id);
+  if (existing && existing.builtIn) {
+    throw new Error(`Cannot replace built-in provider: ${adapter.id}`);
+  }
+  adapters.set(adapter.id, adapter);
+}
+
+function getAdapter(provider) {
+  return provider ? adapters.get(provider.toLowerCase()) : undefined;
+}
+
+function requireAdapter(provider) {
+  const adapter = getAdapter(provider);
+  if (!adapter) {
+    throw new Error(`Unsupported provider: ${provider}`);
+  }
+  return adapter;
+}
+
+function hasProvider(provider) {
+  return Boolean(getAdapter(provider));
+}
+
+function isBuiltIn(provider) {
+  const adapter = getAdapter(provider);
+  return Boolean(adapter && adapter.builtIn);
+}
+
+function listProviders() {
+  return Array.from(adapters.values()).map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    format: adapter.format,
+    models: adapter.models,
+    built_in: adapter.builtIn
+  }));
+}
+
+// Build an adapter from a custom_providers row
+function createCustomAdapter(row) {
+  return createOpenAICompatibleAdapter({
+    id: row.id,
+    name: row.name,
+    baseUrl: row.base_url.replace(/\/+$/, ''),
+    chatPath: row.chat_path || '/chat/completions',
+    models: JSON.parse(row.models || '[]'),
+    authHeader: row.auth_header,
+    authPrefix: row.auth_prefix,
+    queryParams: JSON.parse(row.query_params || '{}'),
+    headers: JSON.parse(row.extra_headers || '{}'),
+    streamUsage: Boolean(row.stream_usage)
+  });
+}
+
+// Replace all custom adapters with the active rows in custom_providers
+async function loadCustomProviders() {
+  const rows = await database.getCustomProviders();
+
+  for (const adapter of Array.from(adapters.values())) {
+    if (!adapter.builtIn) {
+      adapters.delete(adapter.id);
+    }
+  }
+
+  for (const row of rows) {
+    try {
+      registerAdapter(createCustomAdapter(row));
+    } catch (error) {
+      console.error(`Error loading custom provider ${row.id}:`, error);
+    }
+  }
+
+  return rows.length;
+}
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  requireAdapter,
+  hasProvider,
+  isBuiltIn,
+  listProviders,
+  createCustomAdapter,
+  loadCustomProviders
+};
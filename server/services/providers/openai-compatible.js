@@ -0,0 +1,142 @@
+// Adapter for any endpoint that speaks the OpenAI chat completions API:
+// OpenAI itself, Azure OpenAI, Mistral, Groq, vLLM, Ollama and similar servers.
+
+// Canonical messages are already in OpenAI chat form
+function buildPayload(model, request, maxTokens, temperature) {
+  const payload = {
+    model: model,
+    messages: request.messages,
+    max_tokens: maxTokens,
+    temperature: temperature
+  };
+
+  if (request.tools.length > 0) {
+    payload.tools = request.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+
+    if (request.tool_choice) {
+      payload.tool_choice = typeof request.tool_choice === 'string'
+        ? request.tool_choice
+        : { type: 'function', function: { name: request.tool_choice.name } };
+    }
+  }
+
+  return payload;
+}
+
+function extractText(data) {
+  return data.choices?.[0]?.message?.content || '';
+}
+
+function extractToolCalls(data) {
+  return (data.choices?.[0]?.message?.tool_calls || []).map(call => ({
+    id: call.id,
+    type: 'function',
+    function: {
+      name: call.function.name,
+      arguments: call.function.arguments
+    }
+  }));
+}
+
+function extractFinishReason(data) {
+  return data.choices?.[0]?.finish_reason;
+}
+
+// prompt_tokens includes any cached prompt tokens
+function extractUsage(data) {
+  if (!data.usage) return null;
+  return {
+    prompt_tokens: data.usage.prompt_tokens,
+    completion_tokens: data.usage.completion_tokens,
+    total_tokens: data.usage.total_tokens,
+    cached_tokens: data.usage.prompt_tokens_details?.cached_tokens || 0
+  };
+}
+
+// Tool calls stream as fragments keyed by index; usage arrives in a final
+// chunk with no choices when include_usage was requested
+function applyStreamEvent(data, stream) {
+  if (data.model) stream.state.model = data.model;
+  if (data.usage) stream.state.usage = extractUsage(data);
+
+  const choice = data.choices && data.choices[0];
+  if (!choice) return '';
+  if (choice.finish_reason) stream.state.finish_reason = choice.finish_reason;
+
+  for (const delta of (choice.delta && choice.delta.tool_calls) || []) {
+    const call = stream.toolCallAt(delta.index);
+    if (delta.id) call.id = delta.id;
+    if (delta.function && delta.function.name) call.function.name += delta.function.name;
+    if (delta.function && delta.function.arguments) call.function.arguments += delta.function.arguments;
+  }
+
+  return stream.append(choice.delta && choice.delta.content);
+}
+
+// Build an adapter for an OpenAI-compatible endpoint. `chatPath` is appended to
+// `baseUrl`; either may contain {model}, which Azure uses for the deployment name.
+function createOpenAICompatibleAdapter({
+  id,
+  name,
+  baseUrl,
+  chatPath = '/chat/completions',
+  models = [],
+  authHeader = 'Authorization',
+  authPrefix = 'Bearer ',
+  queryParams = {},
+  headers = {},
+  streamUsage = true,
+  builtIn = false
+}) {
+  return {
+    id,
+    name,
+    format: 'openai',
+    baseUrl,
+    models,
+    builtIn,
+
+    headers(apiKey) {
+      const result = { 'Content-Type': 'application/json', ...headers };
+      // Local servers such as vLLM often run without a key
+      if (apiKey && authHeader) {
+        result[authHeader] = `${authPrefix || ''}${apiKey}`;
+      }
+      return result;
+    },
+
+    chatUrl(model) {
+      const url = `${this.baseUrl}${chatPath}`.replace(/\{model\}/g, encodeURIComponent(model));
+      const query = new URLSearchParams(queryParams).toString();
+      return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+    },
+
+    buildPayload,
+
+    // Not every compatible server accepts stream_options, so usage reporting
+    // on streams can be turned off per provider
+    streamPayload(payload) {
+      return streamUsage
+        ? { ...payload, stream: true, stream_options: { ...payload.stream_options, include_usage: true } }
+        : { ...payload, stream: true };
+    },
+
+    streamUsage,
+    extractText,
+    extractToolCalls,
+    extractFinishReason,
+    extractUsage,
+    applyStreamEvent
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleAdapter
+};
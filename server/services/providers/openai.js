@@ -0,0 +1,9 @@
+const { createOpenAICompatibleAdapter } = require('./openai-compatible');
+
+module.exports = createOpenAICompatibleAdapter({
+  id: 'openai',
+  name: 'OpenAI',
+  baseUrl: 'https://api.openai.com/v1',
+  models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo', 'gpt-4-1106-preview'],
+  builtIn: true
+});
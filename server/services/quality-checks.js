@@ -0,0 +1,280 @@
+const Ajv = require('ajv');
+const database = require('../database');
+
+// Response quality checks run after each successful call. Every checker
+// scores the response from 0 (bad) to 1 (good) and fails when the score is
+// under its threshold; the overall score is the weighted mean of the checkers
+// that ran. Results are stored in usage_logs.quality and never change a
+// call's status.
+
+// Used unless the quality_checks setting or the request overrides a field.
+// Checkers that need input only run when the request gives it: json_schema
+// with `json_schema`, grounding with `reference` text.
+const DEFAULT_QUALITY_CHECKS = {
+  length_ratio: { enabled: true, weight: 1, threshold: 0.5, max_ratio: 50, min_prompt_length: 100 },
+  repetition: { enabled: true, weight: 1, threshold: 0.7, min_sentences: 4 },
+  truncation: { enabled: true, weight: 2, threshold: 1 },
+  refusal: { enabled: true, weight: 1, threshold: 0.5, max_refusal_length: 300 },
+  json_schema: { enabled: true, weight: 2, threshold: 1 },
+  grounding: { enabled: true, weight: 2, threshold: 0.5, min_word_length: 4 }
+};
+
+const CHECKERS = Object.keys(DEFAULT_QUALITY_CHECKS);
+
+// finish_reason values meaning the output was cut off, per provider
+const TRUNCATED_FINISH_REASONS = ['length', 'max_tokens', 'MAX_TOKENS'];
+const FILTERED_FINISH_REASONS = ['content_filter', 'SAFETY', 'RECITATION', 'refusal'];
+
+const TRUNCATION_MARKERS = [/\.\.\.$/, /\[incomplete\]/i, /\[truncated\]/i, /\[cut off\]/i];
+
+const REFUSAL_PATTERNS = [
+  /\bI(?:'m| am) (?:sorry|afraid),? (?:but )?I (?:can(?:'|no)t|won't|am not able to|'m not able to)\b/i,
+  /\bI can(?:'|no)t (?:help|assist|comply|provide|do that|fulfill)\b/i,
+  /\bI(?:'m| am) (?:not able|unable) to (?:help|assist|comply|provide)\b/i,
+  /\bI (?:must|have to) (?:decline|refuse)\b/i,
+  /\bAs an AI(?: language model)?,? I (?:can(?:'|no)t|don't|do not|am not able)\b/i,
+  /\b(?:this|that|your) request (?:goes against|violates)\b/i
+];
+
+const STOPWORDS = new Set([
+  'about', 'above', 'after', 'again', 'also', 'because', 'been', 'before', 'being', 'below', 'between',
+  'both', 'could', 'does', 'doing', 'down', 'during', 'each', 'from', 'further', 'have', 'having',
+  'here', 'into', 'just', 'more', 'most', 'only', 'other', 'over', 'same', 'should', 'some', 'such',
+  'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+  'under', 'until', 'very', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with',
+  'would', 'your', 'yours'
+]);
+
+// Compiled validators by schema, most recently used last
+const compiledSchemas = new Map();
+const MAX_COMPILED_SCHEMAS = 100;
+
+// Merge the request's checker overrides over the quality_checks setting and
+// the defaults
+async function getQualityConfig(overrides = {}) {
+  let configured = {};
+  const value = await database.getSetting('quality_checks');
+  if (value) {
+    try {
+      configured = JSON.parse(value);
+    } catch (error) {
+      console.error('Invalid JSON in setting quality_checks:', error.message);
+    }
+  }
+
+  return Object.fromEntries(CHECKERS.map(name => [
+    name,
+    { ...DEFAULT_QUALITY_CHECKS[name], ...configured[name], ...overrides[name] }
+  ]));
+}
+
+// Run the enabled checkers on the prompt, response and finish_reason of a
+// call, with the request's `quality` options ({ reference, json_schema,
+// checks }). Resolves with { score, passed, issues, checks: { name: { score,
+// passed, details } } }, or null when no checker ran.
+async function runQualityChecks({ prompt, response, finish_reason, quality = {} }) {
+  const config = await getQualityConfig(quality.checks);
+  const input = {
+    prompt: prompt || '',
+    response: response || '',
+    finish_reason,
+    reference: quality.reference,
+    json_schema: quality.json_schema
+  };
+
+  const checks = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const name of CHECKERS) {
+    const settings = config[name];
+    if (!settings.enabled) {
+      continue;
+    }
+
+    const result = CHECKER_FUNCTIONS[name](input, settings);
+    if (!result) {
+      continue;
+    }
+
+    const score = Math.round(result.score * 100) / 100;
+    checks[name] = { score, passed: score >= settings.threshold, ...(result.details && { details: result.details }) };
+    weighted += score * settings.weight;
+    totalWeight += settings.weight;
+  }
+
+  if (totalWeight === 0) {
+    return null;
+  }
+
+  const issues = Object.keys(checks).filter(name => !checks[name].passed);
+  return {
+    score: Math.round((weighted / totalWeight) * 100) / 100,
+    passed: issues.length === 0,
+    issues,
+    checks
+  };
+}
+
+// Responses far longer than the prompt; short prompts count as
+// min_prompt_length characters so brief questions may get long answers
+function checkLengthRatio({ prompt, response }, { max_ratio, min_prompt_length }) {
+  const ratio = response.length / Math.max(prompt.length, min_prompt_length, 1);
+  return {
+    score: ratio <= max_ratio ? 1 : max_ratio / ratio,
+    details: { ratio: Math.round(ratio * 10) / 10 }
+  };
+}
+
+// Share of sentences that are not repeats of earlier ones
+function checkRepetition({ response }, { min_sentences }) {
+  const sentences = response.split(/[.!?\n]+/).map(s => s.trim().toLowerCase()).filter(s => s.length > 0);
+  if (sentences.length < min_sentences) {
+    return { score: 1 };
+  }
+
+  const unique = new Set(sentences).size;
+  return {
+    score: unique / sentences.length,
+    details: { repeated_sentences: sentences.length - unique }
+  };
+}
+
+// Output the provider cut off, from finish_reason when it reported one and
+// from trailing markers otherwise
+function checkTruncation({ response, finish_reason }) {
+  if (TRUNCATED_FINISH_REASONS.includes(finish_reason) || FILTERED_FINISH_REASONS.includes(finish_reason)) {
+    return { score: 0, details: { finish_reason } };
+  }
+  if (finish_reason) {
+    return { score: 1 };
+  }
+
+  const marker = TRUNCATION_MARKERS.find(pattern => pattern.test(response.trim()));
+  return marker ? { score: 0.5, details: { marker: marker.source } } : { score: 1 };
+}
+
+// A response that is only a refusal scores 0; a long one that includes a
+// refusal somewhere scores 0.5
+function checkRefusal({ response }, { max_refusal_length }) {
+  const match = REFUSAL_PATTERNS.map(pattern => response.match(pattern)).find(Boolean);
+  if (!match) {
+    return { score: 1 };
+  }
+  return {
+    score: response.length <= max_refusal_length ? 0 : 0.5,
+    details: { phrase: match[0] }
+  };
+}
+
+function checkJsonSchema({ response, json_schema }) {
+  if (!json_schema) {
+    return null;
+  }
+
+  const result = validateJson(response, json_schema);
+  return {
+    score: result.valid ? 1 : 0,
+    details: result.valid ? undefined : { errors: result.errors }
+  };
+}
+
+// Share of the response's content words and numbers found in the reference
+function checkGrounding({ response, reference }, { min_word_length }) {
+  if (!reference) {
+    return null;
+  }
+
+  const terms = text => (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}.,'-]*[\p{L}\p{N}]|\p{N}/gu) || [])
+    .map(term => term.replace(/[.,]+$/, ''))
+    .filter(term => /\d/.test(term) || (term.length >= min_word_length && !STOPWORDS.has(term)));
+
+  const known = new Set(terms(reference));
+  const claimed = [...new Set(terms(response))];
+  if (claimed.length === 0) {
+    return { score: 1 };
+  }
+
+  const unsupported = claimed.filter(term => !known.has(term));
+  return {
+    score: 1 - unsupported.length / claimed.length,
+    details: unsupported.length > 0 ? { unsupported_terms: unsupported.slice(0, 10) } : undefined
+  };
+}
+
+const CHECKER_FUNCTIONS = {
+  length_ratio: checkLengthRatio,
+  repetition: checkRepetition,
+  truncation: checkTruncation,
+  refusal: checkRefusal,
+  json_schema: checkJsonSchema,
+  grounding: checkGrounding
+};
+
+// Parse a response as JSON, allowing a Markdown code fence around it, and
+// validate it against a JSON Schema. Returns { valid, errors, value }.
+function validateJson(text, schema) {
+  const fenced = /^\s*```(?:json)?\s*\n([\s\S]*?)\n\s*```\s*$/.exec(text || '');
+  let value;
+  try {
+    value = JSON.parse(fenced ? fenced[1] : text);
+  } catch (error) {
+    return { valid: false, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const validate = compileSchema(schema);
+  if (validate(value)) {
+    return { valid: true, errors: [], value };
+  }
+  return {
+    valid: false,
+    errors: validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`),
+    value
+  };
+}
+
+// Check a successful call's response against the JSON Schema the caller
+// expects it to match, and store the outcome in its usage data
+function applyResponseSchema(usageData, schema) {
+  const result = validateJson(usageData.response, schema);
+  usageData.schema_valid = result.valid;
+  usageData.schema_errors = result.errors;
+  return result.valid;
+}
+
+// Each schema gets its own Ajv instance so schemas with the same $id from
+// different requests do not clash
+function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  let validate = compiledSchemas.get(key);
+  if (validate) {
+    compiledSchemas.delete(key);
+  } else {
+    validate = new Ajv({ allErrors: true, strict: false }).compile(schema);
+    if (compiledSchemas.size >= MAX_COMPILED_SCHEMAS) {
+      compiledSchemas.delete(compiledSchemas.keys().next().value);
+    }
+  }
+  compiledSchemas.set(key, validate);
+  return validate;
+}
+
+// Error message when `schema` is not a usable JSON Schema, else null
+function checkSchema(schema) {
+  try {
+    compileSchema(schema);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+module.exports = {
+  DEFAULT_QUALITY_CHECKS,
+  CHECKERS,
+  getQualityConfig,
+  runQualityChecks,
+  validateJson,
+  applyResponseSchema,
+  checkSchema
+};
@@ -0,0 +1,267 @@
+const database = require('../database');
+
+// Token-bucket rate limiting. A bucket holds up to `capacity` units and
+// refills at capacity per window, so a client may burst to the full limit
+// and then continues at the steady rate. Rate filters (filter_type 'rate')
+// hold the limits; buckets are kept per filter and per subject, the
+// combination of the call's user, team, virtual key and model the filter's
+// `per` names.
+//
+// Bucket levels live in a store. The default keeps them in memory, so they
+// are per process and start full after a restart; setStore() swaps in a
+// shared one. A store has a single method, which must run as one atomic
+// operation so concurrent calls cannot both pass on the last request:
+//
+//   take(entries, now)
+//     `entries` are { key, capacity, window_ms, required, amount }. Refill
+//     each bucket for the time since it was last used; when every bucket
+//     holds at least its `required`, take each `amount`. Resolves with
+//     { allowed, levels }, the level of each bucket after any take. Amounts
+//     may be negative (a refund) and levels may go below zero (tokens used
+//     on credit).
+
+const DIMENSIONS = ['user', 'team', 'virtual_key', 'model'];
+
+const WINDOWS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Rule names of each limit. max_calls_per_* predate token buckets and keep
+// working as request limits over longer windows.
+const LIMIT_RULES = [
+  { rule: 'requests_per_minute', kind: 'requests', window: 'minute' },
+  { rule: 'tokens_per_minute', kind: 'tokens', window: 'minute' },
+  { rule: 'max_calls_per_minute', kind: 'requests', window: 'minute' },
+  { rule: 'max_calls_per_hour', kind: 'requests', window: 'hour' },
+  { rule: 'max_calls_per_day', kind: 'requests', window: 'day' }
+];
+
+// How often the memory store drops buckets that have refilled
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  function sweep(now) {
+    lastSweep = now;
+    for (const [key, bucket] of buckets) {
+      if (bucket.full_at <= now) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  function refill(entry, now) {
+    const bucket = buckets.get(entry.key);
+    return bucket
+      ? Math.min(entry.capacity, bucket.level + (now - bucket.updated_at) * entry.capacity / entry.window_ms)
+      : entry.capacity;
+  }
+
+  return {
+    async take(entries, now = Date.now()) {
+      if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+        sweep(now);
+      }
+
+      // Nothing awaits between the check and the take
+      let levels = entries.map(entry => refill(entry, now));
+      const allowed = entries.every((entry, index) => levels[index] >= entry.required);
+      if (allowed) {
+        levels = levels.map((level, index) => Math.min(entries[index].capacity, level - entries[index].amount));
+      }
+
+      entries.forEach((entry, index) => {
+        const rate = entry.capacity / entry.window_ms;
+        buckets.set(entry.key, {
+          level: levels[index],
+          updated_at: now,
+          full_at: now + (entry.capacity - levels[index]) / rate
+        });
+      });
+      return { allowed, levels };
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+function setStore(customStore) {
+  store = customStore || createMemoryStore();
+}
+
+// Values of each dimension for a call. `subject` holds user_id, team_id,
+// virtual_key_id, model_provider and model_name.
+function dimensionValues(subject) {
+  return {
+    user: subject.user_id,
+    team: subject.team_id,
+    virtual_key: subject.virtual_key_id,
+    model: subject.model_provider && subject.model_name
+      ? `${subject.model_provider}/${subject.model_name}`
+      : undefined
+  };
+}
+
+// The buckets a rate filter's rules put a call in, or [] when the filter does
+// not cover it: the call lacks a dimension the filter is kept per, or is not
+// among those `match` lists
+function bucketsFor(filterId, rules, subject) {
+  const values = dimensionValues(subject);
+  const per = [].concat(rules.per || 'user');
+
+  if (per.some(dimension => !values[dimension])) {
+    return [];
+  }
+
+  const match = rules.match || {};
+  const excluded = DIMENSIONS.some(dimension =>
+    Array.isArray(match[dimension]) && !match[dimension].includes(values[dimension]));
+  if (excluded) {
+    return [];
+  }
+
+  const subjectKey = per.map(dimension => `${dimension}=${values[dimension]}`).join(',');
+  return LIMIT_RULES
+    .filter(({ rule }) => rules[rule] > 0)
+    .map(({ rule, kind, window }) => ({
+      filter_id: filterId,
+      key: `rate:${filterId}:${rule}:${subjectKey}`,
+      kind,
+      window,
+      capacity: rules[rule],
+      window_ms: WINDOWS[window],
+      per
+    }));
+}
+
+// Check a call against the buckets of rate filters ({ id, rules, enforce })
+// and, unless `dry_run`, take one request from each request bucket. The check
+// and the take are one store operation, and a call refused by one limit does
+// not count against the others. Buckets of filters with `enforce: false` are
+// taken from without being checked. Token limits only need room for the estimated
+// prompt; the tokens the call actually used are charged once it is logged
+// (see chargeTokens). Resolves with { allowed, exceeded, retry_after_ms,
+// limits }, where `limits` is the state of each bucket for the X-RateLimit
+// headers.
+async function checkLimits(filters, subject, { estimated_tokens = 0, dry_run = false } = {}) {
+  const buckets = filters.flatMap(filter => bucketsFor(filter.id, filter.rules, subject)
+    .map(bucket => ({ ...bucket, enforce: filter.enforce !== false })));
+  const result = { allowed: true, exceeded: null, retry_after_ms: 0, limits: [] };
+  if (buckets.length === 0) {
+    return result;
+  }
+
+  const entries = buckets.map(bucket => ({
+    ...bucket,
+    required: !bucket.enforce
+      ? -Infinity
+      : bucket.kind === 'requests' ? 1 : Math.min(bucket.capacity, Math.max(1, estimated_tokens)),
+    amount: bucket.kind === 'requests' && !dry_run ? 1 : 0
+  }));
+  const taken = await store.take(entries, Date.now());
+
+  entries.forEach((entry, index) => {
+    const level = taken.levels[index];
+    if (level < entry.required) {
+      const retryAfter = Math.ceil((entry.required - level) / (entry.capacity / entry.window_ms));
+      if (!result.exceeded || retryAfter > result.retry_after_ms) {
+        result.exceeded = buckets[index];
+        result.retry_after_ms = retryAfter;
+      }
+    }
+  });
+
+  result.allowed = taken.allowed;
+  result.limits = buckets.map((bucket, index) => limitState(bucket, taken.levels[index]));
+  return result;
+}
+
+function limitState(bucket, level) {
+  return {
+    kind: bucket.kind,
+    window: bucket.window,
+    limit: bucket.capacity,
+    remaining: Math.max(0, Math.floor(level)),
+    reset_ms: Math.ceil((bucket.capacity - level) / (bucket.capacity / bucket.window_ms))
+  };
+}
+
+// Charge the tokens a logged call used to the token buckets of every active
+// rate filter that covers it. Buckets may go below zero, which holds back the
+// next calls until they refill.
+async function chargeTokens(usageData) {
+  if (!(usageData.total_tokens > 0)) {
+    return;
+  }
+
+  try {
+    const filters = (await database.getSafetyFilters()).filter(filter => filter.filter_type === 'rate');
+    const entries = filters
+      .flatMap(filter => bucketsFor(filter.id, JSON.parse(filter.rules), usageData))
+      .filter(bucket => bucket.kind === 'tokens')
+      .map(bucket => ({ ...bucket, required: -Infinity, amount: usageData.total_tokens }));
+    if (entries.length > 0) {
+      await store.take(entries, Date.now());
+    }
+  } catch (error) {
+    console.error('Error charging rate limit tokens:', error);
+  }
+}
+
+// Take one request from a bucket outside any filter, such as a client's
+// bucket for the API as a whole. Resolves with { allowed, retry_after_ms,
+// limits } like checkLimits.
+async function hit(key, { capacity, window_ms }) {
+  const bucket = { key, kind: 'requests', window: null, capacity, window_ms };
+  const taken = await store.take([{ ...bucket, required: 1, amount: 1 }], Date.now());
+  const [level] = taken.levels;
+  return {
+    allowed: taken.allowed,
+    retry_after_ms: taken.allowed ? 0 : Math.ceil((1 - level) / (capacity / window_ms)),
+    limits: [limitState(bucket, level)]
+  };
+}
+
+// X-RateLimit-* headers for the tightest request and token limits, and
+// Retry-After in seconds when the call was refused
+function rateLimitHeaders(limits, retryAfterMs) {
+  const headers = {};
+  const tightest = kind => limits
+    .filter(limit => limit.kind === kind)
+    .sort((a, b) => a.remaining / a.limit - b.remaining / b.limit)[0];
+
+  const requests = tightest('requests');
+  if (requests) {
+    headers['X-RateLimit-Limit'] = String(requests.limit);
+    headers['X-RateLimit-Remaining'] = String(requests.remaining);
+    headers['X-RateLimit-Reset'] = String(Math.ceil(requests.reset_ms / 1000));
+  }
+
+  const tokens = tightest('tokens');
+  if (tokens) {
+    headers['X-RateLimit-Limit-Tokens'] = String(tokens.limit);
+    headers['X-RateLimit-Remaining-Tokens'] = String(tokens.remaining);
+    headers['X-RateLimit-Reset-Tokens'] = String(Math.ceil(tokens.reset_ms / 1000));
+  }
+
+  if (retryAfterMs > 0) {
+    headers['Retry-After'] = String(Math.ceil(retryAfterMs / 1000));
+  }
+  return headers;
+}
+
+module.exports = {
+  DIMENSIONS,
+  LIMIT_RULES,
+  createMemoryStore,
+  setStore,
+  bucketsFor,
+  checkLimits,
+  chargeTokens,
+  hit,
+  rateLimitHeaders
+};
@@ -0,0 +1,213 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const aiProviders = require('./ai-providers');
+const safetyFilters = require('./safety-filters');
+const usageRecorder = require('./usage-recorder');
+const providerRegistry = require('./providers');
+const tracking = require('./tracking-pipeline');
+const chatMessages = require('../utils/chat-messages');
+
+// Request options recorded in a log's metadata that are sent again on replay
+const REPLAYED_OPTIONS = [
+  'max_tokens',
+  'temperature',
+  'top_p',
+  'frequency_penalty',
+  'presence_penalty',
+  'stop',
+  'timeout_ms',
+  'tool_choice',
+  'fallbacks'
+];
+
+// Largest number of logs a bulk replay will pick up
+const MAX_BULK_REPLAY = 500;
+
+function pickOptions(metadata) {
+  const options = {};
+  REPLAYED_OPTIONS.forEach(key => {
+    if (metadata[key] !== undefined) {
+      options[key] = metadata[key];
+    }
+  });
+  return options;
+}
+
+// API key for a provider: a per-provider key from `api_keys` wins over `api_key`
+function keyFor(provider, { api_key, api_keys = {} }) {
+  return api_keys[provider] || api_key;
+}
+
+// Re-run a logged request with its original conversation, tools and options.
+// `overrides` may change user_id, model_provider, model_name and any option;
+// `retry` in the overrides sets the retry policy for the replay. The new log
+// records the original in its replay_of column.
+//
+// Resolves with { blocked, reasons, retry_after_ms } when the safety filters
+// reject the replay, otherwise with the tracking pipeline's { usageData,
+// attempts }.
+async function replayLog(app, log, { api_key, api_keys, overrides = {} }) {
+  const metadata = JSON.parse(log.metadata || '{}');
+  const {
+    user_id = log.user_id,
+    model_provider = log.model_provider,
+    model_name = log.model_name,
+    options = {}
+  } = overrides;
+  const { retry, ...callOptions } = { ...pickOptions(metadata), ...options };
+  const { tool_choice, fallbacks } = callOptions;
+  delete callOptions.tool_choice;
+  delete callOptions.fallbacks;
+
+  const storedMessages = log.messages ? JSON.parse(log.messages) : null;
+  let conversation = storedMessages || chatMessages.buildConversation({ prompt: log.prompt });
+  const tools = JSON.parse(log.tools || '[]');
+
+  const filterRequest = {
+    user_id,
+    team_id: log.team_id,
+    project_id: log.project_id,
+    prompt: log.prompt,
+    messages: conversation,
+    options: callOptions
+  };
+
+  const safetyCheck = await safetyFilters.checkFilters({ ...filterRequest, model_provider, model_name });
+  if (!safetyCheck.allowed) {
+    return { blocked: true, reasons: safetyCheck.reasons, retry_after_ms: safetyCheck.retry_after_ms };
+  }
+
+  // Replays are redacted and rerouted like the original call would be today
+  conversation = safetyCheck.messages;
+  filterRequest.prompt = safetyCheck.prompt;
+  filterRequest.messages = conversation;
+
+  const base = {
+    user_id,
+    team_id: log.team_id,
+    session_id: log.session_id,
+    project_id: log.project_id,
+    model_provider,
+    model_name: safetyCheck.model_name,
+    prompt: safetyCheck.prompt,
+    messages: storedMessages && conversation,
+    tools,
+    image_count: log.image_count,
+    audio_seconds: log.audio_seconds,
+    is_batch: Boolean(log.is_batch),
+    retry_count: 0,
+    replay_of: log.id,
+    safety_flags: safetyCheck.flags || {},
+    metadata: {
+      timestamp: new Date().toISOString(),
+      ...callOptions,
+      tool_choice,
+      fallbacks,
+      replay_of: log.id
+    }
+  };
+
+  const policy = await tracking.getRetryPolicy(retry);
+  const targets = await tracking.resolveTargets(
+    { model_provider, model_name: safetyCheck.model_name, api_key: keyFor(model_provider, { api_key, api_keys }) },
+    fallbacks || [],
+    api_keys
+  );
+
+  return await tracking.trackRequest(app, {
+    base,
+    targets,
+    policy,
+    conversation,
+    filterRequest,
+    callProvider: (target) => aiProviders.makeRequest(target.model_provider, target.api_key, {
+      ...callOptions,
+      model: target.model_name,
+      messages: conversation,
+      tools,
+      tool_choice,
+      timeout_ms: callOptions.timeout_ms || policy.timeout_ms
+    })
+  });
+}
+
+// Logs matching a bulk replay's filters, oldest first. Only the final attempt
+// of each call is picked up: intermediate attempts have status 'retry'.
+async function findReplayCandidates(filters) {
+  const logs = await database.getUsageLogs({
+    ...filters,
+    status: filters.status || 'failure',
+    limit: Math.min(filters.limit || MAX_BULK_REPLAY, MAX_BULK_REPLAY)
+  });
+  return logs.reverse();
+}
+
+// Replay every matching log one at a time, reporting each result over the
+// WebSocket as a replay_progress event, sent to the user who started the
+// replay. Logs whose provider has no key are skipped. Resolves with the final
+// counts once the last log is done.
+async function replayLogs(app, logs, { api_key, api_keys, overrides = {}, replayId = uuidv4(), requestedBy }) {
+  const audience = { user_id: requestedBy };
+  const progress = {
+    replay_id: replayId,
+    total: logs.length,
+    completed: 0,
+    succeeded: 0,
+    failed: 0,
+    skipped: 0,
+    done: false
+  };
+
+  for (const log of logs) {
+    const provider = overrides.model_provider || log.model_provider;
+    const event = { log_id: log.id };
+
+    try {
+      if (!providerRegistry.hasProvider(provider) || !keyFor(provider, { api_key, api_keys })) {
+        progress.skipped++;
+        event.status = 'skipped';
+        event.error = `No API key for provider ${provider}`;
+      } else {
+        const result = await replayLog(app, log, { api_key, api_keys, overrides });
+        if (result.blocked) {
+          progress.skipped++;
+          event.status = 'blocked';
+          event.reasons = result.reasons;
+        } else {
+          const { usageData } = result;
+          event.replay_log_id = usageData.id;
+          event.status = usageData.status;
+          if (usageData.status === 'failure') {
+            progress.failed++;
+            event.error = usageData.error_message;
+          } else {
+            progress.succeeded++;
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Error replaying usage log ${log.id}:`, error);
+      progress.failed++;
+      event.status = 'failure';
+      event.error = error.message;
+    }
+
+    progress.completed++;
+    progress.done = progress.completed === progress.total;
+    usageRecorder.broadcast(app, { type: 'replay_progress', data: { ...progress, ...event } }, audience);
+  }
+
+  if (logs.length === 0) {
+    progress.done = true;
+    usageRecorder.broadcast(app, { type: 'replay_progress', data: progress }, audience);
+  }
+
+  return progress;
+}
+
+module.exports = {
+  MAX_BULK_REPLAY,
+  replayLog,
+  findReplayCandidates,
+  replayLogs
+};
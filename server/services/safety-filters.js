@@ -1,8 +1,58 @@
+const { v4: uuidv4 } = require('uuid');
 const database = require('../database');
+const budgets = require('./budgets');
+const alerts = require('./alerts');
+const piiRedaction = require('./pii-redaction');
+const secretScanner = require('./secret-scanner');
+const promptInjection = require('./prompt-injection');
+const qualityChecks = require('./quality-checks');
+const rateLimiter = require('./rate-limiter');
+const tokenCounter = require('../utils/token-counter');
+const chatMessages = require('../utils/chat-messages');
 
-// Check safety filters before making a request
-async function checkFilters(requestData) {
+// What a filter does when it trips, from its rules.action:
+//   block   - refuse the call and raise a critical alert (the default)
+//   warn    - let the call through and flag it
+//   alert   - let the call through, flag it and raise a warning alert
+//   redact  - replace what a content or pii filter matched in the prompt and
+//             send it; PII and secrets become placeholders restored in the
+//             response
+//   reroute - send the call to a cheaper model: rules.reroute_to (one model
+//             name or a list, tried in order) or else the provider's priced
+//             models that cost less, most expensive first
+// A filter that cannot redact or find a model the filters allow blocks.
+const FILTER_ACTIONS = ['block', 'warn', 'alert', 'redact', 'reroute'];
+
+// Actions that flag a call without refusing it
+const NON_BLOCKING_ACTIONS = ['warn', 'alert'];
+
+const REDACTED = '[REDACTED]';
+
+// Actions on secrets found in a response, least strict first. A response
+// cannot be rerouted, so reroute filters block it.
+const RESPONSE_SECRET_ACTIONS = ['warn', 'alert', 'redact', 'block'];
+
+const WITHHELD_RESPONSE = '[Response withheld: it contained secrets]';
+
+// Cheaper models tried when a reroute filter names none
+const MAX_REROUTE_CANDIDATES = 5;
+
+// Check safety filters before making a request. Besides allowed and reasons,
+// the result holds the prompt, messages and model_name to send, which redact
+// and reroute filters may have changed, every filter that tripped in
+// `actions`, the functions that redacted the prompt in `redactions` (to apply
+// to a provider-shaped body) and the PII placeholder vault in `pii`, whose
+// restore() puts PII back in the response. `rate_limits` holds the state of the
+// rate filters' buckets, and `retry_after_ms` is set when one refused the call.
+// Rate filters only look at their buckets while filters run; a call every
+// check allows is counted against them at the end.
+// `rerouting` checks a model a reroute filter is considering: reroutes block,
+// no alerts are raised and nothing is counted or recorded. `recheck` checks a
+// call that was already checked once, such as a fallback target: it is not
+// counted again and raises no alerts, safety events or secret incidents.
+async function checkFilters(requestData, { rerouting = false, recheck = false, pii = piiRedaction.createVault() } = {}) {
   const { user_id, team_id, model_provider, model_name, prompt, options } = requestData;
+  const record = !rerouting && !recheck;
   
   try {
     // Get all active safety filters
@@ -11,58 +61,300 @@ async function checkFilters(requestData) {
     const result = {
       allowed: true,
       reasons: [],
-      flags: {}
+      flags: {},
+      actions: [],
+      redactions: [],
+      rate_limits: [],
+      retry_after_ms: 0,
+      pii
     };
     
-    for (const filter of filters) {
-      const rules = JSON.parse(filter.rules);
-      const filterResult = await applyFilter(filter, rules, requestData);
+    // Requests made with a virtual key are held to its model scope and cap
+    if (requestData.virtual_key) {
+      const keyResult = await applyVirtualKeyFilter(requestData.virtual_key, requestData);
       
-      if (!filterResult.allowed) {
+      if (!keyResult.allowed) {
         result.allowed = false;
         result.reasons.push({
-          filter: filter.name,
-          reason: filterResult.reason
+          filter: 'virtual_key',
+          reason: keyResult.reason
         });
       }
       
+      result.flags.virtual_key = keyResult.flags;
+    }
+    
+    // Budgets covering the call's org, team, user and project
+    const budgetResult = await budgets.checkBudgets(requestData);
+    result.reasons.push(...budgetResult.reasons);
+    if (!budgetResult.allowed) {
+      result.allowed = false;
+    }
+    if (Object.keys(budgetResult.flags).length > 0) {
+      result.flags.budgets = budgetResult.flags;
+    }
+    
+    // Later filters see the prompt as earlier ones redacted it, except that
+    // secret scans that block look at the prompt as sent (see applyContentFilter)
+    let request = requestData;
+    const reroutes = [];
+    
+    for (const filter of filters) {
+      const rules = JSON.parse(filter.rules);
+      const filterResult = await applyFilter(filter, rules, request, { original: requestData });
+      if (filterResult.limits) {
+        result.rate_limits.push(...filterResult.limits);
+      }
+      
+      if (!filterResult.allowed) {
+        let action = rules.action || 'block';
+        
+        if (action === 'redact') {
+          const redacted = await redactRequest(filter, rules, request, pii);
+          if (redacted) {
+            request = redacted.request;
+            result.redactions.push(redacted.redact);
+          } else {
+            action = 'block';
+          }
+        }
+        
+        if (action === 'reroute' && rerouting) {
+          action = 'block';
+        }
+        
+        result.actions.push({ filter: filter.name, action, reason: filterResult.reason });
+        filterResult.flags = { ...filterResult.flags, action, reason: filterResult.reason };
+        
+        if (action === 'block') {
+          result.allowed = false;
+          result.reasons.push({
+            filter: filter.name,
+            reason: filterResult.reason
+          });
+          result.retry_after_ms = Math.max(result.retry_after_ms, filterResult.retry_after_ms || 0);
+        } else if (action === 'reroute') {
+          reroutes.push({ filter, rules });
+        }
+        
+        if ((action === 'block' || action === 'alert') && record) {
+          alerts.emit(filterAlert(filter, action, filterResult, request));
+        }
+        
+        if (filterResult.flags.secrets && record) {
+          recordSecretIncidents(filter, filterResult.flags.secrets, 'prompt', action, request);
+        }
+      }
+      
       // Collect flags for monitoring
       if (filterResult.flags) {
         result.flags[filter.name] = filterResult.flags;
       }
+      
+      // Trips and injection scores feed the safety report
+      if (record && filterResult.flags && (filterResult.flags.action || filterResult.flags.injection_score > 0)) {
+        recordSafetyEvent(filter, filterResult.flags, request);
+      }
     }
     
-    return result;
+    result.prompt = request.prompt;
+    result.messages = request.messages;
+    result.model_name = model_name;
+    
+    const checked = result.allowed && reroutes.length > 0
+      ? await rerouteRequest(result, request, reroutes, { record })
+      : result;
+    
+    if (checked.allowed && record) {
+      const rateFilters = filters.filter(filter => filter.filter_type === 'rate');
+      await countRateLimits(checked, { ...request, model_name: checked.model_name }, rateFilters);
+    }
+    
+    return checked;
   } catch (error) {
     console.error('Error checking safety filters:', error);
     return {
       allowed: true, // Default to allowing if there's an error
       reasons: [],
-      flags: { error: 'Safety filter check failed' }
+      flags: { error: 'Safety filter check failed' },
+      actions: [],
+      redactions: [],
+      rate_limits: [],
+      retry_after_ms: 0,
+      pii,
+      prompt,
+      messages: requestData.messages,
+      model_name
     };
   }
 }
 
-// Apply a specific filter
-async function applyFilter(filter, rules, requestData) {
+// Replace what a content or pii filter matched in the prompt and messages.
+// Resolves with the redacted request and the function that redacted it, or
+// null when the filter cannot redact or the redacted prompt still fails it.
+async function redactRequest(filter, rules, requestData, pii) {
+  const redact = redactorFor(filter, rules, pii);
+  if (!redact) {
+    return null;
+  }
+  
+  const request = {
+    ...requestData,
+    prompt: redact(requestData.prompt || ''),
+    messages: requestData.messages && requestData.messages.map(message => ({
+      ...message,
+      content: chatMessages.mapContentText(message.content, redact)
+    }))
+  };
+  
+  const recheck = await applyFilter(filter, rules, request);
+  return recheck.allowed ? { request, redact } : null;
+}
+
+// Blocked keywords become [REDACTED]; PII and secrets become placeholders in
+// the vault
+function redactorFor(filter, rules, pii) {
+  if (filter.filter_type === 'pii') {
+    return text => pii.redact(text, rules);
+  }
+  
+  if (filter.filter_type !== 'content') {
+    return null;
+  }
+  
+  const keywords = (rules.blocked_keywords || [])
+    .filter(word => word.length > 0)
+    .map(word => new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'));
+  if (keywords.length === 0 && !rules.check_pii && !rules.scan_secrets) {
+    return null;
+  }
+  
+  return text => {
+    const unsecret = rules.scan_secrets ? pii.redactMatches(text, secretScanner.scan(text, scanOptions(rules))) : text;
+    const redacted = keywords.reduce((current, pattern) => current.replace(pattern, REDACTED), unsecret);
+    return rules.check_pii ? pii.redact(redacted) : redacted;
+  };
+}
+
+// Redact a message content field, a string or an array of parts, with the
+// `redactions` of a filter check
+function redactContent(content, redactions) {
+  return chatMessages.mapContentText(content, text => redactions.reduce((current, redact) => redact(current), text));
+}
+
+// Send a call a reroute filter tripped on to the first cheaper model every
+// filter allows, or block it when there is none
+async function rerouteRequest(result, request, reroutes, { record = true } = {}) {
+  const { model_provider, model_name } = request;
+  
+  for (const candidate of await rerouteCandidates(request, reroutes)) {
+    const check = await checkFilters({ ...request, model_name: candidate }, { rerouting: true, pii: result.pii });
+    if (check.allowed) {
+      return {
+        ...check,
+        flags: { ...check.flags, ...result.flags, rerouted: { from: model_name, to: candidate } },
+        actions: [...result.actions, ...check.actions],
+        redactions: [...result.redactions, ...check.redactions],
+        rate_limits: result.rate_limits
+      };
+    }
+  }
+  
+  const reason = `No cheaper model the safety filters allow to reroute ${model_provider}/${model_name} to`;
+  if (record) {
+    for (const { filter } of reroutes) {
+      alerts.emit(filterAlert(filter, 'block', { reason }, request));
+    }
+  }
+  
+  return {
+    ...result,
+    allowed: false,
+    reasons: reroutes.map(({ filter }) => ({ filter: filter.name, reason }))
+  };
+}
+
+// Models to reroute to, in the order to try them
+async function rerouteCandidates(request, reroutes) {
+  const { model_provider, model_name } = request;
+  
+  const named = reroutes.flatMap(({ rules }) => [].concat(rules.reroute_to || []));
+  if (named.length > 0) {
+    return [...new Set(named)].filter(candidate => candidate !== model_name);
+  }
+  
+  const pricing = await database.allQuery(`
+    SELECT model_name, input_cost_per_1k_tokens + output_cost_per_1k_tokens as price
+    FROM model_pricing
+    WHERE provider = ? AND is_active = true
+      AND effective_date <= CURRENT_TIMESTAMP
+      AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)
+    ORDER BY model_name, effective_date DESC
+  `, [model_provider]);
+  
+  // Keep the most recent price per model
+  const current = pricing.filter((row, index) => index === 0 || row.model_name !== pricing[index - 1].model_name);
+  const requested = current.find(row => row.model_name === model_name);
+  if (!requested) {
+    return [];
+  }
+  
+  return current
+    .filter(row => row.price < requested.price)
+    .sort((a, b) => b.price - a.price)
+    .slice(0, MAX_REROUTE_CANDIDATES)
+    .map(row => row.model_name);
+}
+
+// Alert for a call a filter blocked or flagged, deduplicated per filter,
+// team and user
+function filterAlert(filter, action, filterResult, requestData) {
+  const { user_id, team_id, project_id, model_provider, model_name } = requestData;
+  
+  return {
+    source: 'filter',
+    source_id: filter.id,
+    severity: action === 'alert' ? 'warning' : 'critical',
+    title: `Safety filter "${filter.name}" ${action === 'alert' ? 'flagged' : 'blocked'} a call`,
+    message: filterResult.reason,
+    details: {
+      filter: filter.name,
+      action,
+      model_provider,
+      model_name,
+      user_id,
+      team_id,
+      project_id
+    },
+    dedup_key: `filter:${filter.id}:${team_id || ''}:${user_id || ''}`
+  };
+}
+
+// Apply a specific filter. `original` is the request before any filter
+// redacted it.
+async function applyFilter(filter, rules, requestData, { original = requestData } = {}) {
   const { user_id, team_id, model_provider, model_name, prompt, options } = requestData;
   
   switch (filter.filter_type) {
     case 'content':
-      return await applyContentFilter(rules, requestData);
+      return await applyContentFilter(rules, requestData, original);
     case 'cost':
       return await applyCostFilter(rules, requestData);
     case 'rate':
-      return await applyRateFilter(rules, requestData);
+      return await applyRateFilter(filter, rules, requestData);
     case 'model':
       return await applyModelFilter(rules, requestData);
+    case 'pii':
+      return applyPiiFilter(rules, requestData);
+    case 'injection':
+      return applyInjectionFilter(rules, requestData);
     default:
       return { allowed: true, reason: 'Unknown filter type' };
   }
 }
 
 // Content-based filtering
-async function applyContentFilter(rules, requestData) {
+async function applyContentFilter(rules, requestData, original = requestData) {
   const { prompt } = requestData;
   
   const result = {
@@ -95,28 +387,139 @@ async function applyContentFilter(rules, requestData) {
   
   // Check for PII patterns
   if (rules.check_pii) {
-    const piiPatterns = [
-      /\b\d{3}-\d{2}-\d{4}\b/, // SSN
-      /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/, // Credit card
-      /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/, // Email
-      /\b\d{3}-\d{3}-\d{4}\b/ // Phone number
-    ];
-    
-    for (const pattern of piiPatterns) {
-      if (pattern.test(prompt)) {
-        result.flags.potential_pii = true;
-        if (rules.block_pii) {
-          result.allowed = false;
-          result.reason = 'Contains potential PII';
-        }
-        break;
+    if (piiRedaction.detect(prompt).length > 0) {
+      result.flags.potential_pii = true;
+      if (rules.block_pii) {
+        result.allowed = false;
+        result.reason = 'Contains potential PII';
       }
     }
   }
   
+  // Check for credentials: known key formats and high-entropy strings. A
+  // filter that blocks them scans the prompt as sent, so a pii filter that
+  // ran first and turned them into placeholders does not let them through.
+  if (rules.scan_secrets) {
+    const scanned = (rules.action || 'block') === 'block' ? original.prompt : prompt;
+    const secrets = secretScanner.scan(scanned || '', scanOptions(rules));
+    if (secrets.length > 0) {
+      const findings = secretScanner.describe(secrets);
+      result.allowed = false;
+      result.reason = `Contains secrets: ${[...new Set(findings.map(finding => finding.type))].join(', ')}`;
+      result.flags.secrets = findings;
+    }
+  }
+  
   return result;
 }
 
+// Scanner options from a content filter's secret_types and min_entropy
+function scanOptions(rules) {
+  return {
+    types: rules.secret_types || secretScanner.SECRET_TYPES,
+    min_entropy: rules.min_entropy === undefined ? secretScanner.DEFAULT_MIN_ENTROPY : rules.min_entropy
+  };
+}
+
+// Record a filter that tripped, or an injection score, for the safety report
+// without waiting
+function recordSafetyEvent(filter, flags, requestData) {
+  const { user_id, team_id, project_id, model_provider, model_name } = requestData;
+  
+  database.runQuery(`
+    INSERT INTO safety_events (
+      id, filter_id, filter_name, filter_type, action, reason, score, signals,
+      user_id, team_id, project_id, model_provider, model_name
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    uuidv4(), filter.id, filter.name, filter.filter_type, flags.action || null, flags.reason || null,
+    flags.injection_score ?? null, flags.injection_signals ? JSON.stringify(flags.injection_signals) : null,
+    user_id || null, team_id || null, project_id || null, model_provider || null, model_name || null
+  ]).catch(error => console.error('Error recording safety event:', error));
+}
+
+// Record secrets a filter found as incidents, without waiting. A secret that
+// is still open for the same user counts as another occurrence of it.
+function recordSecretIncidents(filter, findings, source, action, requestData) {
+  insertSecretIncidents(filter, findings, source, action, requestData)
+    .catch(error => console.error('Error recording secret incidents:', error));
+}
+
+async function insertSecretIncidents(filter, findings, source, action, requestData) {
+  const { user_id, team_id, project_id, model_provider, model_name } = requestData;
+  
+  for (const finding of findings) {
+    const open = await database.getQuery(`
+      SELECT id FROM secret_incidents
+      WHERE fingerprint = ? AND source = ? AND user_id IS ? AND status = 'open'
+    `, [finding.fingerprint, source, user_id || null]);
+    
+    if (open) {
+      await database.runQuery(`
+        UPDATE secret_incidents
+        SET occurrences = occurrences + 1, last_seen_at = CURRENT_TIMESTAMP, action = ?,
+          usage_log_id = COALESCE(?, usage_log_id)
+        WHERE id = ?
+      `, [action, requestData.id || null, open.id]);
+      continue;
+    }
+    
+    await database.runQuery(`
+      INSERT INTO secret_incidents (
+        id, filter_id, usage_log_id, source, secret_type, fingerprint, preview, action,
+        user_id, team_id, project_id, model_provider, model_name
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      uuidv4(), filter.id, requestData.id || null, source, finding.type, finding.fingerprint, finding.preview,
+      action, user_id || null, team_id || null, project_id || null, model_provider || null, model_name || null
+    ]);
+  }
+}
+
+// PII detection with the rules' detectors, patterns and dictionaries. Use
+// action 'redact' to send the prompt with placeholders instead.
+function applyPiiFilter(rules, requestData) {
+  const matches = piiRedaction.detect(requestData.prompt, rules);
+  
+  if (matches.length === 0) {
+    return { allowed: true, reason: '', flags: {} };
+  }
+  
+  const counts = piiRedaction.summarize(matches);
+  return {
+    allowed: false,
+    reason: `Contains PII: ${Object.keys(counts).join(', ')}`,
+    flags: { pii: counts }
+  };
+}
+
+// Prompt-injection and jailbreak scoring with the local rule set. Trips at
+// rules.threshold (0 to 1); the score is flagged either way.
+function applyInjectionFilter(rules, requestData) {
+  const threshold = rules.threshold === undefined ? promptInjection.DEFAULT_THRESHOLD : rules.threshold;
+  const { score, signals } = promptInjection.scoreText(requestData.prompt, {
+    checks: rules.checks,
+    phrases: rules.phrases
+  });
+  
+  const flags = { injection_score: score };
+  if (signals.length > 0) {
+    flags.injection_signals = signals;
+  }
+  
+  if (score < threshold) {
+    return { allowed: true, reason: '', flags };
+  }
+  
+  return {
+    allowed: false,
+    reason: `Possible prompt injection: score ${score.toFixed(2)} >= ${threshold} (${signals.join(', ')})`,
+    flags
+  };
+}
+
 // Cost-based filtering
 async function applyCostFilter(rules, requestData) {
   const { model_provider, model_name, prompt } = requestData;
@@ -136,9 +539,12 @@ async function applyCostFilter(rules, requestData) {
       return result;
     }
     
-    // Estimate cost
-    const estimatedTokens = estimateTokenCount(prompt);
-    const estimatedCost = (estimatedTokens * pricing.input_cost_per_1k_tokens) / 1000;
+    // Estimate cost from an exact BPE count of the outgoing prompt plus any
+    // per-image charge; output is unknown until the call is made
+    const estimatedTokens = estimatePromptTokens(requestData);
+    const estimatedCost = tokenCounter.estimateCost(estimatedTokens, 0, pricing, {
+      images: chatMessages.countImages(requestData.messages)
+    });
     
     // Check maximum cost per call
     if (rules.max_cost_per_call && estimatedCost > rules.max_cost_per_call) {
@@ -153,8 +559,8 @@ async function applyCostFilter(rules, requestData) {
       const dailySpending = await database.getQuery(`
         SELECT SUM(total_cost) as total_cost 
         FROM usage_logs 
-        WHERE DATE(created_at) = ? AND user_id = ?
-      `, [today, requestData.user_id]);
+        WHERE DATE(created_at) = ? AND user_id IS ?
+      `, [today, requestData.user_id || null]);
       
       const currentSpending = dailySpending ? dailySpending.total_cost || 0 : 0;
       
@@ -175,10 +581,10 @@ async function applyCostFilter(rules, requestData) {
   return result;
 }
 
-// Rate-based filtering
-async function applyRateFilter(rules, requestData) {
-  const { user_id, team_id } = requestData;
-  
+// Request and token limits kept in token buckets per user, team, virtual key
+// or model (see rate-limiter.js). This only looks at the buckets;
+// countRateLimits takes from them once every filter has allowed the call.
+async function applyRateFilter(filter, rules, requestData) {
   const result = {
     allowed: true,
     reason: '',
@@ -186,56 +592,18 @@ async function applyRateFilter(rules, requestData) {
   };
   
   try {
-    const now = new Date();
-    
-    // Check calls per minute
-    if (rules.max_calls_per_minute) {
-      const oneMinuteAgo = new Date(now.getTime() - 60 * 1000);
-      const recentCalls = await database.getQuery(`
-        SELECT COUNT(*) as count 
-        FROM usage_logs 
-        WHERE created_at >= ? AND user_id = ?
-      `, [oneMinuteAgo.toISOString(), user_id]);
-      
-      if (recentCalls.count >= rules.max_calls_per_minute) {
-        result.allowed = false;
-        result.reason = `Rate limit exceeded: ${recentCalls.count} calls per minute`;
-        result.flags.rate_limit_exceeded = true;
-      }
-    }
+    const check = await rateLimiter.checkLimits([{ id: filter.id, rules }], rateSubject(requestData), {
+      estimated_tokens: estimatePromptTokens(requestData),
+      dry_run: true
+    });
     
-    // Check calls per hour
-    if (rules.max_calls_per_hour) {
-      const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-      const recentCalls = await database.getQuery(`
-        SELECT COUNT(*) as count 
-        FROM usage_logs 
-        WHERE created_at >= ? AND user_id = ?
-      `, [oneHourAgo.toISOString(), user_id]);
-      
-      if (recentCalls.count >= rules.max_calls_per_hour) {
-        result.allowed = false;
-        result.reason = `Hourly rate limit exceeded: ${recentCalls.count} calls per hour`;
-        result.flags.hourly_limit_exceeded = true;
-      }
-    }
-    
-    // Check calls per day
-    if (rules.max_calls_per_day) {
-      const today = new Date().toISOString().split('T')[0];
-      const dailyCalls = await database.getQuery(`
-        SELECT COUNT(*) as count 
-        FROM usage_logs 
-        WHERE DATE(created_at) = ? AND user_id = ?
-      `, [today, user_id]);
-      
-      if (dailyCalls.count >= rules.max_calls_per_day) {
-        result.allowed = false;
-        result.reason = `Daily rate limit exceeded: ${dailyCalls.count} calls per day`;
-        result.flags.daily_limit_exceeded = true;
-      }
+    result.limits = check.limits;
+    if (!check.allowed) {
+      result.allowed = false;
+      result.reason = rateLimitReason(check.exceeded);
+      result.retry_after_ms = check.retry_after_ms;
+      result.flags.rate_limit_exceeded = rateLimitFlag(check);
     }
-    
   } catch (error) {
     console.error('Error applying rate filter:', error);
     result.flags.rate_filter_error = true;
@@ -244,6 +612,54 @@ async function applyRateFilter(rules, requestData) {
   return result;
 }
 
+// Count an allowed call against every rate filter in one store operation.
+// Another call may have used up a bucket of a blocking filter since the
+// filters looked, which blocks this one. Filters that only warn or alert
+// have already flagged the call and are counted without being checked.
+async function countRateLimits(result, requestData, rateFilters) {
+  if (rateFilters.length === 0) {
+    return;
+  }
+  
+  try {
+    const check = await rateLimiter.checkLimits(
+      rateFilters.map(filter => {
+        const rules = JSON.parse(filter.rules);
+        return { id: filter.id, rules, enforce: !NON_BLOCKING_ACTIONS.includes(rules.action) };
+      }),
+      rateSubject(requestData),
+      { estimated_tokens: estimatePromptTokens(requestData) }
+    );
+    
+    result.rate_limits = check.limits;
+    if (!check.allowed) {
+      const filter = rateFilters.find(candidate => candidate.id === check.exceeded.filter_id);
+      const reason = rateLimitReason(check.exceeded);
+      result.allowed = false;
+      result.reasons.push({ filter: filter.name, reason });
+      result.retry_after_ms = check.retry_after_ms;
+      result.flags[filter.name] = { rate_limit_exceeded: rateLimitFlag(check), action: 'block', reason };
+    }
+  } catch (error) {
+    console.error('Error counting rate limits:', error);
+  }
+}
+
+function rateSubject(requestData) {
+  return {
+    ...requestData,
+    virtual_key_id: requestData.virtual_key && requestData.virtual_key.id
+  };
+}
+
+function rateLimitReason({ kind, capacity, window, per }) {
+  return `Rate limit exceeded: ${capacity} ${kind} per ${window} per ${per.join(' and ')}`;
+}
+
+function rateLimitFlag({ exceeded, retry_after_ms }) {
+  return { kind: exceeded.kind, limit: exceeded.capacity, window: exceeded.window, retry_after_ms };
+}
+
 // Model-based filtering
 async function applyModelFilter(rules, requestData) {
   const { model_provider, model_name } = requestData;
@@ -277,118 +693,185 @@ async function applyModelFilter(rules, requestData) {
   return result;
 }
 
-// Check response quality for potential issues
-async function checkResponseQuality(prompt, response) {
-  const flags = [];
+// Virtual key limits: the models the key may call and its spending cap
+async function applyVirtualKeyFilter(virtualKey, requestData) {
+  const { model_provider, model_name } = requestData;
   
-  // Check for potential hallucinations
-  if (checkForHallucination(prompt, response)) {
-    flags.push('potential_hallucination');
-  }
+  const result = {
+    allowed: true,
+    reason: '',
+    flags: {}
+  };
   
-  // Check for repetitive responses
-  if (checkForRepetition(response)) {
-    flags.push('repetitive_response');
+  const modelKey = `${model_provider}/${model_name}`;
+  if (virtualKey.allowed_models.length > 0 && !virtualKey.allowed_models.includes(modelKey)) {
+    result.allowed = false;
+    result.reason = `Model not allowed for this key: ${modelKey}`;
+    result.flags.model_not_allowed = true;
+    return result;
   }
   
-  // Check for incomplete responses
-  if (checkForIncompleteResponse(response)) {
-    flags.push('incomplete_response');
+  if (virtualKey.spend_cap !== null && virtualKey.spend_cap !== undefined) {
+    const spending = await database.getQuery(`
+      SELECT SUM(total_cost) as total_cost 
+      FROM usage_logs 
+      WHERE virtual_key_id = ?
+    `, [virtualKey.id]);
+    
+    const spent = spending ? spending.total_cost || 0 : 0;
+    result.flags.spent = spent;
+    
+    if (spent >= virtualKey.spend_cap) {
+      result.allowed = false;
+      result.reason = `Spending cap reached: $${spent.toFixed(6)} of $${virtualKey.spend_cap}`;
+      result.flags.spend_cap_reached = true;
+    }
   }
   
-  // Check for inappropriate content
-  if (checkForInappropriateContent(response)) {
-    flags.push('inappropriate_content');
+  return result;
+}
+
+// Check a successful response: the quality checks score it (see
+// quality-checks.js) and secrets the content filters find in it are recorded
+// as incidents of the call in `context` (its usage data) and returned in
+// `secrets` (see scanResponseSecrets). `options` are the call's finish_reason
+// and the request's quality options.
+async function checkResponseQuality(prompt, response, context = {}, { finish_reason, quality } = {}) {
+  let qualityResult = null;
+  try {
+    qualityResult = await qualityChecks.runQualityChecks({ prompt, response, finish_reason, quality });
+  } catch (error) {
+    console.error('Error running quality checks:', error);
   }
   
-  return { flags };
+  const secrets = await scanResponseSecrets(response, context);
+  
+  return { quality: qualityResult, secrets };
 }
 
-// Simple hallucination detection
-function checkForHallucination(prompt, response) {
-  // Basic heuristics for hallucination detection
-  const responseLength = response.length;
-  const promptLength = prompt.length;
-  
-  // If response is significantly longer than prompt, might be hallucination
-  if (responseLength > promptLength * 5) {
-    return true;
+// Scan a response with every active content filter that has scan_secrets.
+// Resolves with null when none finds anything, else { filter, action,
+// findings, redact, redactValue } where action is the strictest of those
+// filters'. redact(text) and redactValue(value) (any strings in it, such as a
+// provider-shaped response) take the secrets out for redact, withhold text
+// holding one for block, and leave it for warn and alert.
+async function scanResponseSecrets(response, context) {
+  if (typeof response !== 'string' || !response) {
+    return null;
   }
   
-  // Check for common hallucination patterns
-  const hallucinationPatterns = [
-    /I don't have access to/i,
-    /I cannot browse the internet/i,
-    /As an AI, I don't have/i,
-    /I'm not able to access/i
-  ];
-  
-  for (const pattern of hallucinationPatterns) {
-    if (pattern.test(response)) {
-      return false; // These are actually honest responses
+  try {
+    const filters = await database.getSafetyFilters();
+    const values = new Set();
+    const findings = [];
+    let strictest = null;
+    
+    for (const filter of filters) {
+      const rules = JSON.parse(filter.rules);
+      if (filter.filter_type !== 'content' || !rules.scan_secrets) {
+        continue;
+      }
+      
+      const secrets = secretScanner.scan(response, scanOptions(rules));
+      if (secrets.length === 0) {
+        continue;
+      }
+      
+      const action = RESPONSE_SECRET_ACTIONS.includes(rules.action) ? rules.action : 'block';
+      const found = secretScanner.describe(secrets);
+      const reason = `Response contains secrets: ${[...new Set(found.map(finding => finding.type))].join(', ')}`;
+      
+      recordSecretIncidents(filter, found, 'response', action, context);
+      if (action === 'block' || action === 'alert') {
+        alerts.emit(filterAlert(filter, action, { reason }, context));
+      }
+      
+      secrets.forEach(secret => values.add(secret.value));
+      findings.push(...found.filter(finding => !findings.some(seen => seen.fingerprint === finding.fingerprint)));
+      if (!strictest || RESPONSE_SECRET_ACTIONS.indexOf(action) > RESPONSE_SECRET_ACTIONS.indexOf(strictest.action)) {
+        strictest = { filter: filter.name, action };
+      }
     }
-  }
-  
-  // Check for made-up specific facts
-  const suspiciousPatterns = [
-    /\d{4}-\d{2}-\d{2}/g, // Specific dates
-    /\$\d+\.\d{2}/g, // Specific prices
-    /\b\d{3}-\d{3}-\d{4}\b/g // Phone numbers
-  ];
-  
-  let suspiciousCount = 0;
-  for (const pattern of suspiciousPatterns) {
-    const matches = response.match(pattern);
-    if (matches) {
-      suspiciousCount += matches.length;
+    
+    if (!strictest) {
+      return null;
     }
+    
+    // Longest first, so a secret containing another is replaced whole
+    const known = [...values].sort((a, b) => b.length - a.length);
+    const redact = text => {
+      if (typeof text !== 'string') {
+        return text;
+      }
+      if (strictest.action === 'block') {
+        return known.some(value => text.includes(value)) ? WITHHELD_RESPONSE : text;
+      }
+      if (strictest.action === 'redact') {
+        return known.reduce((current, value) => current.split(value).join(REDACTED), text);
+      }
+      return text;
+    };
+    const redactValue = value => {
+      if (Array.isArray(value)) {
+        return value.map(redactValue);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+      }
+      return redact(value);
+    };
+    
+    return { ...strictest, findings, redact, redactValue };
+  } catch (error) {
+    console.error('Error scanning response for secrets:', error);
+    return null;
   }
-  
-  return suspiciousCount > 3;
 }
 
-// Check for repetitive content
-function checkForRepetition(response) {
-  const sentences = response.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  const uniqueSentences = new Set(sentences.map(s => s.trim().toLowerCase()));
+// Flag the secrets a response check found on the call's usage data and take
+// them out of the response and tool calls it logs
+function applyResponseSecrets(usageData, secrets) {
+  if (!secrets) {
+    return;
+  }
   
-  return sentences.length > 3 && uniqueSentences.size < sentences.length * 0.7;
+  usageData.safety_flags.response_secrets = {
+    filter: secrets.filter,
+    action: secrets.action,
+    findings: secrets.findings
+  };
+  usageData.response = secrets.redact(usageData.response);
+  usageData.tool_calls = secrets.redactValue(usageData.tool_calls);
 }
 
-// Check for incomplete responses
-function checkForIncompleteResponse(response) {
-  const incompletePatterns = [
-    /\.\.\.$/, // Ends with ellipsis
-    /\[incomplete\]/i,
-    /\[truncated\]/i,
-    /\[cut off\]/i
-  ];
+// Count prompt tokens, using the full chat messages when the caller sent them
+function estimatePromptTokens(requestData) {
+  const { model_provider, model_name, prompt, options } = requestData;
+  const messages = requestData.messages || (options && options.messages);
   
-  return incompletePatterns.some(pattern => pattern.test(response));
-}
-
-// Check for inappropriate content
-function checkForInappropriateContent(response) {
-  const inappropriatePatterns = [
-    /\b(hate|racist|sexist|discriminatory)\b/i,
-    /\b(violence|violent|kill|murder)\b/i,
-    /\b(illegal|crime|criminal)\b/i
-  ];
+  try {
+    if (Array.isArray(messages)) {
+      return tokenCounter.countChatTokens(messages, model_provider, model_name).tokens;
+    }
+  } catch (error) {
+    console.error('Error counting chat tokens:', error);
+  }
   
-  return inappropriatePatterns.some(pattern => pattern.test(response));
-}
-
-// Simple token estimation
-function estimateTokenCount(text) {
-  return Math.ceil(text.split(/\s+/).length * 1.3);
+  return tokenCounter.estimateTokens(prompt, model_provider, model_name);
 }
 
 module.exports = {
+  FILTER_ACTIONS,
   checkFilters,
+  redactContent,
   checkResponseQuality,
+  applyResponseSecrets,
   applyFilter,
   applyContentFilter,
   applyCostFilter,
   applyRateFilter,
-  applyModelFilter
+  applyModelFilter,
+  applyPiiFilter,
+  applyInjectionFilter,
+  applyVirtualKeyFilter
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Detection of credentials in text: known key and token formats plus long
+// random-looking strings. Findings handed to flags, logs and incidents carry a
+// fingerprint and masked preview of each secret, never the secret itself.
+
+// Known formats, in the order overlapping matches are preferred
+const SECRET_FORMATS = {
+  private_key: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g,
+  aws_access_key: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16}\b/g,
+  aws_secret_key: /(?<=aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+=])/gi,
+  github_token: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  stripe_key: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+  jwt: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  connection_string: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql|sqlserver):\/\/[^\s:@/]+:[^\s@/]+@[^\s'"<>]+/gi,
+  anthropic_key: /\bsk-ant-[A-Za-z0-9_-]{20,}/g,
+  openai_key: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g,
+  slack_token: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  google_api_key: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  billfrog_key: /\bbf[kt]_[A-Za-z0-9_-]{20,}/g
+};
+
+const SECRET_TYPES = [...Object.keys(SECRET_FORMATS), 'high_entropy'];
+
+// Strings of key-like characters at least this long are checked for entropy
+const MIN_ENTROPY_LENGTH = 20;
+
+// Bits per character above which such a string is taken for a secret
+const DEFAULT_MIN_ENTROPY = 4;
+
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+/_-]{20,}={0,2}/g;
+
+// Secrets in `text`, without overlaps: the earliest and then longest wins.
+// Options: `types` to look for (all by default) and `min_entropy`, or false
+// to skip the entropy check. Returns [{ type, value, start, end }] in order.
+function scan(text, { types = SECRET_TYPES, min_entropy = DEFAULT_MIN_ENTROPY } = {}) {
+  if (typeof text !== 'string' || !text) {
+    return [];
+  }
+
+  const matches = [];
+  for (const type of types) {
+    const pattern = SECRET_FORMATS[type];
+    if (!pattern) {
+      continue;
+    }
+    for (const match of text.matchAll(pattern)) {
+      matches.push({ type, value: match[0], start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  if (types.includes('high_entropy') && min_entropy !== false) {
+    for (const match of text.matchAll(ENTROPY_CANDIDATE)) {
+      if (looksRandom(match[0], min_entropy)) {
+        matches.push({ type: 'high_entropy', value: match[0], start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const accepted = [];
+  for (const match of matches) {
+    if (accepted.length === 0 || match.start >= accepted[accepted.length - 1].end) {
+      accepted.push(match);
+    }
+  }
+  return accepted;
+}
+
+// Mixed letters and digits with high Shannon entropy; rules out words,
+// numbers and paths
+function looksRandom(value, minEntropy) {
+  return value.length >= MIN_ENTROPY_LENGTH &&
+    /[A-Za-z]/.test(value) && /\d/.test(value) &&
+    shannonEntropy(value) >= minEntropy;
+}
+
+// Bits of entropy per character
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+
+  let entropy = 0;
+  for (const count of Object.values(counts)) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Short stable id of a secret, so repeats of the same one can be told apart
+// from new ones without keeping it
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+// Enough of a secret to recognize it: its first and last characters
+function mask(value) {
+  if (value.startsWith('-----BEGIN')) {
+    return value.slice(0, value.indexOf('-----', 5) + 5) + '…';
+  }
+  if (value.length <= 12) {
+    return '…';
+  }
+  return `${value.slice(0, 4)}…${value.slice(-4)}`;
+}
+
+// What may be stored about each match, one per distinct secret
+function describe(matches) {
+  const seen = new Set();
+  const findings = [];
+  for (const { type, value } of matches) {
+    const id = fingerprint(value);
+    if (!seen.has(id)) {
+      seen.add(id);
+      findings.push({ type, fingerprint: id, preview: mask(value) });
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  SECRET_TYPES,
+  DEFAULT_MIN_ENTROPY,
+  scan,
+  describe,
+  fingerprint,
+  mask,
+  shannonEntropy
+};
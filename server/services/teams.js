@@ -0,0 +1,76 @@
+const database = require('../database');
+
+// Roles a user can have in a team, most privileged first
+const TEAM_ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// How tracked calls attributed to a team_id with no team are handled:
+// 'create' adds the team (named after its id), 'reject' refuses the call and
+// 'allow' records the team_id as given without a team.
+const UNKNOWN_TEAM_POLICIES = ['create', 'reject', 'allow'];
+const DEFAULT_UNKNOWN_TEAM_POLICY = 'create';
+
+async function getUnknownTeamPolicy() {
+  const policy = await database.getSetting('unknown_team_policy');
+  return UNKNOWN_TEAM_POLICIES.includes(policy) ? policy : DEFAULT_UNKNOWN_TEAM_POLICY;
+}
+
+// Check the team a call is attributed to against the unknown_team_policy
+// setting. Resolves with { allowed: true, created } or { allowed: false, error }.
+async function checkTeam(teamId) {
+  if (!teamId) {
+    return { allowed: true, created: false };
+  }
+
+  const team = await database.getQuery('SELECT id FROM teams WHERE id = ?', [teamId]);
+  if (team) {
+    return { allowed: true, created: false };
+  }
+
+  const policy = await getUnknownTeamPolicy();
+  if (policy === 'reject') {
+    return { allowed: false, error: `Unknown team_id: ${teamId}` };
+  }
+
+  if (policy === 'create') {
+    await database.runQuery('INSERT OR IGNORE INTO teams (id, name) VALUES (?, ?)', [teamId, teamId]);
+    return { allowed: true, created: true };
+  }
+
+  return { allowed: true, created: false };
+}
+
+// Team with its members and billing currency
+async function getTeam(teamId) {
+  const team = await database.getQuery(`
+    SELECT t.*, tb.currency as billing_currency
+    FROM teams t
+    LEFT JOIN team_billing tb ON tb.team_id = t.id
+    WHERE t.id = ?
+  `, [teamId]);
+
+  if (!team) {
+    return null;
+  }
+
+  return { ...team, members: await database.getTeamMembers(teamId) };
+}
+
+// User with the teams they belong to
+async function getUser(userId) {
+  const user = await database.getQuery('SELECT id, name, email, username, role, last_login_at, created_at FROM users WHERE id = ?', [userId]);
+
+  if (!user) {
+    return null;
+  }
+
+  return { ...user, teams: await database.getUserTeams(userId) };
+}
+
+module.exports = {
+  TEAM_ROLES,
+  UNKNOWN_TEAM_POLICIES,
+  getUnknownTeamPolicy,
+  checkTeam,
+  getTeam,
+  getUser
+};
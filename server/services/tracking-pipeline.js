@@ -0,0 +1,425 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const safetyFilters = require('./safety-filters');
+const usageRecorder = require('./usage-recorder');
+const providerRegistry = require('./providers');
+const keyVault = require('./key-vault');
+const qualityChecks = require('./quality-checks');
+const tokenCounter = require('../utils/token-counter');
+
+// Used when neither the request nor the retry_policy setting overrides a field
+const DEFAULT_RETRY_POLICY = {
+  max_retries: 2, // Retries of each model after its first attempt
+  initial_delay_ms: 500,
+  max_delay_ms: 10000, // A longer Retry-After moves straight on to the next fallback
+  backoff_multiplier: 2,
+  jitter: 0.5, // Fraction of each delay that is randomized
+  retry_on_status: [408, 409, 429, 500, 502, 503, 504],
+  retry_on_timeout: true,
+  timeout_ms: 60000
+};
+
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+async function getJsonSetting(key) {
+  const value = await database.getSetting(key);
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`Invalid JSON in setting ${key}:`, error.message);
+    return null;
+  }
+}
+
+// Merge the request's `options.retry` over the retry_policy setting and the
+// defaults. `retry: false` disables retries (fallbacks still apply).
+async function getRetryPolicy(overrides) {
+  const configured = await getJsonSetting('retry_policy');
+  const policy = { ...DEFAULT_RETRY_POLICY, ...configured };
+
+  if (overrides === false) {
+    return { ...policy, max_retries: 0 };
+  }
+  return { ...policy, ...overrides };
+}
+
+// "provider:model" or { model_provider, model_name, api_key }
+function parseTarget(entry) {
+  if (typeof entry === 'string') {
+    const separator = entry.indexOf(':');
+    return {
+      model_provider: entry.slice(0, separator).toLowerCase(),
+      model_name: entry.slice(separator + 1)
+    };
+  }
+  return {
+    model_provider: (entry.model_provider || '').toLowerCase(),
+    model_name: entry.model_name,
+    api_key: entry.api_key
+  };
+}
+
+// The requested model followed by its fallback chain. The chain comes from the
+// request or, when the request has none, from the fallback_chains setting keyed
+// by "provider:model". Fallbacks on another provider need a key, either on the
+// entry itself or in `apiKeys` by provider; those without one are skipped.
+async function resolveTargets(primary, fallbacks, apiKeys = {}) {
+  let chain = fallbacks;
+  if (chain === undefined) {
+    const chains = await getJsonSetting('fallback_chains') || {};
+    chain = chains[`${primary.model_provider}:${primary.model_name}`] || [];
+  }
+
+  const targets = [primary];
+  for (const entry of chain) {
+    const target = parseTarget(entry);
+    target.api_key = target.api_key || apiKeys[target.model_provider] ||
+      (target.model_provider === primary.model_provider ? primary.api_key : undefined);
+
+    if (!providerRegistry.hasProvider(target.model_provider) || !target.model_name) {
+      console.warn(`Skipping fallback with unknown provider or model: ${JSON.stringify(entry)}`);
+    } else if (!target.api_key) {
+      console.warn(`Skipping fallback ${target.model_provider}:${target.model_name}: no API key`);
+    } else {
+      targets.push(target);
+    }
+  }
+
+  // Calls made with a key stored in the vault are attributed to it
+  for (const target of targets) {
+    target.api_key_id = await keyVault.findKeyId(target.api_key);
+  }
+
+  return targets;
+}
+
+function isRetryableError(error, policy) {
+  if (error.cancelled || error.streamStarted) {
+    return false;
+  }
+  if (error.status) {
+    return policy.retry_on_status.includes(error.status);
+  }
+  if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+    return policy.retry_on_timeout;
+  }
+  return NETWORK_ERROR_CODES.includes(error.code);
+}
+
+// Retry-After in milliseconds, from retry-after-ms (OpenAI) or the standard
+// header given as seconds or an HTTP date
+function parseRetryAfter(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(retryAfterMs)) {
+    return Math.max(0, retryAfterMs);
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Delay before retry number `retryIndex` (0-based): the provider's Retry-After
+// when given, otherwise exponential backoff with jitter. Null means the
+// provider asked for a longer wait than the policy allows.
+function getRetryDelay(retryIndex, policy, error) {
+  const retryAfter = parseRetryAfter(error.headers);
+  if (retryAfter !== null) {
+    return retryAfter <= policy.max_delay_ms ? Math.round(retryAfter) : null;
+  }
+
+  const backoff = Math.min(
+    policy.max_delay_ms,
+    policy.initial_delay_ms * Math.pow(policy.backoff_multiplier, retryIndex)
+  );
+  return Math.round(backoff * (1 - policy.jitter * Math.random()));
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) {
+      return resolve();
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+// Fill in token counts and cost, preferring the provider's own usage figures.
+// Cancelled streams never see the final usage event, so output is estimated.
+function applyUsage(usageData, result, { estimateOutput, conversation, pricing }) {
+  const tokens = tokenCounter.reconcileTokenUsage(
+    usageData.prompt, result.response || '', usageData.model_provider, result.usage,
+    { estimateOutput, model: usageData.model_name, messages: conversation }
+  );
+
+  Object.assign(usageData, tokens, tokenCounter.calculateCost(pricing, {
+    ...tokens,
+    images: usageData.image_count,
+    audio_seconds: usageData.audio_seconds,
+    batch: usageData.is_batch
+  }));
+}
+
+// Make one provider call and fill in a usage_logs row for it (not yet saved)
+async function runAttempt(base, target, attempt, { callProvider, conversation, quality, responseSchema }) {
+  const pricing = await database.getModelPricing(target.model_provider, target.model_name);
+  const startTime = Date.now();
+
+  const usageData = {
+    ...base,
+    id: attempt.id || uuidv4(),
+    model_provider: target.model_provider,
+    model_name: target.model_name,
+    input_tokens: 0,
+    output_tokens: 0,
+    total_tokens: 0,
+    cost_per_input_token: pricing ? pricing.input_cost_per_1k_tokens / 1000 : 0,
+    cost_per_output_token: pricing ? pricing.output_cost_per_1k_tokens / 1000 : 0,
+    total_cost: 0,
+    status: 'processing',
+    retry_count: attempt.number,
+    parent_log_id: attempt.parentLogId,
+    api_key_id: target.api_key_id,
+    response_time_ms: 0,
+    safety_flags: { ...base.safety_flags },
+    metadata: {
+      ...base.metadata,
+      attempt: attempt.number + 1,
+      fallback_index: attempt.fallbackIndex || undefined
+    }
+  };
+
+  let result;
+  let error;
+
+  try {
+    result = await callProvider(target, usageData);
+    usageData.status = 'success';
+  } catch (aiError) {
+    error = aiError;
+    result = aiError.partial || {};
+    if (aiError.cancelled) {
+      usageData.status = 'cancelled';
+      usageData.error_message = 'Client disconnected before the stream completed';
+    } else {
+      console.error('AI API Error:', aiError);
+      usageData.status = 'failure';
+      usageData.error_message = aiError.message;
+    }
+  }
+
+  // A call that failed before producing anything is logged without usage
+  if (usageData.status !== 'failure' || result.response) {
+    applyUsage(usageData, result, { estimateOutput: usageData.status === 'cancelled', conversation, pricing });
+    usageData.metadata.actual_model = result.model || target.model_name;
+    usageData.metadata.finish_reason = result.finish_reason;
+  }
+
+  usageData.response = result.response;
+  usageData.tool_calls = result.tool_calls;
+  usageData.response_time_ms = Date.now() - startTime;
+  usageData.time_to_first_token_ms = result.time_to_first_token_ms;
+
+  // Score the response and keep leaked secrets out of the log
+  if (usageData.status === 'success') {
+    const qualityCheck = await safetyFilters.checkResponseQuality(usageData.prompt, result.response, usageData, {
+      finish_reason: result.finish_reason,
+      quality
+    });
+    usageData.quality = qualityCheck.quality;
+    safetyFilters.applyResponseSecrets(usageData, qualityCheck.secrets);
+
+    if (responseSchema) {
+      qualityChecks.applyResponseSchema(usageData, responseSchema.schema);
+    }
+  }
+
+  return { usageData, error };
+}
+
+function summarizeAttempt(usageData) {
+  return {
+    id: usageData.id,
+    model_provider: usageData.model_provider,
+    model_name: usageData.model_name,
+    status: usageData.status,
+    error: usageData.error_message,
+    schema_valid: usageData.schema_valid,
+    cost: usageData.total_cost,
+    response_time_ms: usageData.response_time_ms,
+    next_attempt: usageData.metadata.next_attempt,
+    retry_delay_ms: usageData.metadata.retry_delay_ms
+  };
+}
+
+// Run a tracked call against each target in turn, retrying each per `policy`.
+// Every attempt is saved as its own usage_logs row pointing at the attempt
+// before it through parent_log_id; attempts that were retried or fell back
+// are saved with status 'retry'.
+//
+// `callProvider(target, usageData)` makes the call and resolves with a
+// makeRequest-style result. Errors may carry `partial`, `cancelled`, and
+// `streamStarted` (output already sent to the client, so no retry is possible).
+// `quality` holds the request's quality-check options (see quality-checks.js).
+// `responseSchema` ({ schema, max_retries }) is the JSON Schema successful
+// responses are checked against; a response that does not match is asked for
+// again from the same model up to max_retries times.
+// `filterRequest` is re-checked against the safety filters for each fallback;
+// what the first check counted and recorded is not counted or recorded again.
+// `onAttempt(summary)` is called after each failed attempt that will be retried.
+async function trackRequest(app, {
+  base,
+  targets,
+  policy,
+  callProvider,
+  conversation,
+  quality,
+  responseSchema,
+  filterRequest,
+  firstLogId,
+  signal,
+  onAttempt
+}) {
+  const attempts = [];
+  let parentLogId = base.parent_log_id || null;
+  let attemptNumber = base.retry_count || 0;
+  let last = null;
+
+  for (let targetIndex = 0; targetIndex < targets.length; targetIndex++) {
+    let target = targets[targetIndex];
+
+    // Fallbacks are filtered like the first target; a reroute filter may send
+    // them to a cheaper model
+    if (targetIndex > 0) {
+      const safetyCheck = await safetyFilters.checkFilters({
+        ...filterRequest,
+        model_provider: target.model_provider,
+        model_name: target.model_name
+      }, { recheck: true });
+      if (!safetyCheck.allowed) {
+        console.warn(`Fallback ${target.model_provider}:${target.model_name} blocked by safety filters`);
+        continue;
+      }
+      target = { ...target, model_name: safetyCheck.model_name };
+    }
+
+    let retryIndex = 0;
+    let schemaRetries = 0;
+    for (;;) {
+      const { usageData, error } = await runAttempt(base, target, {
+        id: attempts.length === 0 ? firstLogId : undefined,
+        number: attemptNumber,
+        parentLogId,
+        fallbackIndex: targetIndex
+      }, { callProvider, conversation, quality, responseSchema });
+
+      attemptNumber++;
+
+      // Schema retries are counted apart from retries of failed calls
+      const schemaRetry = !error && usageData.schema_valid === false &&
+        schemaRetries < responseSchema.max_retries;
+      if (schemaRetry) {
+        schemaRetries++;
+        usageData.status = 'retry';
+        usageData.metadata.next_attempt = 'retry';
+        usageData.metadata.retry_reason = 'schema_validation';
+        await usageRecorder.recordUsage(app, usageData);
+        const summary = summarizeAttempt(usageData);
+        attempts.push(summary);
+        parentLogId = usageData.id;
+        last = usageData;
+        if (onAttempt) {
+          onAttempt(summary);
+        }
+        continue;
+      }
+
+      if (!error || error.cancelled) {
+        await usageRecorder.recordUsage(app, usageData);
+        attempts.push(summarizeAttempt(usageData));
+        return { usageData, attempts };
+      }
+
+      const delay = retryIndex < policy.max_retries && isRetryableError(error, policy)
+        ? getRetryDelay(retryIndex, policy, error)
+        : null;
+      const canFallBack = !error.streamStarted && targets.slice(targetIndex + 1).length > 0;
+      const next = delay !== null ? 'retry' : (canFallBack ? 'fallback' : null);
+
+      if (next) {
+        usageData.status = 'retry';
+        usageData.metadata.next_attempt = next;
+        usageData.metadata.retry_delay_ms = next === 'retry' ? delay : undefined;
+      }
+
+      await usageRecorder.recordUsage(app, usageData);
+      const summary = summarizeAttempt(usageData);
+      attempts.push(summary);
+      parentLogId = usageData.id;
+      last = usageData;
+
+      if (!next) {
+        return { usageData, attempts };
+      }
+
+      if (onAttempt) {
+        onAttempt(summary);
+      }
+
+      if (next === 'fallback') {
+        break;
+      }
+
+      await sleep(delay, signal);
+      if (signal && signal.aborted) {
+        // The caller went away while waiting; the retry never happened
+        await database.runQuery('UPDATE usage_logs SET status = ? WHERE id = ?', ['failure', usageData.id]);
+        usageData.status = 'failure';
+        summary.status = 'failure';
+        return { usageData, attempts };
+      }
+      retryIndex++;
+    }
+  }
+
+  // Every remaining fallback was blocked by the safety filters
+  if (last) {
+    await database.runQuery('UPDATE usage_logs SET status = ? WHERE id = ?', ['failure', last.id]);
+    last.status = 'failure';
+    attempts[attempts.length - 1].status = 'failure';
+  }
+  return { usageData: last, attempts };
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  getRetryPolicy,
+  resolveTargets,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  trackRequest
+};
@@ -0,0 +1,95 @@
+const database = require('../database');
+const authService = require('./auth');
+const budgets = require('./budgets');
+const alerts = require('./alerts');
+const rateLimiter = require('./rate-limiter');
+
+// Persist a usage log, mark the vault and virtual keys it used as used, charge
+// its tokens to the rate limits and push the log to connected dashboard clients
+async function recordUsage(app, usageData) {
+  const logId = await database.insertUsageLog(usageData);
+
+  for (const keyId of [usageData.api_key_id, usageData.virtual_key_id]) {
+    if (keyId) {
+      await database.runQuery('UPDATE api_keys SET last_used = CURRENT_TIMESTAMP WHERE id = ?', [keyId]);
+    }
+  }
+
+  await rateLimiter.chargeTokens(usageData);
+
+  broadcast(app, {
+    type: 'usage_update',
+    data: { ...usageData, id: logId }
+  }, { team_id: usageData.team_id, user_id: usageData.user_id });
+
+  await notifyBudgets(app, usageData);
+
+  return logId;
+}
+
+// Tell dashboard clients and alert channels about budgets this call took
+// past their soft limit or amount
+async function notifyBudgets(app, usageData) {
+  try {
+    const crossed = await budgets.checkThresholds(usageData);
+    for (const alert of crossed) {
+      const { budget } = alert;
+      console.warn(`Budget "${budget.name}" ${alert.level}: $${budget.spent} of $${budget.available} spent`);
+      broadcast(app, { type: 'budget_alert', data: alert }, budgetAudience(budget));
+      alerts.emit(budgetAlert(alert));
+    }
+  } catch (error) {
+    console.error('Error checking budgets:', error);
+  }
+}
+
+function budgetAlert({ level, budget }) {
+  return {
+    source: 'budget',
+    source_id: budget.id,
+    severity: level === 'exceeded' ? 'critical' : 'warning',
+    title: `Budget "${budget.name}" ${level === 'exceeded' ? 'exceeded' : 'passed its soft limit'}`,
+    message: `$${budget.spent} of $${budget.available} spent this ${budget.period} period (${budget.percent_used}%)`,
+    details: {
+      budget: budget.name,
+      scope: budget.scope,
+      scope_id: budget.scope_id,
+      period_start: budget.period_start,
+      spent: budget.spent,
+      available: budget.available,
+      remaining: budget.remaining,
+      hard_limit: budget.hard_limit,
+      projected_exhaustion: budget.projected_exhaustion
+    },
+    dedup_key: `budget:${budget.id}:${level}:${budget.period_start}`
+  };
+}
+
+// Team budgets go to the team, user budgets to the user, the rest to admins
+function budgetAudience(budget) {
+  return {
+    team_id: budget.scope === 'team' ? budget.scope_id : undefined,
+    user_id: budget.scope === 'user' ? budget.scope_id : undefined
+  };
+}
+
+// Send a message to every open WebSocket client allowed to see the
+// audience's team_id and user_id (see authService.canSeeRow)
+function broadcast(app, message, audience) {
+  const wss = app && app.locals.wss;
+  if (!wss) {
+    return;
+  }
+
+  const payload = JSON.stringify(message);
+  wss.clients.forEach(client => {
+    if (client.readyState === client.OPEN && client.auth && authService.canSeeRow(client.auth, audience)) {
+      client.send(payload);
+    }
+  });
+}
+
+module.exports = {
+  recordUsage,
+  broadcast
+};
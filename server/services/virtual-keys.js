@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const keyVault = require('./key-vault');
+
+// Virtual keys are issued by billfrog so developers never hold provider keys.
+// Each maps to a provider key in the vault and carries an owner, a spending
+// cap, the models it may call and an expiry. They are stored hashed in
+// api_keys with key_type 'virtual'; the key itself is only shown once.
+const VIRTUAL_KEY_PREFIX = 'bfk_';
+
+function isVirtualKey(apiKey) {
+  return typeof apiKey === 'string' && apiKey.startsWith(VIRTUAL_KEY_PREFIX);
+}
+
+// Issue a virtual key against vault key `provider_key_id`. Resolves with
+// { id, key }.
+async function issueKey({ name, provider_key_id, user_id, team_id, spend_cap, allowed_models, expires_at, created_by }) {
+  const providerKey = await database.getQuery('SELECT provider FROM api_keys WHERE id = ?', [provider_key_id]);
+  const id = uuidv4();
+  const key = VIRTUAL_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  await database.runQuery(`
+    INSERT INTO api_keys (
+      id, key_type, provider, key_name, key_hash, key_hint, provider_key_id,
+      user_id, team_id, spend_cap, allowed_models, expires_at, created_by
+    )
+    VALUES (?, 'virtual', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    id, providerKey.provider, name, keyVault.hashKey(key), key.slice(-4), provider_key_id,
+    user_id || null, team_id || null, spend_cap ?? null,
+    allowed_models && allowed_models.length > 0 ? JSON.stringify(allowed_models) : null,
+    expires_at ? new Date(expires_at).toISOString() : null, created_by || null
+  ]);
+
+  return { id, key };
+}
+
+// Resolve a virtual key sent with a request into the provider key it stands
+// for. Resolves with { virtualKey, api_key, api_key_id }, or { status, error }
+// when the key is unknown, inactive or expired, or its vault key cannot be
+// used for `provider`.
+async function resolveKey(apiKey, provider) {
+  const row = await database.getQuery(
+    "SELECT * FROM api_keys WHERE key_hash = ? AND key_type = 'virtual'",
+    [keyVault.hashKey(apiKey)]
+  );
+  if (!row) {
+    return { status: 401, error: 'Invalid virtual key' };
+  }
+  if (!row.is_active) {
+    return { status: 401, error: 'Virtual key is inactive' };
+  }
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+    return { status: 401, error: 'Virtual key has expired' };
+  }
+  if (!keyVault.isConfigured()) {
+    return { status: 503, error: 'Key vault is not configured: set KEY_VAULT_MASTER_KEY' };
+  }
+
+  const providerKey = await keyVault.useKey(row.provider_key_id, provider);
+  if (providerKey.error) {
+    return {
+      status: providerKey.status,
+      error: `Virtual key cannot be used: ${providerKey.error}`
+    };
+  }
+
+  return { virtualKey: formatKey(row), api_key: providerKey.key, api_key_id: row.provider_key_id };
+}
+
+// USD spent through a virtual key so far
+async function getSpend(id) {
+  const row = await database.getQuery(
+    'SELECT SUM(total_cost) as total_cost FROM usage_logs WHERE virtual_key_id = ?',
+    [id]
+  );
+  return row && row.total_cost ? row.total_cost : 0;
+}
+
+// A virtual key row as returned by the API and passed to the safety filters
+function formatKey(row) {
+  return {
+    id: row.id,
+    name: row.key_name,
+    key_hint: row.key_hint,
+    provider: row.provider,
+    provider_key_id: row.provider_key_id,
+    user_id: row.user_id,
+    team_id: row.team_id,
+    spend_cap: row.spend_cap,
+    allowed_models: row.allowed_models ? JSON.parse(row.allowed_models) : [],
+    expires_at: row.expires_at,
+    is_active: Boolean(row.is_active),
+    created_by: row.created_by,
+    created_at: row.created_at,
+    last_used: row.last_used
+  };
+}
+
+module.exports = {
+  VIRTUAL_KEY_PREFIX,
+  isVirtualKey,
+  issueKey,
+  resolveKey,
+  getSpend,
+  formatKey
+};
@@ -0,0 +1,215 @@
+// Offline byte-pair-encoding tokenizer
+// Loads tiktoken-format rank files bundled in server/tokenizers and counts tokens
+// exactly as OpenAI models do. Encodings are loaded lazily and cached.
+
+const fs = require('fs');
+const path = require('path');
+
+const TOKENIZER_DIR = process.env.TOKENIZER_PATH || path.join(__dirname, '../tokenizers');
+
+// Model name prefixes mapped to their encoding, checked in order
+const MODEL_ENCODINGS = [
+  { prefix: 'gpt-4o', encoding: 'o200k_base' },
+  { prefix: 'gpt-4.1', encoding: 'o200k_base' },
+  { prefix: 'gpt-4.5', encoding: 'o200k_base' },
+  { prefix: 'gpt-5', encoding: 'o200k_base' },
+  { prefix: 'chatgpt-4o', encoding: 'o200k_base' },
+  { prefix: 'o1', encoding: 'o200k_base' },
+  { prefix: 'o3', encoding: 'o200k_base' },
+  { prefix: 'o4', encoding: 'o200k_base' },
+  { prefix: 'gpt-4', encoding: 'cl100k_base' },
+  { prefix: 'gpt-3.5', encoding: 'cl100k_base' },
+  { prefix: 'text-embedding-3', encoding: 'cl100k_base' },
+  { prefix: 'text-embedding-ada-002', encoding: 'cl100k_base' }
+];
+
+const DEFAULT_ENCODING = 'cl100k_base';
+
+// Chat formatting overhead (see OpenAI's "How to count tokens" guide)
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMING_TOKENS = 3;
+
+const encodingCache = new Map();
+let manifest = null;
+
+function loadManifest() {
+  if (!manifest) {
+    manifest = JSON.parse(fs.readFileSync(path.join(TOKENIZER_DIR, 'encodings.json'), 'utf8'));
+  }
+  return manifest;
+}
+
+// Ranks are keyed by the token's bytes as a latin1 string so pieces can be
+// sliced and looked up without allocating byte arrays
+function loadRanks(file) {
+  const ranks = new Map();
+  const content = fs.readFileSync(path.join(TOKENIZER_DIR, file), 'utf8');
+
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    const [token, rank] = line.split(' ');
+    ranks.set(Buffer.from(token, 'base64').toString('latin1'), parseInt(rank, 10));
+  }
+
+  return ranks;
+}
+
+// Merge adjacent byte pairs by lowest rank until no known pair remains
+function bytePairEncode(piece, ranks) {
+  const parts = [];
+  for (let i = 0; i <= piece.length; i++) {
+    parts.push({ start: i, rank: Infinity });
+  }
+
+  const getRank = (index) => {
+    if (index + 3 >= parts.length) {
+      return Infinity;
+    }
+    const rank = ranks.get(piece.slice(parts[index].start, parts[index + 3].start));
+    return rank === undefined ? Infinity : rank;
+  };
+
+  for (let i = 0; i < parts.length - 2; i++) {
+    const rank = ranks.get(piece.slice(parts[i].start, parts[i + 2].start));
+    parts[i].rank = rank === undefined ? Infinity : rank;
+  }
+
+  while (parts.length > 1) {
+    let minIndex = -1;
+    let minRank = Infinity;
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (parts[i].rank < minRank) {
+        minRank = parts[i].rank;
+        minIndex = i;
+      }
+    }
+
+    if (minIndex === -1) {
+      break;
+    }
+
+    parts[minIndex].rank = getRank(minIndex);
+    if (minIndex > 0) {
+      parts[minIndex - 1].rank = getRank(minIndex - 1);
+    }
+    parts.splice(minIndex + 1, 1);
+  }
+
+  const tokens = [];
+  for (let i = 0; i < parts.length - 1; i++) {
+    tokens.push(ranks.get(piece.slice(parts[i].start, parts[i + 1].start)));
+  }
+  return tokens;
+}
+
+class Encoding {
+  constructor(name, ranks, patStr, specialTokens) {
+    this.name = name;
+    this.ranks = ranks;
+    this.pattern = new RegExp(patStr, 'gu');
+    this.specialTokens = specialTokens;
+  }
+
+  // Encode text as ordinary content; special token strings are not interpreted
+  encode(text) {
+    const tokens = [];
+    if (!text) {
+      return tokens;
+    }
+
+    for (const match of text.matchAll(this.pattern)) {
+      const piece = Buffer.from(match[0], 'utf8').toString('latin1');
+      const rank = this.ranks.get(piece);
+      if (rank !== undefined) {
+        tokens.push(rank);
+      } else {
+        tokens.push(...bytePairEncode(piece, this.ranks));
+      }
+    }
+
+    return tokens;
+  }
+
+  count(text) {
+    return this.encode(text).length;
+  }
+}
+
+function getEncoding(name) {
+  if (encodingCache.has(name)) {
+    return encodingCache.get(name);
+  }
+
+  const definition = loadManifest()[name];
+  if (!definition) {
+    throw new Error(`Unknown encoding: ${name}`);
+  }
+
+  const encoding = new Encoding(name, loadRanks(definition.file), definition.pat_str, definition.special_tokens);
+  encodingCache.set(name, encoding);
+  return encoding;
+}
+
+function getEncodingNameForModel(modelName) {
+  const model = (modelName || '').toLowerCase();
+  const match = MODEL_ENCODINGS.find(entry => model.startsWith(entry.prefix));
+  return match ? match.encoding : DEFAULT_ENCODING;
+}
+
+function getEncodingForModel(modelName) {
+  return getEncoding(getEncodingNameForModel(modelName));
+}
+
+function listEncodings() {
+  return Object.keys(loadManifest());
+}
+
+// Text of a message content field, which may be a string or an array of parts
+function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part.text || ''))
+      .join('');
+  }
+  return '';
+}
+
+// Count the prompt tokens of a chat request, including per-message overhead
+function countChatTokens(messages, modelName) {
+  const encoding = getEncodingForModel(modelName);
+  let total = 0;
+
+  for (const message of messages || []) {
+    total += TOKENS_PER_MESSAGE;
+    total += encoding.count(message.role || '');
+    total += encoding.count(contentToText(message.content));
+    if (message.name) {
+      total += encoding.count(message.name) + TOKENS_PER_NAME;
+    }
+    // Approximate: OpenAI does not document the exact framing of tool calls
+    for (const call of message.tool_calls || []) {
+      const args = call.function.arguments;
+      total += encoding.count(call.function.name);
+      total += encoding.count(typeof args === 'string' ? args : JSON.stringify(args || {}));
+    }
+  }
+
+  return total + REPLY_PRIMING_TOKENS;
+}
+
+function countTextTokens(text, modelName) {
+  return getEncodingForModel(modelName).count(text);
+}
+
+module.exports = {
+  getEncoding,
+  getEncodingForModel,
+  getEncodingNameForModel,
+  listEncodings,
+  countTextTokens,
+  countChatTokens
+};
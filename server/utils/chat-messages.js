@@ -0,0 +1,152 @@
+// Helpers for chat conversations in billfrog's canonical message format.
+// Messages follow the OpenAI chat shape:
+//   { role: 'system' | 'user' | 'assistant' | 'tool', content, name?,
+//     tool_calls?: [{ id, type: 'function', function: { name, arguments } }],
+//     tool_call_id? }
+// Tools are stored as { name, description, parameters }.
+
+// Text of a content field, which may be a string or an array of parts
+function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map(part => {
+        if (typeof part === 'string') return part;
+        if (part.text) return part.text;
+        if (part.type === 'tool_result') return contentToText(part.content);
+        return '';
+      })
+      .filter(text => text.length > 0)
+      .join('\n');
+  }
+
+  return '';
+}
+
+// Rewrite the text of a content field with `fn`, leaving images and other
+// non-text parts as they are
+function mapContentText(content, fn) {
+  if (typeof content === 'string') {
+    return fn(content);
+  }
+
+  if (Array.isArray(content)) {
+    return content.map(part => {
+      if (typeof part === 'string') return fn(part);
+      if (part && typeof part.text === 'string') return { ...part, text: fn(part.text) };
+      if (part && part.type === 'tool_result') return { ...part, content: mapContentText(part.content, fn) };
+      return part;
+    });
+  }
+
+  return content;
+}
+
+// Build the conversation for a request from either a bare prompt or a
+// messages array, with an optional top-level system prompt prepended
+function buildConversation({ prompt, messages, system }) {
+  const conversation = Array.isArray(messages) && messages.length > 0
+    ? messages.map(message => ({ ...message }))
+    : [{ role: 'user', content: prompt }];
+
+  if (system) {
+    conversation.unshift({ role: 'system', content: system });
+  }
+
+  return conversation;
+}
+
+// Flatten a conversation into the text used for filtering and the prompt column
+function messagesToPrompt(messages, system) {
+  const parts = [];
+
+  if (system) {
+    parts.push(`system: ${contentToText(system)}`);
+  }
+
+  for (const message of messages || []) {
+    let text = contentToText(message.content);
+    if (message.tool_calls && message.tool_calls.length > 0) {
+      const calls = message.tool_calls
+        .map(call => `${call.function.name}(${call.function.arguments || ''})`)
+        .join(', ');
+      text = text ? `${text}\n[tool calls: ${calls}]` : `[tool calls: ${calls}]`;
+    }
+    parts.push(`${message.role}: ${text}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+// Accept tools in canonical or OpenAI ({ type: 'function', function }) form
+function normalizeTools(tools) {
+  if (!Array.isArray(tools)) {
+    return [];
+  }
+
+  return tools.map(tool => {
+    const definition = tool.function || tool;
+    return {
+      name: definition.name,
+      description: definition.description,
+      parameters: definition.parameters || definition.input_schema || { type: 'object', properties: {} }
+    };
+  });
+}
+
+// Split system messages out of a conversation for providers that take the
+// system prompt separately (Anthropic `system`, Gemini `systemInstruction`)
+function splitSystemMessages(messages) {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => contentToText(message.content))
+    .filter(text => text.length > 0)
+    .join('\n\n');
+
+  return {
+    system: system || null,
+    messages: messages.filter(message => message.role !== 'system')
+  };
+}
+
+// Parse tool call arguments, which OpenAI sends as a JSON string
+function parseToolArguments(args) {
+  if (!args) {
+    return {};
+  }
+  if (typeof args !== 'string') {
+    return args;
+  }
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return { raw: args };
+  }
+}
+
+// Image parts as sent by OpenAI (image_url, input_image) and Anthropic (image)
+const IMAGE_PART_TYPES = ['image_url', 'input_image', 'image'];
+
+// Number of images attached to a conversation
+function countImages(messages) {
+  return (messages || []).reduce((count, message) => {
+    if (!Array.isArray(message.content)) {
+      return count;
+    }
+    return count + message.content.filter(part => part && IMAGE_PART_TYPES.includes(part.type)).length;
+  }, 0);
+}
+
+module.exports = {
+  contentToText,
+  mapContentText,
+  buildConversation,
+  messagesToPrompt,
+  normalizeTools,
+  splitSystemMessages,
+  parseToolArguments,
+  countImages
+};
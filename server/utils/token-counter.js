@@ -1,5 +1,8 @@
 // Token counting utility for different AI providers
-// This provides a simple estimation - for production use, consider using provider-specific tokenizers
+// Word-based heuristics are kept for comparison; exact counts come from the
+// bundled BPE tokenizer (see utils/bpe-tokenizer.js)
+
+const bpeTokenizer = require('./bpe-tokenizer');
 
 const TOKEN_MULTIPLIERS = {
   openai: 1.3,     // OpenAI tokens are roughly 1.3x words
@@ -79,16 +82,75 @@ function countTokensAdvanced(text, provider = 'default') {
   return Math.ceil(tokenCount * multiplier);
 }
 
-// Estimate cost based on token count and pricing
-function estimateCost(inputTokens, outputTokens, pricing) {
+// Estimate cost based on token count and pricing. `usage` may add cached and
+// cache-write token counts, images, audio seconds and the batch flag.
+function estimateCost(inputTokens, outputTokens, pricing, usage = {}) {
+  return calculateCost(pricing, {
+    ...usage,
+    input_tokens: inputTokens,
+    output_tokens: outputTokens
+  }).total_cost;
+}
+
+// Token rates for a call: the highest tier whose above_input_tokens the
+// prompt exceeds replaces the base rates it sets
+function tokenRates(pricing, inputTokens) {
+  const tiers = typeof pricing.tiers === 'string' ? JSON.parse(pricing.tiers) : pricing.tiers || [];
+  const tier = tiers
+    .filter(candidate => inputTokens > candidate.above_input_tokens)
+    .sort((a, b) => b.above_input_tokens - a.above_input_tokens)[0];
+  
+  const rates = { ...pricing, ...tier };
+  return {
+    tier: tier ? tier.above_input_tokens : null,
+    input: rates.input_cost_per_1k_tokens / 1000,
+    output: rates.output_cost_per_1k_tokens / 1000,
+    cached_input: (rates.cached_input_cost_per_1k_tokens ?? rates.input_cost_per_1k_tokens) / 1000,
+    cache_write: (rates.cache_write_cost_per_1k_tokens ?? rates.input_cost_per_1k_tokens) / 1000
+  };
+}
+
+// Itemized cost of a call. `usage` holds input_tokens (cached and cache-write
+// tokens included), output_tokens, cached_input_tokens, cache_write_tokens,
+// images, audio_seconds and batch. Returns the total, the per-token input and
+// output rates applied and one cost_breakdown line per charge.
+function calculateCost(pricing, usage) {
   if (!pricing) {
-    return 0;
+    return { total_cost: 0, cost_per_input_token: 0, cost_per_output_token: 0, cost_breakdown: [] };
+  }
+  
+  const inputTokens = usage.input_tokens || 0;
+  const cachedTokens = usage.cached_input_tokens || 0;
+  const cacheWriteTokens = usage.cache_write_tokens || 0;
+  const rates = tokenRates(pricing, inputTokens);
+  const lines = [];
+  
+  const addLine = (item, quantity, unit, unitCost, tier = null) => {
+    if (quantity > 0) {
+      lines.push({ item, quantity, unit, unit_cost: unitCost, cost: quantity * unitCost, tier });
+    }
+  };
+  
+  addLine('input', Math.max(0, inputTokens - cachedTokens - cacheWriteTokens), 'token', rates.input, rates.tier);
+  addLine('cached_input', cachedTokens, 'token', rates.cached_input, rates.tier);
+  addLine('cache_write', cacheWriteTokens, 'token', rates.cache_write, rates.tier);
+  addLine('output', usage.output_tokens || 0, 'token', rates.output, rates.tier);
+  
+  // Batch discounts apply to token charges only
+  const tokenCost = lines.reduce((sum, line) => sum + line.cost, 0);
+  if (usage.batch && pricing.batch_discount > 0) {
+    addLine('batch_discount', tokenCost > 0 ? 1 : 0, 'request', -tokenCost * pricing.batch_discount);
   }
   
-  const inputCost = (inputTokens * pricing.input_cost_per_1k_tokens) / 1000;
-  const outputCost = (outputTokens * pricing.output_cost_per_1k_tokens) / 1000;
+  addLine('images', usage.images || 0, 'image', pricing.cost_per_image || 0);
+  addLine('audio', usage.audio_seconds || 0, 'second', pricing.cost_per_audio_second || 0);
   
-  return inputCost + outputCost;
+  return {
+    total_cost: lines.reduce((sum, line) => sum + line.cost, 0),
+    cost_per_input_token: rates.input,
+    cost_per_output_token: rates.output,
+    cost_breakdown: lines
+  };
 }
 
 // Count tokens for prompt and response separately
@@ -103,6 +165,92 @@ function countTokensForRequest(prompt, response, provider = 'default') {
   };
 }
 
+// Providers whose models use the bundled OpenAI encodings. Other providers do
+// not publish their tokenizers, so the BPE count is a close approximation there.
+const EXACT_TOKENIZER_PROVIDERS = ['openai'];
+
+// Count tokens with the BPE tokenizer for the given model
+function countTokensExact(text, provider = 'default', modelName) {
+  if (!text || typeof text !== 'string') {
+    return { tokens: 0, encoding: null, exact: false };
+  }
+  
+  const encoding = bpeTokenizer.getEncodingNameForModel(modelName);
+  
+  return {
+    tokens: bpeTokenizer.countTextTokens(text, modelName),
+    encoding,
+    exact: EXACT_TOKENIZER_PROVIDERS.includes(provider.toLowerCase())
+  };
+}
+
+// Count prompt tokens for chat-formatted messages, including per-message overhead
+function countChatTokens(messages, provider = 'default', modelName) {
+  return {
+    tokens: bpeTokenizer.countChatTokens(messages, modelName),
+    encoding: bpeTokenizer.getEncodingNameForModel(modelName),
+    exact: EXACT_TOKENIZER_PROVIDERS.includes(provider.toLowerCase())
+  };
+}
+
+// Best available local count: BPE when the tokenizer files load, heuristics otherwise
+function estimateTokens(text, provider = 'default', modelName) {
+  try {
+    return countTokensExact(text, provider, modelName).tokens;
+  } catch (error) {
+    console.error('BPE tokenizer unavailable, falling back to heuristics:', error.message);
+    return countTokensProviderSpecific(text || '', provider);
+  }
+}
+
+function estimateInputTokens(prompt, messages, provider, modelName) {
+  if (Array.isArray(messages)) {
+    try {
+      return countChatTokens(messages, provider, modelName).tokens;
+    } catch (error) {
+      console.error('BPE tokenizer unavailable, falling back to heuristics:', error.message);
+    }
+  }
+  return estimateTokens(prompt, provider, modelName);
+}
+
+// Decide the billable token counts for a call. Provider-reported usage wins
+// when present; the local estimate is always returned alongside it so the two
+// can be compared later. `estimateOutput` forces the output side to be
+// estimated (e.g. a cancelled stream whose final usage event never arrived).
+// When the chat `messages` that were sent are known, the input estimate
+// includes their formatting overhead.
+function reconcileTokenUsage(prompt, response, provider, providerUsage, { estimateOutput = false, model, messages } = {}) {
+  const estimatedInput = estimateInputTokens(prompt, messages, provider, model);
+  const estimatedOutput = response ? estimateTokens(response, provider, model) : 0;
+  
+  const inputFromProvider = Boolean(providerUsage) && Number.isFinite(providerUsage.prompt_tokens);
+  const outputFromProvider = Boolean(providerUsage) && !estimateOutput &&
+    Number.isFinite(providerUsage.completion_tokens);
+  
+  const inputTokens = inputFromProvider ? providerUsage.prompt_tokens : estimatedInput;
+  const outputTokens = outputFromProvider ? providerUsage.completion_tokens : estimatedOutput;
+  
+  let usageSource = 'estimate';
+  if (inputFromProvider && outputFromProvider) {
+    usageSource = 'provider';
+  } else if (inputFromProvider || outputFromProvider) {
+    usageSource = 'partial';
+  }
+  
+  return {
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    total_tokens: inputTokens + outputTokens,
+    // Only providers can tell which prompt tokens hit their cache
+    cached_input_tokens: inputFromProvider ? providerUsage.cached_tokens || 0 : 0,
+    cache_write_tokens: inputFromProvider ? providerUsage.cache_write_tokens || 0 : 0,
+    estimated_input_tokens: estimatedInput,
+    estimated_output_tokens: estimatedOutput,
+    usage_source: usageSource
+  };
+}
+
 // Provider-specific token counting (more accurate when available)
 function countTokensProviderSpecific(text, provider) {
   switch (provider.toLowerCase()) {
@@ -191,11 +339,17 @@ function countTokensGoogle(text) {
   return tokenCount;
 }
 
+// Share of the actual token count an estimate got right: 1 is exact, and
+// the further off the estimate the lower (below 0 past twice the actual)
+function estimateAccuracy(estimatedTokens, actualTokens) {
+  if (!actualTokens) return 1; // Perfect accuracy if no actual tokens
+  
+  return 1 - Math.abs(estimatedTokens - actualTokens) / actualTokens;
+}
+
 // Validate token count against actual usage (for calibration)
 function validateTokenCount(estimatedTokens, actualTokens, provider) {
-  if (actualTokens === 0) return 1; // Perfect accuracy if no actual tokens
-  
-  const accuracy = 1 - Math.abs(estimatedTokens - actualTokens) / actualTokens;
+  const accuracy = estimateAccuracy(estimatedTokens, actualTokens);
   
   // Log for calibration purposes
   console.log(`Token estimation accuracy for ${provider}: ${(accuracy * 100).toFixed(1)}%`);
@@ -204,19 +358,30 @@ function validateTokenCount(estimatedTokens, actualTokens, provider) {
 }
 
 // Get token statistics for a text
-function getTokenStats(text, provider = 'default') {
+function getTokenStats(text, provider = 'default', modelName) {
   const basicCount = countTokens(text, provider);
   const advancedCount = countTokensAdvanced(text, provider);
   const providerSpecific = countTokensProviderSpecific(text, provider);
   
+  let exactCount = null;
+  try {
+    exactCount = countTokensExact(text, provider, modelName);
+  } catch (error) {
+    console.error('BPE tokenizer unavailable:', error.message);
+  }
+  
   return {
     basic: basicCount,
     advanced: advancedCount,
     provider_specific: providerSpecific,
-    recommended: providerSpecific, // Use provider-specific as default
+    exact: exactCount ? exactCount.tokens : null,
+    encoding: exactCount ? exactCount.encoding : null,
+    exact_for_provider: exactCount ? exactCount.exact : false,
+    recommended: exactCount ? exactCount.tokens : providerSpecific,
     text_length: text.length,
     word_count: text.split(/\s+/).length,
-    provider: provider
+    provider: provider,
+    model: modelName
   };
 }
 
@@ -224,9 +389,15 @@ module.exports = {
   countTokens,
   countTokensAdvanced,
   countTokensProviderSpecific,
+  countTokensExact,
+  countChatTokens,
+  estimateTokens,
   countTokensForRequest,
+  reconcileTokenUsage,
   estimateCost,
+  calculateCost,
   validateTokenCount,
+  estimateAccuracy,
   getTokenStats,
   TOKEN_MULTIPLIERS
 };
\ No newline at end of file
@@ -1,4 +1,124 @@
 const Joi = require('joi');
+const providerRegistry = require('../services/providers');
+const { TEAM_ROLES } = require('../services/teams');
+const { ROLES } = require('../services/auth');
+const budgets = require('../services/budgets');
+const alerts = require('../services/alerts');
+const { FILTER_ACTIONS } = require('../services/safety-filters');
+const { DETECTOR_NAMES } = require('../services/pii-redaction');
+const { SECRET_TYPES } = require('../services/secret-scanner');
+const promptInjection = require('../services/prompt-injection');
+const rateLimiter = require('../services/rate-limiter');
+const qualityChecks = require('../services/quality-checks');
+const { CHANNEL_TYPES } = require('../services/alert-senders');
+
+// Provider ids are checked against the adapter registry when validating, so
+// user-defined providers are accepted as soon as they are added
+const providerId = () => Joi.string().lowercase().custom((value, helpers) => {
+  if (!providerRegistry.hasProvider(value)) {
+    return helpers.error('any.only', { valids: providerRegistry.listProviders().map(provider => provider.id) });
+  }
+  return value;
+});
+
+const stringMap = () => Joi.object().pattern(Joi.string(), Joi.string());
+
+// ISO 4217 currency code
+const currencyCode = () => Joi.string().uppercase().pattern(/^[A-Z]{3}$/);
+
+// Ids of users and teams may be chosen by the caller, matching the ids
+// already used in usage logs
+const entityId = () => Joi.string().pattern(/^[A-Za-z0-9][A-Za-z0-9._@:-]*$/).max(100);
+
+// Sign-in name and password of a user
+const username = () => Joi.string().pattern(/^[A-Za-z0-9][A-Za-z0-9._@-]*$/).min(3).max(64);
+const password = () => Joi.string().min(8).max(256);
+
+// A model as 'provider/model', the form used by model filters and virtual keys
+const modelKey = () => Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*\/.+$/).max(200);
+
+// Regular expression source that compiles
+const regexSource = () => Joi.string().min(1).max(500).custom((value, helpers) => {
+  try {
+    new RegExp(value);
+  } catch (error) {
+    return helpers.message(`Invalid pattern: ${error.message}`);
+  }
+  return value;
+});
+
+// Name of a PII rule, used in its placeholders ([NAME_1])
+const piiRuleName = () => Joi.string().pattern(/^[A-Za-z][A-Za-z0-9_ -]*$/).max(40);
+
+// `options.retry`: false to disable retries, or overrides of the retry policy
+const retryPolicy = () => Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.object({
+    max_retries: Joi.number().integer().min(0).max(10).optional(),
+    initial_delay_ms: Joi.number().integer().min(0).optional(),
+    max_delay_ms: Joi.number().integer().min(0).optional(),
+    backoff_multiplier: Joi.number().min(1).optional(),
+    jitter: Joi.number().min(0).max(1).optional(),
+    retry_on_status: Joi.array().items(Joi.number().integer()).optional(),
+    retry_on_timeout: Joi.boolean().optional()
+  })
+);
+
+// `options.fallbacks`: "provider:model" strings or objects with their own key
+const fallbackTargets = () => Joi.array().items(
+  Joi.string().pattern(/^[^:]+:.+$/),
+  Joi.object({
+    model_provider: providerId().required(),
+    model_name: Joi.string().required(),
+    api_key: Joi.string().min(10).optional()
+  })
+);
+
+// JSON Schema that compiles
+const jsonSchema = () => Joi.object().unknown(true).custom((value, helpers) => {
+  const message = qualityChecks.checkSchema(value);
+  return message ? helpers.message(`Invalid {{#label}}: ${message}`) : value;
+});
+
+// `options.quality`: input for the quality checks and per-checker overrides
+const qualityOptions = () => Joi.object({
+  reference: Joi.string().max(200000).optional(),
+  json_schema: jsonSchema().optional(),
+  checks: Joi.object(Object.fromEntries(qualityChecks.CHECKERS.map(name => [
+    name,
+    Joi.object({
+      enabled: Joi.boolean().optional(),
+      weight: Joi.number().min(0).optional(),
+      threshold: Joi.number().min(0).max(1).optional()
+    }).unknown(true).optional()
+  ]))).optional()
+});
+
+// Parameters a replay may change; anything left out keeps the logged value
+const replayOverrides = {
+  user_id: Joi.string().optional(),
+  model_provider: providerId().optional(),
+  model_name: Joi.string().optional(),
+  options: Joi.object({
+    max_tokens: Joi.number().integer().min(1).max(8000).optional(),
+    temperature: Joi.number().min(0).max(2).optional(),
+    top_p: Joi.number().min(0).max(1).optional(),
+    frequency_penalty: Joi.number().min(-2).max(2).optional(),
+    presence_penalty: Joi.number().min(-2).max(2).optional(),
+    stop: Joi.array().items(Joi.string()).max(4).optional(),
+    timeout_ms: Joi.number().integer().min(1000).max(600000).optional(),
+    retry: retryPolicy().optional(),
+    fallbacks: fallbackTargets().optional()
+  }).optional()
+};
+
+// Provider keys given directly or by the id of a key stored in the vault
+const replayKeys = {
+  api_key: Joi.string().min(10).optional(),
+  api_keys: Joi.object().pattern(Joi.string(), Joi.string().min(10)).optional(),
+  api_key_id: Joi.string().optional(),
+  api_key_ids: Joi.object().pattern(Joi.string(), Joi.string()).optional()
+};
 
 // Validation schemas
 const schemas = {
@@ -7,10 +127,38 @@ const schemas = {
     user_id: Joi.string().uuid().optional(),
     team_id: Joi.string().uuid().optional(),
     session_id: Joi.string().uuid().optional(),
-    model_provider: Joi.string().valid('openai', 'anthropic', 'google').required(),
+    project_id: entityId().optional(),
+    model_provider: providerId().required(),
     model_name: Joi.string().required(),
-    prompt: Joi.string().min(1).max(50000).required(),
-    api_key: Joi.string().min(10).required(),
+    prompt: Joi.string().min(1).max(50000).optional(),
+    messages: Joi.array().items(Joi.object({
+      role: Joi.string().valid('system', 'user', 'assistant', 'tool').required(),
+      content: Joi.alternatives().try(Joi.string().allow(''), Joi.array()).allow(null).optional(),
+      name: Joi.string().optional(),
+      tool_calls: Joi.array().items(Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('function').optional(),
+        function: Joi.object({
+          name: Joi.string().required(),
+          arguments: Joi.alternatives().try(Joi.string(), Joi.object()).optional()
+        }).required()
+      })).optional(),
+      tool_call_id: Joi.string().optional()
+    })).min(1).optional(),
+    system: Joi.string().optional(),
+    tools: Joi.array().items(Joi.object().unknown(true)).optional(),
+    tool_choice: Joi.alternatives().try(
+      Joi.string().valid('auto', 'none', 'required'),
+      Joi.object({ name: Joi.string().required() })
+    ).optional(),
+    api_key: Joi.string().min(10).optional(),
+    api_keys: Joi.object().pattern(Joi.string(), Joi.string().min(10)).optional(),
+    api_key_id: Joi.string().optional(),
+    api_key_ids: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+    units: Joi.object({
+      images: Joi.number().integer().min(0).optional(),
+      audio_seconds: Joi.number().min(0).optional()
+    }).optional(),
     options: Joi.object({
       max_tokens: Joi.number().integer().min(1).max(8000).optional(),
       temperature: Joi.number().min(0).max(2).optional(),
@@ -19,29 +167,335 @@ const schemas = {
       presence_penalty: Joi.number().min(-2).max(2).optional(),
       stop: Joi.array().items(Joi.string()).max(4).optional(),
       stream: Joi.boolean().optional(),
+      batch: Joi.boolean().optional(),
       retry_count: Joi.number().integer().min(0).max(5).optional(),
-      retry_of: Joi.string().uuid().optional()
+      retry_of: Joi.string().uuid().optional(),
+      timeout_ms: Joi.number().integer().min(1000).max(600000).optional(),
+      retry: retryPolicy().optional(),
+      fallbacks: fallbackTargets().optional(),
+      quality: qualityOptions().optional(),
+      response_schema: jsonSchema().optional(),
+      schema_retries: Joi.number().integer().min(0).max(5).optional()
     }).optional()
-  }),
+  }).or('prompt', 'messages').or('api_key', 'api_key_id'),
+
+  // Proxy request validation (bodies are forwarded as-is, so unknown keys pass through)
+  proxyChatCompletions: Joi.object({
+    model: Joi.string().required(),
+    messages: Joi.array().items(
+      Joi.object({ role: Joi.string().required() }).unknown(true)
+    ).min(1).required()
+  }).unknown(true),
+
+  proxyMessages: Joi.object({
+    model: Joi.string().required(),
+    max_tokens: Joi.number().integer().min(1).required(),
+    messages: Joi.array().items(
+      Joi.object({ role: Joi.string().valid('user', 'assistant').required() }).unknown(true)
+    ).min(1).required()
+  }).unknown(true),
 
   // Safety filter validation
   safetyFilter: Joi.object({
     name: Joi.string().min(1).max(100).required(),
     description: Joi.string().max(500).optional(),
-    filter_type: Joi.string().valid('content', 'cost', 'rate', 'model').required(),
-    rules: Joi.object().required(),
+    filter_type: Joi.string().valid('content', 'cost', 'rate', 'model', 'pii', 'injection').required(),
+    // Type-specific rules, plus what to do when the filter trips
+    rules: Joi.object({
+      detectors: Joi.array().items(Joi.string().valid(...DETECTOR_NAMES)).optional(),
+      patterns: Joi.array().items(Joi.object({
+        name: piiRuleName().required(),
+        pattern: regexSource().required(),
+        flags: Joi.string().pattern(/^[imsu]*$/).optional()
+      })).optional(),
+      dictionaries: Joi.array().items(Joi.object({
+        name: piiRuleName().required(),
+        terms: Joi.array().items(Joi.string().min(1)).min(1).required()
+      })).optional(),
+      threshold: Joi.number().min(0).max(1).optional(),
+      checks: Joi.array().items(Joi.string().valid(...promptInjection.CHECKS)).min(1).optional(),
+      phrases: Joi.array().items(Joi.string().min(1)).optional(),
+      scan_secrets: Joi.boolean().optional(),
+      secret_types: Joi.array().items(Joi.string().valid(...SECRET_TYPES)).min(1).optional(),
+      min_entropy: Joi.alternatives().try(
+        Joi.number().min(1).max(8),
+        Joi.boolean().valid(false)
+      ).optional(),
+      ...Object.fromEntries(rateLimiter.LIMIT_RULES.map(({ rule }) => [rule, Joi.number().integer().min(1).optional()])),
+      per: Joi.alternatives().try(
+        Joi.string().valid(...rateLimiter.DIMENSIONS),
+        Joi.array().items(Joi.string().valid(...rateLimiter.DIMENSIONS)).min(1).unique()
+      ).optional(),
+      match: Joi.object(Object.fromEntries(rateLimiter.DIMENSIONS.map(dimension => [
+        dimension,
+        Joi.array().items(Joi.string()).min(1).optional()
+      ]))).optional(),
+      action: Joi.string().valid(...FILTER_ACTIONS).optional(),
+      reroute_to: Joi.alternatives().try(
+        Joi.string(),
+        Joi.array().items(Joi.string()).min(1)
+      ).optional()
+    }).unknown(true).required(),
     is_active: Joi.boolean().optional()
   }),
 
-  // Model pricing validation
+  // Model pricing validation. Rates are in `currency`; the cap of $1 per 1k
+  // tokens is checked by basePrice once they are converted to USD.
   modelPricing: Joi.object({
-    provider: Joi.string().valid('openai', 'anthropic', 'google').required(),
+    provider: providerId().required(),
     model_name: Joi.string().required(),
-    input_cost: Joi.number().min(0).max(1).required(),
-    output_cost: Joi.number().min(0).max(1).required(),
-    currency: Joi.string().valid('USD', 'EUR', 'GBP').optional().default('USD')
+    input_cost: Joi.number().min(0).required(),
+    output_cost: Joi.number().min(0).required(),
+    cached_input_cost: Joi.number().min(0).optional(),
+    cache_write_cost: Joi.number().min(0).optional(),
+    batch_discount: Joi.number().min(0).max(1).optional(),
+    cost_per_image: Joi.number().min(0).optional(),
+    cost_per_audio_second: Joi.number().min(0).optional(),
+    tiers: Joi.array().items(Joi.object({
+      above_input_tokens: Joi.number().integer().min(1).required(),
+      input_cost: Joi.number().min(0).optional(),
+      output_cost: Joi.number().min(0).optional(),
+      cached_input_cost: Joi.number().min(0).optional(),
+      cache_write_cost: Joi.number().min(0).optional()
+    })).unique('above_input_tokens').optional(),
+    currency: currencyCode().optional().default('USD'),
+    effective_date: Joi.date().iso().raw().optional(),
+    recalculate: Joi.boolean().optional(),
+    reason: Joi.string().max(500).optional()
+  }),
+
+  // Per-1k-token rates of a model price converted to USD
+  basePrice: Joi.object({
+    input_cost: Joi.number().max(1),
+    output_cost: Joi.number().max(1),
+    cached_input_cost: Joi.number().max(1),
+    cache_write_cost: Joi.number().max(1),
+    tiers: Joi.array().items(Joi.object({
+      input_cost: Joi.number().max(1),
+      output_cost: Joi.number().max(1),
+      cached_input_cost: Joi.number().max(1),
+      cache_write_cost: Joi.number().max(1)
+    }).unknown(true))
+  }).unknown(true),
+
+  // Versioned price sheet. Each entry of `prices` is checked against
+  // modelPricing on its own so errors can point at the entry.
+  priceSheet: Joi.object({
+    version: Joi.string().max(50).required(),
+    description: Joi.string().max(500).optional(),
+    currency: currencyCode().optional().default('USD'),
+    effective_date: Joi.date().iso().raw().optional(),
+    prices: Joi.array().items(Joi.object().unknown(true)).min(1).required()
+  }),
+
+  // Exchange rate: units of `currency` per 1 USD
+  exchangeRate: Joi.object({
+    currency: currencyCode().invalid('USD').required(),
+    rate: Joi.number().positive().required(),
+    effective_date: Joi.date().iso().raw().optional()
+  }),
+
+  // Billing currency of a team
+  teamCurrency: Joi.object({
+    currency: currencyCode().required()
   }),
 
+  // User; on update every field is optional
+  user: Joi.object({
+    id: entityId().optional(),
+    name: Joi.string().min(1).max(200).required(),
+    email: Joi.string().email().allow(null).optional(),
+    username: username().optional(),
+    password: password().optional(),
+    role: Joi.string().valid(...ROLES).optional()
+  }).with('password', 'username'),
+
+  userUpdate: Joi.object({
+    name: Joi.string().min(1).max(200).optional(),
+    email: Joi.string().email().allow(null).optional(),
+    username: username().allow(null).optional(),
+    password: password().optional(),
+    role: Joi.string().valid(...ROLES).optional()
+  }).min(1),
+
+  login: Joi.object({
+    username: Joi.string().required(),
+    password: Joi.string().required()
+  }),
+
+  passwordChange: Joi.object({
+    current_password: Joi.string().required(),
+    new_password: password().required()
+  }),
+
+  // API token for programmatic clients
+  apiToken: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    expires_at: Joi.date().iso().greater('now').optional()
+  }),
+
+  // Team; billing_currency is stored in team_billing
+  team: Joi.object({
+    id: entityId().optional(),
+    name: Joi.string().min(1).max(200).required(),
+    description: Joi.string().max(1000).allow('', null).optional(),
+    billing_currency: currencyCode().optional()
+  }),
+
+  teamUpdate: Joi.object({
+    name: Joi.string().min(1).max(200).optional(),
+    description: Joi.string().max(1000).allow('', null).optional(),
+    billing_currency: currencyCode().allow(null).optional()
+  }).min(1),
+
+  // Role of a user in a team
+  teamMember: Joi.object({
+    role: Joi.string().valid(...TEAM_ROLES).optional().default('member')
+  }),
+
+  // Provider key stored in the vault. Without a team_id it is shared.
+  apiKey: Joi.object({
+    provider: providerId().required(),
+    name: Joi.string().min(1).max(100).required(),
+    key: Joi.string().min(10).max(1000).required(),
+    team_id: Joi.string().allow(null).optional(),
+    user_id: Joi.string().allow(null).optional()
+  }),
+
+  apiKeyUpdate: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    is_active: Joi.boolean().optional()
+  }).min(1),
+
+  apiKeyRotation: Joi.object({
+    key: Joi.string().min(10).max(1000).required()
+  }),
+
+  // Virtual key issued against a vault key. allowed_models entries are
+  // 'provider/model'; an empty list allows every model.
+  virtualKey: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    provider_key_id: Joi.string().required(),
+    user_id: Joi.string().allow(null).optional(),
+    team_id: Joi.string().allow(null).optional(),
+    spend_cap: Joi.number().positive().allow(null).optional(),
+    allowed_models: Joi.array().items(modelKey()).optional(),
+    expires_at: Joi.date().iso().greater('now').allow(null).optional()
+  }),
+
+  virtualKeyUpdate: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    spend_cap: Joi.number().positive().allow(null).optional(),
+    allowed_models: Joi.array().items(modelKey()).optional(),
+    expires_at: Joi.date().iso().greater('now').allow(null).optional(),
+    is_active: Joi.boolean().optional()
+  }).min(1),
+
+  // Spending budget. Org budgets cover all usage and take no scope_id.
+  budget: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    scope: Joi.string().valid(...budgets.SCOPES).required(),
+    scope_id: Joi.when('scope', {
+      is: 'org',
+      then: Joi.valid(null).optional(),
+      otherwise: entityId().required()
+    }),
+    period: Joi.string().valid(...Object.keys(budgets.PERIODS)).required(),
+    amount: Joi.number().positive().required(),
+    soft_limit_percent: Joi.number().greater(0).max(100).allow(null).optional().default(80),
+    hard_limit: Joi.boolean().optional().default(false),
+    rollover: Joi.string().valid(...budgets.ROLLOVERS).optional().default('none'),
+    is_active: Joi.boolean().optional().default(true)
+  }),
+
+  budgetUpdate: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    amount: Joi.number().positive().optional(),
+    soft_limit_percent: Joi.number().greater(0).max(100).allow(null).optional(),
+    hard_limit: Joi.boolean().optional(),
+    rollover: Joi.string().valid(...budgets.ROLLOVERS).optional(),
+    is_active: Joi.boolean().optional()
+  }).min(1),
+
+  // Alert channel. The config depends on the type: webhook, slack and teams
+  // post to a URL; email goes to a list of addresses through SMTP_HOST.
+  alertChannel: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    type: Joi.string().valid(...CHANNEL_TYPES).required(),
+    config: Joi.when('type', {
+      switch: [
+        {
+          is: 'webhook',
+          then: Joi.object({
+            url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+            secret: Joi.string().min(8).max(256).optional(),
+            headers: stringMap().optional()
+          })
+        },
+        {
+          is: 'email',
+          then: Joi.object({
+            to: Joi.array().items(Joi.string().email()).min(1).required()
+          })
+        }
+      ],
+      otherwise: Joi.object({
+        url: Joi.string().uri({ scheme: ['http', 'https'] }).required()
+      })
+    }).required(),
+    sources: Joi.array().items(Joi.string().valid(...alerts.SOURCES)).min(1).allow(null).optional().default(null),
+    min_severity: Joi.string().valid(...alerts.SEVERITIES).optional().default('warning'),
+    cooldown_minutes: Joi.number().integer().min(0).max(10080).optional().default(15),
+    is_active: Joi.boolean().optional().default(true)
+  }),
+
+  // Quality-check and structured-output options of a tracked call
+  responseChecks: Joi.object({
+    quality: qualityOptions().optional(),
+    response_schema: jsonSchema().optional(),
+    schema_retries: Joi.number().integer().min(0).max(5).optional().default(0)
+  }),
+
+  // Resolving or reopening a leaked secret incident
+  secretIncident: Joi.object({
+    status: Joi.string().valid('open', 'resolved').required()
+  }),
+
+  // User-defined OpenAI-compatible provider
+  customProvider: Joi.object({
+    id: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).max(50).required(),
+    name: Joi.string().min(1).max(100).required(),
+    base_url: Joi.string().pattern(/^https?:\/\//).required(),
+    chat_path: Joi.string().pattern(/^\//).optional().default('/chat/completions'),
+    auth_header: Joi.string().allow('').optional().default('Authorization'),
+    auth_prefix: Joi.string().allow('').optional().default('Bearer '),
+    query_params: stringMap().optional().default({}),
+    extra_headers: stringMap().optional().default({}),
+    models: Joi.array().items(Joi.string()).optional().default([]),
+    stream_usage: Joi.boolean().optional().default(true)
+  }),
+
+  // Replay of a single usage log
+  replay: Joi.object({
+    ...replayKeys,
+    ...replayOverrides
+  }).or('api_key', 'api_keys', 'api_key_id', 'api_key_ids').with('model_provider', 'model_name'),
+
+  // Replay of every usage log matching the filters. Dates are compared with
+  // created_at as given, so they are validated but not converted.
+  bulkReplay: Joi.object({
+    ...replayKeys,
+    start_date: Joi.date().iso().raw().required(),
+    end_date: Joi.date().iso().raw().required(),
+    status: Joi.string().valid('success', 'failure', 'hallucination', 'cancelled').optional().default('failure'),
+    user_id: Joi.string().optional(),
+    team_id: Joi.string().optional(),
+    model_provider: Joi.string().optional(),
+    model_name: Joi.string().optional(),
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    overrides: Joi.object(replayOverrides).with('model_provider', 'model_name').optional().default({})
+  }).or('api_key', 'api_keys', 'api_key_id', 'api_key_ids'),
+
   // Report generation validation
   reportGeneration: Joi.object({
     user_id: Joi.string().uuid().optional(),
@@ -64,7 +518,7 @@ const schemas = {
 
   // API key test validation
   apiKeyTest: Joi.object({
-    provider: Joi.string().valid('openai', 'anthropic', 'google').required(),
+    provider: providerId().required(),
     apiKey: Joi.string().min(10).required(),
     modelName: Joi.string().optional()
   }),
@@ -84,9 +538,9 @@ const schemas = {
     filtering: Joi.object({
       user_id: Joi.string().uuid().optional(),
       team_id: Joi.string().uuid().optional(),
-      model_provider: Joi.string().valid('openai', 'anthropic', 'google').optional(),
+      model_provider: providerId().optional(),
       model_name: Joi.string().optional(),
-      status: Joi.string().valid('success', 'failure', 'hallucination', 'retry').optional()
+      status: Joi.string().valid('success', 'failure', 'hallucination', 'retry', 'cancelled').optional()
     })
   }
 };
@@ -96,6 +550,11 @@ function validateUsageTrack(data) {
   return schemas.usageTrack.validate(data);
 }
 
+function validateProxyRequest(data, format) {
+  const schema = format === 'anthropic' ? schemas.proxyMessages : schemas.proxyChatCompletions;
+  return schema.validate(data);
+}
+
 function validateSafetyFilter(data) {
   return schemas.safetyFilter.validate(data);
 }
@@ -104,6 +563,86 @@ function validateModelPricing(data) {
   return schemas.modelPricing.validate(data);
 }
 
+function validateBasePrice(data) {
+  return schemas.basePrice.validate(data);
+}
+
+function validatePriceSheet(data) {
+  return schemas.priceSheet.validate(data);
+}
+
+function validateExchangeRate(data) {
+  return schemas.exchangeRate.validate(data);
+}
+
+function validateTeamCurrency(data) {
+  return schemas.teamCurrency.validate(data);
+}
+
+function validateUser(data, { update = false } = {}) {
+  return (update ? schemas.userUpdate : schemas.user).validate(data);
+}
+
+function validateLogin(data) {
+  return schemas.login.validate(data);
+}
+
+function validatePasswordChange(data) {
+  return schemas.passwordChange.validate(data);
+}
+
+function validateApiToken(data) {
+  return schemas.apiToken.validate(data);
+}
+
+function validateTeam(data, { update = false } = {}) {
+  return (update ? schemas.teamUpdate : schemas.team).validate(data);
+}
+
+function validateTeamMember(data) {
+  return schemas.teamMember.validate(data);
+}
+
+function validateApiKey(data, { update = false } = {}) {
+  return (update ? schemas.apiKeyUpdate : schemas.apiKey).validate(data);
+}
+
+function validateApiKeyRotation(data) {
+  return schemas.apiKeyRotation.validate(data);
+}
+
+function validateVirtualKey(data, { update = false } = {}) {
+  return (update ? schemas.virtualKeyUpdate : schemas.virtualKey).validate(data);
+}
+
+function validateBudget(data, { update = false } = {}) {
+  return (update ? schemas.budgetUpdate : schemas.budget).validate(data);
+}
+
+function validateAlertChannel(data) {
+  return schemas.alertChannel.validate(data);
+}
+
+function validateResponseChecks(data) {
+  return schemas.responseChecks.validate(data);
+}
+
+function validateSecretIncident(data) {
+  return schemas.secretIncident.validate(data);
+}
+
+function validateCustomProvider(data) {
+  return schemas.customProvider.validate(data);
+}
+
+function validateReplay(data) {
+  return schemas.replay.validate(data);
+}
+
+function validateBulkReplay(data) {
+  return schemas.bulkReplay.validate(data);
+}
+
 function validateReportGeneration(data) {
   return schemas.reportGeneration.validate(data);
 }
@@ -277,8 +816,29 @@ function validateRateLimit(requestCount, limit, window) {
 module.exports = {
   schemas,
   validateUsageTrack,
+  validateProxyRequest,
   validateSafetyFilter,
   validateModelPricing,
+  validateBasePrice,
+  validatePriceSheet,
+  validateExchangeRate,
+  validateTeamCurrency,
+  validateUser,
+  validateLogin,
+  validatePasswordChange,
+  validateApiToken,
+  validateTeam,
+  validateTeamMember,
+  validateApiKey,
+  validateApiKeyRotation,
+  validateVirtualKey,
+  validateBudget,
+  validateAlertChannel,
+  validateResponseChecks,
+  validateSecretIncident,
+  validateCustomProvider,
+  validateReplay,
+  validateBulkReplay,
   validateReportGeneration,
   validateReceiptGeneration,
   validateApiKeyTest,